@@ -6,12 +6,38 @@ CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
 CREATE EXTENSION IF NOT EXISTS "pg_trgm";
 
 -- Drop tables in correct order (respecting foreign key dependencies)
+DROP TABLE IF EXISTS knowledge_chunks CASCADE;
+DROP TABLE IF EXISTS ai_tool_invocations CASCADE;
+DROP TABLE IF EXISTS oauth_authorization_codes CASCADE;
+DROP TABLE IF EXISTS api_tokens CASCADE;
+DROP TABLE IF EXISTS oauth_apps CASCADE;
+DROP TABLE IF EXISTS scim_users CASCADE;
+DROP TABLE IF EXISTS organization_domains CASCADE;
+DROP TABLE IF EXISTS scim_tokens CASCADE;
+DROP TABLE IF EXISTS chat_imports CASCADE;
+DROP TABLE IF EXISTS call_state_events CASCADE;
+DROP TABLE IF EXISTS user_call_states CASCADE;
+DROP TABLE IF EXISTS call_states CASCADE;
+DROP TABLE IF EXISTS meeting_occurrences CASCADE;
+DROP TABLE IF EXISTS meeting_invitees CASCADE;
+DROP TABLE IF EXISTS meetings CASCADE;
+DROP TABLE IF EXISTS call_quality_samples CASCADE;
+DROP TABLE IF EXISTS call_transcripts CASCADE;
+DROP TABLE IF EXISTS call_recording_tracks CASCADE;
+DROP TABLE IF EXISTS call_recordings CASCADE;
 DROP TABLE IF EXISTS call_participants CASCADE;
 DROP TABLE IF EXISTS call_logs CASCADE;
+DROP TABLE IF EXISTS aiden_memories CASCADE;
+DROP TABLE IF EXISTS push_vapid_keys CASCADE;
+DROP TABLE IF EXISTS push_subscriptions CASCADE;
+DROP TABLE IF EXISTS notification_preferences CASCADE;
 DROP TABLE IF EXISTS notifications CASCADE;
 DROP TABLE IF EXISTS file_shares CASCADE;
 DROP TABLE IF EXISTS files CASCADE;
 DROP TABLE IF EXISTS message_reactions CASCADE;
+DROP TABLE IF EXISTS thread_participants CASCADE;
+DROP TABLE IF EXISTS message_revisions CASCADE;
+DROP TABLE IF EXISTS scheduled_messages CASCADE;
 DROP TABLE IF EXISTS message_attachments CASCADE;
 DROP TABLE IF EXISTS messages CASCADE;
 DROP TABLE IF EXISTS chat_participants CASCADE;
@@ -19,6 +45,9 @@ DROP TABLE IF EXISTS chats CASCADE;
 DROP TABLE IF EXISTS user_oauth CASCADE;
 DROP TABLE IF EXISTS user_relationships CASCADE;
 DROP TABLE IF EXISTS user_settings CASCADE;
+DROP TABLE IF EXISTS sso_login_states CASCADE;
+DROP TABLE IF EXISTS webauthn_challenges CASCADE;
+DROP TABLE IF EXISTS webauthn_credentials CASCADE;
 DROP TABLE IF EXISTS sessions CASCADE;
 DROP TABLE IF EXISTS users CASCADE;
 
@@ -72,6 +101,8 @@ CREATE TABLE user_settings (
     notification_sound BOOLEAN DEFAULT TRUE,
     notification_desktop BOOLEAN DEFAULT TRUE,
     notification_email BOOLEAN DEFAULT FALSE,
+    email_digest_frequency VARCHAR(10) DEFAULT 'daily' CHECK (email_digest_frequency IN ('hourly', 'daily', 'weekly')),
+    last_email_digest_at TIMESTAMP,
     auto_download_media BOOLEAN DEFAULT TRUE,
     read_receipts BOOLEAN DEFAULT TRUE,
     typing_indicators BOOLEAN DEFAULT TRUE,
@@ -86,7 +117,7 @@ CREATE TABLE user_settings (
 CREATE TABLE user_oauth (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     user_id UUID REFERENCES users(id) ON DELETE CASCADE,
-    provider VARCHAR(50) NOT NULL CHECK (provider IN ('google', 'microsoft', 'apple', 'facebook', 'github')),
+    provider VARCHAR(50) NOT NULL CHECK (provider IN ('google', 'microsoft', 'apple', 'facebook', 'github', 'saml', 'oidc')),
     provider_id VARCHAR(255) NOT NULL,
     profile_data JSONB DEFAULT '{}',
     access_token_hash VARCHAR(255),
@@ -215,6 +246,40 @@ CREATE TABLE sessions (
     last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- WebAuthn credentials (passkeys and security keys)
+CREATE TABLE webauthn_credentials (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    credential_id TEXT UNIQUE NOT NULL,
+    public_key BYTEA NOT NULL,
+    sign_count BIGINT DEFAULT 0,
+    transports TEXT[] DEFAULT '{}',
+    device_type VARCHAR(20),
+    backed_up BOOLEAN DEFAULT FALSE,
+    aaguid VARCHAR(36),
+    name VARCHAR(100),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TIMESTAMP
+);
+
+-- In-flight SSO logins (SAML request IDs, OIDC state/nonce/PKCE verifier)
+CREATE TABLE sso_login_states (
+    key VARCHAR(255) PRIMARY KEY,
+    value TEXT NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Outstanding WebAuthn challenges, deleted on first use
+CREATE TABLE webauthn_challenges (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    challenge VARCHAR(255) UNIQUE NOT NULL,
+    purpose VARCHAR(20) NOT NULL CHECK (purpose IN ('registration', 'authentication')),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    expires_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Enhanced chats table
 CREATE TABLE chats (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -242,6 +307,8 @@ CREATE TABLE chat_participants (
     role VARCHAR(50) DEFAULT 'member' CHECK (role IN ('owner', 'admin', 'moderator', 'member', 'guest')),
     permissions JSONB DEFAULT '{}',
     is_muted BOOLEAN DEFAULT FALSE,
+    muted_until TIMESTAMP,
+    notification_level VARCHAR(20) DEFAULT 'all' CHECK (notification_level IN ('all', 'mentions')),
     is_pinned BOOLEAN DEFAULT FALSE,
     last_read_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -276,9 +343,14 @@ CREATE TABLE messages (
     chat_id UUID REFERENCES chats(id) ON DELETE CASCADE,
     sender_id UUID REFERENCES users(id) ON DELETE SET NULL,
     content TEXT,
-    message_type VARCHAR(50) DEFAULT 'text' CHECK (message_type IN ('text', 'image', 'video', 'audio', 'file', 'location', 'contact', 'system', 'call')),
+    message_type VARCHAR(50) DEFAULT 'text' CHECK (message_type IN ('text', 'image', 'video', 'audio', 'voicemail', 'file', 'location', 'contact', 'system', 'call')),
     reply_to_id UUID REFERENCES messages(id) ON DELETE SET NULL,
     forward_from_id UUID REFERENCES messages(id) ON DELETE SET NULL,
+    thread_root_id UUID REFERENCES messages(id) ON DELETE CASCADE,
+    thread_reply_count INTEGER DEFAULT 0,
+    thread_last_reply_at TIMESTAMP,
+    also_sent_to_channel BOOLEAN DEFAULT FALSE,
+    search_vector tsvector GENERATED ALWAYS AS (to_tsvector('english', COALESCE(content, ''))) STORED,
     metadata JSONB DEFAULT '{}',
     is_edited BOOLEAN DEFAULT FALSE,
     is_deleted BOOLEAN DEFAULT FALSE,
@@ -312,6 +384,54 @@ CREATE TABLE message_reactions (
     UNIQUE(message_id, user_id, reaction)
 );
 
+-- Superseded message content, one row per edit or deletion
+CREATE TABLE message_revisions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    message_id UUID REFERENCES messages(id) ON DELETE CASCADE,
+    revision_number INTEGER NOT NULL,
+    content TEXT,
+    metadata JSONB DEFAULT '{}',
+    change_type VARCHAR(20) DEFAULT 'edit' CHECK (change_type IN ('edit', 'delete')),
+    changed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    UNIQUE(message_id, revision_number)
+);
+
+-- Thread followers with per-user read state
+CREATE TABLE thread_participants (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    thread_root_id UUID REFERENCES messages(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    is_following BOOLEAN DEFAULT TRUE,
+    last_read_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    UNIQUE(thread_root_id, user_id)
+);
+
+-- Messages queued for delayed sending
+CREATE TABLE scheduled_messages (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    chat_id UUID REFERENCES chats(id) ON DELETE CASCADE,
+    sender_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    content TEXT,
+    message_type VARCHAR(50) DEFAULT 'text',
+    reply_to_id UUID REFERENCES messages(id) ON DELETE SET NULL,
+    thread_root_id UUID REFERENCES messages(id) ON DELETE CASCADE,
+    also_send_to_channel BOOLEAN DEFAULT FALSE,
+    metadata JSONB DEFAULT '{}',
+    file_ids UUID[] DEFAULT '{}',
+    send_at TIMESTAMP NOT NULL,
+    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'sending', 'sent', 'cancelled', 'failed')),
+    attempts INTEGER DEFAULT 0,
+    last_error TEXT,
+    sent_message_id UUID REFERENCES messages(id) ON DELETE SET NULL,
+    sent_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- File sharing permissions
 CREATE TABLE file_shares (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -334,6 +454,7 @@ CREATE TABLE call_logs (
     initiator_id UUID REFERENCES users(id) ON DELETE SET NULL,
     call_type VARCHAR(20) DEFAULT 'audio' CHECK (call_type IN ('audio', 'video', 'screen')),
     status VARCHAR(20) DEFAULT 'initiated' CHECK (status IN ('initiated', 'ringing', 'answered', 'ended', 'missed', 'declined', 'failed')),
+    mode VARCHAR(10) DEFAULT 'p2p' CHECK (mode IN ('p2p', 'group')),
     duration_seconds INTEGER DEFAULT 0,
     quality_rating INTEGER CHECK (quality_rating >= 1 AND quality_rating <= 5),
     ended_reason VARCHAR(50),
@@ -348,6 +469,8 @@ CREATE TABLE call_participants (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     call_id UUID REFERENCES call_logs(id) ON DELETE CASCADE,
     user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    role VARCHAR(20) DEFAULT 'participant' CHECK (role IN ('host', 'participant')),
+    status VARCHAR(20) DEFAULT 'joined' CHECK (status IN ('invited', 'joined', 'left', 'removed', 'declined', 'missed')),
     joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     left_at TIMESTAMP,
     connection_quality VARCHAR(20) DEFAULT 'good' CHECK (connection_quality IN ('excellent', 'good', 'fair', 'poor')),
@@ -355,6 +478,154 @@ CREATE TABLE call_participants (
     UNIQUE(call_id, user_id)
 );
 
+-- Periodic WebRTC stats per participant, aggregated for call quality reports
+CREATE TABLE call_quality_samples (
+    id BIGSERIAL PRIMARY KEY,
+    call_log_id UUID REFERENCES call_logs(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    quality VARCHAR(20) CHECK (quality IN ('excellent', 'good', 'fair', 'poor')),
+    packet_loss_pct NUMERIC(5,2),
+    jitter_ms NUMERIC(8,2),
+    rtt_ms NUMERIC(8,2),
+    inbound_kbps NUMERIC(10,2),
+    outbound_kbps NUMERIC(10,2),
+    candidate_type VARCHAR(10) CHECK (candidate_type IN ('host', 'srflx', 'prflx', 'relay')),
+    relay_protocol VARCHAR(10),
+    sampled_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Consent-gated call recordings, one track per consenting participant
+CREATE TABLE call_recordings (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    call_log_id UUID REFERENCES call_logs(id) ON DELETE CASCADE,
+    chat_id UUID REFERENCES chats(id) ON DELETE SET NULL,
+    started_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    status VARCHAR(20) DEFAULT 'pending_consent' CHECK (status IN ('pending_consent', 'recording', 'processing', 'ready', 'cancelled', 'failed')),
+    consents JSONB DEFAULT '{}',
+    message_id UUID REFERENCES messages(id) ON DELETE SET NULL,
+    duration_seconds INTEGER DEFAULT 0,
+    started_at TIMESTAMP,
+    stopped_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE call_recording_tracks (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    recording_id UUID REFERENCES call_recordings(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    -- 'transcription' is the participant's audio alone at a low bitrate, what gets sent to speech-to-text
+    purpose VARCHAR(20) NOT NULL DEFAULT 'playback' CHECK (purpose IN ('playback', 'transcription')),
+    mime_type VARCHAR(100) NOT NULL,
+    file_path VARCHAR(500) NOT NULL,
+    bytes_received BIGINT DEFAULT 0,
+    chunk_count INTEGER DEFAULT 0,
+    status VARCHAR(20) DEFAULT 'uploading' CHECK (status IN ('uploading', 'complete', 'incomplete')),
+    completed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    UNIQUE(recording_id, user_id, purpose)
+);
+
+ALTER TABLE call_logs ADD COLUMN IF NOT EXISTS recording_id UUID REFERENCES call_recordings(id) ON DELETE SET NULL;
+
+-- Speaker-attributed transcripts and AI meeting notes for recorded calls
+CREATE TABLE call_transcripts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    recording_id UUID UNIQUE REFERENCES call_recordings(id) ON DELETE CASCADE,
+    call_log_id UUID REFERENCES call_logs(id) ON DELETE CASCADE,
+    chat_id UUID REFERENCES chats(id) ON DELETE SET NULL,
+    status VARCHAR(20) DEFAULT 'processing' CHECK (status IN ('processing', 'ready', 'failed')),
+    backend VARCHAR(50),
+    segments JSONB DEFAULT '[]',
+    transcript TEXT DEFAULT '',
+    summary TEXT,
+    decisions JSONB DEFAULT '[]',
+    action_items JSONB DEFAULT '[]',
+    message_id UUID REFERENCES messages(id) ON DELETE SET NULL,
+    error TEXT,
+    search_vector tsvector GENERATED ALWAYS AS (
+        to_tsvector('english', COALESCE(summary, '') || ' ' || COALESCE(transcript, ''))
+    ) STORED,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Scheduled meetings on a chat or workspace channel, recurrence is an RRULE
+-- expanded in the meeting's time zone
+CREATE TABLE meetings (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    chat_id UUID REFERENCES chats(id) ON DELETE CASCADE,
+    workspace_id UUID,
+    organizer_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    title VARCHAR(255) NOT NULL,
+    agenda TEXT,
+    call_type VARCHAR(20) DEFAULT 'video' CHECK (call_type IN ('audio', 'video')),
+    starts_at TIMESTAMP NOT NULL,
+    duration_minutes INTEGER NOT NULL DEFAULT 30 CHECK (duration_minutes > 0 AND duration_minutes <= 1440),
+    timezone VARCHAR(64) NOT NULL DEFAULT 'UTC',
+    rrule TEXT,
+    reminder_minutes INTEGER[] DEFAULT '{10}',
+    join_token VARCHAR(64) UNIQUE NOT NULL,
+    ics_sequence INTEGER DEFAULT 0,
+    next_occurrence_at TIMESTAMP,
+    status VARCHAR(20) DEFAULT 'scheduled' CHECK (status IN ('scheduled', 'cancelled')),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE meeting_invitees (
+    meeting_id UUID REFERENCES meetings(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    response VARCHAR(20) DEFAULT 'needs_action' CHECK (response IN ('needs_action', 'accepted', 'declined', 'tentative')),
+    invited_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    responded_at TIMESTAMP,
+
+    PRIMARY KEY (meeting_id, user_id)
+);
+
+-- One row per occurrence that came up, with the call room opened for it
+CREATE TABLE meeting_occurrences (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    meeting_id UUID REFERENCES meetings(id) ON DELETE CASCADE,
+    starts_at TIMESTAMP NOT NULL,
+    ends_at TIMESTAMP NOT NULL,
+    status VARCHAR(20) DEFAULT 'scheduled' CHECK (status IN ('scheduled', 'open', 'ended', 'missed', 'cancelled')),
+    call_id VARCHAR(100),
+    reminders_sent INTEGER[] DEFAULT '{}',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    UNIQUE(meeting_id, starts_at)
+);
+
+ALTER TABLE call_logs ADD COLUMN IF NOT EXISTS meeting_occurrence_id UUID REFERENCES meeting_occurrences(id) ON DELETE SET NULL;
+
+-- Live call state shared between instances (CALL_STATE_STORE=postgres)
+CREATE TABLE call_states (
+    call_id VARCHAR(100) PRIMARY KEY,
+    state JSONB NOT NULL DEFAULT '{}',
+    node_id VARCHAR(64),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL
+);
+
+CREATE TABLE user_call_states (
+    user_id VARCHAR(100) PRIMARY KEY,
+    call_id VARCHAR(100) NOT NULL REFERENCES call_states(call_id) ON DELETE CASCADE,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Cross-node messages too large for a NOTIFY payload
+CREATE TABLE call_state_events (
+    id BIGSERIAL PRIMARY KEY,
+    channel VARCHAR(100) NOT NULL,
+    payload TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Notifications system
 CREATE TABLE notifications (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -365,13 +636,72 @@ CREATE TABLE notifications (
     action_url VARCHAR(500),
     related_entity_type VARCHAR(50),
     related_entity_id UUID,
+    chat_id UUID REFERENCES chats(id) ON DELETE CASCADE,
+    actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
     is_read BOOLEAN DEFAULT FALSE,
     is_pushed BOOLEAN DEFAULT FALSE,
+    is_emailed BOOLEAN DEFAULT FALSE,
     metadata JSONB DEFAULT '{}',
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     read_at TIMESTAMP
 );
 
+-- Per-type notification switches, a missing row means everything is on.
+-- Per-chat mute and "mentions only" live on chat_participants.
+CREATE TABLE notification_preferences (
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    type VARCHAR(50) NOT NULL,
+    enabled BOOLEAN DEFAULT TRUE,
+    push BOOLEAN DEFAULT TRUE,
+    email BOOLEAN DEFAULT TRUE,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    PRIMARY KEY (user_id, type)
+);
+
+-- Web Push subscriptions, one per browser. Tied to the login session that
+-- registered it, so logging out stops pushes to that device.
+CREATE TABLE push_subscriptions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    session_id UUID REFERENCES sessions(id) ON DELETE CASCADE,
+    endpoint TEXT UNIQUE NOT NULL,
+    p256dh VARCHAR(128) NOT NULL,
+    auth VARCHAR(64) NOT NULL,
+    user_agent TEXT,
+    expires_at TIMESTAMP,
+    failure_count INTEGER DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TIMESTAMP
+);
+
+-- Generated VAPID key pair, only used when VAPID_PUBLIC_KEY and
+-- VAPID_PRIVATE_KEY are not set
+CREATE TABLE push_vapid_keys (
+    id SMALLINT PRIMARY KEY DEFAULT 1 CHECK (id = 1),
+    public_key VARCHAR(128) NOT NULL,
+    private_key VARCHAR(64) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Aiden's long-term memory about a user, facts and preferences picked up in
+-- conversations or entered by the user. Embeddings are ranked in the
+-- application, so no vector extension is needed. embedding_model says which
+-- model produced the vector, rows from another model are re-embedded on use.
+CREATE TABLE aiden_memories (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    kind VARCHAR(20) DEFAULT 'fact' CHECK (kind IN ('fact', 'preference')),
+    content TEXT NOT NULL,
+    source VARCHAR(20) DEFAULT 'conversation' CHECK (source IN ('conversation', 'user')),
+    embedding REAL[],
+    embedding_model VARCHAR(100),
+    recall_count INTEGER DEFAULT 0,
+    last_recalled_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- AI generations (images, etc.)
 CREATE TABLE ai_generations (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -415,8 +745,45 @@ CREATE TABLE ai_translations (
 );
 
 -- Workspaces for enterprise features
+CREATE TABLE organizations (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(255) NOT NULL,
+    slug VARCHAR(100) UNIQUE,
+    domain VARCHAR(255) UNIQUE,
+    description TEXT,
+    logo_url VARCHAR(500),
+    plan_type VARCHAR(20) DEFAULT 'basic',
+    settings JSONB DEFAULT '{}',
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Single sign-on settings live on the organization itself
+ALTER TABLE organizations ADD COLUMN IF NOT EXISTS sso_protocol VARCHAR(10) CHECK (sso_protocol IN ('saml', 'oidc'));
+ALTER TABLE organizations ADD COLUMN IF NOT EXISTS sso_enabled BOOLEAN DEFAULT FALSE;
+ALTER TABLE organizations ADD COLUMN IF NOT EXISTS sso_required BOOLEAN DEFAULT FALSE;
+ALTER TABLE organizations ADD COLUMN IF NOT EXISTS sso_config JSONB DEFAULT '{}';
+ALTER TABLE organizations ADD COLUMN IF NOT EXISTS sso_domains TEXT[] DEFAULT '{}';
+ALTER TABLE organizations ADD COLUMN IF NOT EXISTS default_workspace_id UUID;
+
+-- Ownership checks for the sso_domains an organization lists. Single sign-on
+-- and SCIM only trust a domain once its DNS TXT record carrying
+-- verification_token was found, and only one organization can verify it.
+CREATE TABLE organization_domains (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    domain VARCHAR(255) NOT NULL,
+    verification_token VARCHAR(64) NOT NULL,
+    verified_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    UNIQUE(organization_id, domain)
+);
+
 CREATE TABLE workspaces (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
     name VARCHAR(255) NOT NULL,
     description TEXT,
     owner_id UUID REFERENCES users(id) ON DELETE SET NULL,
@@ -428,6 +795,47 @@ CREATE TABLE workspaces (
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+ALTER TABLE workspaces ADD COLUMN IF NOT EXISTS organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE;
+
+-- Teams group workspace members (mapped to SCIM groups)
+CREATE TABLE teams (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    workspace_id UUID REFERENCES workspaces(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    color VARCHAR(20) DEFAULT '#6366f1',
+    settings JSONB DEFAULT '{}',
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    UNIQUE(workspace_id, name)
+);
+
+-- Workspace channels
+CREATE TABLE channels (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    workspace_id UUID REFERENCES workspaces(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    type VARCHAR(20) DEFAULT 'public',
+    is_private BOOLEAN DEFAULT FALSE,
+    is_general BOOLEAN DEFAULT FALSE,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE channel_members (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    channel_id UUID REFERENCES channels(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    role VARCHAR(50) DEFAULT 'member',
+    joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    UNIQUE(channel_id, user_id)
+);
+
 -- Workspace members
 CREATE TABLE workspace_members (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -437,10 +845,146 @@ CREATE TABLE workspace_members (
     permissions JSONB DEFAULT '{}',
     joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     invited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    team_id UUID REFERENCES teams(id) ON DELETE SET NULL,
+    status VARCHAR(20) DEFAULT 'active' CHECK (status IN ('active', 'removed')),
 
     UNIQUE(workspace_id, user_id)
 );
 
+ALTER TABLE workspace_members ADD COLUMN IF NOT EXISTS team_id UUID REFERENCES teams(id) ON DELETE SET NULL;
+ALTER TABLE workspace_members ADD COLUMN IF NOT EXISTS status VARCHAR(20) DEFAULT 'active';
+
+-- SCIM provisioning: bearer tokens per organization (stored as SHA-256 hashes)
+CREATE TABLE scim_tokens (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    created_by UUID REFERENCES users(id) ON DELETE CASCADE,
+    last_used_at TIMESTAMP,
+    revoked_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Users provisioned by an identity provider, with the IdP's identifiers
+CREATE TABLE scim_users (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    external_id VARCHAR(255),
+    user_name VARCHAR(255),
+    -- The account was created by this provisioning. Adopted accounts keep
+    -- their own profile and are only removed from the workspaces.
+    owns_account BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    UNIQUE(organization_id, user_id)
+);
+
+-- Slack / Telegram history imports, including dry runs
+CREATE TABLE chat_imports (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    workspace_id UUID REFERENCES workspaces(id) ON DELETE CASCADE,
+    source VARCHAR(20) NOT NULL CHECK (source IN ('slack', 'telegram')),
+    file_name VARCHAR(255),
+    file_path VARCHAR(500) NOT NULL,
+    dry_run BOOLEAN DEFAULT TRUE,
+    user_mapping JSONB DEFAULT '{}',
+    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'running', 'completed', 'failed')),
+    progress JSONB DEFAULT '{}',
+    report JSONB,
+    error TEXT,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    started_at TIMESTAMP,
+    completed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Third-party apps registered in a workspace (OAuth2 authorization-code flow)
+CREATE TABLE oauth_apps (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    workspace_id UUID REFERENCES workspaces(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    homepage_url VARCHAR(500),
+    client_id VARCHAR(64) UNIQUE NOT NULL,
+    client_secret_hash VARCHAR(64) NOT NULL,
+    redirect_uris TEXT[] NOT NULL DEFAULT '{}',
+    scopes TEXT[] NOT NULL DEFAULT '{}',
+    is_active BOOLEAN DEFAULT TRUE,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Personal access tokens and OAuth access/refresh tokens (SHA-256 hashes only)
+CREATE TABLE api_tokens (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    type VARCHAR(20) NOT NULL CHECK (type IN ('personal', 'oauth')),
+    name VARCHAR(100) NOT NULL,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    token_hint VARCHAR(4),
+    scopes TEXT[] NOT NULL DEFAULT '{}',
+    app_id UUID REFERENCES oauth_apps(id) ON DELETE CASCADE,
+    refresh_token_hash VARCHAR(64) UNIQUE,
+    expires_at TIMESTAMP,
+    refresh_expires_at TIMESTAMP,
+    last_used_at TIMESTAMP,
+    revoked_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE oauth_authorization_codes (
+    code_hash VARCHAR(64) PRIMARY KEY,
+    app_id UUID REFERENCES oauth_apps(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    redirect_uri TEXT NOT NULL,
+    scopes TEXT[] NOT NULL DEFAULT '{}',
+    code_challenge VARCHAR(128),
+    expires_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Audit log of every tool Aiden called, or tried to call, on a user's behalf.
+-- status is 'denied' for tools outside the workspace allowlist and 'invalid'
+-- for arguments that failed the tool's schema.
+CREATE TABLE ai_tool_invocations (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    workspace_id UUID REFERENCES workspaces(id) ON DELETE CASCADE,
+    chat_id UUID REFERENCES chats(id) ON DELETE SET NULL,
+    tool VARCHAR(64) NOT NULL,
+    arguments JSONB,
+    status VARCHAR(20) NOT NULL CHECK (status IN ('succeeded', 'failed', 'denied', 'invalid')),
+    error TEXT,
+    duration_ms INTEGER,
+    model VARCHAR(100),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Retrieval index for asking a workspace about its history: workspace chat
+-- messages and the text of their PDF, DOCX and TXT attachments, split into
+-- chunks. file_id is NULL for chunks of the message text itself. Embeddings
+-- are stored unit length, so their dot product with the question's is the
+-- cosine similarity, computed in the query without a vector extension. With
+-- no vector index every search scans the workspace's chunks, see
+-- WorkspaceKnowledgeService.search for where that stops scaling.
+CREATE TABLE knowledge_chunks (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+    chat_id UUID NOT NULL REFERENCES chats(id) ON DELETE CASCADE,
+    message_id UUID NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+    file_id UUID REFERENCES files(id) ON DELETE CASCADE,
+    chunk_index INTEGER NOT NULL DEFAULT 0,
+    content TEXT NOT NULL,
+    embedding REAL[] NOT NULL,
+    embedding_model VARCHAR(100) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Performance indexes
 CREATE INDEX idx_users_nickname_trgm ON users USING gin(nickname gin_trgm_ops);
 CREATE INDEX idx_users_email_active ON users(email, is_active) WHERE email IS NOT NULL;
@@ -451,6 +995,12 @@ CREATE INDEX idx_sessions_token_hash ON sessions USING hash(token);
 CREATE INDEX idx_sessions_user_active ON sessions(user_id, is_active);
 CREATE INDEX idx_sessions_expires ON sessions(expires_at) WHERE is_active = true;
 
+CREATE INDEX idx_webauthn_credentials_user ON webauthn_credentials(user_id);
+CREATE INDEX idx_webauthn_challenges_expires ON webauthn_challenges(expires_at);
+CREATE INDEX idx_sso_login_states_expires ON sso_login_states(expires_at);
+CREATE INDEX idx_organizations_sso_domains ON organizations USING gin(sso_domains);
+CREATE UNIQUE INDEX idx_organization_domains_verified ON organization_domains(domain) WHERE verified_at IS NOT NULL;
+
 CREATE INDEX idx_chats_type_active ON chats(type, is_active);
 CREATE INDEX idx_chats_last_message ON chats(last_message_at DESC);
 CREATE INDEX idx_chats_created_by ON chats(created_by);
@@ -463,7 +1013,29 @@ CREATE INDEX idx_messages_chat_created ON messages(chat_id, created_at DESC);
 CREATE INDEX idx_messages_sender_created ON messages(sender_id, created_at DESC);
 CREATE INDEX idx_messages_type ON messages(message_type);
 CREATE INDEX idx_messages_reply_to ON messages(reply_to_id) WHERE reply_to_id IS NOT NULL;
-CREATE INDEX idx_messages_search ON messages USING gin(to_tsvector('english', content)) WHERE content IS NOT NULL;
+CREATE INDEX idx_messages_thread_root ON messages(thread_root_id, created_at) WHERE thread_root_id IS NOT NULL;
+CREATE INDEX idx_messages_search ON messages USING gin(search_vector);
+
+CREATE INDEX idx_message_revisions_message ON message_revisions(message_id, revision_number);
+CREATE INDEX idx_thread_participants_user ON thread_participants(user_id, last_read_at) WHERE is_following = true;
+
+CREATE INDEX idx_scheduled_messages_due ON scheduled_messages(send_at) WHERE status = 'pending';
+CREATE INDEX idx_scheduled_messages_sender ON scheduled_messages(sender_id, status);
+
+CREATE INDEX idx_chat_imports_workspace ON chat_imports(workspace_id, created_at DESC);
+
+CREATE INDEX idx_workspace_members_team ON workspace_members(team_id) WHERE team_id IS NOT NULL;
+CREATE INDEX idx_scim_tokens_organization ON scim_tokens(organization_id);
+CREATE INDEX idx_scim_users_external ON scim_users(organization_id, external_id);
+CREATE INDEX idx_api_tokens_user ON api_tokens(user_id, type) WHERE revoked_at IS NULL;
+CREATE INDEX idx_api_tokens_app ON api_tokens(app_id) WHERE app_id IS NOT NULL;
+CREATE INDEX idx_oauth_apps_workspace ON oauth_apps(workspace_id);
+CREATE INDEX idx_oauth_authorization_codes_expires ON oauth_authorization_codes(expires_at);
+CREATE INDEX idx_ai_tool_invocations_user ON ai_tool_invocations(user_id, created_at DESC);
+CREATE INDEX idx_ai_tool_invocations_workspace ON ai_tool_invocations(workspace_id, created_at DESC) WHERE workspace_id IS NOT NULL;
+CREATE INDEX idx_knowledge_chunks_workspace ON knowledge_chunks(workspace_id, embedding_model);
+CREATE INDEX idx_knowledge_chunks_message ON knowledge_chunks(message_id);
+CREATE INDEX idx_knowledge_chunks_chat ON knowledge_chunks(chat_id);
 
 CREATE INDEX idx_files_uploaded_by ON files(uploaded_by, created_at DESC);
 CREATE INDEX idx_files_mime_type ON files(mime_type);
@@ -472,9 +1044,28 @@ CREATE INDEX idx_files_hash ON files(file_hash);
 CREATE INDEX idx_call_logs_chat_started ON call_logs(chat_id, started_at DESC);
 CREATE INDEX idx_call_logs_initiator ON call_logs(initiator_id, started_at DESC);
 CREATE INDEX idx_call_logs_status ON call_logs(status);
+CREATE INDEX idx_call_participants_user ON call_participants(user_id, status);
+CREATE INDEX idx_meetings_chat ON meetings(chat_id, starts_at);
+CREATE INDEX idx_meetings_next_occurrence ON meetings(next_occurrence_at) WHERE status = 'scheduled';
+CREATE INDEX idx_meeting_invitees_user ON meeting_invitees(user_id);
+CREATE INDEX idx_meeting_occurrences_active ON meeting_occurrences(starts_at) WHERE status IN ('scheduled', 'open');
+CREATE INDEX idx_call_logs_meeting_occurrence ON call_logs(meeting_occurrence_id);
+CREATE INDEX idx_call_quality_samples_call ON call_quality_samples(call_log_id, user_id);
+CREATE INDEX idx_call_quality_samples_sampled ON call_quality_samples(sampled_at);
+CREATE INDEX idx_call_recordings_call ON call_recordings(call_log_id);
+CREATE INDEX idx_call_recordings_status ON call_recordings(status);
+CREATE INDEX idx_call_transcripts_chat ON call_transcripts(chat_id, created_at DESC);
+CREATE INDEX idx_call_transcripts_search ON call_transcripts USING gin(search_vector);
+CREATE INDEX idx_call_states_expires ON call_states(expires_at);
+CREATE INDEX idx_user_call_states_call ON user_call_states(call_id);
+CREATE INDEX idx_call_state_events_created ON call_state_events(created_at);
 
 CREATE INDEX idx_notifications_user_unread ON notifications(user_id, is_read, created_at DESC);
 CREATE INDEX idx_notifications_type ON notifications(type);
+CREATE INDEX idx_notifications_digest ON notifications(user_id, created_at) WHERE is_read = FALSE AND is_emailed = FALSE;
+CREATE INDEX idx_push_subscriptions_user ON push_subscriptions(user_id);
+CREATE INDEX idx_push_subscriptions_session ON push_subscriptions(session_id);
+CREATE INDEX idx_aiden_memories_user ON aiden_memories(user_id, updated_at DESC);
 
 -- Triggers for automatic updated_at timestamps
 CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -488,13 +1079,25 @@ $$ LANGUAGE plpgsql;
 -- Apply triggers to relevant tables
 CREATE TRIGGER update_users_updated_at BEFORE UPDATE ON users FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_user_settings_updated_at BEFORE UPDATE ON user_settings FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_notification_preferences_updated_at BEFORE UPDATE ON notification_preferences FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_user_relationships_updated_at BEFORE UPDATE ON user_relationships FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_user_contacts_updated_at BEFORE UPDATE ON user_contacts FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_user_discovery_updated_at BEFORE UPDATE ON user_discovery FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_user_directory_updated_at BEFORE UPDATE ON user_directory FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_user_search_index_updated_at BEFORE UPDATE ON user_search_index FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_organizations_updated_at BEFORE UPDATE ON organizations FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_teams_updated_at BEFORE UPDATE ON teams FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_scim_users_updated_at BEFORE UPDATE ON scim_users FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_chats_updated_at BEFORE UPDATE ON chats FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_messages_updated_at BEFORE UPDATE ON messages FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_scheduled_messages_updated_at BEFORE UPDATE ON scheduled_messages FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_chat_imports_updated_at BEFORE UPDATE ON chat_imports FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_oauth_apps_updated_at BEFORE UPDATE ON oauth_apps FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_call_recordings_updated_at BEFORE UPDATE ON call_recordings FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_call_recording_tracks_updated_at BEFORE UPDATE ON call_recording_tracks FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_meetings_updated_at BEFORE UPDATE ON meetings FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_meeting_occurrences_updated_at BEFORE UPDATE ON meeting_occurrences FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_call_transcripts_updated_at BEFORE UPDATE ON call_transcripts FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
 -- Create demo data
 INSERT INTO users (nickname, password_hash, salt, display_name, email, is_admin) VALUES
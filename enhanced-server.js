@@ -19,11 +19,28 @@ require('dotenv').config();
 const EnhancedAuthService = require('./src/auth/enhanced-auth-service');
 const EnhancedChatService = require('./src/chat/enhanced-chat-service');
 const WebRTCCallService = require('./src/webrtc/call-service');
+const GroupCallService = require('./src/webrtc/group-call-service');
+const SfuClient = require('./src/webrtc/sfu-client');
+const CallRecordingService = require('./src/webrtc/recording-service');
+const CallTranscriptService = require('./src/webrtc/transcript-service');
+const VoicemailService = require('./src/webrtc/voicemail-service');
 const EnhancedAIService = require('./src/ai/enhanced-ai-service');
+const AIStreamService = require('./src/ai/stream-service');
+const WorkspaceKnowledgeService = require('./src/ai/workspace-knowledge');
+const ScheduledMessageService = require('./src/chat/scheduled-message-service');
+const ChatImportService = require('./src/chat/import-service');
+const MeetingService = require('./src/meetings/meeting-service');
+const NotificationService = require('./src/notifications/notification-service');
+const WebPushService = require('./src/notifications/push-service');
 
 // Import routes
 const enhancedAuthRoutes = require('./src/auth/enhanced-routes');
-const { router: enhancedChatRoutes, setChatService } = require('./src/chat/enhanced-routes');
+const { router: enhancedChatRoutes, setChatService, setScheduledMessageService, setChatImportService, setVoicemailService } = require('./src/chat/enhanced-routes');
+const { router: recordingRoutes, setRecordingService, setTranscriptService } = require('./src/webrtc/recording-routes');
+const IceRoutes = require('./src/webrtc/ice-routes');
+const KnowledgeRoutes = require('./src/ai/knowledge-routes');
+const { router: meetingRoutes, setMeetingService } = require('./src/meetings/routes');
+const { router: notificationRoutes, setNotificationService, setPushService } = require('./src/notifications/routes');
 
 // Create Express app
 const app = express();
@@ -76,10 +93,41 @@ pool.connect((err, client, release) => {
 // Initialize services
 const chatService = new EnhancedChatService(io);
 const callService = new WebRTCCallService(io);
+const sfuClient = new SfuClient();
+const groupCallService = new GroupCallService(io, callService, sfuClient);
+const recordingService = new CallRecordingService(io, callService, chatService);
+const transcriptService = new CallTranscriptService(recordingService, chatService);
+const voicemailService = new VoicemailService(callService, chatService);
 const aiService = new EnhancedAIService();
+// Chat rooms on this server are named by the bare chat id
+const aiStreamService = new AIStreamService(io, { dbConnection: pool, chatRoom: chatId => chatId });
+const scheduledMessageService = new ScheduledMessageService(chatService);
+const chatImportService = new ChatImportService(chatService);
+// Invites and digests are mailed through the auth service's SMTP transport when one is configured
+const mailer = process.env.SMTP_USER ? new EnhancedAuthService() : null;
+const pushService = new WebPushService(pool);
+const notificationService = new NotificationService(pool, { io, mailer, push: pushService });
+notificationService.bindChatService(chatService);
+notificationService.bindCallService(callService);
+// Indexes workspace messages and their documents for "ask the workspace"
+const knowledgeService = new WorkspaceKnowledgeService(pool);
+knowledgeService.bindChatService(chatService);
+const meetingService = new MeetingService(chatService, callService, groupCallService, {
+    mailer,
+    notifications: notificationService
+});
 
 // Set chat service for routes
 setChatService(chatService);
+setScheduledMessageService(scheduledMessageService);
+setChatImportService(chatImportService);
+setVoicemailService(voicemailService);
+setRecordingService(recordingService);
+setTranscriptService(transcriptService);
+setMeetingService(meetingService);
+setNotificationService(notificationService);
+setPushService(pushService);
+app.set('notifications', notificationService);
 
 // Security middleware
 app.use(helmet({
@@ -254,12 +302,37 @@ io.use(async (socket, next) => {
     }
 });
 
+// Events from the local SFU (renegotiation, active speaker), registered
+// ahead of the API rate limiter
+app.post('/api/webrtc/sfu/events', (req, res) => {
+    if (!sfuClient.verifySecret(req.headers['x-sfu-secret'])) {
+        return res.status(401).json({ success: false, message: 'Invalid SFU secret' });
+    }
+
+    try {
+        sfuClient.handleEvent(req.body);
+        res.json({ success: true });
+    } catch (error) {
+        res.status(400).json({ success: false, message: error.message });
+    }
+});
+
 // Apply API rate limiting to API routes
 app.use('/api', apiLimiter);
 
 // Mount route handlers
 app.use('/api/auth', enhancedAuthRoutes);
 app.use('/api/chat', enhancedChatRoutes);
+app.use('/api/recordings', recordingRoutes);
+app.use('/api/meetings', meetingRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/knowledge', new KnowledgeRoutes(knowledgeService).getRouter());
+app.use('/api/webrtc', new IceRoutes({
+    isCallParticipant: async (callId, userId) => {
+        const call = await callService.store.getCall(callId);
+        return Boolean(call && call.participants[userId]);
+    }
+}).getRouter());
 
 // AI endpoints
 app.post('/api/ai/chat', authenticateToken, async (req, res) => {
@@ -297,6 +370,64 @@ app.post('/api/ai/chat', authenticateToken, async (req, res) => {
     }
 });
 
+// Streamed variant of /api/ai/chat (server-sent events), also broadcast as
+// ai_stream_* socket events
+app.post('/api/ai/chat/stream', authenticateToken, async (req, res) => {
+    const { message, chatId = null, context } = req.body;
+
+    if (!message) {
+        return res.status(400).json({
+            success: false,
+            message: 'Message is required'
+        });
+    }
+
+    const events = AIStreamService.openEventStream(res);
+
+    try {
+        await aiStreamService.run({
+            userId: req.user.id,
+            chatId,
+            source: 'assistant',
+            signal: events.signal,
+            send: events.send,
+            generate: ({ signal, onDelta }) => aiService.streamResponse({
+                userId: req.user.id,
+                message,
+                chatId,
+                context: {
+                    ...context,
+                    timezone: req.headers['x-timezone'] || 'UTC',
+                    userAgent: req.headers['user-agent']
+                },
+                signal,
+                onDelta
+            })
+        });
+    } catch (error) {
+        if (!res.headersSent) {
+            return res.status(error.status || 400).json({
+                success: false,
+                message: error.message
+            });
+        }
+    } finally {
+        events.end();
+    }
+});
+
+app.delete('/api/ai/streams/:streamId', authenticateToken, (req, res) => {
+    try {
+        aiStreamService.cancel(req.params.streamId, req.user.id);
+        res.json({ success: true });
+    } catch (error) {
+        res.status(error.status || 400).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
 app.post('/api/ai/generate-image', authenticateToken, async (req, res) => {
     try {
         const { prompt, size, quality, style } = req.body;
@@ -360,6 +491,31 @@ app.post('/api/ai/translate', authenticateToken, async (req, res) => {
     }
 });
 
+// Group call endpoints
+app.get('/api/chats/:chatId/group-call', authenticateToken, async (req, res) => {
+    try {
+        if (!(await groupCallService.isChatMember(req.params.chatId, req.user.id))) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied'
+            });
+        }
+
+        const call = await groupCallService.getActiveGroupCall(req.params.chatId);
+
+        res.json({
+            success: true,
+            call
+        });
+
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
 // File upload endpoint
 const multer = require('multer');
 const storage = multer.diskStorage({
@@ -518,6 +674,10 @@ app.get('*', (req, res) => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
     console.log('🔄 SIGTERM received, shutting down gracefully');
+    scheduledMessageService.stop();
+    chatImportService.stop();
+    meetingService.stop();
+    notificationService.stop();
     server.close(() => {
         console.log('✅ Process terminated');
         pool.end();
@@ -527,6 +687,10 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
     console.log('🔄 SIGINT received, shutting down gracefully');
+    scheduledMessageService.stop();
+    chatImportService.stop();
+    meetingService.stop();
+    notificationService.stop();
     server.close(() => {
         console.log('✅ Process terminated');
         pool.end();
@@ -550,6 +714,11 @@ const PORT = process.env.PORT || 3000;
 const HOST = process.env.HOST || '0.0.0.0';
 
 server.listen(PORT, HOST, () => {
+    scheduledMessageService.start();
+    chatImportService.start();
+    meetingService.start();
+    notificationService.start();
+
     console.log(`
 🚀 Talk pAI Enhanced Server Started Successfully!
 
@@ -558,7 +727,7 @@ server.listen(PORT, HOST, () => {
    • Address: ${process.env.NODE_ENV === 'production' && process.env.SSL_CERT ? 'https' : 'http'}://${HOST}:${PORT}
    • Database: ${process.env.DATABASE_URL ? 'Connected' : 'Local'}
    • WebRTC: Enabled
-   • AI Features: ${process.env.OPENAI_API_KEY ? 'Enabled' : 'Disabled'}
+   • AI Features: ${aiService.ai.isAvailable ? `Enabled (${aiService.ai.name})` : 'Disabled'}
 
 🎯 Key Features:
    ✅ Enhanced Authentication (2FA, OAuth)
@@ -683,6 +683,26 @@ class UserProfiles {
                         </div>
                     </div>
 
+                    <div class="setting-item full-width">
+                        <div class="setting-info">
+                            <h4>API Tokens & Connected Apps</h4>
+                            <p>Tokens for scripts and bots, and apps you have authorized</p>
+                        </div>
+                        <div class="api-token-form">
+                            <input type="text" class="api-token-name" placeholder="Token name" maxlength="100">
+                            <div class="api-token-scopes">
+                                ${['chat:read', 'chat:write', 'search:read', 'profile:read'].map(scope => `
+                                    <label><input type="checkbox" value="${scope}"> ${scope}</label>
+                                `).join('')}
+                            </div>
+                            <button class="create-api-token">Create Token</button>
+                            <div class="new-api-token" style="display: none;"></div>
+                        </div>
+                        <div class="api-tokens">
+                            <p class="empty-state">Loading...</p>
+                        </div>
+                    </div>
+
                     <div class="setting-item full-width">
                         <div class="setting-info">
                             <h4>Password & Recovery</h4>
@@ -876,6 +896,22 @@ class UserProfiles {
                 this.showPasswordChange();
             }
 
+            if (e.target.matches('.nav-item[data-section="security"]')) {
+                this.loadApiTokens();
+            }
+
+            if (e.target.matches('.create-api-token')) {
+                this.createApiToken();
+            }
+
+            if (e.target.matches('.revoke-api-token')) {
+                this.revokeApiToken(e.target.dataset.tokenId);
+            }
+
+            if (e.target.matches('.revoke-app-authorization')) {
+                this.revokeAppAuthorization(e.target.dataset.appId);
+            }
+
             // Data actions
             if (e.target.matches('.clear-cache')) {
                 this.clearCache();
@@ -900,7 +936,7 @@ class UserProfiles {
 
         // Settings auto-save
         document.addEventListener('change', (e) => {
-            if (e.target.matches('.settings-section input, .settings-section select')) {
+            if (e.target.matches('.settings-section input, .settings-section select') && !e.target.closest('.api-token-form')) {
                 this.autoSaveSettings(e.target);
             }
         });
@@ -1006,6 +1042,135 @@ class UserProfiles {
         }
     }
 
+    // API tokens and authorized apps
+    getAuthHeaders() {
+        return {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${localStorage.getItem('talkpai-token')}`
+        };
+    }
+
+    async loadApiTokens() {
+        const container = document.querySelector('.api-tokens');
+        if (!container) return;
+
+        try {
+            const response = await fetch('/api/auth/tokens', { headers: this.getAuthHeaders() });
+            if (!response.ok) throw new Error('Request failed');
+
+            const { tokens, authorizations } = await response.json();
+            container.innerHTML = this.renderApiTokens(tokens, authorizations);
+        } catch (error) {
+            console.error('Failed to load API tokens:', error);
+            container.innerHTML = '<p class="empty-state">Could not load tokens</p>';
+        }
+    }
+
+    renderApiTokens(tokens, authorizations) {
+        const escape = (value) => String(value || '').replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+        const formatDate = (value) => value ? new Date(value).toLocaleDateString() : 'Never';
+
+        if (tokens.length === 0 && authorizations.length === 0) {
+            return '<p class="empty-state">No tokens or connected apps</p>';
+        }
+
+        const tokenItems = tokens.map(token => `
+            <div class="session-item">
+                <div class="session-info">
+                    <span class="device">${escape(token.name)} <code>…${escape(token.token_hint)}</code></span>
+                    <span class="location">${escape(token.scopes.join(', '))}</span>
+                    <span class="last-active">Last used: ${formatDate(token.last_used_at)} · Expires: ${formatDate(token.expires_at)}</span>
+                </div>
+                <div class="session-actions">
+                    <button class="revoke-api-token" data-token-id="${escape(token.id)}">Revoke</button>
+                </div>
+            </div>
+        `);
+
+        const appItems = authorizations.map(app => `
+            <div class="session-item">
+                <div class="session-info">
+                    <span class="device">${escape(app.name)}</span>
+                    <span class="location">${escape((app.scopes || []).join(', '))}</span>
+                    <span class="last-active">Authorized: ${formatDate(app.authorized_at)} · Last used: ${formatDate(app.last_used_at)}</span>
+                </div>
+                <div class="session-actions">
+                    <button class="revoke-app-authorization" data-app-id="${escape(app.app_id)}">Disconnect</button>
+                </div>
+            </div>
+        `);
+
+        return [...tokenItems, ...appItems].join('');
+    }
+
+    async createApiToken() {
+        const form = document.querySelector('.api-token-form');
+        const name = form.querySelector('.api-token-name').value.trim();
+        const scopes = [...form.querySelectorAll('.api-token-scopes input:checked')].map(input => input.value);
+
+        if (!name || scopes.length === 0) {
+            this.showNotification('Enter a name and pick at least one scope', 'error');
+            return;
+        }
+
+        try {
+            const response = await fetch('/api/auth/tokens', {
+                method: 'POST',
+                headers: this.getAuthHeaders(),
+                body: JSON.stringify({ name, scopes })
+            });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.message);
+
+            // The token is only shown once
+            const output = form.querySelector('.new-api-token');
+            output.textContent = `Copy this token now, it will not be shown again: ${result.token.token}`;
+            output.style.display = 'block';
+
+            form.querySelector('.api-token-name').value = '';
+            this.loadApiTokens();
+        } catch (error) {
+            console.error('Failed to create API token:', error);
+            this.showNotification(error.message || 'Failed to create token', 'error');
+        }
+    }
+
+    async revokeApiToken(tokenId) {
+        if (!confirm('Revoke this token? Scripts using it will stop working.')) return;
+
+        try {
+            const response = await fetch(`/api/auth/tokens/${tokenId}`, {
+                method: 'DELETE',
+                headers: this.getAuthHeaders()
+            });
+            if (!response.ok) throw new Error('Request failed');
+
+            this.showNotification('Token revoked', 'success');
+            this.loadApiTokens();
+        } catch (error) {
+            console.error('Failed to revoke API token:', error);
+            this.showNotification('Failed to revoke token', 'error');
+        }
+    }
+
+    async revokeAppAuthorization(appId) {
+        if (!confirm('Disconnect this app? It will lose access to your account.')) return;
+
+        try {
+            const response = await fetch(`/api/auth/authorizations/${appId}`, {
+                method: 'DELETE',
+                headers: this.getAuthHeaders()
+            });
+            if (!response.ok) throw new Error('Request failed');
+
+            this.showNotification('App disconnected', 'success');
+            this.loadApiTokens();
+        } catch (error) {
+            console.error('Failed to revoke app authorization:', error);
+            this.showNotification('Failed to disconnect app', 'error');
+        }
+    }
+
     // Utility methods
     populateProfileForm(container) {
         if (!this.currentUser) return;
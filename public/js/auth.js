@@ -122,22 +122,10 @@ class AuthManager {
 
             const data = await response.json();
 
-            if (data.success) {
-                this.setUser({
-                    id: data.user.id,
-                    nickname: data.user.nickname,
-                    username: data.user.nickname,
-                    displayName: data.user.displayName,
-                    avatar: data.user.avatar
-                });
-                this.setToken(data.token);
-                this.hideAuthModal();
-                this.showSuccess(data.message || 'Login successful!');
-
-                // Connect WebRTC with user data
-                if (window.webrtcClient) {
-                    window.webrtcClient.register(data.user);
-                }
+            if (data.success && data.requiresTwoFactor) {
+                await this.handleTwoFactor(data);
+            } else if (data.success) {
+                this.completeLogin(data);
             } else {
                 this.showError(data.message || 'Login failed');
             }
@@ -147,6 +135,72 @@ class AuthManager {
         }
     }
 
+    // The password was right, the account also wants a passkey or an authenticator code
+    async handleTwoFactor({ tempToken, methods = ['totp'] }) {
+        if (methods.includes('webauthn') && window.PublicKeyCredential) {
+            try {
+                this.completeLogin(await window.passkeys.verifySecondFactor(tempToken));
+                return;
+            } catch (error) {
+                if (!methods.includes('totp') || error.name !== 'NotAllowedError') {
+                    this.showError(error.message);
+                    return;
+                }
+            }
+        }
+
+        const code = prompt('Enter the code from your authenticator app');
+        if (!code) return;
+
+        const response = await fetch('/api/auth/2fa/verify-login', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ tempToken, token: code.trim() })
+        });
+
+        const data = await response.json();
+        if (data.success) {
+            this.completeLogin(data);
+        } else {
+            this.showError(data.message || 'Invalid verification code');
+        }
+    }
+
+    async handlePasskeyLogin() {
+        const identifier = document.getElementById('loginEmail').value.trim();
+
+        try {
+            this.completeLogin(await window.passkeys.login(identifier || null));
+        } catch (error) {
+            // NotAllowedError: the browser prompt was dismissed
+            if (error.name !== 'NotAllowedError') {
+                this.showError(error.message || 'Passkey sign-in failed');
+            }
+        }
+    }
+
+    completeLogin(data) {
+        const user = data.user;
+
+        this.setUser({
+            id: user.id,
+            nickname: user.nickname,
+            username: user.nickname,
+            displayName: user.displayName || user.display_name,
+            avatar: user.avatar
+        });
+        this.setToken(data.token || data.accessToken);
+        this.hideAuthModal();
+        this.showSuccess(data.message || 'Login successful!');
+
+        // Connect WebRTC with user data
+        if (window.webrtcClient) {
+            window.webrtcClient.register(user);
+        }
+    }
+
     async handleRegister() {
         console.log('🔧 handleRegister called');
         const nickname = document.getElementById('registerUsername').value.trim();
@@ -257,6 +311,12 @@ class AuthManager {
     setToken(token) {
         this.token = token;
         localStorage.setItem('talkpai-token', token);
+
+        // Push subscriptions belong to a login session, register this browser's again
+        window.pushNotifications?.sync().catch(error => console.warn('Push subscription sync failed:', error));
+
+        // For anything waiting on a signed-in session, e.g. a meeting link opened while logged out
+        window.dispatchEvent(new CustomEvent('talkpai:authenticated', { detail: { token } }));
     }
 
     updateUIWithUser(user) {
@@ -296,6 +356,8 @@ class AuthManager {
     }
 
     logout() {
+        window.pushNotifications?.disable().catch(() => {});
+
         this.currentUser = null;
         this.isAuthenticated = false;
         this.token = null;
@@ -392,6 +454,7 @@ window.authManager = new AuthManager();
 // Global functions for HTML onclick handlers
 window.handleLogin = () => window.authManager.handleLogin();
 window.handleRegister = () => window.authManager.handleRegister();
+window.handlePasskeyLogin = () => window.authManager.handlePasskeyLogin();
 window.demoLogin = () => window.authManager.demoLogin();
 window.logout = () => window.authManager.logout();
 
@@ -0,0 +1,217 @@
+/**
+ * Call Recorder
+ * Records this participant's own stream with MediaRecorder and uploads the
+ * chunks to the resumable recording endpoints while the call is running.
+ *
+ * Two tracks are uploaded: the full stream for playback, and the audio on
+ * its own at a speech bitrate for transcription, which keeps even a long
+ * video call well under the speech-to-text upload limit.
+ */
+
+// 16 kbps Opus is plenty for speech, about 3.5 hours per 25 MB
+const TRANSCRIPTION_AUDIO_BITS_PER_SECOND = 16000;
+
+class TrackUpload {
+    constructor(recorder, { stream, purpose, hasVideo, recorderOptions = {} }) {
+        this.recorder = recorder;
+        this.stream = stream;
+        this.purpose = purpose;
+        this.hasVideo = hasVideo;
+        this.recorderOptions = recorderOptions;
+        this.track = null;
+        this.offset = 0;
+        this.queue = [];
+        this.mediaRecorder = null;
+        this.isUploading = false;
+        this.stopped = null;
+    }
+
+    async start() {
+        const mimeType = CallRecorder.pickMimeType(this.hasVideo);
+
+        // Resumes an existing track if this user already started uploading
+        const response = await this.recorder.request(`/api/recordings/${this.recorder.recordingId}/tracks`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                mimeType: mimeType || (this.hasVideo ? 'video/webm' : 'audio/webm'),
+                purpose: this.purpose
+            })
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.message || 'Failed to open recording track');
+        }
+
+        this.track = data.track;
+        this.offset = data.track.offset;
+
+        this.mediaRecorder = new MediaRecorder(this.stream, {
+            ...(mimeType && { mimeType }),
+            ...this.recorderOptions
+        });
+
+        this.mediaRecorder.ondataavailable = (event) => {
+            if (event.data && event.data.size > 0) {
+                this.queue.push(event.data);
+                this.flush();
+            }
+        };
+
+        this.stopped = new Promise(resolve => {
+            this.mediaRecorder.onstop = resolve;
+        });
+
+        this.mediaRecorder.start(this.recorder.timeslice);
+    }
+
+    async stop() {
+        if (!this.mediaRecorder) return;
+
+        if (this.mediaRecorder.state !== 'inactive') {
+            this.mediaRecorder.stop();
+        }
+        await this.stopped;
+
+        await this.flush();
+
+        await this.recorder.request(`/api/recordings/${this.recorder.recordingId}/tracks/${this.track.trackId}/complete`, {
+            method: 'POST'
+        });
+
+        this.mediaRecorder = null;
+    }
+
+    // Uploads queued chunks in order, retrying with backoff. A 409 tells us
+    // how much the server really has, so a chunk whose response was lost is
+    // skipped instead of being written twice.
+    async flush() {
+        if (this.isUploading) {
+            return this.flushing;
+        }
+
+        this.isUploading = true;
+        this.flushing = (async () => {
+            let retryDelay = 1000;
+
+            while (this.queue.length > 0) {
+                const chunk = this.queue[0];
+
+                try {
+                    const response = await this.recorder.request(
+                        `/api/recordings/${this.recorder.recordingId}/tracks/${this.track.trackId}/chunks?offset=${this.offset}`,
+                        {
+                            method: 'PUT',
+                            headers: { 'Content-Type': 'application/octet-stream' },
+                            body: chunk
+                        }
+                    );
+                    const data = await response.json();
+
+                    if (response.ok) {
+                        this.offset = data.track.offset;
+                        this.queue.shift();
+                        retryDelay = 1000;
+                        continue;
+                    }
+
+                    if (response.status === 409 && typeof data.offset === 'number') {
+                        if (data.offset >= this.offset + chunk.size) {
+                            this.queue.shift();
+                        }
+                        this.offset = data.offset;
+                        continue;
+                    }
+
+                    if (response.status < 500) {
+                        console.error('Recording upload rejected:', data.message);
+                        this.queue = [];
+                        break;
+                    }
+
+                } catch (error) {
+                    console.warn('Recording upload failed, retrying:', error.message);
+                }
+
+                await new Promise(resolve => setTimeout(resolve, retryDelay));
+                retryDelay = Math.min(retryDelay * 2, this.recorder.maxRetryDelay);
+            }
+
+            this.isUploading = false;
+        })();
+
+        return this.flushing;
+    }
+}
+
+class CallRecorder {
+    constructor({ recordingId, stream, token }) {
+        this.recordingId = recordingId;
+        this.stream = stream;
+        this.token = token;
+        this.uploads = [];
+        this.timeslice = 4000;
+        this.maxRetryDelay = 30000;
+    }
+
+    static isSupported() {
+        return typeof window.MediaRecorder !== 'undefined';
+    }
+
+    static pickMimeType(hasVideo) {
+        const candidates = hasVideo
+            ? ['video/webm;codecs=vp8,opus', 'video/webm', 'video/mp4']
+            : ['audio/webm;codecs=opus', 'audio/webm', 'audio/ogg;codecs=opus', 'audio/mp4'];
+
+        return candidates.find(type => MediaRecorder.isTypeSupported(type)) || '';
+    }
+
+    async start() {
+        const playback = new TrackUpload(this, {
+            stream: this.stream,
+            purpose: 'playback',
+            hasVideo: this.stream.getVideoTracks().length > 0
+        });
+        await playback.start();
+        this.uploads.push(playback);
+
+        const audioTracks = this.stream.getAudioTracks();
+        if (audioTracks.length === 0) return;
+
+        // Without it the server transcribes the playback track, so a failure
+        // here must not stop the recording
+        const transcription = new TrackUpload(this, {
+            stream: new MediaStream(audioTracks),
+            purpose: 'transcription',
+            hasVideo: false,
+            recorderOptions: { audioBitsPerSecond: TRANSCRIPTION_AUDIO_BITS_PER_SECOND }
+        });
+        try {
+            await transcription.start();
+            this.uploads.push(transcription);
+        } catch (error) {
+            console.warn('Failed to start the transcription track:', error.message);
+        }
+    }
+
+    async stop() {
+        const uploads = this.uploads;
+        this.uploads = [];
+
+        await Promise.all(uploads.map(upload => upload.stop()));
+    }
+
+    request(url, options = {}) {
+        return fetch(url, {
+            ...options,
+            headers: {
+                ...(options.headers || {}),
+                'Authorization': `Bearer ${this.token}`
+            }
+        });
+    }
+}
+
+// Global access
+window.CallRecorder = CallRecorder;
@@ -0,0 +1,441 @@
+/**
+ * Meeting Room
+ * Opens the join links from meeting invites and reminders (/?meeting=<token>):
+ * joins the meeting's group call through /api/meetings/join and runs the
+ * call over the group_call_* socket events, through the SFU or as a mesh
+ * depending on what the server picked for the room.
+ */
+
+class MeetingRoom {
+    constructor() {
+        this.socket = null;
+        this.room = null;
+        this.call = null;
+        this.userId = null;
+        this.localStream = null;
+        this.sfuPeer = null;
+        this.peers = new Map();
+        this.pendingCandidates = new Map();
+        this.tiles = new Map();
+        this.muted = false;
+        this.videoEnabled = false;
+        this.overlay = null;
+    }
+
+    getToken() {
+        return localStorage.getItem('talkpai-token');
+    }
+
+    // The user id the token was issued for, the socket authenticates with both
+    getUserId(token) {
+        const currentUser = window.authManager?.getCurrentUser();
+        if (currentUser?.id) return currentUser.id;
+
+        try {
+            const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+            return JSON.parse(atob(payload)).userId;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Waits for a signed-in session, the link may be opened while logged out
+    openFromUrl() {
+        const params = new URLSearchParams(window.location.search);
+        const joinToken = params.get('meeting');
+        if (!joinToken) return;
+
+        // The link is used once, a reload should not join again
+        params.delete('meeting');
+        const query = params.toString();
+        window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+
+        const join = () => this.join(joinToken).catch(error => {
+            console.error('Failed to join meeting:', error);
+            window.authManager?.showError(error.message || 'Failed to join the meeting');
+        });
+
+        if (this.getToken()) {
+            join();
+        } else {
+            window.addEventListener('talkpai:authenticated', join, { once: true });
+        }
+    }
+
+    async join(joinToken) {
+        if (this.room) {
+            throw new Error('You are already in a meeting');
+        }
+
+        const token = this.getToken();
+        const response = await fetch(`/api/meetings/join/${encodeURIComponent(joinToken)}`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${token}`,
+                'Content-Type': 'application/json'
+            }
+        });
+
+        // A stale session: sign in again and retry with the new token
+        if (response.status === 401) {
+            localStorage.removeItem('talkpai-token');
+            window.authManager?.showAuthModal();
+            window.addEventListener('talkpai:authenticated', () => {
+                this.join(joinToken).catch(error => window.authManager?.showError(error.message));
+            }, { once: true });
+            return;
+        }
+
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok || !data.success) {
+            throw new Error(data.message || 'Failed to join the meeting');
+        }
+
+        this.room = data.room;
+        this.userId = this.getUserId(token);
+        this.videoEnabled = this.room.callType === 'video';
+
+        this.localStream = await navigator.mediaDevices.getUserMedia({
+            audio: true,
+            video: this.videoEnabled
+        });
+
+        this.rtcConfiguration = await this.loadIceConfiguration(this.room.callId, token);
+        this.showOverlay();
+        this.connect(token);
+    }
+
+    async loadIceConfiguration(callId, token) {
+        try {
+            const response = await fetch(`/api/webrtc/ice-config?callId=${encodeURIComponent(callId)}`, {
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            const data = await response.json();
+            if (data.success) {
+                return { iceServers: data.iceServers };
+            }
+        } catch (error) {
+            console.warn('Failed to load ICE configuration, using STUN only:', error);
+        }
+
+        return { iceServers: [{ urls: 'stun:stun.l.google.com:19302' }] };
+    }
+
+    connect(token) {
+        this.socket = io();
+
+        this.socket.on('connect', () => {
+            this.socket.emit('authenticate', { userId: this.userId, token });
+        });
+
+        this.socket.on('authenticated', () => {
+            this.socket.emit('group_call_join', { callId: this.room.callId });
+        });
+
+        this.socket.on('auth_error', (data) => {
+            this.leave(data.message || 'Could not connect to the meeting');
+        });
+
+        this.socket.on('group_call_joined', (call) => this.onJoined(call).catch(error => {
+            console.error('Failed to connect to the meeting:', error);
+            this.leave('Could not connect to the meeting');
+        }));
+        this.socket.on('group_call_participant_joined', ({ participant }) => this.setStatus(
+            `${participant.displayName || participant.nickname || 'Someone'} joined`
+        ));
+        this.socket.on('group_call_participant_left', ({ userId }) => this.removePeer(userId));
+        this.socket.on('group_call_signal', (data) => this.onSignal(data).catch(error => {
+            console.error('Group call signaling failed:', error);
+        }));
+        this.socket.on('group_call_ended', () => this.leave('The meeting has ended'));
+        this.socket.on('group_call_error', (data) => {
+            if (data.event === 'group_call_join') {
+                this.leave(data.message || 'Could not join the meeting');
+            } else {
+                window.authManager?.showError(data.message || 'Meeting error');
+            }
+        });
+    }
+
+    async onJoined(call) {
+        this.call = call;
+        this.setStatus(this.room.callType === 'video' ? 'Video meeting' : 'Audio meeting');
+
+        if (call.media === 'sfu') {
+            // Everything goes through one connection to the SFU
+            const pc = this.createPeer('sfu');
+            await this.sendOffer(pc, null);
+            return;
+        }
+
+        // Mesh: the newcomer offers to everyone already in the call
+        for (const participant of call.participants) {
+            if (String(participant.userId) === String(this.userId) || participant.status !== 'joined') continue;
+            await this.sendOffer(this.createPeer(participant.userId), participant.userId);
+        }
+    }
+
+    createPeer(remoteId) {
+        const pc = new RTCPeerConnection(this.rtcConfiguration);
+        const targetUserId = remoteId === 'sfu' ? undefined : remoteId;
+
+        this.localStream.getTracks().forEach(track => pc.addTrack(track, this.localStream));
+
+        pc.onicecandidate = (event) => {
+            if (!event.candidate) return;
+            this.socket.emit('group_call_signal', {
+                callId: this.room.callId,
+                targetUserId,
+                candidate: event.candidate
+            });
+        };
+
+        pc.ontrack = (event) => {
+            const stream = event.streams[0];
+            if (!stream) return;
+
+            // Through the SFU every remote participant arrives as a stream of its own
+            const tileId = remoteId === 'sfu' ? stream.id : String(remoteId);
+            this.attachStream(tileId, stream);
+
+            if (remoteId === 'sfu') {
+                stream.onremovetrack = () => {
+                    if (stream.getTracks().length === 0) this.removeTile(tileId);
+                };
+            }
+        };
+
+        if (remoteId === 'sfu') {
+            this.sfuPeer = pc;
+        } else {
+            this.peers.set(String(remoteId), pc);
+        }
+
+        return pc;
+    }
+
+    async sendOffer(pc, targetUserId) {
+        const offer = await pc.createOffer();
+        await pc.setLocalDescription(offer);
+
+        this.socket.emit('group_call_signal', {
+            callId: this.room.callId,
+            targetUserId: targetUserId || undefined,
+            description: pc.localDescription
+        });
+    }
+
+    async onSignal({ from: sender, description, candidate }) {
+        // Peers are keyed by string, participant ids come back as object keys
+        const from = String(sender);
+        const pc = from === 'sfu'
+            ? this.sfuPeer
+            : this.peers.get(from) || this.createPeer(from);
+        if (!pc) return;
+
+        if (description) {
+            await pc.setRemoteDescription(description);
+
+            // Candidates that arrived before the description
+            for (const queued of this.pendingCandidates.get(from) || []) {
+                await pc.addIceCandidate(queued);
+            }
+            this.pendingCandidates.delete(from);
+
+            if (description.type === 'offer') {
+                const answer = await pc.createAnswer();
+                await pc.setLocalDescription(answer);
+
+                this.socket.emit('group_call_signal', {
+                    callId: this.room.callId,
+                    targetUserId: from === 'sfu' ? undefined : from,
+                    description: pc.localDescription
+                });
+            }
+        }
+
+        if (candidate) {
+            if (pc.remoteDescription) {
+                await pc.addIceCandidate(candidate);
+            } else {
+                const queued = this.pendingCandidates.get(from) || [];
+                queued.push(candidate);
+                this.pendingCandidates.set(from, queued);
+            }
+        }
+    }
+
+    removePeer(participantId) {
+        const userId = String(participantId);
+        const pc = this.peers.get(userId);
+        if (pc) {
+            pc.close();
+            this.peers.delete(userId);
+        }
+        this.pendingCandidates.delete(userId);
+        this.removeTile(userId);
+    }
+
+    toggleMute() {
+        this.muted = !this.muted;
+        this.localStream.getAudioTracks().forEach(track => { track.enabled = !this.muted; });
+        this.sendMediaState();
+        return this.muted;
+    }
+
+    toggleVideo() {
+        const videoTracks = this.localStream.getVideoTracks();
+        if (videoTracks.length === 0) return false;
+
+        this.videoEnabled = !this.videoEnabled;
+        videoTracks.forEach(track => { track.enabled = this.videoEnabled; });
+        this.sendMediaState();
+        return this.videoEnabled;
+    }
+
+    sendMediaState() {
+        this.socket?.emit('group_call_media', {
+            callId: this.room.callId,
+            muted: this.muted,
+            videoEnabled: this.videoEnabled
+        });
+    }
+
+    leave(message = null) {
+        if (!this.room) return;
+
+        if (this.socket) {
+            this.socket.emit('group_call_leave', { callId: this.room.callId });
+            this.socket.disconnect();
+            this.socket = null;
+        }
+
+        this.sfuPeer?.close();
+        this.sfuPeer = null;
+        this.peers.forEach(pc => pc.close());
+        this.peers.clear();
+        this.pendingCandidates.clear();
+        this.localStream?.getTracks().forEach(track => track.stop());
+        this.localStream = null;
+
+        this.overlay?.remove();
+        this.overlay = null;
+        this.tiles.clear();
+        this.room = null;
+        this.call = null;
+        this.muted = false;
+
+        if (message) {
+            window.authManager?.showNotification(message);
+        }
+    }
+
+    // UI, built on the call overlay styles in webrtc-calls.css
+    showOverlay() {
+        const overlay = document.createElement('div');
+        overlay.className = 'call-ui-overlay active';
+
+        const callInterface = document.createElement('div');
+        callInterface.className = 'call-interface';
+
+        const status = document.createElement('div');
+        status.className = 'call-status';
+        status.textContent = 'Connecting…';
+
+        const videoContainer = document.createElement('div');
+        videoContainer.className = 'video-container';
+
+        const remoteVideos = document.createElement('div');
+        remoteVideos.className = 'remote-videos';
+
+        const localVideo = document.createElement('video');
+        localVideo.className = 'local-video';
+        localVideo.autoplay = true;
+        localVideo.muted = true;
+        localVideo.playsInline = true;
+        localVideo.srcObject = this.localStream;
+        if (!this.videoEnabled) localVideo.style.display = 'none';
+
+        videoContainer.append(remoteVideos, localVideo);
+
+        const controls = document.createElement('div');
+        controls.className = 'call-controls';
+
+        const muteButton = this.createButton('Mute', () => {
+            const muted = this.toggleMute();
+            muteButton.classList.toggle('active', muted);
+            muteButton.textContent = muted ? 'Unmute' : 'Mute';
+        });
+        controls.appendChild(muteButton);
+
+        if (this.localStream.getVideoTracks().length > 0) {
+            const videoButton = this.createButton('Camera off', () => {
+                const enabled = this.toggleVideo();
+                videoButton.classList.toggle('active', !enabled);
+                videoButton.textContent = enabled ? 'Camera off' : 'Camera on';
+                localVideo.style.display = enabled ? '' : 'none';
+            });
+            controls.appendChild(videoButton);
+        }
+
+        const leaveButton = this.createButton('Leave', () => this.leave());
+        leaveButton.classList.add('end-call');
+        controls.appendChild(leaveButton);
+
+        callInterface.append(status, videoContainer, controls);
+        overlay.appendChild(callInterface);
+        document.body.appendChild(overlay);
+
+        this.overlay = overlay;
+        this.statusElement = status;
+        this.remoteVideos = remoteVideos;
+    }
+
+    createButton(label, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'call-btn';
+        button.textContent = label;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    setStatus(text) {
+        if (this.statusElement) {
+            this.statusElement.textContent = text;
+        }
+    }
+
+    attachStream(tileId, stream) {
+        let video = this.tiles.get(tileId);
+        if (!video) {
+            video = document.createElement('video');
+            video.className = 'remote-video';
+            video.autoplay = true;
+            video.playsInline = true;
+            this.remoteVideos.appendChild(video);
+            this.tiles.set(tileId, video);
+        }
+
+        video.srcObject = stream;
+    }
+
+    removeTile(tileId) {
+        const video = this.tiles.get(tileId);
+        if (video) {
+            video.srcObject = null;
+            video.remove();
+            this.tiles.delete(tileId);
+        }
+    }
+}
+
+window.meetingRoom = new MeetingRoom();
+
+document.addEventListener('DOMContentLoaded', () => {
+    window.meetingRoom.openFromUrl();
+});
+
+window.addEventListener('beforeunload', () => {
+    window.meetingRoom.leave();
+});
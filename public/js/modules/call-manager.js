@@ -178,6 +178,25 @@ class CallManager {
         }
     }
 
+    toggleRecording() {
+        try {
+            if (!this.webrtcClient?.currentCall?.id) {
+                this.showNotification('Recording is only available during a call.', 'error');
+                return;
+            }
+
+            if (this.webrtcClient.isRecording()) {
+                this.webrtcClient.stopRecording();
+            } else {
+                this.webrtcClient.startRecording();
+                this.showNotification('Asking participants for consent to record…', 'info');
+            }
+        } catch (error) {
+            console.error('❌ Recording error:', error);
+            this.messenger?.handleError?.(error, 'Toggle Recording');
+        }
+    }
+
     showDemoCallInterface(callType) {
         const overlay = document.createElement('div');
         overlay.className = 'call-ui-overlay active';
@@ -234,6 +253,10 @@ class CallManager {
                             <h3 class="caller-name" id="callerName">Contact</h3>
                             <p class="call-status" id="callStatus">Connecting...</p>
                             <div class="call-timer" id="callTimer" style="display: none;">00:00</div>
+                            <div class="call-recording-indicator" id="callRecordingIndicator" hidden>
+                                <span class="recording-dot"></span>
+                                <span class="recording-label"></span>
+                            </div>
                         </div>
                     </div>
                 </div>
@@ -275,6 +298,9 @@ class CallManager {
                         <button class="control-btn screen-btn" id="screenShareBtn" title="Share Screen">
                             <span class="btn-icon">📺</span>
                         </button>
+                        <button class="control-btn record-btn" id="recordBtn" title="Record Call">
+                            <span class="btn-icon">⏺️</span>
+                        </button>
                     </div>
                 </div>
             </div>
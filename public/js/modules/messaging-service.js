@@ -79,6 +79,14 @@ class MessagingService {
                 this.handleUserStatusUpdate(data);
             });
 
+            this.socket.on('voicemail_transcribed', (data) => {
+                this.handleVoicemailTranscribed(data);
+            });
+
+            this.socket.on('notification', (notification) => {
+                this.handleNotification(notification);
+            });
+
         } catch (error) {
             console.error('❌ Failed to initialize WebSocket:', error);
         }
@@ -343,7 +351,7 @@ class MessagingService {
         if (isOwnMessage) {
             wrapper.innerHTML = `
                 <div class="message-bubble">
-                    <div class="message-content">${this.escapeHtml(message.content)}</div>
+                    <div class="message-content">${this.renderMessageContent(message)}</div>
                     <div class="message-states">
                         <svg class="message-check" viewBox="0 0 24 24">
                             <polyline points="20,6 9,17 4,12"></polyline>
@@ -365,15 +373,199 @@ class MessagingService {
                         <span class="message-sender">${senderName}</span>
                         <span class="message-time">${timestamp}</span>
                     </div>
-                    <div class="message-content">${this.escapeHtml(message.content)}</div>
+                    <div class="message-content">${this.renderMessageContent(message)}</div>
                 </div>
             `;
         }
 
         wrapper.dataset.messageId = message.id;
+
+        const recordingButton = wrapper.querySelector('.call-recording-play');
+        if (recordingButton) {
+            recordingButton.addEventListener('click', () => {
+                this.loadCallRecording(recordingButton.dataset.recordingId, recordingButton.parentElement);
+            });
+        }
+
+        const transcriptButton = wrapper.querySelector('.call-transcript-show');
+        if (transcriptButton) {
+            transcriptButton.addEventListener('click', () => {
+                this.loadCallTranscript(transcriptButton.dataset.recordingId, transcriptButton.parentElement);
+            });
+        }
+
         return wrapper;
     }
 
+    renderMessageContent(message) {
+        const transcript = message.metadata?.callTranscript;
+        if (transcript) {
+            return this.renderMeetingNotes(transcript);
+        }
+
+        const voicemail = message.metadata?.voicemail;
+        if (voicemail) {
+            return this.renderVoicemail(voicemail);
+        }
+
+        const missedCall = message.metadata?.missedCall;
+        if (missedCall) {
+            return `
+                <div class="call-missed">
+                    <div class="call-recording-title">📵 ${this.escapeHtml(message.content)}</div>
+                </div>
+            `;
+        }
+
+        const recording = message.metadata?.callRecording;
+        if (!recording) {
+            return this.escapeHtml(message.content);
+        }
+
+        const minutes = Math.floor((recording.durationSeconds || 0) / 60);
+        const seconds = (recording.durationSeconds || 0) % 60;
+
+        return `
+            <div class="call-recording">
+                <div class="call-recording-title">⏺️ Call recording · ${minutes}:${seconds.toString().padStart(2, '0')}</div>
+                <button class="call-recording-play" data-recording-id="${this.escapeHtml(recording.recordingId)}">Play recording</button>
+            </div>
+        `;
+    }
+
+    renderMeetingNotes(transcript) {
+        const decisions = transcript.decisions || [];
+        const actionItems = transcript.actionItems || [];
+
+        return `
+            <div class="call-transcript">
+                <div class="call-recording-title">📝 Meeting notes</div>
+                <div class="call-transcript-summary">${this.escapeHtml(transcript.summary || '')}</div>
+                ${decisions.length > 0 ? `
+                    <div class="call-transcript-heading">Decisions</div>
+                    <ul>${decisions.map(decision => `<li>${this.escapeHtml(decision)}</li>`).join('')}</ul>
+                ` : ''}
+                ${actionItems.length > 0 ? `
+                    <div class="call-transcript-heading">Action items</div>
+                    <ul>${actionItems.map(item => `
+                        <li>${item.owner ? `<strong>${this.escapeHtml(item.owner)}</strong>: ` : ''}${this.escapeHtml(item.task)}</li>
+                    `).join('')}</ul>
+                ` : ''}
+                <div>
+                    <button class="call-recording-play call-transcript-show" data-recording-id="${this.escapeHtml(transcript.recordingId)}">Show transcript</button>
+                </div>
+            </div>
+        `;
+    }
+
+    renderVoicemail(voicemail) {
+        const transcripts = {
+            pending: '<em>Transcribing…</em>',
+            ready: this.escapeHtml(voicemail.transcript || ''),
+            empty: '<em>No speech detected</em>'
+        };
+
+        return `
+            <div class="call-voicemail">
+                <div class="call-recording-title">📩 Voicemail${voicemail.duration ? ` · ${this.formatCallTimestamp(voicemail.duration)}` : ''}</div>
+                <audio src="${this.escapeHtml(voicemail.audioUrl)}" controls preload="metadata"></audio>
+                ${transcripts[voicemail.transcriptStatus] ? `
+                    <div class="call-voicemail-transcript">${transcripts[voicemail.transcriptStatus]}</div>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    // The transcript arrives after the voicemail message itself
+    handleNotification(notification) {
+        // The open chat already shows its own messages
+        if (notification.chatId && notification.chatId === this.currentChatId && notification.type === 'new_message') {
+            return;
+        }
+
+        if (window.showNotification) {
+            const text = notification.message ? `${notification.title}: ${notification.message}` : notification.title;
+            window.showNotification(text, 'info');
+        }
+    }
+
+    handleVoicemailTranscribed(data) {
+        const element = document.querySelector(`[data-message-id="${data.messageId}"] .call-voicemail-transcript`);
+        if (!element) return;
+
+        element.innerHTML = data.transcript
+            ? this.escapeHtml(data.transcript)
+            : `<em>${data.status === 'empty' ? 'No speech detected' : 'Transcript unavailable'}</em>`;
+    }
+
+    async loadCallTranscript(recordingId, container) {
+        try {
+            const token = localStorage.getItem('talkpai-token');
+            const response = await fetch(`/api/recordings/${recordingId}/transcript`, {
+                headers: {
+                    'Authorization': `Bearer ${token}`
+                }
+            });
+            const data = await response.json();
+
+            if (!response.ok || !data.success) {
+                throw new Error(data.message || 'Transcript unavailable');
+            }
+
+            container.innerHTML = `
+                <div class="call-transcript-lines">
+                    ${data.transcript.segments.map(segment => `
+                        <div class="call-transcript-line">
+                            <span class="call-transcript-time">${this.formatCallTimestamp(segment.start)}</span>
+                            <strong>${this.escapeHtml(segment.speaker)}</strong>: ${this.escapeHtml(segment.text)}
+                        </div>
+                    `).join('')}
+                </div>
+            `;
+
+        } catch (error) {
+            console.error('❌ Failed to load call transcript:', error);
+            this.showError(error.message);
+        }
+    }
+
+    formatCallTimestamp(seconds) {
+        const total = Math.floor(seconds || 0);
+        return `${Math.floor(total / 60)}:${(total % 60).toString().padStart(2, '0')}`;
+    }
+
+    // Playback URLs are signed and short-lived, so they are fetched on demand
+    async loadCallRecording(recordingId, container) {
+        try {
+            const token = localStorage.getItem('talkpai-token');
+            const response = await fetch(`/api/recordings/${recordingId}`, {
+                headers: {
+                    'Authorization': `Bearer ${token}`
+                }
+            });
+            const data = await response.json();
+
+            if (!response.ok || !data.success) {
+                throw new Error(data.message || 'Recording unavailable');
+            }
+
+            container.innerHTML = data.recording.tracks.map(track => {
+                const tag = track.mimeType.startsWith('video/') ? 'video' : 'audio';
+                const name = this.escapeHtml(track.displayName || track.nickname || 'Participant');
+                return `
+                    <div class="call-recording-track">
+                        <span class="call-recording-track-name">${name}</span>
+                        <${tag} src="${track.url}" controls preload="metadata"></${tag}>
+                    </div>
+                `;
+            }).join('');
+
+        } catch (error) {
+            console.error('❌ Failed to load call recording:', error);
+            this.showError(error.message);
+        }
+    }
+
     async sendMessage(content, messageType = 'text') {
         if (!content || content.trim().length === 0) return;
         if (!this.currentChatId) return;
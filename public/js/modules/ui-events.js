@@ -286,6 +286,12 @@ class UIEventsManager {
             document.getElementById('screenShareBtn')?.addEventListener('click', () => {
                 callManager.toggleScreenShare();
             });
+
+            ['recordBtn', 'videoRecordBtn'].forEach(id => {
+                document.getElementById(id)?.addEventListener('click', () => {
+                    callManager.toggleRecording();
+                });
+            });
         }
 
         console.log('📞 Call events bound');
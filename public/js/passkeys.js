@@ -0,0 +1,309 @@
+/**
+ * Passkeys
+ * WebAuthn against /api/auth/webauthn: passwordless sign-in, a passkey in
+ * place of the authenticator code after a password login, and the list of
+ * passkeys registered to the account in the profile settings.
+ */
+
+class Passkeys {
+    static isSupported() {
+        return Boolean(window.PublicKeyCredential && navigator.credentials);
+    }
+
+    getToken() {
+        return localStorage.getItem('talkpai-token');
+    }
+
+    async request(path, options = {}) {
+        const token = this.getToken();
+        const response = await fetch(path, {
+            ...options,
+            headers: {
+                ...(token && { 'Authorization': `Bearer ${token}` }),
+                'Content-Type': 'application/json'
+            }
+        });
+
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok || data.success === false) {
+            throw new Error(data.message || 'Passkey request failed');
+        }
+
+        return data;
+    }
+
+    // Enrolment, for the signed-in user
+    async register(name) {
+        const options = await this.request('/api/auth/webauthn/register/options', { method: 'POST' });
+        const credential = await navigator.credentials.create({
+            publicKey: this.decodeCreationOptions(options)
+        });
+
+        const result = await this.request('/api/auth/webauthn/register/verify', {
+            method: 'POST',
+            body: JSON.stringify({ response: this.encodeRegistration(credential), name })
+        });
+
+        return result.credential;
+    }
+
+    // Passwordless login. Without an identifier the browser offers every
+    // passkey it holds for this site.
+    async login(identifier = null) {
+        const options = await this.request('/api/auth/webauthn/login/options', {
+            method: 'POST',
+            body: JSON.stringify({ identifier })
+        });
+
+        return this.request('/api/auth/webauthn/login/verify', {
+            method: 'POST',
+            body: JSON.stringify({ response: await this.getAssertion(options) })
+        });
+    }
+
+    // Second step of a password login on an account with two-factor enabled
+    async verifySecondFactor(tempToken) {
+        const options = await this.request('/api/auth/webauthn/2fa/options', {
+            method: 'POST',
+            body: JSON.stringify({ tempToken })
+        });
+
+        return this.request('/api/auth/webauthn/2fa/verify', {
+            method: 'POST',
+            body: JSON.stringify({ tempToken, response: await this.getAssertion(options) })
+        });
+    }
+
+    async getAssertion(options) {
+        const credential = await navigator.credentials.get({
+            publicKey: this.decodeRequestOptions(options)
+        });
+
+        return this.encodeAssertion(credential);
+    }
+
+    // Management
+    async list() {
+        const data = await this.request('/api/auth/webauthn/credentials');
+        return data.credentials;
+    }
+
+    async rename(credentialId, name) {
+        const data = await this.request(`/api/auth/webauthn/credentials/${encodeURIComponent(credentialId)}`, {
+            method: 'PUT',
+            body: JSON.stringify({ name })
+        });
+        return data.credential;
+    }
+
+    remove(credentialId) {
+        return this.request(`/api/auth/webauthn/credentials/${encodeURIComponent(credentialId)}`, {
+            method: 'DELETE'
+        });
+    }
+
+    // The server speaks base64url where the browser API wants ArrayBuffers.
+    // user.id is the plain user id string.
+    decodeCreationOptions(options) {
+        return {
+            ...options,
+            challenge: this.fromBase64url(options.challenge),
+            user: { ...options.user, id: new TextEncoder().encode(options.user.id) },
+            excludeCredentials: (options.excludeCredentials || []).map(credential => ({
+                ...credential,
+                id: this.fromBase64url(credential.id)
+            }))
+        };
+    }
+
+    decodeRequestOptions(options) {
+        return {
+            ...options,
+            challenge: this.fromBase64url(options.challenge),
+            allowCredentials: (options.allowCredentials || []).map(credential => ({
+                ...credential,
+                id: this.fromBase64url(credential.id)
+            }))
+        };
+    }
+
+    encodeRegistration(credential) {
+        const response = credential.response;
+
+        return {
+            id: credential.id,
+            rawId: this.toBase64url(credential.rawId),
+            type: credential.type,
+            authenticatorAttachment: credential.authenticatorAttachment || undefined,
+            clientExtensionResults: credential.getClientExtensionResults(),
+            response: {
+                clientDataJSON: this.toBase64url(response.clientDataJSON),
+                attestationObject: this.toBase64url(response.attestationObject),
+                transports: response.getTransports ? response.getTransports() : []
+            }
+        };
+    }
+
+    encodeAssertion(credential) {
+        const response = credential.response;
+
+        return {
+            id: credential.id,
+            rawId: this.toBase64url(credential.rawId),
+            type: credential.type,
+            authenticatorAttachment: credential.authenticatorAttachment || undefined,
+            clientExtensionResults: credential.getClientExtensionResults(),
+            response: {
+                clientDataJSON: this.toBase64url(response.clientDataJSON),
+                authenticatorData: this.toBase64url(response.authenticatorData),
+                signature: this.toBase64url(response.signature),
+                userHandle: response.userHandle ? this.toBase64url(response.userHandle) : undefined
+            }
+        };
+    }
+
+    fromBase64url(value) {
+        const base64 = value.replace(/-/g, '+').replace(/_/g, '/')
+            .padEnd(Math.ceil(value.length / 4) * 4, '=');
+        return Uint8Array.from(atob(base64), char => char.charCodeAt(0)).buffer;
+    }
+
+    toBase64url(buffer) {
+        const bytes = new Uint8Array(buffer);
+        let binary = '';
+        bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    // The "Passkeys" section of the profile settings
+    bindSettings(container) {
+        if (!container) return;
+
+        if (!Passkeys.isSupported()) {
+            container.style.display = 'none';
+            return;
+        }
+
+        const list = container.querySelector('.passkey-list');
+        const addButton = container.querySelector('.passkey-add-btn');
+
+        addButton.addEventListener('click', async () => {
+            const name = prompt('Name this passkey', this.defaultName());
+            if (name === null) return;
+
+            try {
+                await this.register(name.trim() || this.defaultName());
+                window.authManager?.showSuccess('Passkey added');
+                this.renderList(list);
+            } catch (error) {
+                // The browser rejects with NotAllowedError when the prompt is dismissed
+                if (error.name !== 'NotAllowedError') {
+                    window.authManager?.showError(error.message);
+                }
+            }
+        });
+
+        // The profile modal is static markup, refresh the list whenever it opens
+        document.getElementById('profileBtn')?.addEventListener('click', () => this.renderList(list));
+        if (this.getToken()) {
+            this.renderList(list);
+        }
+    }
+
+    async renderList(list) {
+        if (!this.getToken()) return;
+
+        let credentials;
+        try {
+            credentials = await this.list();
+        } catch (error) {
+            console.warn('Failed to load passkeys:', error.message);
+            return;
+        }
+
+        list.replaceChildren();
+
+        if (credentials.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'passkey-empty';
+            empty.textContent = 'No passkeys yet';
+            list.appendChild(empty);
+            return;
+        }
+
+        for (const credential of credentials) {
+            list.appendChild(this.renderItem(list, credential));
+        }
+    }
+
+    renderItem(list, credential) {
+        const item = document.createElement('div');
+        item.className = 'passkey-item';
+
+        const details = document.createElement('div');
+        details.className = 'passkey-details';
+
+        const name = document.createElement('div');
+        name.className = 'passkey-name';
+        name.textContent = credential.name;
+
+        const meta = document.createElement('div');
+        meta.className = 'passkey-meta';
+        const added = `Added ${new Date(credential.created_at).toLocaleDateString()}`;
+        meta.textContent = credential.last_used_at
+            ? `${added}, last used ${new Date(credential.last_used_at).toLocaleDateString()}`
+            : added;
+
+        details.append(name, meta);
+
+        const renameButton = document.createElement('button');
+        renameButton.type = 'button';
+        renameButton.className = 'modal-btn modal-btn-secondary';
+        renameButton.textContent = 'Rename';
+        renameButton.addEventListener('click', async () => {
+            const newName = prompt('Rename passkey', credential.name);
+            if (!newName || !newName.trim()) return;
+
+            try {
+                await this.rename(credential.id, newName.trim());
+                this.renderList(list);
+            } catch (error) {
+                window.authManager?.showError(error.message);
+            }
+        });
+
+        const removeButton = document.createElement('button');
+        removeButton.type = 'button';
+        removeButton.className = 'modal-btn modal-btn-secondary';
+        removeButton.textContent = 'Remove';
+        removeButton.addEventListener('click', async () => {
+            if (!confirm(`Remove the passkey "${credential.name}"? You will no longer be able to sign in with it.`)) return;
+
+            try {
+                await this.remove(credential.id);
+                this.renderList(list);
+            } catch (error) {
+                window.authManager?.showError(error.message);
+            }
+        });
+
+        item.append(details, renameButton, removeButton);
+        return item;
+    }
+
+    defaultName() {
+        const platform = navigator.userAgentData?.platform || navigator.platform || '';
+        return platform ? `Passkey on ${platform}` : 'Passkey';
+    }
+}
+
+window.passkeys = new Passkeys();
+
+document.addEventListener('DOMContentLoaded', () => {
+    window.passkeys.bindSettings(document.getElementById('passkeySettings'));
+
+    if (!Passkeys.isSupported()) {
+        const loginButton = document.getElementById('passkeyLoginBtn');
+        if (loginButton) loginButton.style.display = 'none';
+    }
+});
@@ -0,0 +1,153 @@
+/**
+ * Push Notifications
+ * Subscribes this browser to Web Push through the service worker and
+ * registers the subscription with the server, so notifications still
+ * arrive while Talk pAI is closed.
+ */
+
+class PushNotifications {
+    static isSupported() {
+        return 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+    }
+
+    getToken() {
+        return localStorage.getItem('talkpai-token');
+    }
+
+    request(path, options = {}, token = this.getToken()) {
+        return fetch(path, {
+            ...options,
+            headers: {
+                'Authorization': `Bearer ${token}`,
+                'Content-Type': 'application/json'
+            }
+        });
+    }
+
+    // The first call has to come from a user gesture, the browser asks for permission
+    async enable() {
+        if (!PushNotifications.isSupported()) {
+            throw new Error('Push notifications are not supported in this browser');
+        }
+
+        const permission = await Notification.requestPermission();
+        if (permission !== 'granted') {
+            throw new Error('Notification permission was not granted');
+        }
+
+        return this.sync();
+    }
+
+    // Registers this browser's subscription for the current login, creating it when needed
+    async sync() {
+        if (!PushNotifications.isSupported() || Notification.permission !== 'granted' || !this.getToken()) {
+            return null;
+        }
+
+        const keyResponse = await this.request('/api/notifications/push/public-key');
+        if (!keyResponse.ok) return null;
+        const { publicKey } = await keyResponse.json();
+
+        const registration = await navigator.serviceWorker.ready;
+        let subscription = await registration.pushManager.getSubscription();
+
+        // A subscription made for another server key cannot be reused
+        if (subscription && !this.matchesKey(subscription, publicKey)) {
+            await subscription.unsubscribe();
+            subscription = null;
+        }
+
+        if (!subscription) {
+            subscription = await registration.pushManager.subscribe({
+                userVisibleOnly: true,
+                applicationServerKey: this.decodeKey(publicKey)
+            });
+        }
+
+        const response = await this.request('/api/notifications/push/subscriptions', {
+            method: 'POST',
+            body: JSON.stringify({ subscription: subscription.toJSON() })
+        });
+
+        if (!response.ok) {
+            throw new Error('Failed to register push subscription');
+        }
+
+        return subscription;
+    }
+
+    async disable() {
+        if (!PushNotifications.isSupported()) return;
+
+        // Taken up front, logout clears it right after calling this
+        const token = this.getToken();
+        const registration = await navigator.serviceWorker.ready;
+        const subscription = await registration.pushManager.getSubscription();
+        if (!subscription) return;
+
+        if (token) {
+            await this.request('/api/notifications/push/subscriptions', {
+                method: 'DELETE',
+                body: JSON.stringify({ endpoint: subscription.endpoint })
+            }, token).catch(() => {});
+        }
+
+        await subscription.unsubscribe();
+    }
+
+    async isEnabled() {
+        if (!PushNotifications.isSupported() || Notification.permission !== 'granted') return false;
+
+        const registration = await navigator.serviceWorker.ready;
+        return Boolean(await registration.pushManager.getSubscription());
+    }
+
+    matchesKey(subscription, publicKey) {
+        const current = subscription.options && subscription.options.applicationServerKey;
+        if (!current) return true;
+
+        const expected = this.decodeKey(publicKey);
+        const actual = new Uint8Array(current);
+        return actual.length === expected.length && actual.every((byte, i) => byte === expected[i]);
+    }
+
+    decodeKey(base64url) {
+        const base64 = base64url.replace(/-/g, '+').replace(/_/g, '/')
+            .padEnd(Math.ceil(base64url.length / 4) * 4, '=');
+        return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+    }
+
+    // The "Enable notifications" checkbox in the profile settings
+    bindToggle(checkbox) {
+        if (!checkbox) return;
+
+        if (!PushNotifications.isSupported()) {
+            checkbox.disabled = true;
+            return;
+        }
+
+        this.isEnabled().then(enabled => { checkbox.checked = enabled; });
+
+        checkbox.addEventListener('change', async () => {
+            try {
+                if (checkbox.checked) {
+                    await this.enable();
+                } else {
+                    await this.disable();
+                }
+            } catch (error) {
+                console.warn('Push notifications:', error.message);
+                checkbox.checked = !checkbox.checked;
+            }
+        });
+    }
+}
+
+window.pushNotifications = new PushNotifications();
+
+document.addEventListener('DOMContentLoaded', () => {
+    window.pushNotifications.bindToggle(document.getElementById('notificationsEnabled'));
+
+    // Keeps an already granted subscription registered for this login
+    window.pushNotifications.sync().catch(error => console.warn('Push subscription sync failed:', error));
+});
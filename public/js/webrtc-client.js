@@ -8,6 +8,8 @@ class WebRTCCallClient {
         this.isInitiator = false;
         this.callStartTime = null;
         this.callTimerInterval = null;
+        this.qualityInterval = null;
+        this.lastQualitySample = null;
         this.mediaConstraints = {
             audio: true,
             video: false
@@ -89,6 +91,25 @@ class WebRTCCallClient {
         this.socket.on('call_error', (data) => {
             this.handleCallError(data);
         });
+
+        // Recording
+        this.socket.on('recording_consent_request', (data) => {
+            this.handleRecordingConsentRequest(data);
+        });
+
+        this.socket.on('recording_state', (data) => {
+            this.handleRecordingState(data);
+        });
+
+        this.socket.on('recording_error', (data) => {
+            console.error('Recording error:', data);
+            this.showErrorNotification(data);
+        });
+
+        // Offered to the caller when a call rings out
+        this.socket.on('voicemail_offer', (data) => {
+            this.handleVoicemailOffer(data);
+        });
     }
 
     async initializeMediaDevices() {
@@ -131,6 +152,7 @@ class WebRTCCallClient {
             }
 
             // Create peer connection
+            await this.loadIceConfiguration();
             this.createPeerConnection();
 
             // Add local stream to peer connection
@@ -192,6 +214,7 @@ class WebRTCCallClient {
             }
 
             // Create peer connection
+            await this.loadIceConfiguration(callId);
             this.createPeerConnection();
 
             // Add local stream to peer connection
@@ -226,6 +249,34 @@ class WebRTCCallClient {
         this.hideCallInterface();
     }
 
+    // TURN credentials are short-lived, so they are fetched for every call.
+    // Falls back to the STUN servers above if the request fails.
+    async loadIceConfiguration(callId = null) {
+        const token = localStorage.getItem('talkpai-token');
+        if (!token) return;
+
+        try {
+            const query = callId ? `?callId=${encodeURIComponent(callId)}` : '';
+            const response = await fetch(`/api/webrtc/ice-config${query}`, {
+                headers: {
+                    'Authorization': `Bearer ${token}`
+                }
+            });
+            const data = await response.json();
+
+            if (!response.ok || !data.success) {
+                throw new Error(data.message || 'ICE configuration unavailable');
+            }
+
+            this.rtcConfiguration = {
+                ...this.rtcConfiguration,
+                iceServers: data.iceServers
+            };
+        } catch (error) {
+            console.warn('Using default ICE servers:', error.message);
+        }
+    }
+
     // Create WebRTC peer connection
     createPeerConnection() {
         this.peerConnection = new RTCPeerConnection(this.rtcConfiguration);
@@ -256,6 +307,7 @@ class WebRTCCallClient {
                 case 'connected':
                     this.updateCallInterface({ status: 'connected' });
                     this.startCallTimer();
+                    this.startQualityReporting();
                     break;
                 case 'disconnected':
                 case 'failed':
@@ -473,6 +525,224 @@ class WebRTCCallClient {
         }
     }
 
+    // Recording (the host starts it, everyone has to agree)
+    startRecording() {
+        if (!this.currentCall?.id) return;
+        this.socket.emit('recording_start', { callId: this.currentCall.id });
+    }
+
+    stopRecording() {
+        if (!this.currentCall?.id) return;
+        this.socket.emit('recording_stop', { callId: this.currentCall.id });
+    }
+
+    handleRecordingConsentRequest(data) {
+        const prompt = data.inProgress
+            ? 'This call is being recorded. Allow your audio and video to be included?'
+            : 'The host wants to record this call. Do you agree to be recorded?';
+
+        this.socket.emit('recording_consent', {
+            callId: data.callId,
+            recordingId: data.recordingId,
+            granted: window.confirm(prompt)
+        });
+    }
+
+    async handleRecordingState(data) {
+        this.recordingState = data;
+        this.updateRecordingIndicator(data.status);
+
+        if (data.status === 'recording') {
+            const consented = (data.consented || []).includes(this.currentUser?.id);
+            if (consented && !this.recorder && this.localStream && window.CallRecorder?.isSupported()) {
+                try {
+                    this.recorder = new CallRecorder({
+                        recordingId: data.recordingId,
+                        stream: this.localStream,
+                        token: localStorage.getItem('talkpai-token')
+                    });
+                    await this.recorder.start();
+                } catch (error) {
+                    console.error('Failed to start recording:', error);
+                    this.recorder = null;
+                }
+            }
+        } else if (['stopped', 'cancelled'].includes(data.status)) {
+            await this.stopLocalRecording();
+
+            if (data.status === 'cancelled' && data.reason === 'consent_declined') {
+                this.showErrorNotification({
+                    error: 'RECORDING_DECLINED',
+                    message: 'Recording was cancelled because a participant declined'
+                });
+            }
+        }
+    }
+
+    async stopLocalRecording() {
+        const recorder = this.recorder;
+        this.recorder = null;
+
+        if (recorder) {
+            try {
+                await recorder.stop();
+            } catch (error) {
+                console.error('Failed to finish recording upload:', error);
+            }
+        }
+    }
+
+    updateRecordingIndicator(status) {
+        const indicator = document.getElementById('callRecordingIndicator');
+        const labels = {
+            pending_consent: 'Waiting for consent…',
+            recording: 'REC'
+        };
+
+        if (indicator) {
+            indicator.hidden = !labels[status];
+            indicator.classList.toggle('pending', status === 'pending_consent');
+            indicator.querySelector('.recording-label').textContent = labels[status] || '';
+        }
+
+        document.querySelectorAll('#recordBtn, #videoRecordBtn').forEach(button => {
+            button.classList.toggle('active', status === 'recording' || status === 'pending_consent');
+        });
+    }
+
+    isRecording() {
+        return ['recording', 'pending_consent'].includes(this.recordingState?.status);
+    }
+
+    // Voicemail, recorded in one piece and sent through the voice note upload
+    handleVoicemailOffer(offer) {
+        if (!window.MediaRecorder || this.voicemail) return;
+        if (!window.confirm('No answer. Leave a voice message?')) return;
+
+        this.startVoicemail(offer).catch((error) => {
+            console.error('Failed to record voicemail:', error);
+            this.stopVoicemail(false);
+            this.showErrorNotification({ error: 'VOICEMAIL_FAILED', message: error.message });
+        });
+    }
+
+    async startVoicemail(offer) {
+        const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+        const mimeType = ['audio/webm;codecs=opus', 'audio/webm', 'audio/ogg;codecs=opus', 'audio/mp4']
+            .find(type => MediaRecorder.isTypeSupported(type)) || '';
+        const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+
+        this.voicemail = {
+            offer,
+            stream,
+            recorder,
+            chunks: [],
+            startedAt: Date.now(),
+            send: false
+        };
+
+        recorder.ondataavailable = (event) => {
+            if (event.data && event.data.size > 0) {
+                this.voicemail?.chunks.push(event.data);
+            }
+        };
+        recorder.onstop = () => this.finishVoicemail();
+        recorder.start();
+
+        this.voicemail.timeout = setTimeout(() => this.stopVoicemail(true), offer.maxDurationSeconds * 1000);
+        this.showVoicemailInterface(offer);
+    }
+
+    stopVoicemail(send = true) {
+        const voicemail = this.voicemail;
+        if (!voicemail) return;
+
+        voicemail.send = send;
+        clearTimeout(voicemail.timeout);
+
+        if (voicemail.recorder.state !== 'inactive') {
+            voicemail.recorder.stop();
+        } else {
+            this.finishVoicemail();
+        }
+    }
+
+    async finishVoicemail() {
+        const voicemail = this.voicemail;
+        if (!voicemail) return;
+        this.voicemail = null;
+
+        voicemail.stream.getTracks().forEach(track => track.stop());
+        clearInterval(voicemail.timerInterval);
+        document.getElementById('voicemailOverlay')?.remove();
+
+        if (!voicemail.send || voicemail.chunks.length === 0) return;
+
+        // The upload only accepts plain audio types, without codec parameters
+        const type = (voicemail.recorder.mimeType || 'audio/webm').split(';')[0];
+        const extension = { 'audio/ogg': 'ogg', 'audio/mp4': 'm4a' }[type] || 'webm';
+
+        const form = new FormData();
+        form.append('audio', new Blob(voicemail.chunks, { type }), `voicemail.${extension}`);
+        form.append('duration', String(Math.round((Date.now() - voicemail.startedAt) / 1000)));
+        form.append('voicemailCallId', voicemail.offer.callId);
+
+        try {
+            const response = await fetch(`/api/chat/${voicemail.offer.chatId}/audio`, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${localStorage.getItem('talkpai-token')}`
+                },
+                body: form
+            });
+            const data = await response.json();
+
+            if (!response.ok || !data.success) {
+                throw new Error(data.message || 'Failed to send voicemail');
+            }
+        } catch (error) {
+            console.error('Failed to send voicemail:', error);
+            this.showErrorNotification({ error: 'VOICEMAIL_FAILED', message: error.message });
+        }
+    }
+
+    showVoicemailInterface(offer) {
+        const limit = this.formatDuration(offer.maxDurationSeconds);
+
+        document.body.insertAdjacentHTML('beforeend', `
+            <div class="incoming-call-overlay active" id="voicemailOverlay">
+                <div class="incoming-call-interface">
+                    <div class="caller-info">
+                        <div class="caller-details">
+                            <div class="caller-name">Recording voice message</div>
+                            <div class="call-type voicemail-timer">0:00 / ${limit}</div>
+                        </div>
+                    </div>
+                    <div class="incoming-call-controls">
+                        <button class="call-control-btn decline" onclick="webrtcClient.stopVoicemail(false)">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                        <button class="call-control-btn accept" onclick="webrtcClient.stopVoicemail(true)">
+                            <i class="fas fa-paper-plane"></i>
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `);
+
+        this.voicemail.timerInterval = setInterval(() => {
+            const timer = document.querySelector('#voicemailOverlay .voicemail-timer');
+            if (timer && this.voicemail) {
+                timer.textContent = `${this.formatDuration((Date.now() - this.voicemail.startedAt) / 1000)} / ${limit}`;
+            }
+        }, 1000);
+    }
+
+    formatDuration(seconds) {
+        const total = Math.floor(seconds);
+        return `${Math.floor(total / 60)}:${(total % 60).toString().padStart(2, '0')}`;
+    }
+
     // UI Management
     showCallInterface(callData) {
         const callOverlay = document.getElementById('callOverlay');
@@ -590,26 +860,86 @@ class WebRTCCallClient {
         }
     }
 
+    startQualityReporting() {
+        if (this.qualityInterval) return;
+
+        this.lastQualitySample = null;
+        this.qualityInterval = setInterval(() => this.reportCallQuality(), 10000);
+    }
+
+    stopQualityReporting() {
+        if (this.qualityInterval) {
+            clearInterval(this.qualityInterval);
+            this.qualityInterval = null;
+        }
+        this.lastQualitySample = null;
+    }
+
+    // Loss and bitrate are computed over the interval since the last report,
+    // the getStats() counters are cumulative for the whole call
     reportCallQuality() {
         if (!this.peerConnection) return;
 
         this.peerConnection.getStats().then(stats => {
-            let quality = 'good';
-            let connectionStats = {};
+            const totals = { packetsLost: 0, packetsReceived: 0, bytesReceived: 0, bytesSent: 0 };
+            const connectionStats = {};
+            let selectedPair = null;
 
             stats.forEach(report => {
-                if (report.type === 'inbound-rtp' && report.kind === 'audio') {
-                    connectionStats.packetsLost = report.packetsLost;
-                    connectionStats.jitter = report.jitter;
-
-                    if (report.packetsLost > 10 || report.jitter > 0.1) {
-                        quality = 'poor';
-                    } else if (report.packetsLost > 5 || report.jitter > 0.05) {
-                        quality = 'fair';
+                if (report.type === 'inbound-rtp') {
+                    totals.packetsLost += report.packetsLost || 0;
+                    totals.packetsReceived += report.packetsReceived || 0;
+                    if (report.kind === 'audio') {
+                        connectionStats.jitter = report.jitter;
                     }
+                } else if (report.type === 'transport' && report.selectedCandidatePairId) {
+                    selectedPair = stats.get(report.selectedCandidatePairId);
+                } else if (report.type === 'candidate-pair' && report.nominated && report.state === 'succeeded' && !selectedPair) {
+                    selectedPair = report;
                 }
             });
 
+            if (selectedPair) {
+                totals.bytesReceived = selectedPair.bytesReceived || 0;
+                totals.bytesSent = selectedPair.bytesSent || 0;
+                connectionStats.roundTripTime = selectedPair.currentRoundTripTime;
+
+                const localCandidate = stats.get(selectedPair.localCandidateId);
+                if (localCandidate) {
+                    connectionStats.candidateType = localCandidate.candidateType;
+                    connectionStats.relayProtocol = localCandidate.relayProtocol;
+                }
+            }
+
+            const now = Date.now();
+            const previous = this.lastQualitySample;
+            this.lastQualitySample = { ...totals, timestamp: now };
+
+            if (previous) {
+                const seconds = (now - previous.timestamp) / 1000;
+                connectionStats.packetsLost = Math.max(0, totals.packetsLost - previous.packetsLost);
+                connectionStats.packetsReceived = Math.max(0, totals.packetsReceived - previous.packetsReceived);
+                connectionStats.inboundBitrate = Math.max(0, totals.bytesReceived - previous.bytesReceived) * 8 / seconds;
+                connectionStats.outboundBitrate = Math.max(0, totals.bytesSent - previous.bytesSent) * 8 / seconds;
+            } else {
+                connectionStats.packetsLost = totals.packetsLost;
+                connectionStats.packetsReceived = totals.packetsReceived;
+            }
+
+            const received = connectionStats.packetsLost + connectionStats.packetsReceived;
+            const lossPercent = received > 0 ? (connectionStats.packetsLost / received) * 100 : 0;
+            const rtt = connectionStats.roundTripTime || 0;
+            const jitter = connectionStats.jitter || 0;
+
+            let quality = 'excellent';
+            if (lossPercent > 5 || jitter > 0.1 || rtt > 0.5) {
+                quality = 'poor';
+            } else if (lossPercent > 2 || jitter > 0.05 || rtt > 0.3) {
+                quality = 'fair';
+            } else if (lossPercent > 0.5 || jitter > 0.03 || rtt > 0.15) {
+                quality = 'good';
+            }
+
             this.socket.emit('report_call_quality', {
                 callId: this.currentCall?.id,
                 quality,
@@ -619,6 +949,13 @@ class WebRTCCallClient {
     }
 
     cleanup() {
+        // Finish uploading before the stream goes away
+        if (this.recorder) {
+            this.stopLocalRecording();
+        }
+        this.recordingState = null;
+        this.updateRecordingIndicator(null);
+
         // Stop all tracks
         if (this.localStream) {
             this.localStream.getTracks().forEach(track => track.stop());
@@ -636,6 +973,7 @@ class WebRTCCallClient {
             clearInterval(this.callTimer);
             this.callTimer = null;
         }
+        this.stopQualityReporting();
 
         // Reset state
         this.currentCall = null;
@@ -661,11 +999,14 @@ class WebRTCCallClient {
             };
         }
 
-        if (!this.currentUser?.id) {
+        // The server only registers sockets that prove who they are
+        const token = localStorage.getItem('talkpai-token');
+        if (!this.currentUser?.id || !token) {
             return;
         }
 
         this.socket.emit('register_user', {
+            token,
             userId: this.currentUser.id,
             displayName: this.currentUser.displayName,
             avatar: this.currentUser.avatar
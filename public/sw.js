@@ -247,10 +247,15 @@ self.addEventListener('push', (event) => {
         ]
     };
 
+    let title = 'Talk pAI';
+
+    // Sent by the server's WebPushService: { title, message, url, tag, notificationId, type, chatId }
     if (event.data) {
         try {
             const data = event.data.json();
+            title = data.title || title;
             options.body = data.message || options.body;
+            options.tag = data.tag || options.tag;
             options.data = data;
         } catch (error) {
             console.warn('⚠️ Could not parse push data:', error);
@@ -258,7 +263,7 @@ self.addEventListener('push', (event) => {
     }
 
     event.waitUntil(
-        self.registration.showNotification('Talk pAI', options)
+        self.registration.showNotification(title, options)
     );
 });
 
@@ -269,8 +274,17 @@ self.addEventListener('notificationclick', (event) => {
     event.notification.close();
 
     if (event.action === 'open' || !event.action) {
+        const url = (event.notification.data && event.notification.data.url) || '/';
+
+        // Reuse an open Talk pAI tab when there is one
         event.waitUntil(
-            clients.openWindow('/')
+            clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windowClients) => {
+                const client = windowClients.find(c => new URL(c.url).origin === self.location.origin);
+                if (client) {
+                    return client.focus().then(() => client.navigate ? client.navigate(url) : client);
+                }
+                return clients.openWindow(url);
+            })
         );
     }
 });
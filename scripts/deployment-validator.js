@@ -155,7 +155,7 @@ class DeploymentValidator {
         this.info('🔧 Validating environment setup...');
 
         const requiredEnvVars = ['NODE_ENV'];
-        const optionalEnvVars = ['DATABASE_URL', 'PORT', 'OPENAI_API_KEY'];
+        const optionalEnvVars = ['DATABASE_URL', 'PORT', 'OPENAI_API_KEY', 'AI_PROVIDER', 'AI_BASE_URL'];
 
         for (const envVar of requiredEnvVars) {
             if (!process.env[envVar]) {
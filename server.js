@@ -7,6 +7,7 @@ const { Server } = require('socket.io');
 const http = require('http');
 const path = require('path');
 const { randomUUID } = require('crypto');
+const jwt = require('jsonwebtoken');
 require('dotenv').config();
 
 // Enhanced global error handlers with retry logic
@@ -171,9 +172,19 @@ const AidenRoutes = safeRequire('./src/ai/aiden-routes', 'AidenRoutes');
 const CorporateRoutes = safeRequire('./src/corporate/routes', 'CorporateRoutes');
 const SearchRoutes = safeRequire('./src/search/routes', 'SearchRoutes');
 const EnterpriseRoutes = safeRequire('./src/enterprise/routes', 'EnterpriseRoutes');
+const ScimRoutes = safeRequire('./src/enterprise/scim-routes', 'ScimRoutes');
 const EnhancedRoutes = safeRequire('./src/routes/enhanced-api', 'EnhancedRoutes');
 const ContactsAPI = safeRequire('./src/routes/contacts-api', 'ContactsAPI');
 const MessagingAPI = safeRequire('./src/routes/messaging-api', 'MessagingAPI');
+const IceRoutes = safeRequire('./src/webrtc/ice-routes', 'IceRoutes');
+const NotificationService = require('./src/notifications/notification-service');
+const WebPushService = require('./src/notifications/push-service');
+const EnhancedAuthService = require('./src/auth/enhanced-auth-service');
+const AuthService = require('./src/auth/service');
+const AIStreamService = require('./src/ai/stream-service');
+const EnhancedChatService = require('./src/chat/enhanced-chat-service');
+const WorkspaceKnowledgeService = require('./src/ai/workspace-knowledge');
+const { router: notificationRoutes, setNotificationService, setPushService } = require('./src/notifications/routes');
 
 // Initialize Express app
 const app = express();
@@ -186,6 +197,30 @@ const io = new Server(server, {
 // Make io available to routes
 app.set('io', io);
 
+// Notification center, routes that create notifications reach it through the app.
+// Digests are mailed through the auth service's SMTP transport when one is configured,
+// users without a connected socket get a Web Push
+const pushService = new WebPushService(database);
+const notificationService = new NotificationService(database, {
+  io,
+  push: pushService,
+  mailer: process.env.SMTP_USER ? new EnhancedAuthService() : null
+});
+setNotificationService(notificationService);
+setPushService(pushService);
+app.set('notifications', notificationService);
+
+// Messages posted outside this file's socket handlers (Aiden's send_message tool)
+// go through the chat service, which notifies and indexes them. The socket
+// protocol stays the one below.
+const chatService = new EnhancedChatService(io, { pool: database, socketHandlers: false });
+notificationService.bindChatService(chatService);
+new WorkspaceKnowledgeService(database).bindChatService(chatService);
+app.set('chatService', chatService);
+
+// Streamed AI replies, the AI and Aiden routes reach it through the app
+app.set('aiStreams', new AIStreamService(io, { dbConnection: database }));
+
 const serverLogger = new FallbackLogger('Server');
 
 // In-memory call tracking
@@ -288,9 +323,14 @@ try {
 }
 app.use('/api/search', new SearchRoutes(database, logger || serverLogger).getRouter());
 app.use('/api/enterprise', new EnterpriseRoutes(database, logger || serverLogger).getRouter());
+app.use('/scim/v2', new ScimRoutes(database, logger || serverLogger).getRouter());
 app.use('/api/enhanced', new EnhancedRoutes(database, logger || serverLogger).getRouter());
 app.use('/api/contacts', new ContactsAPI(database, logger || serverLogger).getRouter());
 app.use('/api/messages', new MessagingAPI(database, logger || serverLogger).getRouter());
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/webrtc', new IceRoutes({
+  isCallParticipant: (callId, userId) => Boolean(activeCalls.get(callId)?.participants.has(userId))
+}).getRouter());
 
 // Global error handling middleware (must be last)
 if (errorHandler) {
@@ -411,16 +451,55 @@ app.get('/health/metrics', (req, res) => {
   });
 });
 
+// Resolves the user behind a socket's token: a login JWT from /api/auth or a session token
+const socketAuthService = new AuthService(database);
+
+async function verifySocketToken(token) {
+  if (!token) return null;
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+    const result = await database.query(
+      'SELECT id FROM users WHERE id = $1 AND is_active = true',
+      [decoded.userId]
+    );
+    return result.rows[0] ? result.rows[0].id.toString() : null;
+  } catch (error) {
+    // Not a valid JWT, it may still be a session token
+  }
+
+  try {
+    const user = await socketAuthService.authenticate(token);
+    return user.id.toString();
+  } catch (error) {
+    return null;
+  }
+}
+
 // Socket.io real-time features
 io.on('connection', (socket) => {
   logger.info(`User connected: ${socket.id}`);
 
-  socket.on('register_user', (data = {}) => {
-    const userId = data.userId?.toString();
-    if (!userId) return;
+  // The socket only speaks for the user its token belongs to. The personal room
+  // carries notifications and AI streams, and joining it suppresses Web Push.
+  socket.on('register_user', async (data = {}) => {
+    const userId = await verifySocketToken(data.token);
+    if (!userId || (data.userId && data.userId.toString() !== userId)) {
+      socket.emit('auth_error', { message: 'Invalid authentication' });
+      return;
+    }
+
+    // Signing in as someone else on the same socket (logout, then login)
+    const previousUserId = socket.data.userId;
+    if (previousUserId && previousUserId !== userId) {
+      connectedCallUsers.delete(previousUserId);
+      socket.leave(`user-${previousUserId}`);
+    }
 
     connectedCallUsers.set(userId, socket.id);
     socket.data.userId = userId;
+    // Personal room, notifications are delivered there
+    socket.join(`user-${userId}`);
     socket.data.profile = {
       displayName: data.displayName || 'User',
       avatar: data.avatar || '👤'
@@ -720,6 +799,8 @@ async function startServer() {
           console.log('🎯 Health check: http://0.0.0.0:' + PORT + '/health');
           console.log('🔥 PRODUCTION MESSENGER READY!');
 
+          notificationService.start();
+
           // Post-startup validation
           setTimeout(() => validateServerHealth(PORT), 3000);
           resolve();
@@ -872,6 +953,7 @@ const gracefulShutdown = async (signal) => {
 
   isShuttingDown = true;
   console.log(`\n${signal} received, initiating graceful shutdown...`);
+  notificationService.stop();
 
   // Set a timeout for forced shutdown
   const forceShutdownTimer = setTimeout(() => {
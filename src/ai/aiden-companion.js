@@ -1,11 +1,13 @@
-const OpenAI = require('openai');
 const Logger = require('../utils/enhanced-logger');
 const database = require('../database/optimized-connection');
+const { getAIClient } = require('./providers');
 const WebSearchService = require('./web-search-service');
 const VisionService = require('./vision-service');
 const ImageGenerationService = require('./image-generation-service');
 const SpreadsheetService = require('./spreadsheet-service');
 const VoiceService = require('./voice-service');
+const AidenMemoryStore = require('./aiden-memory');
+const { AIToolRunner, aidenTools } = require('./tools');
 
 /**
  * Aiden - Advanced AI Companion for Talk pAI
@@ -14,10 +16,11 @@ const VoiceService = require('./voice-service');
 class AidenCompanion {
   constructor() {
     this.logger = new Logger('AidenCompanion');
-    this.openai = null;
+    this.ai = getAIClient();
     this.isReady = false;
     this.personality = this.definePersonality();
     this.conversationMemory = new Map(); // User-specific conversation memory
+    this.longTermMemory = new AidenMemoryStore(this.ai); // Durable facts and preferences
 
     // Initialize advanced services
     this.webSearch = new WebSearchService();
@@ -26,6 +29,9 @@ class AidenCompanion {
     this.spreadsheet = new SpreadsheetService();
     this.voice = new VoiceService();
 
+    // Web search, images, spreadsheets, ... as tools the model calls itself
+    this.tools = new AIToolRunner(this.ai, aidenTools);
+
     this.initializeAiden();
   }
 
@@ -76,24 +82,18 @@ class AidenCompanion {
 
   async initializeAiden() {
     try {
-      const apiKey = process.env.OPENAI_API_KEY;
-      if (!apiKey) {
-        this.logger.warn('OPENAI_API_KEY not found - Aiden will be unavailable');
+      if (!this.ai.isAvailable) {
+        this.logger.warn('No AI provider configured - Aiden will be unavailable');
         return;
       }
 
-      this.openai = new OpenAI({
-        apiKey,
-        timeout: 60000, // 60 seconds for complex requests
-        maxRetries: 3
-      });
-
       // Test connection
-      await this.openai.models.list();
+      await this.ai.checkConnection();
 
       this.isReady = true;
       this.logger.info('Aiden AI Companion initialized successfully', {
-        model: 'gpt-4o',
+        provider: this.ai.name,
+        model: this.ai.getDefaultModel('assistant'),
         capabilities: this.personality.capabilities.length
       });
 
@@ -121,13 +121,13 @@ class AidenCompanion {
       const conversationContext = await this.buildContext(userId, message, context, userMemory);
 
       // Generate AI response
-      const response = await this.generateResponse(conversationContext, userId);
+      const response = await this.generateResponse(conversationContext, userId, this.getModelScope(userId, context));
 
       // Update user memory
       this.updateUserMemory(userId, message, response.content);
 
       // Save conversation to database
-      await this.saveConversation(userId, message, response.content, context);
+      await this.saveConversation(userId, message, response.content, context, response.model);
 
       this.logger.timeEnd(timer, 'Aiden conversation completed');
 
@@ -153,6 +153,82 @@ class AidenCompanion {
     }
   }
 
+  // chat (or enhancedChat) with the reply streamed: onDelta gets each piece of
+  // text as it arrives. A cancelled reply keeps, and saves, what was
+  // generated up to that point.
+  async streamChat(userId, message, context = {}, { signal, onDelta = () => {}, enhanced = false, io = null, chatService = null } = {}) {
+    if (!this.isReady) {
+      throw new Error('Aiden is currently unavailable. Please try again later.');
+    }
+
+    const timer = this.logger.time('aiden-stream');
+
+    try {
+      const userMemory = this.getUserMemory(userId);
+      const promptContext = enhanced ? await this.detectAndEnhanceContext(message, context) : context;
+      const conversationMessages = enhanced
+        ? await this.buildEnhancedContext(userId, message, promptContext, userMemory)
+        : await this.buildContext(userId, message, promptContext, userMemory);
+
+      const request = {
+        messages: conversationMessages,
+        max_tokens: 2000,
+        temperature: 0.7,
+        presence_penalty: 0.1,
+        frequency_penalty: 0.1,
+        user: `aiden_user_${userId}`
+      };
+      const scope = this.getModelScope(userId, context);
+
+      // The enhanced assistant may call tools between streamed replies
+      const reply = enhanced
+        ? await this.tools.run(request, { scope, context: { userId, aiden: this, io, chatService }, signal, onDelta })
+        : await this.ai.streamChat(request, { ...scope, signal, onDelta });
+
+      let analysis = {};
+      if (reply.content) {
+        analysis = enhanced
+          ? await this.analyzeEnhancedResponse(reply.content, reply.toolCalls)
+          : await this.analyzeResponse(reply.content);
+
+        this.updateUserMemory(userId, message, reply.content);
+        await this.saveConversation(
+          userId,
+          message,
+          reply.content,
+          reply.cancelled ? { ...promptContext, cancelled: true } : promptContext,
+          reply.model
+        );
+      }
+
+      this.logger.timeEnd(timer, 'Aiden stream completed');
+
+      return {
+        message: reply.content,
+        personality: this.personality.name,
+        timestamp: new Date().toISOString(),
+        model: reply.model,
+        cancelled: reply.cancelled,
+        ...(enhanced && { toolCalls: reply.toolCalls }),
+        context: {
+          mood: analysis.mood || 'helpful',
+          confidence: analysis.confidence || 0.9,
+          topics: analysis.topics || [],
+          suggestions: analysis.suggestions || [],
+          ...(enhanced && { enhancedFeatures: analysis.enhancedFeatures || [] })
+        }
+      };
+
+    } catch (error) {
+      this.logger.error('Aiden stream failed', {
+        error: error.message,
+        userId,
+        duration: Date.now() - timer.startTime
+      });
+      throw new Error('I encountered an issue processing your request. Please try again.');
+    }
+  }
+
   getUserMemory(userId) {
     if (!this.conversationMemory.has(userId)) {
       this.conversationMemory.set(userId, {
@@ -183,6 +259,11 @@ class AidenCompanion {
       { role: 'user', content: message }
     ];
 
+    const memories = await this.recallMemories(userId, message);
+    if (memories) {
+      conversationMessages.splice(-1, 0, memories);
+    }
+
     // Add any additional context (workspace, current task, etc.)
     if (context.workspace) {
       conversationMessages.splice(-1, 0, {
@@ -201,6 +282,25 @@ class AidenCompanion {
     return conversationMessages;
   }
 
+  // What Aiden remembers about the user that relates to the message, as a
+  // system message, or null. Recall problems never fail the conversation.
+  async recallMemories(userId, message) {
+    if (!database.isConnected) return null;
+
+    try {
+      const memories = await this.longTermMemory.recall(userId, message);
+      if (memories.length === 0) return null;
+
+      return {
+        role: 'system',
+        content: `What you remember about this user from earlier conversations (may be out of date):\n${memories.map(memory => `- ${memory.content}`).join('\n')}`
+      };
+    } catch (error) {
+      this.logger.warn('Failed to recall long-term memories', { error: error.message, userId });
+      return null;
+    }
+  }
+
   createSystemPrompt(userMemory) {
     const { preferences, topics, personality_notes, conversation_count } = userMemory;
 
@@ -240,16 +340,25 @@ RESPONSE FORMAT:
 Respond naturally as Aiden would, incorporating your personality and the user's context. Be conversational, helpful, and engaging.`;
   }
 
-  async generateResponse(conversationMessages, userId) {
-    const completion = await this.openai.chat.completions.create({
-      model: 'gpt-4o',
+  // The workspace (or chat) the request came from picks the models
+  getModelScope(userId, context = {}) {
+    return {
+      role: 'assistant',
+      userId,
+      workspaceId: context.workspaceId || null,
+      chatId: context.chatId || null
+    };
+  }
+
+  async generateResponse(conversationMessages, userId, scope = { role: 'assistant' }) {
+    const completion = await this.ai.chat({
       messages: conversationMessages,
       max_tokens: 2000,
       temperature: 0.7,
       presence_penalty: 0.1,
       frequency_penalty: 0.1,
       user: `aiden_user_${userId}`
-    });
+    }, scope);
 
     const content = completion.choices[0].message.content;
 
@@ -259,6 +368,7 @@ Respond naturally as Aiden would, incorporating your personality and the user's
     return {
       content,
       ...analysis,
+      model: completion.model,
       usage: completion.usage
     };
   }
@@ -375,7 +485,7 @@ Respond naturally as Aiden would, incorporating your personality and the user's
     memory.conversation_count += 1;
   }
 
-  async saveConversation(userId, userMessage, aiResponse, context) {
+  async saveConversation(userId, userMessage, aiResponse, context, model = null) {
     if (!database.isConnected) return;
 
     try {
@@ -398,7 +508,7 @@ Respond naturally as Aiden would, incorporating your personality and the user's
           aiResponse,
           'ai_response',
           `aiden_conv_${Date.now()}`,
-          'gpt-4o-mini',
+          model || this.ai.getDefaultModel('assistant'),
           JSON.stringify({ userMessage, context })
         ]);
       } else {
@@ -411,6 +521,11 @@ Respond naturally as Aiden would, incorporating your personality and the user's
     } catch (error) {
       this.logger.error('Failed to save Aiden conversation', { error: error.message });
     }
+
+    // Pick up facts and preferences for long-term memory without holding up the reply
+    this.longTermMemory.learn(userId, userMessage, aiResponse).catch(error => {
+      this.logger.warn('Failed to update long-term memory', { error: error.message, userId });
+    });
   }
 
   async loadConversationMemories() {
@@ -526,9 +641,12 @@ Respond naturally as Aiden would, incorporating your personality and the user's
   }
 
   // Clear user conversation memory
-  clearUserMemory(userId) {
+  // Forgets everything: the recent conversation and all long-term memories
+  async clearUserMemory(userId) {
     this.conversationMemory.delete(userId);
-    this.logger.info('Cleared conversation memory for user', { userId });
+    const forgotten = database.isConnected ? await this.longTermMemory.clear(userId) : 0;
+    this.logger.info('Cleared conversation memory for user', { userId, forgotten });
+    return forgotten;
   }
 
   // Health check for Aiden
@@ -539,16 +657,16 @@ Respond naturally as Aiden would, incorporating your personality and the user's
 
     try {
       // Test with a simple request
-      const completion = await this.openai.chat.completions.create({
-        model: 'gpt-4o',
+      const completion = await this.ai.chat({
         messages: [{ role: 'user', content: 'Hello' }],
         max_tokens: 10
-      });
+      }, { role: 'assistant' });
 
       return {
         status: 'healthy',
         response_time: 'normal',
-        model: 'gpt-4o',
+        provider: this.ai.name,
+        model: completion.model,
         active_memories: this.conversationMemory.size
       };
     } catch (error) {
@@ -720,7 +838,9 @@ Respond naturally as Aiden would, incorporating your personality and the user's
     }
   }
 
-  async enhancedChat(userId, message, context = {}) {
+  // io and chatService let chat tools post and announce messages, they never
+  // come from the request
+  async enhancedChat(userId, message, context = {}, { io = null, chatService = null } = {}) {
     if (!this.isReady) {
       throw new Error('Aiden is currently unavailable. Please try again later.');
     }
@@ -728,13 +848,6 @@ Respond naturally as Aiden would, incorporating your personality and the user's
     const timer = this.logger.time('enhanced-aiden-conversation');
 
     try {
-      // Check if message includes special commands
-      const command = this.parseCommand(message);
-
-      if (command) {
-        return await this.executeCommand(command, userId, context);
-      }
-
       // Enhanced regular chat with capability detection
       const enhancedContext = await this.detectAndEnhanceContext(message, context);
 
@@ -749,14 +862,19 @@ Respond naturally as Aiden would, incorporating your personality and the user's
         userMemory
       );
 
-      // Generate AI response with enhanced prompts
-      const response = await this.generateEnhancedResponse(conversationContext, userId);
+      // Generate AI response, the model calls whichever tools it needs
+      const response = await this.generateEnhancedResponse(
+        conversationContext,
+        userId,
+        this.getModelScope(userId, context),
+        { io, chatService }
+      );
 
       // Update user memory
       this.updateUserMemory(userId, message, response.content);
 
       // Save conversation to database
-      await this.saveConversation(userId, message, response.content, enhancedContext);
+      await this.saveConversation(userId, message, response.content, enhancedContext, response.model);
 
       this.logger.timeEnd(timer, 'Enhanced Aiden conversation completed');
 
@@ -764,6 +882,7 @@ Respond naturally as Aiden would, incorporating your personality and the user's
         message: response.content,
         personality: this.personality.name,
         timestamp: new Date().toISOString(),
+        toolCalls: response.toolCalls,
         context: {
           mood: response.mood || 'helpful',
           confidence: response.confidence || 0.9,
@@ -783,142 +902,6 @@ Respond naturally as Aiden would, incorporating your personality and the user's
     }
   }
 
-  parseCommand(message) {
-    const commandPatterns = {
-      search: /(?:search|find|look up|google)\s+(.+)/i,
-      image_analyze: /(?:analyze|describe|what is in)\s+(?:this\s+)?image/i,
-      image_generate: /(?:generate|create|draw|make)\s+(?:an?\s+)?image\s+(?:of\s+)?(.+)/i,
-      spreadsheet: /(?:create|generate|make)\s+(?:a\s+)?(?:spreadsheet|excel|table)\s+(.+)/i,
-      voice: /(?:speak|say|voice|tts)\s+(.+)/i,
-      transcribe: /(?:transcribe|speech to text|stt)\s*/i
-    };
-
-    for (const [type, pattern] of Object.entries(commandPatterns)) {
-      const match = message.match(pattern);
-      if (match) {
-        return {
-          type,
-          input: match[1] || message,
-          originalMessage: message
-        };
-      }
-    }
-
-    return null;
-  }
-
-  async executeCommand(command, userId, context) {
-    try {
-      switch (command.type) {
-        case 'search':
-          const searchResults = await this.searchWeb(command.input, {
-            maxResults: 5,
-            includeNews: true
-          });
-
-          if (searchResults.success) {
-            const summary = await this.summarizeSearchResults(searchResults.results);
-            return {
-              message: summary,
-              personality: this.personality.name,
-              timestamp: new Date().toISOString(),
-              context: {
-                mood: 'informative',
-                confidence: 0.9,
-                enhancedFeatures: ['web_search'],
-                searchResults: searchResults.results
-              }
-            };
-          } else {
-            return {
-              message: `I encountered an issue searching for "${command.input}": ${searchResults.error}`,
-              personality: this.personality.name,
-              timestamp: new Date().toISOString(),
-              context: { mood: 'apologetic', confidence: 0.5 }
-            };
-          }
-
-        case 'image_generate':
-          const imageResult = await this.generateImage(command.input, {
-            saveLocally: true,
-            enhancePrompt: true
-          });
-
-          if (imageResult.success) {
-            return {
-              message: `I've generated an image based on your description: "${command.input}". The image has been created and saved.`,
-              personality: this.personality.name,
-              timestamp: new Date().toISOString(),
-              context: {
-                mood: 'creative',
-                confidence: 0.9,
-                enhancedFeatures: ['image_generation'],
-                generatedImage: imageResult.image
-              }
-            };
-          } else {
-            return {
-              message: `I couldn't generate the image: ${imageResult.error}`,
-              personality: this.personality.name,
-              timestamp: new Date().toISOString(),
-              context: { mood: 'apologetic', confidence: 0.5 }
-            };
-          }
-
-        case 'spreadsheet':
-          const spreadsheetResult = await this.spreadsheet.generateFromDescription(command.input);
-
-          return {
-            message: `I've created a spreadsheet based on your description: "${command.input}". The file has been generated and is ready for download.`,
-            personality: this.personality.name,
-            timestamp: new Date().toISOString(),
-            context: {
-              mood: 'productive',
-              confidence: 0.9,
-              enhancedFeatures: ['spreadsheet_generation'],
-              spreadsheet: spreadsheetResult
-            }
-          };
-
-        case 'voice':
-          const voiceResult = await this.textToSpeech(command.input, {
-            voice: 'alloy',
-            saveFile: true
-          });
-
-          if (voiceResult.success) {
-            return {
-              message: `I've converted your text to speech: "${command.input}"`,
-              personality: this.personality.name,
-              timestamp: new Date().toISOString(),
-              context: {
-                mood: 'helpful',
-                confidence: 0.9,
-                enhancedFeatures: ['text_to_speech'],
-                audioFile: voiceResult.audio
-              }
-            };
-          }
-          break;
-
-        default:
-          return await this.chat(userId, command.originalMessage, context);
-      }
-    } catch (error) {
-      this.logger.error('Command execution failed', {
-        error: error.message,
-        command: command.type
-      });
-
-      return {
-        message: `I encountered an issue executing that command: ${error.message}`,
-        personality: this.personality.name,
-        timestamp: new Date().toISOString(),
-        context: { mood: 'apologetic', confidence: 0.3 }
-      };
-    }
-  }
-
   async detectAndEnhanceContext(message, context) {
     const enhanced = { ...context };
 
@@ -961,6 +944,11 @@ Respond naturally as Aiden would, incorporating your personality and the user's
       { role: 'user', content: message }
     ];
 
+    const memories = await this.recallMemories(userId, message);
+    if (memories) {
+      conversationMessages.splice(-1, 0, memories);
+    }
+
     // Add enhanced context information
     if (context.needsCurrentInfo) {
       conversationMessages.splice(-1, 0, {
@@ -993,13 +981,12 @@ PERSONALITY:
 ENHANCED CAPABILITIES:
 ${this.personality.capabilities.map(cap => `• ${cap}`).join('\n')}
 
-AVAILABLE SERVICES:
-• Web Search: Search for current information, news, and facts
-• Image Analysis: Analyze and describe images provided by users
-• Image Generation: Create images using DALL-E based on descriptions
-• Spreadsheet Creation: Generate Excel/CSV files with data analysis
-• Voice Services: Text-to-speech and speech-to-text conversion
-• Voice Conversations: Real-time voice chat capabilities
+TOOLS:
+You can call tools for web search, image analysis and generation, spreadsheets, text-to-speech, the workspace's history and documents, and the user's own chats (searching, reading and, when allowed, sending messages). Only the tools offered with this conversation are available in this workspace.
+• Call a tool whenever it gives a better answer than your own knowledge, and chain several when needed
+• Never claim to have searched, created or sent anything without calling the tool
+• Share links to generated files as returned by the tool
+• Only send messages when the user explicitly asks you to
 
 USER CONTEXT:
 - Conversation count: ${conversation_count}
@@ -1009,10 +996,10 @@ USER CONTEXT:
 
 ENHANCED BEHAVIOR GUIDELINES:
 1. Proactively suggest using enhanced capabilities when relevant
-2. For current events or recent information, offer to search the web
-3. For visual content, offer image analysis or generation
-4. For data requests, offer to create spreadsheets or analyze data
-5. For voice requests, offer text-to-speech conversion
+2. For current events or recent information, search the web
+3. For visual content, analyze or generate images
+4. For data requests, create spreadsheets or analyze data
+5. For voice requests, use text-to-speech
 6. Always provide accurate, helpful, and contextually relevant information
 7. Use your enhanced capabilities to provide comprehensive assistance
 8. Maintain your friendly, professional personality while showcasing advanced features
@@ -1021,38 +1008,38 @@ RESPONSE FORMAT:
 Respond naturally as Aiden would, incorporating your personality and enhanced capabilities. When appropriate, mention how you can use your advanced features to help the user better.`;
   }
 
-  async generateEnhancedResponse(conversationMessages, userId) {
-    const completion = await this.openai.chat.completions.create({
-      model: 'gpt-4o',
+  async generateEnhancedResponse(conversationMessages, userId, scope = { role: 'assistant' }, { io = null, chatService = null } = {}) {
+    const reply = await this.tools.run({
       messages: conversationMessages,
       max_tokens: 2000,
       temperature: 0.7,
       presence_penalty: 0.1,
       frequency_penalty: 0.1,
       user: `aiden_user_${userId}`
-    });
-
-    const content = completion.choices[0].message.content;
+    }, { scope, context: { userId, aiden: this, io, chatService } });
 
     // Enhanced analysis with feature detection
-    const analysis = await this.analyzeEnhancedResponse(content);
+    const analysis = await this.analyzeEnhancedResponse(reply.content, reply.toolCalls);
 
     return {
-      content,
+      content: reply.content,
       ...analysis,
-      usage: completion.usage
+      toolCalls: reply.toolCalls,
+      model: reply.model
     };
   }
 
-  async analyzeEnhancedResponse(content) {
+  async analyzeEnhancedResponse(content, toolCalls = []) {
     // Enhanced analysis including feature usage detection
     const basicAnalysis = await this.analyzeResponse(content);
 
-    const enhancedFeatures = this.detectUsedFeatures(content);
+    const usedTools = toolCalls
+      .filter(call => call.status === 'succeeded')
+      .map(call => call.tool);
 
     return {
       ...basicAnalysis,
-      enhancedFeatures
+      enhancedFeatures: [...new Set([...usedTools, ...this.detectUsedFeatures(content)])]
     };
   }
 
@@ -1078,43 +1065,6 @@ Respond naturally as Aiden would, incorporating your personality and enhanced ca
     return features;
   }
 
-  async summarizeSearchResults(results) {
-    if (!results || results.length === 0) {
-      return "I couldn't find any relevant information for your search.";
-    }
-
-    try {
-      const resultsText = results.map(result =>
-        `${result.title}: ${result.content.substring(0, 200)}...`
-      ).join('\n\n');
-
-      const response = await this.openai.chat.completions.create({
-        model: 'gpt-4o',
-        messages: [
-          {
-            role: 'system',
-            content: 'You are Aiden. Summarize the search results in a helpful, conversational way. Highlight the most important and relevant information.'
-          },
-          {
-            role: 'user',
-            content: `Please summarize these search results:\n\n${resultsText}`
-          }
-        ],
-        max_tokens: 800,
-        temperature: 0.7
-      });
-
-      return response.choices[0].message.content;
-
-    } catch (error) {
-      this.logger.warn('Failed to summarize search results', { error: error.message });
-
-      // Fallback to basic summary
-      const topResult = results[0];
-      return `Based on my search, here's what I found: ${topResult.title} - ${topResult.content.substring(0, 300)}...`;
-    }
-  }
-
   // Enhanced status with all service capabilities
   getEnhancedStatus() {
     const basicStatus = this.getStatus();
@@ -0,0 +1,359 @@
+const database = require('../database/optimized-connection');
+
+const MEMORY_KINDS = ['fact', 'preference'];
+const MAX_CONTENT_LENGTH = 500;
+const MAX_PER_EXCHANGE = 5;
+// Memories this close to an existing one replace it instead of adding a copy
+const DUPLICATE_SIMILARITY = 0.9;
+const MIN_RECALL_SIMILARITY = 0.3;
+const CACHE_MS = 5 * 60 * 1000;
+const EMBED_BATCH_SIZE = 100;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const EXTRACTION_PROMPT = `You maintain the long-term memory of Aiden, an AI assistant, about one user.
+From the exchange below, pick out durable facts about the user and their preferences that would help in future conversations: name, role, team, ongoing projects, tools and languages they use, how they like answers.
+Ignore one-off requests, small talk, anything about the assistant itself, and secrets such as passwords or API keys.
+Write each memory as one short third-person sentence ("Works on the billing service", "Prefers answers in Ukrainian").
+Respond with JSON: {"memories": [{"kind": "fact" or "preference", "content": "..."}]}, with an empty list when there is nothing worth remembering.`;
+
+class AidenMemoryError extends Error {
+  constructor(message, status = 400, code = 'AIDEN_MEMORY_FAILED') {
+    super(message);
+    this.name = 'AidenMemoryError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+function cosineSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length) return 0;
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+// Durable per-user memory for Aiden, in aiden_memories.
+//
+// After each exchange `learn` asks the chat model for facts and preferences
+// worth keeping. Every memory is stored with an embedding, and `recall` ranks
+// a user's memories against the new message by cosine similarity. Without
+// embedding support the most recently updated memories are recalled instead.
+//
+// Embeddings always use the server's default embedding model, not a
+// workspace override, so one user's vectors stay comparable.
+class AidenMemoryStore {
+  constructor(ai, { dbConnection, limit } = {}) {
+    this.ai = ai;
+    this.database = dbConnection || database;
+    this.limit = limit || parseInt(process.env.AIDEN_MEMORY_LIMIT) || 500;
+    this.cache = new Map(); // userId -> { rows, expiresAt }
+  }
+
+  get canEmbed() {
+    return this.ai.supports('embeddings');
+  }
+
+  // Memories
+
+  async list(userId, { kind = null, limit = 50, offset = 0 } = {}) {
+    if (kind && !MEMORY_KINDS.includes(kind)) {
+      throw new AidenMemoryError(`Unknown memory kind: ${kind}`, 400, 'INVALID_MEMORY_KIND');
+    }
+
+    const result = await this.database.query(`
+      SELECT id, kind, content, source, recall_count, last_recalled_at, created_at, updated_at
+      FROM aiden_memories
+      WHERE user_id = $1
+      AND ($2::varchar IS NULL OR kind = $2)
+      ORDER BY updated_at DESC
+      LIMIT $3 OFFSET $4
+    `, [userId, kind, Math.min(Math.max(parseInt(limit) || 50, 1), 200), Math.max(parseInt(offset) || 0, 0)]);
+
+    return result.rows.map(row => this.formatMemory(row));
+  }
+
+  async get(userId, memoryId) {
+    if (!UUID_PATTERN.test(String(memoryId))) {
+      throw new AidenMemoryError('Memory not found', 404, 'MEMORY_NOT_FOUND');
+    }
+
+    const result = await this.database.query(`
+      SELECT id, kind, content, source, recall_count, last_recalled_at, created_at, updated_at
+      FROM aiden_memories
+      WHERE id = $1 AND user_id = $2
+    `, [memoryId, userId]);
+
+    if (result.rows.length === 0) {
+      throw new AidenMemoryError('Memory not found', 404, 'MEMORY_NOT_FOUND');
+    }
+
+    return this.formatMemory(result.rows[0]);
+  }
+
+  // source is 'conversation' for extracted memories and 'user' for ones the
+  // user entered. A near duplicate of an existing memory updates it.
+  async remember(userId, { kind = 'fact', content }, { source = 'user' } = {}) {
+    const text = this.validateContent(content);
+    if (!MEMORY_KINDS.includes(kind)) {
+      throw new AidenMemoryError(`Unknown memory kind: ${kind}`, 400, 'INVALID_MEMORY_KIND');
+    }
+
+    const { embedding, model } = await this.embedOne(text);
+
+    if (embedding) {
+      const rows = await this.loadEmbedded(userId);
+      const duplicate = rows
+        .map(row => ({ row, score: cosineSimilarity(row.embedding, embedding) }))
+        .filter(({ score }) => score >= DUPLICATE_SIMILARITY)
+        .sort((a, b) => b.score - a.score)[0];
+
+      if (duplicate) {
+        return this.write(userId, duplicate.row.id, { kind, content: text, embedding, model });
+      }
+    }
+
+    const result = await this.database.query(`
+      INSERT INTO aiden_memories (user_id, kind, content, source, embedding, embedding_model)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING id, kind, content, source, recall_count, last_recalled_at, created_at, updated_at
+    `, [userId, kind, text, source, embedding, model]);
+
+    await this.enforceLimit(userId);
+    this.cache.delete(String(userId));
+
+    return this.formatMemory(result.rows[0]);
+  }
+
+  async update(userId, memoryId, { kind, content } = {}) {
+    const current = await this.get(userId, memoryId);
+
+    if (kind !== undefined && !MEMORY_KINDS.includes(kind)) {
+      throw new AidenMemoryError(`Unknown memory kind: ${kind}`, 400, 'INVALID_MEMORY_KIND');
+    }
+
+    const text = content === undefined ? current.content : this.validateContent(content);
+    const { embedding, model } = text === current.content
+      ? { embedding: undefined, model: undefined }
+      : await this.embedOne(text);
+
+    return this.write(userId, memoryId, { kind: kind || current.kind, content: text, embedding, model });
+  }
+
+  async forget(userId, memoryId) {
+    if (!UUID_PATTERN.test(String(memoryId))) {
+      throw new AidenMemoryError('Memory not found', 404, 'MEMORY_NOT_FOUND');
+    }
+
+    const result = await this.database.query(
+      'DELETE FROM aiden_memories WHERE id = $1 AND user_id = $2',
+      [memoryId, userId]
+    );
+
+    if (result.rowCount === 0) {
+      throw new AidenMemoryError('Memory not found', 404, 'MEMORY_NOT_FOUND');
+    }
+
+    this.cache.delete(String(userId));
+    return true;
+  }
+
+  async clear(userId) {
+    const result = await this.database.query('DELETE FROM aiden_memories WHERE user_id = $1', [userId]);
+    this.cache.delete(String(userId));
+    return result.rowCount;
+  }
+
+  // Learning and recall
+
+  // Extracts memories from one exchange and stores them, resolves to the
+  // memories written
+  async learn(userId, userMessage, aiResponse) {
+    if (!this.ai.supports('chat')) return [];
+    // Greetings and one-word replies carry nothing worth keeping
+    if (String(userMessage).trim().split(/\s+/).length < 4) return [];
+
+    const completion = await this.ai.chat({
+      messages: [
+        { role: 'system', content: EXTRACTION_PROMPT },
+        { role: 'user', content: `User: ${userMessage}\n\nAiden: ${String(aiResponse).slice(0, 2000)}` }
+      ],
+      max_tokens: 400,
+      temperature: 0,
+      response_format: { type: 'json_object' }
+    }, { userId });
+
+    let extracted;
+    try {
+      extracted = JSON.parse(completion.choices[0].message.content).memories;
+    } catch (error) {
+      return [];
+    }
+    if (!Array.isArray(extracted)) return [];
+
+    const learned = [];
+    for (const memory of extracted.slice(0, MAX_PER_EXCHANGE)) {
+      if (!memory || typeof memory.content !== 'string' || !memory.content.trim()) continue;
+
+      learned.push(await this.remember(userId, {
+        kind: MEMORY_KINDS.includes(memory.kind) ? memory.kind : 'fact',
+        content: memory.content.trim().slice(0, MAX_CONTENT_LENGTH)
+      }, { source: 'conversation' }));
+    }
+
+    return learned;
+  }
+
+  // The memories most relevant to `query`, best first
+  async recall(userId, query, { limit = 5 } = {}) {
+    let recalled;
+
+    if (this.canEmbed) {
+      const [rows, { embedding }] = await Promise.all([this.loadEmbedded(userId), this.embedOne(query)]);
+
+      recalled = rows
+        .map(row => ({ ...row, score: cosineSimilarity(row.embedding, embedding) }))
+        .filter(row => row.score >= MIN_RECALL_SIMILARITY)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+    } else {
+      const result = await this.database.query(`
+        SELECT id, kind, content FROM aiden_memories
+        WHERE user_id = $1
+        ORDER BY updated_at DESC
+        LIMIT $2
+      `, [userId, limit]);
+      recalled = result.rows;
+    }
+
+    if (recalled.length > 0) {
+      await this.database.query(`
+        UPDATE aiden_memories SET
+          recall_count = recall_count + 1,
+          last_recalled_at = CURRENT_TIMESTAMP
+        WHERE id = ANY($1::uuid[])
+      `, [recalled.map(row => row.id)]);
+    }
+
+    return recalled.map(({ id, kind, content, score }) => ({ id, kind, content, score: score ?? null }));
+  }
+
+  // Internals
+
+  async write(userId, memoryId, { kind, content, embedding, model }) {
+    // embedding undefined keeps the stored vector
+    const result = await this.database.query(`
+      UPDATE aiden_memories SET
+        kind = $3,
+        content = $4,
+        embedding = CASE WHEN $5::boolean THEN $6::real[] ELSE embedding END,
+        embedding_model = CASE WHEN $5::boolean THEN $7 ELSE embedding_model END,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND user_id = $2
+      RETURNING id, kind, content, source, recall_count, last_recalled_at, created_at, updated_at
+    `, [memoryId, userId, kind, content, embedding !== undefined, embedding || null, model || null]);
+
+    if (result.rows.length === 0) {
+      throw new AidenMemoryError('Memory not found', 404, 'MEMORY_NOT_FOUND');
+    }
+
+    this.cache.delete(String(userId));
+    return this.formatMemory(result.rows[0]);
+  }
+
+  async embedOne(text) {
+    if (!this.canEmbed) return { embedding: null, model: null };
+
+    const model = this.ai.getDefaultModel('embedding');
+    const [embedding] = await this.ai.embed([text], { model });
+    return { embedding, model };
+  }
+
+  // The user's memories with current embeddings. Rows embedded by another
+  // model (the server switched providers) are re-embedded here.
+  async loadEmbedded(userId) {
+    const key = String(userId);
+    const cached = this.cache.get(key);
+    if (cached && cached.expiresAt > Date.now()) return cached.rows;
+
+    const result = await this.database.query(`
+      SELECT id, kind, content, embedding, embedding_model
+      FROM aiden_memories
+      WHERE user_id = $1
+    `, [userId]);
+
+    const model = this.ai.getDefaultModel('embedding');
+    const stale = result.rows.filter(row => !row.embedding || row.embedding_model !== model);
+
+    for (let i = 0; i < stale.length; i += EMBED_BATCH_SIZE) {
+      const batch = stale.slice(i, i + EMBED_BATCH_SIZE);
+      const vectors = await this.ai.embed(batch.map(row => row.content), { model });
+
+      for (const [index, row] of batch.entries()) {
+        row.embedding = vectors[index];
+        row.embedding_model = model;
+        await this.database.query(
+          'UPDATE aiden_memories SET embedding = $2, embedding_model = $3 WHERE id = $1',
+          [row.id, row.embedding, model]
+        );
+      }
+    }
+
+    const rows = result.rows.map(({ id, kind, content, embedding }) => ({ id, kind, content, embedding }));
+    this.cache.set(key, { rows, expiresAt: Date.now() + CACHE_MS });
+    return rows;
+  }
+
+  // Past the limit, the extracted memories used least recently go first,
+  // ones the user entered are kept
+  async enforceLimit(userId) {
+    const entered = await this.database.query(
+      `SELECT COUNT(*) AS count FROM aiden_memories WHERE user_id = $1 AND source = 'user'`,
+      [userId]
+    );
+
+    await this.database.query(`
+      DELETE FROM aiden_memories
+      WHERE id IN (
+        SELECT id FROM aiden_memories
+        WHERE user_id = $1 AND source = 'conversation'
+        ORDER BY COALESCE(last_recalled_at, updated_at) DESC
+        OFFSET $2
+      )
+    `, [userId, Math.max(this.limit - parseInt(entered.rows[0].count), 0)]);
+  }
+
+  validateContent(content) {
+    if (typeof content !== 'string' || !content.trim()) {
+      throw new AidenMemoryError('Memory content is required', 400, 'INVALID_MEMORY');
+    }
+    if (content.trim().length > MAX_CONTENT_LENGTH) {
+      throw new AidenMemoryError(`Memory content must be at most ${MAX_CONTENT_LENGTH} characters`, 400, 'INVALID_MEMORY');
+    }
+    return content.trim();
+  }
+
+  formatMemory(row) {
+    return {
+      id: row.id,
+      kind: row.kind,
+      content: row.content,
+      source: row.source,
+      recallCount: row.recall_count,
+      lastRecalledAt: row.last_recalled_at,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+AidenMemoryStore.MEMORY_KINDS = MEMORY_KINDS;
+
+module.exports = AidenMemoryStore;
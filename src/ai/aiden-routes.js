@@ -1,5 +1,6 @@
 const express = require('express');
 const AidenCompanion = require('./aiden-companion');
+const AIStreamService = require('./stream-service');
 const authMiddleware = require('../middleware/auth');
 const Logger = require('../utils/enhanced-logger');
 const rateLimit = require('express-rate-limit');
@@ -42,6 +43,11 @@ class AidenRoutes {
     // Enhanced chat with advanced capabilities
     this.router.post('/enhanced-chat', aidenRateLimit, this.enhancedChat.bind(this));
 
+    // Streamed variants (server-sent events), also broadcast as ai_stream_* socket events
+    this.router.post('/chat/stream', aidenRateLimit, (req, res) => this.streamChat(req, res));
+    this.router.post('/enhanced-chat/stream', aidenRateLimit, (req, res) => this.streamChat(req, res, { enhanced: true }));
+    this.router.delete('/streams/:streamId', this.cancelStream.bind(this));
+
     // Get Aiden's status and capabilities
     this.router.get('/status', this.getStatus.bind(this));
 
@@ -51,9 +57,19 @@ class AidenRoutes {
     // Get conversation history with Aiden
     this.router.get('/history', this.getHistory.bind(this));
 
-    // Clear conversation memory
+    // Clear conversation memory, long-term memories included
     this.router.delete('/memory', this.clearMemory.bind(this));
 
+    // Long-term memories, one by one
+    this.router.get('/memories', this.listMemories.bind(this));
+    this.router.post('/memories', this.addMemory.bind(this));
+    this.router.get('/memories/:memoryId', this.getMemory.bind(this));
+    this.router.patch('/memories/:memoryId', this.updateMemory.bind(this));
+    this.router.delete('/memories/:memoryId', this.deleteMemory.bind(this));
+
+    // Tools Aiden called on the user's behalf
+    this.router.get('/tool-invocations', this.listToolInvocations.bind(this));
+
     // Health check for Aiden
     this.router.get('/health', this.healthCheck.bind(this));
 
@@ -135,6 +151,101 @@ class AidenRoutes {
     }
   }
 
+  async streamChat(req, res, { enhanced = false } = {}) {
+    const { message, context = {} } = req.body;
+    const userId = req.user.id;
+    // Replies to a chat are streamed into its room, the rest to the user's own
+    const chatId = req.body.chatId || context.chatId || null;
+
+    if (!message || typeof message !== 'string' || message.trim().length === 0) {
+      return res.status(400).json({
+        error: 'Message is required and must be a non-empty string'
+      });
+    }
+
+    if (message.length > 4000) {
+      return res.status(400).json({
+        error: 'Message is too long. Please keep it under 4000 characters.'
+      });
+    }
+
+    const streams = req.app.get('aiStreams');
+    if (!streams) {
+      return res.status(503).json({
+        error: 'Streaming responses are not available',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const events = AIStreamService.openEventStream(res);
+
+    try {
+      const result = await streams.run({
+        userId,
+        chatId,
+        source: 'aiden',
+        signal: events.signal,
+        send: events.send,
+        generate: ({ signal, onDelta }) => this.aidenCompanion.streamChat(userId, message.trim(), {
+          ...context,
+          chatId,
+          userAgent: req.get('User-Agent'),
+          timestamp: new Date().toISOString()
+        }, { signal, onDelta, enhanced, io: req.app.get('io'), chatService: req.app.get('chatService') })
+      });
+
+      this.logger.info('Aiden stream finished', {
+        userId,
+        streamId: result.streamId,
+        cancelled: Boolean(result.cancelled),
+        responseLength: result.message.length
+      });
+
+    } catch (error) {
+      this.logger.error('Aiden stream failed', {
+        error: error.message,
+        userId,
+        chatId
+      });
+
+      // Once the stream has started the failure went out as ai_stream_end
+      if (!res.headersSent) {
+        const statusCode = error.status || (error.message.includes('unavailable') ? 503 : 500);
+        return res.status(statusCode).json({
+          error: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+    } finally {
+      events.end();
+    }
+  }
+
+  async cancelStream(req, res) {
+    try {
+      const streams = req.app.get('aiStreams');
+      if (!streams) {
+        return res.status(503).json({
+          error: 'Streaming responses are not available',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      streams.cancel(req.params.streamId, req.user.id);
+
+      res.json({
+        success: true,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      res.status(error.status || 500).json({
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
   async getStatus(req, res) {
     try {
       const status = this.aidenCompanion.getStatus();
@@ -202,13 +313,14 @@ class AidenRoutes {
     try {
       const userId = req.user.id;
 
-      this.aidenCompanion.clearUserMemory(userId);
+      const forgotten = await this.aidenCompanion.clearUserMemory(userId);
 
-      this.logger.info('Aiden memory cleared for user', { userId });
+      this.logger.info('Aiden memory cleared for user', { userId, forgotten });
 
       res.json({
         success: true,
         message: 'Conversation memory cleared',
+        forgotten,
         timestamp: new Date().toISOString()
       });
 
@@ -225,6 +337,124 @@ class AidenRoutes {
     }
   }
 
+  async listMemories(req, res) {
+    try {
+      const { kind, limit, offset } = req.query;
+      const memories = await this.aidenCompanion.longTermMemory.list(req.user.id, { kind, limit, offset });
+
+      res.json({
+        success: true,
+        memories,
+        count: memories.length,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      this.sendMemoryError(req, res, error, 'Failed to list Aiden memories');
+    }
+  }
+
+  async addMemory(req, res) {
+    try {
+      const { kind, content } = req.body;
+      const memory = await this.aidenCompanion.longTermMemory.remember(req.user.id, { kind, content }, { source: 'user' });
+
+      res.status(201).json({
+        success: true,
+        memory,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      this.sendMemoryError(req, res, error, 'Failed to add Aiden memory');
+    }
+  }
+
+  async getMemory(req, res) {
+    try {
+      const memory = await this.aidenCompanion.longTermMemory.get(req.user.id, req.params.memoryId);
+
+      res.json({
+        success: true,
+        memory,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      this.sendMemoryError(req, res, error, 'Failed to get Aiden memory');
+    }
+  }
+
+  async updateMemory(req, res) {
+    try {
+      const { kind, content } = req.body;
+      const memory = await this.aidenCompanion.longTermMemory.update(req.user.id, req.params.memoryId, { kind, content });
+
+      res.json({
+        success: true,
+        memory,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      this.sendMemoryError(req, res, error, 'Failed to update Aiden memory');
+    }
+  }
+
+  async deleteMemory(req, res) {
+    try {
+      await this.aidenCompanion.longTermMemory.forget(req.user.id, req.params.memoryId);
+
+      res.json({
+        success: true,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      this.sendMemoryError(req, res, error, 'Failed to delete Aiden memory');
+    }
+  }
+
+  // Validation and not-found errors carry a status, anything else is logged as a 500
+  sendMemoryError(req, res, error, message) {
+    if (!error.status) {
+      this.logger.error(message, {
+        error: error.message,
+        userId: req.user?.id
+      });
+    }
+
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : message,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  async listToolInvocations(req, res) {
+    try {
+      const { limit, before } = req.query;
+      const invocations = await this.aidenCompanion.tools.listInvocations({ userId: req.user.id, limit, before });
+
+      res.json({
+        success: true,
+        invocations,
+        count: invocations.length,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      this.logger.error('Failed to list Aiden tool invocations', {
+        error: error.message,
+        userId: req.user.id
+      });
+
+      res.status(500).json({
+        error: 'Failed to list tool invocations',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
   async healthCheck(req, res) {
     try {
       const health = await this.aidenCompanion.healthCheck();
@@ -307,7 +537,10 @@ class AidenRoutes {
         hasContext: Object.keys(context).length > 0
       });
 
-      const response = await this.aidenCompanion.enhancedChat(userId, message.trim(), context);
+      const response = await this.aidenCompanion.enhancedChat(userId, message.trim(), context, {
+        io: req.app.get('io'),
+        chatService: req.app.get('chatService')
+      });
 
       res.json({
         success: true,
@@ -0,0 +1,88 @@
+const fs = require('fs').promises;
+const path = require('path');
+const AdmZip = require('adm-zip');
+
+// Larger uploads are skipped rather than read into memory
+const MAX_DOCUMENT_BYTES = 20 * 1024 * 1024;
+const MAX_TEXT_LENGTH = 500 * 1000;
+
+const MIME_TYPES = {
+  'application/pdf': 'pdf',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+  'text/plain': 'txt',
+  'text/markdown': 'txt'
+};
+
+const EXTENSIONS = {
+  '.pdf': 'pdf',
+  '.docx': 'docx',
+  '.txt': 'txt',
+  '.md': 'txt'
+};
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+// 'pdf', 'docx' or 'txt' for documents whose text can be extracted, null otherwise.
+// Browsers send some uploads as application/octet-stream, the extension decides then.
+function documentType(mimeType, fileName = '') {
+  return MIME_TYPES[mimeType] || EXTENSIONS[path.extname(fileName).toLowerCase()] || null;
+}
+
+// Plain text of an uploaded document, null when there is none to read
+async function extractText(filePath, type) {
+  const stats = await fs.stat(filePath);
+  if (stats.size === 0 || stats.size > MAX_DOCUMENT_BYTES) return null;
+
+  let text;
+  switch (type) {
+    case 'pdf':
+      text = await extractPdf(filePath);
+      break;
+    case 'docx':
+      text = extractDocx(filePath);
+      break;
+    case 'txt':
+      text = await fs.readFile(filePath, 'utf8');
+      break;
+    default:
+      return null;
+  }
+
+  text = normalizeWhitespace(text || '');
+  return text ? text.substring(0, MAX_TEXT_LENGTH) : null;
+}
+
+async function extractPdf(filePath) {
+  // The package's index.js runs a self-test when loaded this way, lib/ does not
+  const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+  const result = await pdfParse(await fs.readFile(filePath));
+  return result.text;
+}
+
+// A .docx is a zip, the body text lives in word/document.xml
+function extractDocx(filePath) {
+  const entry = new AdmZip(filePath).getEntry('word/document.xml');
+  if (!entry) return null;
+
+  return entry.getData().toString('utf8')
+    .replace(/<w:tab\/>/g, '\t')
+    .replace(/<w:br\/>|<\/w:p>/g, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+      if (entity[0] !== '#') return XML_ENTITIES[entity] || match;
+      const code = entity[1] === 'x' || entity[1] === 'X'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      return String.fromCodePoint(code);
+    });
+}
+
+function normalizeWhitespace(text) {
+  return text
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+module.exports = { documentType, extractText };
@@ -1,13 +1,11 @@
-const OpenAI = require('openai');
 const { Pool } = require('pg');
 const crypto = require('crypto');
 const axios = require('axios');
+const { getAIClient } = require('./providers');
 
 class EnhancedAIService {
     constructor() {
-        this.openai = new OpenAI({
-            apiKey: process.env.OPENAI_API_KEY
-        });
+        this.ai = getAIClient();
 
         this.pool = new Pool({
             connectionString: process.env.DATABASE_URL
@@ -56,19 +54,18 @@ class EnhancedAIService {
             ];
 
             // Generate response
-            const completion = await this.openai.chat.completions.create({
-                model: process.env.OPENAI_MODEL || 'gpt-4-turbo-preview',
+            const completion = await this.ai.chat({
                 messages: messages,
                 max_tokens: 2000,
                 temperature: 0.7,
                 presence_penalty: 0.1,
                 frequency_penalty: 0.1
-            });
+            }, { role: 'assistant', userId, chatId });
 
             const response = completion.choices[0].message.content;
 
             // Store conversation in memory and database
-            await this.storeConversation(userId, chatId, message, response);
+            await this.storeConversation(userId, chatId, message, response, completion.model);
 
             // Analyze sentiment and intent
             const analysis = await this.analyzeMessage(message);
@@ -85,17 +82,51 @@ class EnhancedAIService {
         }
     }
 
-    // Image generation with DALL-E
+    // generateResponse with the reply streamed to onDelta, see AIClient.streamChat.
+    // A cancelled reply is stored with what was generated up to that point.
+    async streamResponse({ userId, message, chatId, context = {}, signal, onDelta }) {
+        try {
+            const conversationHistory = await this.getConversationHistory(userId, chatId);
+            const userPrefs = await this.getUserPreferences(userId);
+            const systemPrompt = this.buildSystemPrompt(userPrefs, context);
+
+            const reply = await this.ai.streamChat({
+                messages: [
+                    { role: 'system', content: systemPrompt },
+                    ...conversationHistory,
+                    { role: 'user', content: message }
+                ],
+                max_tokens: 2000,
+                temperature: 0.7,
+                presence_penalty: 0.1,
+                frequency_penalty: 0.1
+            }, { role: 'assistant', userId, chatId, signal, onDelta });
+
+            if (reply.content) {
+                await this.storeConversation(userId, chatId, message, reply.content, reply.model);
+            }
+
+            return {
+                message: reply.content,
+                model: reply.model,
+                cancelled: reply.cancelled
+            };
+
+        } catch (error) {
+            throw new Error(`AI response generation failed: ${error.message}`);
+        }
+    }
+
+    // Image generation
     async generateImage({ prompt, userId, size = '1024x1024', quality = 'standard', style = 'vivid' }) {
         try {
-            const response = await this.openai.images.generate({
-                model: 'dall-e-3',
+            const response = await this.ai.generateImage({
                 prompt: prompt,
                 n: 1,
                 size: size,
                 quality: quality,
                 style: style
-            });
+            }, { userId });
 
             const imageUrl = response.data[0].url;
             const revisedPrompt = response.data[0].revised_prompt;
@@ -114,15 +145,14 @@ class EnhancedAIService {
         }
     }
 
-    // Text-to-speech using OpenAI's TTS
+    // Text-to-speech
     async generateSpeech({ text, userId, voice = 'alloy', format = 'mp3' }) {
         try {
-            const response = await this.openai.audio.speech.create({
-                model: 'tts-1',
+            const response = await this.ai.speech({
                 voice: voice,
                 input: text,
                 response_format: format
-            });
+            }, { userId });
 
             // Save audio file
             const filename = `speech-${crypto.randomUUID()}.${format}`;
@@ -160,12 +190,11 @@ class EnhancedAIService {
     // Speech-to-text transcription
     async transcribeAudio({ audioFile, userId, language = 'en' }) {
         try {
-            const transcription = await this.openai.audio.transcriptions.create({
+            const transcription = await this.ai.transcribe({
                 file: audioFile,
-                model: 'whisper-1',
                 language: language,
                 response_format: 'verbose_json'
-            });
+            }, { userId });
 
             // Store transcription
             await this.storeTranscription(userId, transcription);
@@ -187,8 +216,7 @@ class EnhancedAIService {
         try {
             const prompt = `Translate the following text ${sourceLanguage !== 'auto' ? `from ${sourceLanguage}` : ''} to ${targetLanguage}. Only return the translation, no explanations:\n\n${text}`;
 
-            const completion = await this.openai.chat.completions.create({
-                model: 'gpt-3.5-turbo',
+            const completion = await this.ai.chat({
                 messages: [
                     { role: 'system', content: 'You are a professional translator. Provide accurate translations maintaining the original tone and context.' },
                     { role: 'user', content: prompt }
@@ -225,8 +253,7 @@ class EnhancedAIService {
 
             const prompt = `Summarize the following text ${lengthMap[length]} in a ${style} style:\n\n${text}`;
 
-            const completion = await this.openai.chat.completions.create({
-                model: 'gpt-3.5-turbo',
+            const completion = await this.ai.chat({
                 messages: [
                     { role: 'system', content: 'You are an expert at summarizing content while preserving key information and context.' },
                     { role: 'user', content: prompt }
@@ -252,8 +279,7 @@ class EnhancedAIService {
     // Sentiment analysis
     async analyzeMessage(message) {
         try {
-            const completion = await this.openai.chat.completions.create({
-                model: 'gpt-3.5-turbo',
+            const completion = await this.ai.chat({
                 messages: [
                     {
                         role: 'system',
@@ -312,8 +338,7 @@ class EnhancedAIService {
                     prompt = `Help with this ${language} code:\n\n${code}`;
             }
 
-            const completion = await this.openai.chat.completions.create({
-                model: 'gpt-4-turbo-preview',
+            const completion = await this.ai.chat({
                 messages: [
                     {
                         role: 'system',
@@ -323,7 +348,7 @@ class EnhancedAIService {
                 ],
                 max_tokens: 1500,
                 temperature: 0.2
-            });
+            }, { role: 'assistant', userId });
 
             return {
                 analysis: completion.choices[0].message.content,
@@ -344,8 +369,7 @@ class EnhancedAIService {
 
             const prompt = `Research and provide information about: ${query}. Include key facts, recent developments, and reliable sources.`;
 
-            const completion = await this.openai.chat.completions.create({
-                model: 'gpt-4-turbo-preview',
+            const completion = await this.ai.chat({
                 messages: [
                     {
                         role: 'system',
@@ -355,7 +379,7 @@ class EnhancedAIService {
                 ],
                 max_tokens: 1000,
                 temperature: 0.3
-            });
+            }, { role: 'assistant', userId });
 
             return {
                 query,
@@ -385,8 +409,7 @@ class EnhancedAIService {
                 script: `Write a ${lengthMap[length]} ${style} script based on: ${prompt}`
             };
 
-            const completion = await this.openai.chat.completions.create({
-                model: 'gpt-4-turbo-preview',
+            const completion = await this.ai.chat({
                 messages: [
                     {
                         role: 'system',
@@ -396,7 +419,7 @@ class EnhancedAIService {
                 ],
                 max_tokens: 2000,
                 temperature: 0.8
-            });
+            }, { role: 'assistant', userId });
 
             return {
                 content: completion.choices[0].message.content,
@@ -482,7 +505,7 @@ Guidelines:
         }
     }
 
-    async storeConversation(userId, chatId, userMessage, aiResponse) {
+    async storeConversation(userId, chatId, userMessage, aiResponse, model = null) {
         try {
             // Store in conversation memory
             const conversationKey = `${userId}-${chatId}`;
@@ -511,7 +534,7 @@ Guidelines:
                 aiResponse,
                 JSON.stringify({
                     ai_generated: true,
-                    model: 'gpt-4',
+                    model: model || this.ai.getDefaultModel('assistant'),
                     timestamp: new Date()
                 })
             ]);
@@ -532,7 +555,7 @@ Guidelines:
                 prompt,
                 revisedPrompt,
                 imageUrl,
-                JSON.stringify({ model: 'dall-e-3', timestamp: new Date() })
+                JSON.stringify({ model: this.ai.getDefaultModel('image'), timestamp: new Date() })
             ]);
 
         } catch (error) {
@@ -553,7 +576,7 @@ Guidelines:
                 transcription.duration,
                 JSON.stringify({
                     segments: transcription.segments,
-                    model: 'whisper-1',
+                    model: this.ai.getDefaultModel('stt'),
                     timestamp: new Date()
                 })
             ]);
@@ -619,7 +642,7 @@ Guidelines:
 
     async moderateContent(content) {
         try {
-            const moderation = await this.openai.moderations.create({
+            const moderation = await this.ai.moderate({
                 input: content
             });
 
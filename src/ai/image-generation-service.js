@@ -1,17 +1,17 @@
-const OpenAI = require('openai');
 const Logger = require('../utils/enhanced-logger');
 const fs = require('fs').promises;
 const path = require('path');
 const axios = require('axios');
+const { getAIClient } = require('./providers');
 
 /**
  * Image Generation Service for AI Assistant
- * Provides image generation capabilities using OpenAI DALL-E
+ * Provides image generation capabilities using the AI provider's image model
  */
 class ImageGenerationService {
   constructor() {
     this.logger = new Logger('ImageGenerationService');
-    this.openai = null;
+    this.ai = getAIClient();
     this.isReady = false;
     this.generationHistory = new Map();
     this.uploadDir = 'uploads/generated-images';
@@ -20,18 +20,11 @@ class ImageGenerationService {
 
   async initialize() {
     try {
-      const apiKey = process.env.OPENAI_API_KEY;
-      if (!apiKey) {
-        this.logger.warn('OPENAI_API_KEY not found - Image generation service will be unavailable');
+      if (!this.ai.supports('images')) {
+        this.logger.warn(`The ${this.ai.name} AI provider has no image support - Image generation service will be unavailable`);
         return;
       }
 
-      this.openai = new OpenAI({
-        apiKey,
-        timeout: 120000, // 2 minutes for image generation
-        maxRetries: 3
-      });
-
       // Ensure upload directory exists
       await this.ensureUploadDirectory();
 
@@ -58,7 +51,7 @@ class ImageGenerationService {
     }
 
     const {
-      model = 'dall-e-3',
+      model: requestedModel = null,
       size = '1024x1024',
       quality = 'standard',
       style = 'vivid',
@@ -68,6 +61,8 @@ class ImageGenerationService {
     } = options;
 
     try {
+      const model = await this.ai.resolveModel('image', { model: requestedModel });
+
       // Enhance prompt for better results
       const enhancedPrompt = enhancePrompt ? await this.enhancePrompt(prompt) : prompt;
 
@@ -79,7 +74,6 @@ class ImageGenerationService {
       });
 
       const requestOptions = {
-        model,
         prompt: enhancedPrompt,
         size,
         quality,
@@ -92,7 +86,7 @@ class ImageGenerationService {
         requestOptions.style = style;
       }
 
-      const response = await this.openai.images.generate(requestOptions);
+      const response = await this.ai.generateImage(requestOptions, { model });
 
       const results = [];
 
@@ -151,8 +145,7 @@ class ImageGenerationService {
   async enhancePrompt(originalPrompt) {
     try {
       // Use GPT to enhance the prompt for better image generation
-      const enhancementResponse = await this.openai.chat.completions.create({
-        model: 'gpt-4o-mini',
+      const enhancementResponse = await this.ai.chat({
         messages: [
           {
             role: 'system',
@@ -256,7 +249,7 @@ Transform the user's prompt into a detailed, artistic description that will prod
         requestOptions.mask = maskBuffer;
       }
 
-      const response = await this.openai.images.edit(requestOptions);
+      const response = await this.ai.editImage(requestOptions);
 
       const results = [];
 
@@ -320,7 +313,7 @@ Transform the user's prompt into a detailed, artistic description that will prod
         variations: n
       });
 
-      const response = await this.openai.images.createVariation({
+      const response = await this.ai.createImageVariation({
         image: imageBuffer,
         size,
         n,
@@ -372,7 +365,7 @@ Transform the user's prompt into a detailed, artistic description that will prod
 
   async generateImageSeries(basePrompt, variations, options = {}) {
     const {
-      model = 'dall-e-3',
+      model = null,
       size = '1024x1024',
       saveLocally = true
     } = options;
@@ -469,8 +462,7 @@ Transform the user's prompt into a detailed, artistic description that will prod
 
   async getImageSuggestions(description) {
     try {
-      const response = await this.openai.chat.completions.create({
-        model: 'gpt-4o-mini',
+      const response = await this.ai.chat({
         messages: [
           {
             role: 'system',
@@ -501,6 +493,8 @@ Transform the user's prompt into a detailed, artistic description that will prod
   getStatus() {
     return {
       ready: this.isReady,
+      provider: this.ai.name,
+      defaultModel: this.ai.getDefaultModel('image'),
       modelsAvailable: ['dall-e-2', 'dall-e-3'],
       supportedSizes: {
         'dall-e-2': ['256x256', '512x512', '1024x1024'],
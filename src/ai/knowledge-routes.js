@@ -0,0 +1,96 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const authMiddleware = require('../middleware/auth');
+
+// "Ask the workspace" over a WorkspaceKnowledgeService
+//   POST /workspaces/:workspaceId/ask      { question, chatId?, limit? }
+//   GET  /workspaces/:workspaceId/status   index size for the current model
+//   POST /workspaces/:workspaceId/reindex  index older history (admins)
+class KnowledgeRoutes {
+  constructor(knowledgeService) {
+    this.router = express.Router();
+    this.knowledge = knowledgeService;
+
+    // Every question costs an embedding and a completion
+    this.askLimit = rateLimit({
+      windowMs: 60 * 1000,
+      max: 20,
+      keyGenerator: (req) => String(req.user.id),
+      standardHeaders: true,
+      legacyHeaders: false,
+      message: { success: false, message: 'Too many questions, please wait a moment' }
+    });
+
+    this.initializeRoutes();
+  }
+
+  getRouter() {
+    return this.router;
+  }
+
+  initializeRoutes() {
+    this.router.use(authMiddleware);
+
+    this.router.post('/workspaces/:workspaceId/ask', this.askLimit, this.ask.bind(this));
+    this.router.get('/workspaces/:workspaceId/status', this.getStatus.bind(this));
+    this.router.post('/workspaces/:workspaceId/reindex', this.reindex.bind(this));
+  }
+
+  async ask(req, res) {
+    try {
+      const { question, chatId = null, limit } = req.body;
+      const result = await this.knowledge.ask(req.user.id, req.params.workspaceId, question, { chatId, limit });
+
+      res.json({
+        success: true,
+        ...result
+      });
+
+    } catch (error) {
+      this.sendError(res, error, 'Failed to answer the question');
+    }
+  }
+
+  async getStatus(req, res) {
+    try {
+      const status = await this.knowledge.getStatus(req.params.workspaceId, req.user.id);
+
+      res.json({
+        success: true,
+        status
+      });
+
+    } catch (error) {
+      this.sendError(res, error, 'Failed to get the knowledge index status');
+    }
+  }
+
+  async reindex(req, res) {
+    try {
+      const result = await this.knowledge.reindex(req.params.workspaceId, req.user.id);
+
+      res.status(202).json({
+        success: true,
+        ...result
+      });
+
+    } catch (error) {
+      this.sendError(res, error, 'Failed to start reindexing');
+    }
+  }
+
+  // Errors with a status are the caller's, anything else is logged as a 500
+  sendError(res, error, message) {
+    if (!error.status) {
+      console.error(`${message}:`, error);
+    }
+
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : message,
+      error: error.code
+    });
+  }
+}
+
+module.exports = KnowledgeRoutes;
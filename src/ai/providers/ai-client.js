@@ -0,0 +1,312 @@
+const database = require('../../database/optimized-connection');
+const { AIProviderError } = require('./errors');
+
+const MODEL_ROLES = ['chat', 'assistant', 'vision', 'embedding', 'image', 'tts', 'stt'];
+const WORKSPACE_CACHE_MS = 60 * 1000;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const MODEL_NAME_PATTERN = /^[\w.:/-]{1,100}$/;
+
+// What the AI services talk to: one provider plus model selection. Calls
+// name a model role rather than a model:
+//   chat       short everyday completions (summaries, suggestions, analysis)
+//   assistant  Aiden and the other long-form assistant replies
+//   vision     image understanding
+//   embedding, image, tts, stt
+// The model for a role is, first match wins:
+//   1. the workspace's settings.ai.models, when the call carries a workspace
+//      (workspaceId, or the chatId of a workspace chat) and a member userId
+//   2. AI_MODEL_<ROLE>, e.g. AI_MODEL_ASSISTANT
+//   3. the provider's default
+class AIClient {
+  constructor(provider, { dbConnection } = {}) {
+    this.provider = provider;
+    this.database = dbConnection || database;
+    this.workspaceSettings = new Map(); // `${workspaceId}:${userId}` -> { scoped, expiresAt }
+  }
+
+  get name() {
+    return this.provider.name;
+  }
+
+  get isAvailable() {
+    return this.provider.isAvailable;
+  }
+
+  supports(capability) {
+    return this.provider.supports(capability);
+  }
+
+  checkConnection() {
+    return this.provider.checkConnection();
+  }
+
+  getDefaultModel(role) {
+    const fromEnv = process.env[`AI_MODEL_${role.toUpperCase()}`]
+      // OPENAI_MODEL predates the roles and always meant the assistant model
+      || (role === 'assistant' ? process.env.OPENAI_MODEL : null);
+
+    return fromEnv || this.provider.defaultModels[role] || null;
+  }
+
+  // scope: { workspaceId, chatId, userId, model }, an explicit model wins
+  async resolveModel(role, scope = {}) {
+    if (!MODEL_ROLES.includes(role)) {
+      throw new AIProviderError(`Unknown model role: ${role}`, 500, 'UNKNOWN_MODEL_ROLE');
+    }
+
+    if (scope.model) return scope.model;
+
+    const models = await this.getScopedModels(scope);
+    const model = models[role] || this.getDefaultModel(role);
+    if (!model) {
+      throw new AIProviderError(
+        `No ${role} model is configured for the ${this.provider.name} provider`,
+        501,
+        'AI_CAPABILITY_UNAVAILABLE'
+      );
+    }
+
+    return model;
+  }
+
+  async getScopedModels(scope = {}) {
+    const { settings } = await this.getScopedSettings(scope);
+    return settings.models || {};
+  }
+
+  // settings.ai of the workspace a call belongs to, for an active member.
+  // Resolves to { workspaceId, settings }, workspaceId null outside one.
+  async getScopedSettings({ workspaceId = null, chatId = null, userId = null } = {}) {
+    if (!userId) return { workspaceId: null, settings: {} };
+
+    try {
+      if (!workspaceId && UUID_PATTERN.test(String(chatId))) {
+        const chat = await this.database.query('SELECT workspace_id FROM chats WHERE id = $1', [chatId]);
+        workspaceId = chat.rows[0]?.workspace_id || null;
+      }
+
+      if (!UUID_PATTERN.test(String(workspaceId))) return { workspaceId: null, settings: {} };
+
+      const key = `${workspaceId}:${userId}`;
+      const cached = this.workspaceSettings.get(key);
+      if (cached && cached.expiresAt > Date.now()) return cached.scoped;
+
+      const result = await this.database.query(`
+        SELECT w.settings->'ai' AS settings
+        FROM workspaces w
+        JOIN workspace_members wm ON wm.workspace_id = w.id
+        WHERE w.id = $1
+        AND wm.user_id = $2
+        AND wm.status = 'active'
+      `, [workspaceId, userId]);
+
+      const scoped = result.rows.length > 0
+        ? { workspaceId, settings: result.rows[0].settings || {} }
+        : { workspaceId: null, settings: {} };
+      this.workspaceSettings.set(key, { scoped, expiresAt: Date.now() + WORKSPACE_CACHE_MS });
+      return scoped;
+
+    } catch (error) {
+      // A broken lookup falls back to the defaults instead of failing the AI call
+      console.warn('Failed to load workspace AI settings:', error.message);
+      return { workspaceId: null, settings: {} };
+    }
+  }
+
+  // Calls, each takes the OpenAI request shape without `model`
+
+  async chat(params, { role = 'chat', signal, ...scope } = {}) {
+    const model = await this.resolveModel(role, scope);
+    return this.provider.chat({ ...params, model }, { signal });
+  }
+
+  // Streams a completion, onDelta gets each piece of text as it arrives.
+  // Resolves to { content, toolCalls, model, finishReason, cancelled }, with
+  // tool calls assembled from their deltas. Aborting the signal ends the
+  // stream early with what arrived so far.
+  async streamChat(params, { role = 'chat', signal, onDelta = () => {}, ...scope } = {}) {
+    let model = await this.resolveModel(role, scope);
+    let content = '';
+    let finishReason = null;
+    const toolCalls = [];
+
+    try {
+      const stream = await this.provider.chat({ ...params, model, stream: true }, { signal });
+
+      for await (const chunk of stream) {
+        model = chunk.model || model;
+        const choice = chunk.choices?.[0];
+        if (choice?.finish_reason) finishReason = choice.finish_reason;
+
+        const delta = choice?.delta?.content;
+        if (delta) {
+          content += delta;
+          onDelta(delta);
+        }
+
+        for (const part of choice?.delta?.tool_calls || []) {
+          toolCalls[part.index] = toolCalls[part.index] || { id: null, type: 'function', function: { name: '', arguments: '' } };
+          const call = toolCalls[part.index];
+          if (part.id) call.id = part.id;
+          if (part.function?.name) call.function.name += part.function.name;
+          if (part.function?.arguments) call.function.arguments += part.function.arguments;
+        }
+      }
+    } catch (error) {
+      if (!signal?.aborted) throw error;
+    }
+
+    return {
+      content,
+      toolCalls: toolCalls.filter(Boolean),
+      model,
+      finishReason,
+      cancelled: Boolean(signal?.aborted)
+    };
+  }
+
+  // Resolves to one vector per input, in input order
+  async embed(input, scope = {}) {
+    const model = await this.resolveModel('embedding', scope);
+    const response = await this.provider.embed({ model, input });
+
+    return [...response.data]
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding);
+  }
+
+  async generateImage(params, scope = {}) {
+    const model = await this.resolveModel('image', scope);
+    return this.provider.generateImage({ ...params, model });
+  }
+
+  // Edits and variations only work with some image models (dall-e-2 on
+  // OpenAI), so without an explicit model the provider picks its own
+  async editImage(params, { model = null } = {}) {
+    return this.provider.editImage(model ? { ...params, model } : params);
+  }
+
+  async createImageVariation(params, { model = null } = {}) {
+    return this.provider.createImageVariation(model ? { ...params, model } : params);
+  }
+
+  async speech(params, scope = {}) {
+    const model = await this.resolveModel('tts', scope);
+    return this.provider.speech({ ...params, model });
+  }
+
+  async transcribe(params, scope = {}) {
+    const model = await this.resolveModel('stt', scope);
+    return this.provider.transcribe({ ...params, model });
+  }
+
+  async moderate(params) {
+    return this.provider.moderate(params);
+  }
+
+  // Workspace configuration
+
+  async getWorkspaceModels(workspaceId, userId) {
+    const member = await this.getMemberRole(workspaceId, userId);
+    if (!member) {
+      throw new AIProviderError('Workspace not found', 404, 'WORKSPACE_NOT_FOUND');
+    }
+
+    const result = await this.database.query(
+      `SELECT settings->'ai'->'models' AS models FROM workspaces WHERE id = $1`,
+      [workspaceId]
+    );
+
+    return this.formatWorkspaceModels(result.rows[0]?.models || {});
+  }
+
+  // { assistant: 'gpt-4o', embedding: null }, null goes back to the default
+  async updateWorkspaceModels(workspaceId, userId, updates = {}) {
+    const role = await this.getMemberRole(workspaceId, userId);
+    if (!role) {
+      throw new AIProviderError('Workspace not found', 404, 'WORKSPACE_NOT_FOUND');
+    }
+    if (!['owner', 'admin'].includes(role)) {
+      throw new AIProviderError('Workspace admin access required', 403, 'FORBIDDEN');
+    }
+
+    const allowed = (process.env.AI_ALLOWED_MODELS || '')
+      .split(',')
+      .map(model => model.trim())
+      .filter(Boolean);
+
+    for (const [key, model] of Object.entries(updates)) {
+      if (!MODEL_ROLES.includes(key)) {
+        throw new AIProviderError(`Unknown model role: ${key}`, 400, 'INVALID_MODEL_ROLE');
+      }
+      if (model === null) continue;
+      if (typeof model !== 'string' || !MODEL_NAME_PATTERN.test(model)) {
+        throw new AIProviderError(`Invalid model name for ${key}`, 400, 'INVALID_MODEL');
+      }
+      if (allowed.length > 0 && !allowed.includes(model)) {
+        throw new AIProviderError(`Model ${model} is not allowed on this server`, 400, 'MODEL_NOT_ALLOWED');
+      }
+    }
+
+    const current = await this.database.query(
+      `SELECT settings->'ai'->'models' AS models FROM workspaces WHERE id = $1`,
+      [workspaceId]
+    );
+
+    const models = { ...(current.rows[0]?.models || {}) };
+    for (const [key, model] of Object.entries(updates)) {
+      if (model === null) {
+        delete models[key];
+      } else {
+        models[key] = model;
+      }
+    }
+
+    await this.setWorkspaceSetting(workspaceId, 'models', models);
+    return this.formatWorkspaceModels(models);
+  }
+
+  // Writes one key of the workspace's settings.ai, null removes it
+  async setWorkspaceSetting(workspaceId, key, value) {
+    await this.database.query(`
+      UPDATE workspaces SET
+        settings = jsonb_set(
+          COALESCE(settings, '{}'::jsonb),
+          '{ai}',
+          (COALESCE(settings->'ai', '{}'::jsonb) - $2::text)
+            || CASE WHEN $3::jsonb IS NULL THEN '{}'::jsonb ELSE jsonb_build_object($2::text, $3::jsonb) END
+        ),
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `, [workspaceId, key, value === null ? null : JSON.stringify(value)]);
+
+    for (const cacheKey of this.workspaceSettings.keys()) {
+      if (cacheKey.startsWith(`${workspaceId}:`)) {
+        this.workspaceSettings.delete(cacheKey);
+      }
+    }
+  }
+
+  async getMemberRole(workspaceId, userId) {
+    if (!UUID_PATTERN.test(String(workspaceId))) return null;
+
+    const result = await this.database.query(`
+      SELECT role FROM workspace_members
+      WHERE workspace_id = $1 AND user_id = $2 AND status = 'active'
+    `, [workspaceId, userId]);
+
+    return result.rows[0]?.role || null;
+  }
+
+  formatWorkspaceModels(overrides) {
+    return {
+      provider: this.provider.name,
+      overrides,
+      models: Object.fromEntries(MODEL_ROLES.map(role => [role, overrides[role] || this.getDefaultModel(role)]))
+    };
+  }
+}
+
+AIClient.MODEL_ROLES = MODEL_ROLES;
+
+module.exports = AIClient;
@@ -0,0 +1,10 @@
+class AIProviderError extends Error {
+  constructor(message, status = 400, code = 'AI_PROVIDER_ERROR') {
+    super(message);
+    this.name = 'AIProviderError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+module.exports = { AIProviderError };
@@ -0,0 +1,245 @@
+const crypto = require('crypto');
+
+const DEFAULT_MODELS = {
+  chat: 'fake-chat',
+  assistant: 'fake-chat',
+  vision: 'fake-vision',
+  embedding: 'fake-embedding',
+  image: 'fake-image',
+  tts: 'fake-tts',
+  stt: 'fake-stt'
+};
+
+// 1x1 transparent PNG
+const PIXEL_PNG = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+
+function textOf(content) {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content.filter(part => part.type === 'text').map(part => part.text).join(' ');
+  }
+  return '';
+}
+
+function countTokens(text) {
+  return text.split(/\s+/).filter(Boolean).length;
+}
+
+// Deterministic stand-in for development and tests, no network calls.
+//
+// Chat answers echo the last user message, or come from `responses`: an
+// array used in order or a function (params) -> string. A response can also
+// be { content, tool_calls } to exercise tool calling. Embeddings hash the
+// words of the input, so texts sharing words end up close together and
+// retrieval can be exercised offline. Speech is silence, transcripts are
+// `transcript`. Streamed answers arrive a word per chunk, `streamDelay` ms
+// apart, so cancelling mid-stream can be tried out.
+class FakeProvider {
+  constructor({ responses = null, dimensions = 256, transcript = '[fake transcript]', streamDelay = 0 } = {}) {
+    this.name = 'fake';
+    this.defaultModels = DEFAULT_MODELS;
+    this.responses = responses;
+    this.dimensions = dimensions;
+    this.transcript = transcript;
+    this.streamDelay = streamDelay;
+    this.calls = []; // { method, params }, for assertions
+  }
+
+  get isAvailable() {
+    return true;
+  }
+
+  supports() {
+    return true;
+  }
+
+  async checkConnection() {}
+
+  nextResponse(params) {
+    if (typeof this.responses === 'function') return this.responses(params);
+    if (Array.isArray(this.responses) && this.responses.length > 0) return this.responses.shift();
+
+    const lastUser = [...params.messages].reverse().find(message => message.role === 'user');
+    const reply = `Fake reply: ${textOf(lastUser?.content).slice(0, 200)}`;
+
+    return params.response_format?.type === 'json_object' ? JSON.stringify({ reply }) : reply;
+  }
+
+  async chat(params, { signal } = {}) {
+    this.calls.push({ method: 'chat', params });
+
+    const response = this.nextResponse(params);
+    const { content = null, tool_calls: toolCalls = null } = typeof response === 'string' ? { content: response } : response;
+    const calls = toolCalls && toolCalls.map((call, index) => ({ id: `call_${index}`, type: 'function', ...call }));
+    if (params.stream) return this.streamChunks(params, content || '', calls, signal);
+
+    const promptTokens = params.messages.reduce((sum, message) => sum + countTokens(textOf(message.content)), 0);
+    const completionTokens = countTokens(content || '');
+
+    return {
+      id: `fake-${crypto.createHash('sha1').update(JSON.stringify(params.messages)).digest('hex').slice(0, 12)}`,
+      object: 'chat.completion',
+      model: params.model,
+      choices: [{
+        index: 0,
+        message: { role: 'assistant', content, ...(calls && { tool_calls: calls }) },
+        finish_reason: calls ? 'tool_calls' : 'stop'
+      }],
+      usage: {
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: promptTokens + completionTokens
+      }
+    };
+  }
+
+  async *streamChunks(params, content, toolCalls, signal) {
+    const id = `fake-${crypto.randomUUID().slice(0, 12)}`;
+    const words = content.match(/\s*\S+/g) || [];
+
+    for (const word of words) {
+      if (this.streamDelay) await new Promise(resolve => setTimeout(resolve, this.streamDelay));
+      if (signal?.aborted) {
+        const error = new Error('Request was aborted.');
+        error.name = 'AbortError';
+        throw error;
+      }
+
+      yield {
+        id,
+        object: 'chat.completion.chunk',
+        model: params.model,
+        choices: [{ index: 0, delta: { content: word }, finish_reason: null }]
+      };
+    }
+
+    if (toolCalls) {
+      yield {
+        id,
+        object: 'chat.completion.chunk',
+        model: params.model,
+        choices: [{
+          index: 0,
+          delta: { tool_calls: toolCalls.map((call, index) => ({ index, ...call })) },
+          finish_reason: null
+        }]
+      };
+    }
+
+    yield {
+      id,
+      object: 'chat.completion.chunk',
+      model: params.model,
+      choices: [{ index: 0, delta: {}, finish_reason: toolCalls ? 'tool_calls' : 'stop' }]
+    };
+  }
+
+  embedText(text) {
+    const vector = new Array(this.dimensions).fill(0);
+
+    for (const word of String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || []) {
+      const hash = crypto.createHash('sha256').update(word).digest();
+      const index = hash.readUInt32BE(0) % this.dimensions;
+      vector[index] += hash[4] & 1 ? 1 : -1;
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+    return vector.map(value => value / norm);
+  }
+
+  async embed(params) {
+    this.calls.push({ method: 'embed', params });
+
+    const inputs = Array.isArray(params.input) ? params.input : [params.input];
+
+    return {
+      object: 'list',
+      model: params.model,
+      data: inputs.map((input, index) => ({ object: 'embedding', index, embedding: this.embedText(input) })),
+      usage: {
+        prompt_tokens: inputs.reduce((sum, input) => sum + countTokens(String(input)), 0),
+        total_tokens: inputs.reduce((sum, input) => sum + countTokens(String(input)), 0)
+      }
+    };
+  }
+
+  fakeImages(params) {
+    const count = params.n || 1;
+    const image = params.response_format === 'b64_json'
+      ? { b64_json: PIXEL_PNG }
+      : { url: `data:image/png;base64,${PIXEL_PNG}` };
+
+    return {
+      created: Math.floor(Date.now() / 1000),
+      data: Array.from({ length: count }, () => ({ ...image, revised_prompt: params.prompt || null }))
+    };
+  }
+
+  async generateImage(params) {
+    this.calls.push({ method: 'generateImage', params });
+    return this.fakeImages(params);
+  }
+
+  async editImage(params) {
+    this.calls.push({ method: 'editImage', params });
+    return this.fakeImages(params);
+  }
+
+  async createImageVariation(params) {
+    this.calls.push({ method: 'createImageVariation', params });
+    return this.fakeImages(params);
+  }
+
+  // Silent 8 kHz mono WAV, about 0.4 s per word
+  async speech(params) {
+    this.calls.push({ method: 'speech', params });
+
+    const samples = Math.min(30, Math.max(1, countTokens(params.input) * 0.4)) * 8000;
+    const wav = Buffer.alloc(44 + samples, 0x80);
+    wav.write('RIFF', 0);
+    wav.writeUInt32LE(36 + samples, 4);
+    wav.write('WAVEfmt ', 8);
+    wav.writeUInt32LE(16, 16);
+    wav.writeUInt16LE(1, 20);
+    wav.writeUInt16LE(1, 22);
+    wav.writeUInt32LE(8000, 24);
+    wav.writeUInt32LE(8000, 28);
+    wav.writeUInt16LE(1, 32);
+    wav.writeUInt16LE(8, 34);
+    wav.write('data', 36);
+    wav.writeUInt32LE(samples, 40);
+
+    return new Response(wav, { headers: { 'Content-Type': 'audio/wav' } });
+  }
+
+  async transcribe(params) {
+    this.calls.push({ method: 'transcribe', params });
+
+    const text = this.transcript;
+    if (params.response_format === 'text') return text;
+    if (params.response_format !== 'verbose_json') return { text };
+
+    const duration = Math.max(1, countTokens(text) * 0.4);
+    return {
+      text,
+      language: params.language || 'en',
+      duration,
+      segments: [{ id: 0, start: 0, end: duration, text }]
+    };
+  }
+
+  async moderate(params) {
+    this.calls.push({ method: 'moderate', params });
+
+    const inputs = Array.isArray(params.input) ? params.input : [params.input];
+    return {
+      id: 'fake-moderation',
+      model: 'fake-moderation',
+      results: inputs.map(() => ({ flagged: false, categories: {}, category_scores: {} }))
+    };
+  }
+}
+
+FakeProvider.DEFAULT_MODELS = DEFAULT_MODELS;
+
+module.exports = FakeProvider;
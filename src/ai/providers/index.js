@@ -0,0 +1,56 @@
+const AIClient = require('./ai-client');
+const OpenAIProvider = require('./openai-provider');
+const OpenAICompatibleProvider = require('./openai-compatible-provider');
+const FakeProvider = require('./fake-provider');
+const { AIProviderError } = require('./errors');
+
+// Pick the provider from AI_PROVIDER ('openai', 'openai-compatible' or 'fake').
+// Without it: 'openai-compatible' when AI_BASE_URL is set, otherwise 'openai'
+// (which is unavailable without OPENAI_API_KEY).
+// A provider implements, all in the OpenAI request/response shapes:
+//   chat (params.stream for chunks, options.signal to abort), embed,
+//   generateImage, editImage, createImageVariation,
+//   speech (-> fetch Response), transcribe, moderate
+//   isAvailable, supports(capability), checkConnection(), defaultModels
+// Capabilities are 'chat', 'embeddings', 'images', 'tts', 'stt' and 'moderation'.
+function createAIProvider(options = {}) {
+  const type = (options.type || process.env.AI_PROVIDER || (process.env.AI_BASE_URL ? 'openai-compatible' : 'openai')).toLowerCase();
+
+  switch (type) {
+    case 'openai':
+      return new OpenAIProvider(options);
+    case 'openai-compatible':
+    case 'ollama':
+    case 'llamacpp':
+      return new OpenAICompatibleProvider(options);
+    case 'fake':
+      return new FakeProvider(options);
+    default:
+      throw new Error(`Unknown AI provider: ${type}`);
+  }
+}
+
+function createAIClient(options = {}) {
+  return new AIClient(options.provider || createAIProvider(options), options);
+}
+
+// The AI services share one client, and with it the workspace model cache
+let sharedClient = null;
+
+function getAIClient() {
+  if (!sharedClient) {
+    sharedClient = createAIClient();
+  }
+  return sharedClient;
+}
+
+module.exports = {
+  createAIProvider,
+  createAIClient,
+  getAIClient,
+  AIClient,
+  AIProviderError,
+  OpenAIProvider,
+  OpenAICompatibleProvider,
+  FakeProvider
+};
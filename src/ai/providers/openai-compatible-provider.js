@@ -0,0 +1,48 @@
+const OpenAIProvider = require('./openai-provider');
+
+// What Ollama and llama.cpp's server answer on their OpenAI endpoints.
+// Servers that also do images or audio (LocalAI, vLLM with whisper) can
+// turn them on with AI_CAPABILITIES.
+const DEFAULT_CAPABILITIES = ['chat', 'embeddings'];
+
+const DEFAULT_MODELS = {
+  chat: 'llama3.1',
+  assistant: 'llama3.1',
+  vision: 'llava',
+  embedding: 'nomic-embed-text',
+  image: null,
+  tts: null,
+  stt: null
+};
+
+// Any server with an OpenAI compatible /v1 API, e.g. Ollama
+// (http://localhost:11434/v1) or llama.cpp (http://localhost:8080/v1).
+// The API key is optional, most local servers ignore it.
+class OpenAICompatibleProvider extends OpenAIProvider {
+  constructor({
+    baseURL = process.env.AI_BASE_URL,
+    apiKey = process.env.AI_API_KEY,
+    capabilities = process.env.AI_CAPABILITIES
+      ? process.env.AI_CAPABILITIES.split(',').map(capability => capability.trim()).filter(Boolean)
+      : DEFAULT_CAPABILITIES,
+    // Local models can take a while to load on the first request
+    timeout = 120000,
+    maxRetries = 1
+  } = {}) {
+    super({
+      // Without a base URL the SDK would talk to api.openai.com, so no client at all
+      apiKey: baseURL ? apiKey || 'local' : null,
+      baseURL,
+      capabilities,
+      defaultModels: DEFAULT_MODELS,
+      timeout,
+      maxRetries
+    });
+
+    this.name = 'openai-compatible';
+  }
+}
+
+OpenAICompatibleProvider.DEFAULT_MODELS = DEFAULT_MODELS;
+
+module.exports = OpenAICompatibleProvider;
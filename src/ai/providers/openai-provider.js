@@ -0,0 +1,96 @@
+const OpenAI = require('openai');
+const { AIProviderError } = require('./errors');
+
+const DEFAULT_MODELS = {
+  chat: 'gpt-4o-mini',
+  assistant: 'gpt-4o',
+  vision: 'gpt-4o-mini',
+  embedding: 'text-embedding-3-small',
+  image: 'dall-e-3',
+  tts: 'tts-1-hd',
+  stt: 'whisper-1'
+};
+
+const ALL_CAPABILITIES = ['chat', 'embeddings', 'images', 'tts', 'stt', 'moderation'];
+
+// The OpenAI API through the official SDK. Every provider takes and returns
+// the OpenAI request/response shapes, so this one is mostly pass-through.
+class OpenAIProvider {
+  // The timeout leaves room for image generation, which can take up to two minutes
+  constructor({ apiKey = process.env.OPENAI_API_KEY, baseURL, capabilities = ALL_CAPABILITIES, defaultModels = DEFAULT_MODELS, timeout = 120000, maxRetries = 3 } = {}) {
+    this.name = 'openai';
+    this.capabilities = new Set(capabilities);
+    this.defaultModels = defaultModels;
+    this.client = apiKey ? new OpenAI({ apiKey, baseURL, timeout, maxRetries }) : null;
+  }
+
+  get isAvailable() {
+    return Boolean(this.client);
+  }
+
+  supports(capability) {
+    return this.isAvailable && this.capabilities.has(capability);
+  }
+
+  assertSupports(capability) {
+    if (!this.supports(capability)) {
+      throw new AIProviderError(
+        `${capability} is not available with the configured AI provider`,
+        501,
+        'AI_CAPABILITY_UNAVAILABLE'
+      );
+    }
+  }
+
+  async checkConnection() {
+    this.assertSupports('chat');
+    await this.client.models.list();
+  }
+
+  // With stream: true resolves to an async iterable of chat.completion.chunk
+  async chat(params, { signal } = {}) {
+    this.assertSupports('chat');
+    return this.client.chat.completions.create(params, { signal });
+  }
+
+  async embed(params) {
+    this.assertSupports('embeddings');
+    return this.client.embeddings.create(params);
+  }
+
+  async generateImage(params) {
+    this.assertSupports('images');
+    return this.client.images.generate(params);
+  }
+
+  async editImage(params) {
+    this.assertSupports('images');
+    return this.client.images.edit(params);
+  }
+
+  async createImageVariation(params) {
+    this.assertSupports('images');
+    return this.client.images.createVariation(params);
+  }
+
+  // Resolves to a fetch Response, body for streaming or arrayBuffer()
+  async speech(params) {
+    this.assertSupports('tts');
+    return this.client.audio.speech.create(params);
+  }
+
+  async transcribe(params) {
+    this.assertSupports('stt');
+    return this.client.audio.transcriptions.create(params);
+  }
+
+  async moderate(params) {
+    this.assertSupports('moderation');
+    return this.client.moderations.create(params);
+  }
+}
+
+OpenAIProvider.DEFAULT_MODELS = DEFAULT_MODELS;
+OpenAIProvider.ALL_CAPABILITIES = ALL_CAPABILITIES;
+
+module.exports = OpenAIProvider;
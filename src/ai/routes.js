@@ -1,6 +1,7 @@
 const express = require('express');
 const AIService = require('./service');
 const AuthService = require('../auth/service');
+const AIStreamService = require('./stream-service');
 
 class AIRoutes {
   constructor() {
@@ -20,6 +21,8 @@ class AIRoutes {
 
     // AI Chat
     this.router.post('/chat', this.chatWithAI.bind(this));
+    this.router.post('/chat/stream', this.streamChatWithAI.bind(this));
+    this.router.delete('/streams/:streamId', this.cancelStream.bind(this));
 
     // RSS Feed Management
     this.router.get('/rss/feeds', this.getUserRSSFeeds.bind(this));
@@ -68,7 +71,7 @@ class AIRoutes {
 
       if (!this.aiService.isReady()) {
         return res.status(503).json({
-          error: 'AI service not available. Please configure OPENAI_API_KEY.'
+          error: 'AI service not available. Please configure OPENAI_API_KEY, or AI_BASE_URL for a local model server.'
         });
       }
 
@@ -100,6 +103,66 @@ class AIRoutes {
     }
   }
 
+  // Server-sent events, see AIStreamService for the event names
+  async streamChatWithAI(req, res) {
+    const { message, context, chatId = null } = req.body;
+    const userId = req.user.id;
+
+    if (!message || message.trim().length === 0) {
+      return res.status(400).json({ error: 'Message is required' });
+    }
+
+    if (!this.aiService.isReady()) {
+      return res.status(503).json({
+        error: 'AI service not available. Please configure OPENAI_API_KEY, or AI_BASE_URL for a local model server.'
+      });
+    }
+
+    const streams = req.app.get('aiStreams');
+    if (!streams) {
+      return res.status(503).json({ error: 'Streaming responses are not available' });
+    }
+
+    const events = AIStreamService.openEventStream(res);
+
+    try {
+      await streams.run({
+        userId,
+        chatId,
+        source: 'assistant',
+        signal: events.signal,
+        send: events.send,
+        generate: ({ signal, onDelta }) => this.aiService.streamChatWithAI(
+          message.trim(),
+          context || [],
+          userId,
+          { signal, onDelta }
+        )
+      });
+    } catch (error) {
+      console.error('AI stream error:', error);
+      if (!res.headersSent) {
+        return res.status(error.status || 500).json({ error: error.message });
+      }
+    } finally {
+      events.end();
+    }
+  }
+
+  async cancelStream(req, res) {
+    try {
+      const streams = req.app.get('aiStreams');
+      if (!streams) {
+        return res.status(503).json({ error: 'Streaming responses are not available' });
+      }
+
+      streams.cancel(req.params.streamId, req.user.id);
+      res.json({ success: true });
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  }
+
   async getUserRSSFeeds(req, res) {
     try {
       const userId = req.user.id;
@@ -177,7 +240,7 @@ class AIRoutes {
 
       if (!this.aiService.isReady()) {
         return res.status(503).json({
-          error: 'AI service not available. Please configure OPENAI_API_KEY.'
+          error: 'AI service not available. Please configure OPENAI_API_KEY, or AI_BASE_URL for a local model server.'
         });
       }
 
@@ -219,7 +282,7 @@ class AIRoutes {
 
       if (!this.aiService.isReady()) {
         return res.status(503).json({
-          error: 'AI service not available. Please configure OPENAI_API_KEY.'
+          error: 'AI service not available. Please configure OPENAI_API_KEY, or AI_BASE_URL for a local model server.'
         });
       }
 
@@ -267,7 +330,7 @@ class AIRoutes {
 
       if (!this.aiService.isReady()) {
         return res.status(503).json({
-          error: 'AI service not available. Please configure OPENAI_API_KEY.'
+          error: 'AI service not available. Please configure OPENAI_API_KEY, or AI_BASE_URL for a local model server.'
         });
       }
 
@@ -318,7 +381,7 @@ class AIRoutes {
 
       if (!this.aiService.isReady()) {
         return res.status(503).json({
-          error: 'AI service not available. Please configure OPENAI_API_KEY.'
+          error: 'AI service not available. Please configure OPENAI_API_KEY, or AI_BASE_URL for a local model server.'
         });
       }
 
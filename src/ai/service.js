@@ -1,14 +1,14 @@
-const OpenAI = require('openai');
 const RSSParser = require('rss-parser');
 const axios = require('axios');
 const database = require('../database/optimized-connection');
+const { getAIClient } = require('./providers');
 const Logger = require('../utils/enhanced-logger');
 // Create logger instance
 const logger = new Logger('AIService');
 
 class AIService {
   constructor() {
-    this.openai = null;
+    this.ai = null;
     this.rssParser = new RSSParser();
     this.isConfigured = false;
     this.logger = new Logger('AIService');
@@ -19,42 +19,23 @@ class AIService {
   }
 
   initializeAI() {
-    const apiKey = process.env.OPENAI_API_KEY;
-    if (apiKey) {
-      this.openai = new OpenAI({
-        apiKey: apiKey
-      });
+    this.ai = getAIClient();
+    if (this.ai.isAvailable) {
       this.isConfigured = true;
-      console.log('✅ AI service initialized with AI assistant');
+      console.log(`✅ AI service initialized with the ${this.ai.name} provider`);
     } else {
-      console.log('⚠️  OPENAI_API_KEY not found - AI features disabled');
+      console.log('⚠️  No AI provider configured - AI features disabled');
     }
   }
 
   async chatWithAI(message, context = [], userId = null) {
     if (!this.isConfigured) {
-      throw new Error('AI service not configured. Please set OPENAI_API_KEY environment variable.');
+      throw new Error('AI service not configured. Please set OPENAI_API_KEY, or AI_BASE_URL for a local model server.');
     }
 
     try {
-      const systemPrompt = `You are Talk pAI Assistant, an intelligent AI companion in the Talk pAI messenger.
-      You can help users with:
-      - Answering questions and providing information
-      - Summarizing news and RSS feeds
-      - Having natural conversations
-      - Assisting with various tasks
-
-      Be helpful, friendly, and concise. If users ask about news, offer to summarize their RSS feeds.`;
-
-      const messages = [
-        { role: 'system', content: systemPrompt },
-        ...context.slice(-10), // Keep last 10 messages for context
-        { role: 'user', content: message }
-      ];
-
-      const completion = await this.openai.chat.completions.create({
-        model: 'gpt-4o-mini',
-        messages: messages,
+      const completion = await this.ai.chat({
+        messages: this.buildChatMessages(message, context),
         max_tokens: 1000,
         temperature: 0.7,
         user: userId ? `user_${userId}` : undefined
@@ -70,6 +51,48 @@ class AIService {
     }
   }
 
+  // chatWithAI with the reply streamed to onDelta, see AIClient.streamChat
+  async streamChatWithAI(message, context = [], userId = null, { signal, onDelta } = {}) {
+    if (!this.isConfigured) {
+      throw new Error('AI service not configured. Please set OPENAI_API_KEY, or AI_BASE_URL for a local model server.');
+    }
+
+    try {
+      const reply = await this.ai.streamChat({
+        messages: this.buildChatMessages(message, context),
+        max_tokens: 1000,
+        temperature: 0.7,
+        user: userId ? `user_${userId}` : undefined
+      }, { signal, onDelta });
+
+      return {
+        message: reply.content,
+        model: reply.model,
+        cancelled: reply.cancelled
+      };
+    } catch (error) {
+      console.error('AI stream error:', error);
+      throw new Error('Failed to process AI request: ' + error.message);
+    }
+  }
+
+  buildChatMessages(message, context = []) {
+    const systemPrompt = `You are Talk pAI Assistant, an intelligent AI companion in the Talk pAI messenger.
+      You can help users with:
+      - Answering questions and providing information
+      - Summarizing news and RSS feeds
+      - Having natural conversations
+      - Assisting with various tasks
+
+      Be helpful, friendly, and concise. If users ask about news, offer to summarize their RSS feeds.`;
+
+    return [
+      { role: 'system', content: systemPrompt },
+      ...context.slice(-10), // Keep last 10 messages for context
+      { role: 'user', content: message }
+    ];
+  }
+
   async summarizeRSSFeed(feedUrl, userId) {
     if (!this.isConfigured) {
       throw new Error('AI service not configured');
@@ -89,8 +112,7 @@ class AIService {
 
       ${newsContent}`;
 
-      const completion = await this.openai.chat.completions.create({
-        model: 'gpt-4o-mini',
+      const completion = await this.ai.chat({
         messages: [
           { role: 'system', content: 'You are a news summarization assistant. Provide clear, concise summaries of news content.' },
           { role: 'user', content: prompt }
@@ -308,8 +330,7 @@ ${context}
 
 Please provide only the rewritten message without any explanations or quotes.`;
 
-    const completion = await this.openai.chat.completions.create({
-      model: 'gpt-4o-mini',
+    const completion = await this.ai.chat({
       messages: [
         {
           role: 'system',
@@ -544,8 +565,7 @@ Please provide:
 
 Format as JSON with fields: tone, emotion, clarity, recommendations, alternative`;
 
-      const completion = await this.openai.chat.completions.create({
-        model: 'gpt-4o-mini',
+      const completion = await this.ai.chat({
         messages: [
           {
             role: 'system',
@@ -577,7 +597,8 @@ Format as JSON with fields: tone, emotion, clarity, recommendations, alternative
   getStatus() {
     return {
       configured: this.isConfigured,
-      model: 'gpt-4o-mini',
+      provider: this.ai.name,
+      model: this.isConfigured ? this.ai.getDefaultModel('chat') : null,
       features: [
         'chat',
         'rss_summarization',
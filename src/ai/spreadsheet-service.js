@@ -2,7 +2,7 @@ const ExcelJS = require('exceljs');
 const Logger = require('../utils/enhanced-logger');
 const fs = require('fs').promises;
 const path = require('path');
-const OpenAI = require('openai');
+const { getAIClient } = require('./providers');
 
 /**
  * Spreadsheet Generation Service for AI Assistant
@@ -11,7 +11,7 @@ const OpenAI = require('openai');
 class SpreadsheetService {
   constructor() {
     this.logger = new Logger('SpreadsheetService');
-    this.openai = null;
+    this.ai = getAIClient();
     this.outputDir = 'uploads/generated-spreadsheets';
     this.isReady = false;
     this.initialize();
@@ -19,15 +19,6 @@ class SpreadsheetService {
 
   async initialize() {
     try {
-      const apiKey = process.env.OPENAI_API_KEY;
-      if (apiKey) {
-        this.openai = new OpenAI({
-          apiKey,
-          timeout: 60000,
-          maxRetries: 3
-        });
-      }
-
       // Ensure output directory exists
       await this.ensureOutputDirectory();
 
@@ -96,7 +87,7 @@ class SpreadsheetService {
       }
 
       // Add analysis sheet if requested
-      if (includeAnalysis && this.openai) {
+      if (includeAnalysis && this.ai.supports('chat')) {
         await this.addAnalysisSheet(workbook, processedData, options);
       }
 
@@ -196,7 +187,7 @@ class SpreadsheetService {
   }
 
   async processTextData(data, options) {
-    if (!this.openai) {
+    if (!this.ai.supports('chat')) {
       // Simple CSV parsing fallback
       const lines = data.trim().split('\n');
       const headers = lines[0].split(',').map(h => h.trim());
@@ -207,8 +198,7 @@ class SpreadsheetService {
 
     try {
       // Use AI to structure text data
-      const response = await this.openai.chat.completions.create({
-        model: 'gpt-4o-mini',
+      const response = await this.ai.chat({
         messages: [
           {
             role: 'system',
@@ -369,14 +359,13 @@ Guidelines:
   }
 
   async addAnalysisSheet(workbook, processedData, options) {
-    if (!this.openai) return;
+    if (!this.ai.supports('chat')) return;
 
     try {
       // Generate AI analysis of the data
       const analysisPrompt = this.buildAnalysisPrompt(processedData);
 
-      const response = await this.openai.chat.completions.create({
-        model: 'gpt-4o-mini',
+      const response = await this.ai.chat({
         messages: [
           {
             role: 'system',
@@ -486,8 +475,8 @@ Please provide:
   }
 
   async generateFromDescription(description, options = {}) {
-    if (!this.openai) {
-      throw new Error('AI-powered generation requires OpenAI API key');
+    if (!this.ai.supports('chat')) {
+      throw new Error('AI-powered generation requires an AI provider');
     }
 
     try {
@@ -495,8 +484,7 @@ Please provide:
         description: description.substring(0, 100)
       });
 
-      const response = await this.openai.chat.completions.create({
-        model: 'gpt-4o-mini',
+      const response = await this.ai.chat({
         messages: [
           {
             role: 'system',
@@ -634,10 +622,10 @@ Guidelines:
       outputDirectory: this.outputDir,
       supportedFormats: ['xlsx', 'csv'],
       features: {
-        aiGeneration: !!this.openai,
+        aiGeneration: this.ai.supports('chat'),
         styling: true,
         autoSizing: true,
-        analysis: !!this.openai,
+        analysis: this.ai.supports('chat'),
         charts: false // Note: Basic chart support, not full implementation
       }
     };
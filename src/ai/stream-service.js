@@ -0,0 +1,194 @@
+const crypto = require('crypto');
+const database = require('../database/optimized-connection');
+
+const MAX_STREAMS_PER_USER = 3;
+const HEARTBEAT_MS = 15 * 1000;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+class AIStreamError extends Error {
+  constructor(message, status = 400, code = 'AI_STREAM_FAILED') {
+    super(message);
+    this.name = 'AIStreamError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// Token streaming for the AI chat routes. A generation is announced in the
+// chat room, or outside a chat in the user's own room (`user-<id>`, which a
+// socket only joins once register_user or authenticate verified its token), as
+//   ai_stream_start  { streamId, chatId, userId, source, startedAt }
+//   ai_stream_delta  { streamId, chatId, delta }
+//   ai_stream_end    { streamId, chatId, status, message, model, error }
+// with status 'completed', 'cancelled' or 'failed'. The SSE routes send the
+// same events on the response, so a client in the room can match its own
+// stream by streamId.
+//
+// Running generations are tracked in memory: ai_stream_cancel and
+// DELETE .../streams/:streamId only reach the node that runs the stream.
+class AIStreamService {
+  // chatRoom maps a chat to its Socket.IO room, server.js uses `chat-<id>`
+  // and the enhanced server the bare chat id
+  constructor(io, { dbConnection, chatRoom = chatId => `chat-${chatId}` } = {}) {
+    this.io = io;
+    this.database = dbConnection || database;
+    this.chatRoom = chatRoom;
+    this.streams = new Map(); // streamId -> { userId, chatId, controller }
+    this.setupSocketHandlers();
+  }
+
+  setupSocketHandlers() {
+    if (!this.io) return;
+
+    this.io.on('connection', (socket) => {
+      socket.on('ai_stream_cancel', (data = {}) => {
+        // Both are only set for a socket whose token was verified
+        const userId = socket.userId || socket.data.userId;
+        if (!userId) return;
+
+        try {
+          this.cancel(data.streamId, userId);
+        } catch (error) {
+          socket.emit('ai_stream_error', {
+            streamId: data.streamId,
+            error: error.code || 'AI_STREAM_FAILED',
+            message: error.message
+          });
+        }
+      });
+    });
+  }
+
+  // generate({ signal, onDelta }) resolves to { message, model, cancelled, ... },
+  // which is also what run resolves to, plus the streamId. `send` gets every
+  // event as well (the SSE response), `signal` cancels from the caller's side.
+  async run({ userId, chatId = null, source, generate, send = () => {}, signal = null }) {
+    userId = String(userId);
+
+    const active = [...this.streams.values()].filter(stream => stream.userId === userId).length;
+    if (active >= MAX_STREAMS_PER_USER) {
+      throw new AIStreamError('Too many AI responses in progress, wait for one to finish', 429, 'TOO_MANY_STREAMS');
+    }
+
+    if (chatId) {
+      await this.assertChatMember(chatId, userId);
+    }
+
+    const streamId = crypto.randomUUID();
+    const controller = new AbortController();
+    const room = chatId ? this.chatRoom(chatId) : `user-${userId}`;
+    const emit = (event, payload) => {
+      if (this.io) this.io.to(room).emit(event, payload);
+      send(event, payload);
+    };
+
+    if (signal) {
+      if (signal.aborted) controller.abort();
+      signal.addEventListener('abort', () => controller.abort(), { once: true });
+    }
+
+    this.streams.set(streamId, { userId, chatId, controller });
+    emit('ai_stream_start', { streamId, chatId, userId, source, startedAt: new Date().toISOString() });
+
+    try {
+      const result = await generate({
+        signal: controller.signal,
+        onDelta: delta => emit('ai_stream_delta', { streamId, chatId, delta })
+      });
+
+      emit('ai_stream_end', {
+        streamId,
+        chatId,
+        status: result.cancelled ? 'cancelled' : 'completed',
+        message: result.message,
+        model: result.model || null
+      });
+
+      return { streamId, ...result };
+
+    } catch (error) {
+      emit('ai_stream_end', {
+        streamId,
+        chatId,
+        status: 'failed',
+        error: { code: error.code || 'AI_STREAM_FAILED', message: error.message }
+      });
+      throw error;
+
+    } finally {
+      this.streams.delete(streamId);
+    }
+  }
+
+  cancel(streamId, userId) {
+    const stream = this.streams.get(streamId);
+    if (!stream || stream.userId !== String(userId)) {
+      throw new AIStreamError('Stream not found', 404, 'AI_STREAM_NOT_FOUND');
+    }
+
+    stream.controller.abort();
+    return true;
+  }
+
+  async assertChatMember(chatId, userId) {
+    if (!UUID_PATTERN.test(String(chatId))) {
+      throw new AIStreamError('Invalid chat id', 400, 'INVALID_CHAT');
+    }
+
+    const result = await this.database.query(`
+      SELECT 1 FROM chat_participants
+      WHERE chat_id = $1 AND user_id = $2 AND left_at IS NULL
+    `, [chatId, userId]);
+
+    if (result.rows.length === 0) {
+      throw new AIStreamError('You are not a member of this chat', 403, 'ACCESS_DENIED');
+    }
+  }
+
+  // Server-sent events on an Express response. Headers go out with the first
+  // event, so errors thrown before a stream starts can still be answered as
+  // JSON. `signal` aborts when the client goes away.
+  static openEventStream(res) {
+    const controller = new AbortController();
+    let heartbeat = null;
+
+    const open = () => {
+      res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        // Keeps nginx from buffering the stream
+        'X-Accel-Buffering': 'no'
+      });
+      res.flushHeaders();
+
+      heartbeat = setInterval(() => write(': ping\n\n'), HEARTBEAT_MS);
+    };
+
+    const write = (chunk) => {
+      if (res.writableEnded || res.destroyed) return;
+      res.write(chunk);
+      // compression() buffers until flushed
+      if (typeof res.flush === 'function') res.flush();
+    };
+
+    res.on('close', () => {
+      clearInterval(heartbeat);
+      if (!res.writableEnded) controller.abort();
+    });
+
+    return {
+      signal: controller.signal,
+      send(event, data) {
+        if (!res.headersSent) open();
+        write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      },
+      end() {
+        clearInterval(heartbeat);
+        if (!res.writableEnded) res.end();
+      }
+    };
+  }
+}
+
+module.exports = AIStreamService;
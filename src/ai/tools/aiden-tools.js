@@ -0,0 +1,341 @@
+const SearchService = require('../../search/service');
+const WorkspaceKnowledgeService = require('../workspace-knowledge');
+const { AIToolError } = require('./errors');
+
+const UUID = '^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$';
+
+// Files the services write under uploads/ are served from /uploads
+function publicUrl(filepath) {
+  return filepath ? `/${filepath.split(/[\\/]+/).join('/')}` : null;
+}
+
+async function assertChatMember(database, chatId, userId) {
+  const result = await database.query(`
+    SELECT c.name, c.type FROM chats c
+    JOIN chat_participants cp ON cp.chat_id = c.id
+    WHERE c.id = $1 AND cp.user_id = $2 AND cp.left_at IS NULL
+  `, [chatId, userId]);
+
+  if (result.rows.length === 0) {
+    throw new AIToolError('The user is not a member of this chat', 403, 'ACCESS_DENIED');
+  }
+  return result.rows[0];
+}
+
+// The tools Aiden can call. Each one is
+//   name, description, parameters  what the model sees, parameters is the
+//                                  JSON schema its arguments are checked against
+//   defaultEnabled                 offered when the workspace has no allowlist
+//   capability                     provider capability it needs, if any
+//   handler(args, context)         context is { userId, workspaceId, chatId,
+//                                  aiden, io, chatService, database }, resolves to the
+//                                  JSON-serialisable result the model reads
+// Handlers act as the user: chat tools only reach chats the user is in.
+const aidenTools = [
+  {
+    name: 'web_search',
+    description: 'Search the web for current information, news and facts.',
+    parameters: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', minLength: 1, maxLength: 300 },
+        include_news: { type: 'boolean', description: 'Also search news articles' }
+      },
+      required: ['query'],
+      additionalProperties: false
+    },
+    defaultEnabled: true,
+    capability: null,
+    async handler({ query, include_news: includeNews = false }, { aiden }) {
+      const search = await aiden.searchWeb(query, { maxResults: 5, includeNews });
+      if (!search.success) throw new AIToolError(search.error, 502, 'WEB_SEARCH_FAILED');
+
+      return {
+        results: search.results.map(result => ({
+          title: result.title,
+          url: result.url,
+          content: (result.content || '').substring(0, 500)
+        }))
+      };
+    }
+  },
+  {
+    name: 'analyze_image',
+    description: 'Describe an image or answer a question about it.',
+    parameters: {
+      type: 'object',
+      properties: {
+        // Only remote images, never a path on the server
+        image_url: { type: 'string', pattern: '^https?://', maxLength: 2000 },
+        question: { type: 'string', maxLength: 1000 }
+      },
+      required: ['image_url'],
+      additionalProperties: false
+    },
+    defaultEnabled: true,
+    capability: 'chat',
+    async handler({ image_url: imageUrl, question }, { aiden }) {
+      const result = await aiden.analyzeImage(imageUrl, question ? { prompt: question } : {});
+      if (!result.success) throw new AIToolError(result.error, 502, 'IMAGE_ANALYSIS_FAILED');
+
+      return { analysis: result.analysis };
+    }
+  },
+  {
+    name: 'generate_image',
+    description: 'Create an image from a text description.',
+    parameters: {
+      type: 'object',
+      properties: {
+        prompt: { type: 'string', minLength: 1, maxLength: 1000 },
+        size: { type: 'string', enum: ['1024x1024', '1792x1024', '1024x1792'] }
+      },
+      required: ['prompt'],
+      additionalProperties: false
+    },
+    defaultEnabled: true,
+    capability: 'images',
+    async handler({ prompt, size }, { aiden }) {
+      const result = await aiden.generateImage(prompt, {
+        saveLocally: true,
+        enhancePrompt: true,
+        ...(size && { size })
+      });
+      if (!result.success) throw new AIToolError(result.error, 502, 'IMAGE_GENERATION_FAILED');
+
+      return {
+        url: publicUrl(result.image.localPath) || result.image.url,
+        revisedPrompt: result.image.revisedPrompt || null
+      };
+    }
+  },
+  {
+    name: 'create_spreadsheet',
+    description: 'Generate an Excel or CSV spreadsheet from a description of the data it should hold.',
+    parameters: {
+      type: 'object',
+      properties: {
+        description: { type: 'string', minLength: 1, maxLength: 2000 },
+        format: { type: 'string', enum: ['xlsx', 'csv'] }
+      },
+      required: ['description'],
+      additionalProperties: false
+    },
+    defaultEnabled: true,
+    capability: 'chat',
+    async handler({ description, format = 'xlsx' }, { aiden }) {
+      const result = await aiden.spreadsheet.generateFromDescription(description, { format });
+
+      return {
+        filename: result.filename,
+        url: publicUrl(result.filepath),
+        description: result.description || null,
+        rows: result.metadata?.rowCount || 0
+      };
+    }
+  },
+  {
+    name: 'text_to_speech',
+    description: 'Read a text aloud and return a link to the audio file.',
+    parameters: {
+      type: 'object',
+      properties: {
+        text: { type: 'string', minLength: 1, maxLength: 4096 },
+        voice: { type: 'string', enum: ['alloy', 'echo', 'fable', 'onyx', 'nova', 'shimmer'] }
+      },
+      required: ['text'],
+      additionalProperties: false
+    },
+    defaultEnabled: true,
+    capability: 'tts',
+    async handler({ text, voice = 'alloy' }, { aiden }) {
+      const result = await aiden.textToSpeech(text, { voice, saveFile: true });
+      if (!result.success) throw new AIToolError(result.error, 502, 'TEXT_TO_SPEECH_FAILED');
+
+      return { url: publicUrl(result.audio.filepath), voice };
+    }
+  },
+  {
+    name: 'search_messages',
+    description: 'Full-text search of the messages in the chats the user belongs to. Supports from:@nick, in:#channel, has:file, before:/after: dates and "quoted phrases".',
+    parameters: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', minLength: 1, maxLength: 300 },
+        chat_id: { type: 'string', pattern: UUID },
+        limit: { type: 'integer', minimum: 1, maximum: 20 }
+      },
+      required: ['query'],
+      additionalProperties: false
+    },
+    defaultEnabled: true,
+    capability: null,
+    async handler({ query, chat_id: chatId = null, limit = 10 }, { userId, workspaceId }) {
+      const search = await new SearchService().searchMessages(query, userId, { chatId, workspaceId, limit });
+
+      return {
+        total: search.total,
+        messages: search.messages.map(message => ({
+          id: message.id,
+          chatId: message.chat_id,
+          chat: message.chat_name,
+          from: message.display_name || message.nickname,
+          content: (message.content || '').substring(0, 500),
+          sentAt: message.created_at
+        }))
+      };
+    }
+  },
+  {
+    name: 'ask_workspace',
+    description: 'Find what the workspace discussed or decided about a topic: the chat messages and shared documents most related to the question, with the ids of the source messages to cite.',
+    parameters: {
+      type: 'object',
+      properties: {
+        question: { type: 'string', minLength: 1, maxLength: 1000 },
+        chat_id: { type: 'string', pattern: UUID }
+      },
+      required: ['question'],
+      additionalProperties: false
+    },
+    defaultEnabled: true,
+    capability: 'embeddings',
+    async handler({ question, chat_id: chatId = null }, { userId, workspaceId, database }) {
+      if (!workspaceId) {
+        throw new AIToolError('This conversation does not belong to a workspace', 400, 'NO_WORKSPACE');
+      }
+
+      const sources = await new WorkspaceKnowledgeService(database).search(userId, workspaceId, question, { chatId });
+
+      return {
+        sources: sources.map(source => ({
+          messageId: source.messageId,
+          chatId: source.chatId,
+          chat: source.chatName,
+          file: source.fileName,
+          from: source.sender,
+          sentAt: source.sentAt,
+          content: source.content
+        }))
+      };
+    }
+  },
+  {
+    name: 'list_chats',
+    description: 'List the chats the user belongs to, most recently active first.',
+    parameters: {
+      type: 'object',
+      properties: {
+        limit: { type: 'integer', minimum: 1, maximum: 50 }
+      },
+      additionalProperties: false
+    },
+    defaultEnabled: true,
+    capability: null,
+    async handler({ limit = 20 }, { userId, workspaceId, database }) {
+      const result = await database.query(`
+        SELECT c.id, c.name, c.type, c.last_message_at
+        FROM chats c
+        JOIN chat_participants cp ON cp.chat_id = c.id
+        WHERE cp.user_id = $1
+        AND cp.left_at IS NULL
+        AND c.is_active = true
+        AND ($2::uuid IS NULL OR c.workspace_id = $2)
+        ORDER BY c.last_message_at DESC NULLS LAST
+        LIMIT $3
+      `, [userId, workspaceId, limit]);
+
+      return { chats: result.rows };
+    }
+  },
+  {
+    name: 'read_chat',
+    description: 'Read the latest messages of a chat the user belongs to.',
+    parameters: {
+      type: 'object',
+      properties: {
+        chat_id: { type: 'string', pattern: UUID },
+        limit: { type: 'integer', minimum: 1, maximum: 50 }
+      },
+      required: ['chat_id'],
+      additionalProperties: false
+    },
+    defaultEnabled: true,
+    capability: null,
+    async handler({ chat_id: chatId, limit = 20 }, { userId, database }) {
+      const chat = await assertChatMember(database, chatId, userId);
+
+      const result = await database.query(`
+        SELECT m.id, m.content, m.message_type, m.created_at,
+               COALESCE(u.display_name, u.nickname) AS sender
+        FROM messages m
+        LEFT JOIN users u ON u.id = m.sender_id
+        WHERE m.chat_id = $1 AND m.is_deleted = false
+        ORDER BY m.created_at DESC
+        LIMIT $2
+      `, [chatId, limit]);
+
+      return {
+        chat: { id: chatId, name: chat.name, type: chat.type },
+        messages: result.rows.reverse().map(message => ({
+          id: message.id,
+          from: message.sender,
+          type: message.message_type,
+          content: (message.content || '').substring(0, 1000),
+          sentAt: message.created_at
+        }))
+      };
+    }
+  },
+  {
+    // Posts on the user's behalf, so workspaces have to opt in
+    name: 'send_message',
+    description: 'Send a text message as the user to a chat they belong to. Only use it when the user explicitly asks for a message to be sent.',
+    parameters: {
+      type: 'object',
+      properties: {
+        chat_id: { type: 'string', pattern: UUID },
+        content: { type: 'string', minLength: 1, maxLength: 4000 }
+      },
+      required: ['chat_id', 'content'],
+      additionalProperties: false
+    },
+    defaultEnabled: false,
+    capability: null,
+    async handler({ chat_id: chatId, content }, { userId, io, chatService }) {
+      if (!chatService) {
+        throw new AIToolError('Sending messages is not available here', 501, 'TOOL_UNAVAILABLE');
+      }
+
+      // The chat service checks the membership, notifies and indexes like any other message
+      let message;
+      try {
+        message = await chatService.sendMessage({
+          chatId,
+          senderId: userId,
+          content: content.trim(),
+          metadata: { sentVia: 'aiden' }
+        });
+      } catch (error) {
+        throw new AIToolError(error.message.replace(/^Failed to send message: /, ''), 403, 'SEND_FAILED');
+      }
+
+      if (io) {
+        io.to(`chat-${chatId}`).emit('message', {
+          id: message.id,
+          chatId: message.chat_id,
+          content: message.content,
+          messageType: message.message_type,
+          timestamp: message.created_at,
+          senderId: userId,
+          senderName: message.sender_display_name || message.sender_nickname,
+          senderAvatar: message.sender_avatar || (message.sender_nickname || '?').charAt(0).toUpperCase()
+        });
+      }
+
+      return { sent: true, messageId: message.id, chatId };
+    }
+  }
+];
+
+module.exports = aidenTools;
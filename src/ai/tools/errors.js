@@ -0,0 +1,10 @@
+class AIToolError extends Error {
+  constructor(message, status = 400, code = 'AI_TOOL_ERROR') {
+    super(message);
+    this.name = 'AIToolError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+module.exports = { AIToolError };
@@ -0,0 +1,11 @@
+const AIToolRunner = require('./tool-runner');
+const aidenTools = require('./aiden-tools');
+const { AIToolError } = require('./errors');
+const { validate } = require('./schema');
+
+module.exports = {
+  AIToolRunner,
+  AIToolError,
+  aidenTools,
+  validate
+};
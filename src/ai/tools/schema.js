@@ -0,0 +1,82 @@
+// The part of JSON Schema the tool definitions use: type, properties,
+// required, additionalProperties: false, enum, pattern, minLength/maxLength,
+// minimum/maximum and items/maxItems. Returns the first problem found as a
+// message, or null when the value is valid.
+function validate(schema, value, path = 'arguments') {
+  if (schema.type && !matchesType(schema.type, value)) {
+    return `${path} must be ${schema.type === 'integer' ? 'an integer' : `a ${schema.type}`}`;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return `${path} must be one of ${schema.enum.join(', ')}`;
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      return `${path} must be at least ${schema.minLength} characters`;
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      return `${path} must be at most ${schema.maxLength} characters`;
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      return `${path} has an invalid format`;
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      return `${path} must be at least ${schema.minimum}`;
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      return `${path} must be at most ${schema.maximum}`;
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      return `${path} must have at most ${schema.maxItems} items`;
+    }
+    if (schema.items) {
+      for (const [index, item] of value.entries()) {
+        const problem = validate(schema.items, item, `${path}[${index}]`);
+        if (problem) return problem;
+      }
+    }
+  }
+
+  if (schema.type === 'object') {
+    const properties = schema.properties || {};
+
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) return `${path}.${key} is required`;
+    }
+
+    for (const [key, item] of Object.entries(value)) {
+      if (!properties[key]) {
+        if (schema.additionalProperties === false) return `${path}.${key} is not allowed`;
+        continue;
+      }
+      const problem = validate(properties[key], item, `${path}.${key}`);
+      if (problem) return problem;
+    }
+  }
+
+  return null;
+}
+
+function matchesType(type, value) {
+  switch (type) {
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+module.exports = { validate };
@@ -0,0 +1,332 @@
+const database = require('../../database/optimized-connection');
+const { validate } = require('./schema');
+const { AIToolError } = require('./errors');
+
+const MAX_RESULT_CHARS = 8000;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Runs a chat completion with tools: the model picks tools, their results go
+// back as tool messages, and it may call more of them (up to maxSteps
+// rounds) before answering.
+//
+// A workspace limits the tools to settings.ai.tools, a list of tool names,
+// otherwise every tool with defaultEnabled is offered. The workspace is the
+// chat's when the call names one, a workspaceId only counts for a workspace
+// the user is an active member of. A call outside any workspace gets the
+// tools every one of the user's workspaces allows. Tools whose provider
+// capability is missing are never offered. Each call is validated against
+// the tool's JSON schema and recorded in ai_tool_invocations, including
+// calls to tools the workspace does not allow.
+class AIToolRunner {
+  constructor(ai, tools, { dbConnection, maxSteps = 5 } = {}) {
+    this.ai = ai;
+    this.tools = new Map(tools.map(tool => [tool.name, tool]));
+    this.database = dbConnection || database;
+    this.maxSteps = maxSteps;
+  }
+
+  // Resolves to { workspaceId, tools } for the call's scope
+  async getAllowedTools({ userId = null, workspaceId = null, chatId = null } = {}) {
+    // A chat decides the workspace, the client can't pick a laxer one next to it
+    const scoped = await this.ai.getScopedSettings(chatId ? { userId, chatId } : { userId, workspaceId });
+    const names = scoped.workspaceId
+      ? this.workspaceToolNames(scoped.settings.tools)
+      : await this.getStrictestToolNames(userId);
+
+    const tools = [...this.tools.values()].filter(tool =>
+      names.includes(tool.name)
+      && (!tool.capability || this.ai.supports(tool.capability))
+    );
+
+    return { workspaceId: scoped.workspaceId, tools };
+  }
+
+  // A workspace's allowlist, the defaults when it has none
+  workspaceToolNames(names) {
+    return Array.isArray(names)
+      ? names
+      : [...this.tools.values()].filter(tool => tool.defaultEnabled).map(tool => tool.name);
+  }
+
+  // The tools allowed in every workspace the user is an active member of
+  async getStrictestToolNames(userId) {
+    let rows;
+    try {
+      const result = await this.database.query(`
+        SELECT w.settings->'ai'->'tools' AS tools
+        FROM workspaces w
+        JOIN workspace_members wm ON wm.workspace_id = w.id
+        WHERE wm.user_id = $1 AND wm.status = 'active'
+      `, [userId]);
+      rows = result.rows;
+    } catch (error) {
+      // Without the workspaces there is no telling what they allow, offer nothing
+      console.warn('Failed to load workspace tool allowlists:', error.message);
+      return [];
+    }
+
+    return rows.reduce(
+      (names, row) => names.filter(name => this.workspaceToolNames(row.tools).includes(name)),
+      this.workspaceToolNames(null)
+    );
+  }
+
+  definitions(tools) {
+    return tools.map(tool => ({
+      type: 'function',
+      function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+    }));
+  }
+
+  // params is a chat request (messages, max_tokens, ...). scope goes to the
+  // AI client ({ role, userId, workspaceId, chatId }), context to the tool
+  // handlers. With onDelta the replies are streamed, onToolCall hears about
+  // each call once it finished. Text the model writes before calling tools is
+  // kept, content joins every round with blank lines. Resolves to
+  //   { content, model, cancelled, toolCalls: [{ tool, arguments, status }] }
+  async run(params, { scope = {}, context = {}, signal, onDelta, onToolCall = () => {} } = {}) {
+    const { workspaceId, tools } = await this.getAllowedTools(scope);
+    const definitions = this.definitions(tools);
+    const messages = [...params.messages];
+    const toolCalls = [];
+    const written = [];
+
+    for (let step = 0; ; step++) {
+      // The last round offers no tools, so the model has to answer
+      const offerTools = definitions.length > 0 && step < this.maxSteps;
+      const request = {
+        ...params,
+        messages,
+        ...(offerTools && { tools: definitions, tool_choice: 'auto' })
+      };
+
+      let separator = written.length > 0 ? '\n\n' : '';
+      const reply = onDelta
+        ? await this.ai.streamChat(request, {
+          ...scope,
+          signal,
+          onDelta: (delta) => {
+            onDelta(separator + delta);
+            separator = '';
+          }
+        })
+        : await this.complete(request, { ...scope, signal });
+
+      if (reply.content) written.push(reply.content);
+
+      if (reply.cancelled || !offerTools || reply.toolCalls.length === 0) {
+        return {
+          content: written.join('\n\n'),
+          model: reply.model,
+          cancelled: Boolean(reply.cancelled),
+          toolCalls
+        };
+      }
+
+      messages.push({ role: 'assistant', content: reply.content || null, tool_calls: reply.toolCalls });
+
+      for (const call of reply.toolCalls) {
+        const invocation = await this.invoke(call, tools, {
+          ...context,
+          workspaceId,
+          chatId: scope.chatId || context.chatId || null,
+          model: reply.model
+        });
+
+        toolCalls.push({ tool: invocation.tool, arguments: invocation.arguments, status: invocation.status });
+        onToolCall(invocation);
+
+        messages.push({ role: 'tool', tool_call_id: call.id, content: this.serialize(invocation.result) });
+      }
+    }
+  }
+
+  async complete(request, options) {
+    const completion = await this.ai.chat(request, options);
+    const message = completion.choices[0].message;
+
+    return {
+      content: message.content || '',
+      toolCalls: message.tool_calls || [],
+      model: completion.model,
+      cancelled: false
+    };
+  }
+
+  // Runs one call from the model. Failures become the result the model sees
+  // rather than errors, so it can correct the arguments or give up.
+  async invoke(call, allowed, context) {
+    const startedAt = Date.now();
+    const name = call.function?.name || '';
+    const tool = allowed.find(candidate => candidate.name === name);
+
+    let args = null;
+    let status = 'succeeded';
+    let result;
+
+    try {
+      if (!tool) {
+        status = this.tools.has(name) ? 'denied' : 'invalid';
+        throw new AIToolError(`Tool ${name} is not available`, 403, 'TOOL_NOT_ALLOWED');
+      }
+
+      try {
+        args = JSON.parse(call.function.arguments || '{}');
+      } catch (error) {
+        status = 'invalid';
+        throw new AIToolError('Tool arguments are not valid JSON', 400, 'INVALID_TOOL_ARGUMENTS');
+      }
+
+      const problem = validate(tool.parameters, args);
+      if (problem) {
+        status = 'invalid';
+        throw new AIToolError(problem, 400, 'INVALID_TOOL_ARGUMENTS');
+      }
+
+      result = await tool.handler(args, { ...context, database: this.database });
+
+    } catch (error) {
+      if (status === 'succeeded') status = 'failed';
+      result = { error: error.message };
+    }
+
+    await this.audit({
+      context,
+      tool: name,
+      args,
+      status,
+      error: result?.error || null,
+      durationMs: Date.now() - startedAt
+    });
+
+    return { tool: name, arguments: args, status, result };
+  }
+
+  serialize(result) {
+    const text = JSON.stringify(result === undefined ? null : result);
+    return text.length > MAX_RESULT_CHARS
+      ? `${text.substring(0, MAX_RESULT_CHARS)}... [truncated]`
+      : text;
+  }
+
+  async audit({ context, tool, args, status, error, durationMs }) {
+    try {
+      await this.database.query(`
+        INSERT INTO ai_tool_invocations (
+          user_id, workspace_id, chat_id, tool, arguments, status, error, duration_ms, model
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      `, [
+        context.userId,
+        context.workspaceId || null,
+        UUID_PATTERN.test(String(context.chatId)) ? context.chatId : null,
+        tool.substring(0, 64),
+        args === null ? null : JSON.stringify(args),
+        status,
+        error,
+        durationMs,
+        context.model || null
+      ]);
+    } catch (auditError) {
+      // Losing an audit row should not fail the reply
+      console.warn('Failed to record AI tool invocation:', auditError.message);
+    }
+  }
+
+  async listInvocations({ userId = null, workspaceId = null, limit = 50, before = null } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (userId) {
+      params.push(userId);
+      conditions.push(`user_id = $${params.length}`);
+    }
+    if (workspaceId) {
+      params.push(workspaceId);
+      conditions.push(`workspace_id = $${params.length}`);
+    }
+    if (before) {
+      params.push(before);
+      conditions.push(`created_at < $${params.length}`);
+    }
+    params.push(Math.min(Math.max(parseInt(limit) || 50, 1), 200));
+
+    const result = await this.database.query(`
+      SELECT id, user_id, workspace_id, chat_id, tool, arguments, status, error, duration_ms, model, created_at
+      FROM ai_tool_invocations
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY created_at DESC
+      LIMIT $${params.length}
+    `, params);
+
+    return result.rows;
+  }
+
+  // Workspace configuration
+
+  async getWorkspaceTools(workspaceId, userId) {
+    const role = await this.ai.getMemberRole(workspaceId, userId);
+    if (!role) {
+      throw new AIToolError('Workspace not found', 404, 'WORKSPACE_NOT_FOUND');
+    }
+
+    const result = await this.database.query(
+      `SELECT settings->'ai'->'tools' AS tools FROM workspaces WHERE id = $1`,
+      [workspaceId]
+    );
+
+    return this.formatWorkspaceTools(result.rows[0]?.tools || null);
+  }
+
+  // names is the list of allowed tools, null goes back to the defaults
+  async updateWorkspaceTools(workspaceId, userId, names) {
+    const role = await this.ai.getMemberRole(workspaceId, userId);
+    if (!role) {
+      throw new AIToolError('Workspace not found', 404, 'WORKSPACE_NOT_FOUND');
+    }
+    if (!['owner', 'admin'].includes(role)) {
+      throw new AIToolError('Workspace admin access required', 403, 'FORBIDDEN');
+    }
+
+    if (names !== null) {
+      if (!Array.isArray(names)) {
+        throw new AIToolError('tools must be a list of tool names or null', 400, 'INVALID_TOOLS');
+      }
+      for (const name of names) {
+        if (!this.tools.has(name)) {
+          throw new AIToolError(`Unknown tool: ${name}`, 400, 'UNKNOWN_TOOL');
+        }
+      }
+      names = [...new Set(names)];
+    }
+
+    await this.ai.setWorkspaceSetting(workspaceId, 'tools', names);
+    return this.formatWorkspaceTools(names);
+  }
+
+  async listWorkspaceInvocations(workspaceId, userId, options = {}) {
+    const role = await this.ai.getMemberRole(workspaceId, userId);
+    if (!role) {
+      throw new AIToolError('Workspace not found', 404, 'WORKSPACE_NOT_FOUND');
+    }
+    if (!['owner', 'admin'].includes(role)) {
+      throw new AIToolError('Workspace admin access required', 403, 'FORBIDDEN');
+    }
+
+    return this.listInvocations({ ...options, workspaceId, userId: options.userId || null });
+  }
+
+  formatWorkspaceTools(names) {
+    return {
+      customized: Array.isArray(names),
+      tools: [...this.tools.values()].map(tool => ({
+        name: tool.name,
+        description: tool.description,
+        enabled: Array.isArray(names) ? names.includes(tool.name) : tool.defaultEnabled,
+        defaultEnabled: tool.defaultEnabled,
+        available: !tool.capability || this.ai.supports(tool.capability)
+      }))
+    };
+  }
+}
+
+module.exports = AIToolRunner;
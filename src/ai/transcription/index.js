@@ -0,0 +1,26 @@
+const OpenAITranscriptionBackend = require('./openai-backend');
+const StubTranscriptionBackend = require('./stub-backend');
+
+// Pick the backend from TRANSCRIPTION_BACKEND ('openai' or 'stub').
+// A backend implements:
+//   transcribe(filePath, { mimeType, language }) -> { text, segments: [{ start, end, text }] }
+//   summarize(transcript) -> { summary, decisions: [string], actionItems: [{ owner, task }] }
+// Segment times are seconds from the start of the file.
+function createTranscriptionBackend(options = {}) {
+  const type = (options.type || process.env.TRANSCRIPTION_BACKEND || 'openai').toLowerCase();
+
+  switch (type) {
+    case 'openai':
+      return new OpenAITranscriptionBackend(options);
+    case 'stub':
+      return new StubTranscriptionBackend(options);
+    default:
+      throw new Error(`Unknown transcription backend: ${type}`);
+  }
+}
+
+module.exports = {
+  createTranscriptionBackend,
+  OpenAITranscriptionBackend,
+  StubTranscriptionBackend
+};
@@ -0,0 +1,42 @@
+const fs = require('fs').promises;
+const VoiceService = require('../voice-service');
+
+// Whisper rejects uploads above 25 MB. Call recordings send the low-bitrate
+// audio-only transcription track (see call-recorder.js), which stays under
+// this for calls of a few hours.
+const MAX_FILE_BYTES = 25 * 1024 * 1024;
+
+// The AI provider's speech-to-text for the transcript and its chat model for
+// the notes, both through the VoiceService Aiden already uses
+class OpenAITranscriptionBackend {
+  constructor({ voiceService } = {}) {
+    this.voice = voiceService || new VoiceService();
+  }
+
+  get isAvailable() {
+    return this.voice.isReady && this.voice.ai.supports('stt');
+  }
+
+  async transcribe(filePath, { language = process.env.TRANSCRIPTION_LANGUAGE || 'en' } = {}) {
+    const { size } = await fs.stat(filePath);
+    if (size > MAX_FILE_BYTES) {
+      throw new Error(`Recording is too large to transcribe (${Math.round(size / 1024 / 1024)} MB, the limit is 25 MB)`);
+    }
+
+    const result = await this.voice.speechToText(filePath, {
+      language,
+      responseFormat: 'verbose_json'
+    });
+
+    return {
+      text: result.text,
+      segments: result.segments
+    };
+  }
+
+  async summarize(transcript) {
+    return this.voice.generateMeetingNotes(transcript);
+  }
+}
+
+module.exports = OpenAITranscriptionBackend;
@@ -0,0 +1,64 @@
+const fs = require('fs').promises;
+
+// Local stand-in for development and tests, no network calls.
+//
+// A transcript can be provided per recording file as a JSON sidecar next to
+// it (<file>.transcript.json, either { segments: [...] } or an array of
+// segments), otherwise a single placeholder segment is returned. Notes pick
+// up sentences starting with "decision:" or "action:" so the whole pipeline can
+// be exercised end to end.
+class StubTranscriptionBackend {
+  constructor({ segments = null } = {}) {
+    this.segments = segments;
+  }
+
+  get isAvailable() {
+    return true;
+  }
+
+  async transcribe(filePath) {
+    let segments = this.segments;
+
+    if (!segments) {
+      try {
+        const sidecar = JSON.parse(await fs.readFile(`${filePath}.transcript.json`, 'utf8'));
+        segments = Array.isArray(sidecar) ? sidecar : sidecar.segments;
+      } catch (error) {
+        segments = [{ start: 0, end: 1, text: '[transcription unavailable]' }];
+      }
+    }
+
+    return {
+      text: segments.map(segment => segment.text).join(' '),
+      segments
+    };
+  }
+
+  async summarize(transcript) {
+    const lines = transcript.split('\n');
+    const decisions = [];
+    const actionItems = [];
+
+    for (const line of lines) {
+      const [speaker, ...rest] = line.split(': ');
+      const text = rest.join(': ');
+
+      // Segments from one speaker are merged, so a marker can be mid-line
+      for (const match of text.matchAll(/\b(decision|action):\s*([^.!?]+)/gi)) {
+        if (match[1].toLowerCase() === 'decision') {
+          decisions.push(match[2].trim());
+        } else {
+          actionItems.push({ owner: speaker || null, task: match[2].trim() });
+        }
+      }
+    }
+
+    return {
+      summary: `Call with ${lines.length} transcript segment${lines.length === 1 ? '' : 's'}.`,
+      decisions,
+      actionItems
+    };
+  }
+}
+
+module.exports = StubTranscriptionBackend;
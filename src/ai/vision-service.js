@@ -1,16 +1,16 @@
-const OpenAI = require('openai');
 const Logger = require('../utils/enhanced-logger');
+const { getAIClient } = require('./providers');
 const fs = require('fs').promises;
 const path = require('path');
 
 /**
  * Vision Service for AI Assistant
- * Provides image recognition, analysis, and understanding capabilities using OpenAI Vision
+ * Provides image recognition, analysis, and understanding capabilities using the AI provider's vision model
  */
 class VisionService {
   constructor() {
     this.logger = new Logger('VisionService');
-    this.openai = null;
+    this.ai = getAIClient();
     this.isReady = false;
     this.supportedFormats = ['jpeg', 'jpg', 'png', 'gif', 'webp'];
     this.maxFileSize = 20 * 1024 * 1024; // 20MB
@@ -19,18 +19,11 @@ class VisionService {
 
   async initialize() {
     try {
-      const apiKey = process.env.OPENAI_API_KEY;
-      if (!apiKey) {
-        this.logger.warn('OPENAI_API_KEY not found - Vision service will be unavailable');
+      if (!this.ai.supports('chat')) {
+        this.logger.warn('No AI provider configured - Vision service will be unavailable');
         return;
       }
 
-      this.openai = new OpenAI({
-        apiKey,
-        timeout: 60000,
-        maxRetries: 3
-      });
-
       this.isReady = true;
       this.logger.info('Vision service initialized successfully');
 
@@ -83,12 +76,11 @@ class VisionService {
 
       this.logger.info('Starting image analysis', { analysisType, detail });
 
-      const response = await this.openai.chat.completions.create({
-        model: 'gpt-4o-mini',
+      const response = await this.ai.chat({
         messages,
         max_tokens: maxTokens,
         temperature: 0.3
-      });
+      }, { role: 'vision' });
 
       const analysis = response.choices[0].message.content;
 
@@ -104,7 +96,7 @@ class VisionService {
         analysis,
         structured: structuredAnalysis,
         metadata: {
-          model: 'gpt-4o-mini',
+          model: response.model,
           tokensUsed: response.usage?.total_tokens,
           analysisType,
           detail,
@@ -409,17 +401,16 @@ class VisionService {
         }
       ];
 
-      const response = await this.openai.chat.completions.create({
-        model: 'gpt-4o-mini',
+      const response = await this.ai.chat({
         messages,
         max_tokens: 1000,
         temperature: 0.3
-      });
+      }, { role: 'vision' });
 
       return {
         comparison: response.choices[0].message.content,
         metadata: {
-          model: 'gpt-4o-mini',
+          model: response.model,
           tokensUsed: response.usage?.total_tokens,
           timestamp: new Date().toISOString()
         }
@@ -452,7 +443,8 @@ class VisionService {
       ready: this.isReady,
       supportedFormats: this.supportedFormats,
       maxFileSize: this.maxFileSize,
-      model: 'gpt-4o-mini'
+      provider: this.ai.name,
+      model: this.ai.getDefaultModel('vision')
     };
   }
 }
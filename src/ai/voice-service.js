@@ -1,17 +1,17 @@
-const OpenAI = require('openai');
 const Logger = require('../utils/enhanced-logger');
+const { getAIClient } = require('./providers');
 const fs = require('fs').promises;
 const path = require('path');
 const { Readable } = require('stream');
 
 /**
  * Voice Service for AI Assistant
- * Provides real-time voice conversation capabilities using OpenAI TTS and Whisper
+ * Provides real-time voice conversation capabilities using the AI provider's TTS and speech-to-text
  */
 class VoiceService {
   constructor() {
     this.logger = new Logger('VoiceService');
-    this.openai = null;
+    this.ai = getAIClient();
     this.isReady = false;
     this.voiceDir = 'uploads/voice-messages';
     this.activeConversations = new Map();
@@ -22,18 +22,11 @@ class VoiceService {
 
   async initialize() {
     try {
-      const apiKey = process.env.OPENAI_API_KEY;
-      if (!apiKey) {
-        this.logger.warn('OPENAI_API_KEY not found - Voice service will be unavailable');
+      if (!this.ai.supports('tts') && !this.ai.supports('stt')) {
+        this.logger.warn(`The ${this.ai.name} AI provider has no speech support - Voice service will be unavailable`);
         return;
       }
 
-      this.openai = new OpenAI({
-        apiKey,
-        timeout: 60000,
-        maxRetries: 3
-      });
-
       // Ensure voice directory exists
       await this.ensureVoiceDirectory();
 
@@ -62,7 +55,7 @@ class VoiceService {
     const {
       voice = 'alloy',
       speed = 1.0,
-      model = 'tts-1-hd',
+      model: requestedModel = null,
       format = 'mp3',
       saveFile = true,
       streaming = false
@@ -82,6 +75,8 @@ class VoiceService {
         throw new Error('Text is too long. Maximum 4096 characters.');
       }
 
+      const model = await this.ai.resolveModel('tts', { model: requestedModel });
+
       this.logger.info('Starting text-to-speech conversion', {
         voice,
         speed,
@@ -89,13 +84,12 @@ class VoiceService {
         textLength: text.length
       });
 
-      const response = await this.openai.audio.speech.create({
-        model,
+      const response = await this.ai.speech({
         voice,
         input: text,
         speed,
         response_format: format
-      });
+      }, { model });
 
       if (streaming) {
         // Return stream for real-time playback
@@ -156,13 +150,14 @@ class VoiceService {
 
     const {
       language = 'en',
-      model = 'whisper-1',
+      model: requestedModel = null,
       prompt = '',
       temperature = 0.0,
       responseFormat = 'text'
     } = options;
 
     try {
+      const model = await this.ai.resolveModel('stt', { model: requestedModel });
       let audioBuffer;
       let filename = 'audio.wav';
 
@@ -190,7 +185,6 @@ class VoiceService {
 
       const transcriptionOptions = {
         file: audioFile,
-        model,
         language: this.supportedLanguages.includes(language) ? language : 'en',
         response_format: responseFormat,
         temperature
@@ -200,9 +194,11 @@ class VoiceService {
         transcriptionOptions.prompt = prompt;
       }
 
-      const response = await this.openai.audio.transcriptions.create(transcriptionOptions);
+      const response = await this.ai.transcribe(transcriptionOptions, { model });
 
       const transcription = typeof response === 'string' ? response : response.text;
+      // Only present with responseFormat 'verbose_json'
+      const segments = (response && response.segments) || [];
 
       this.logger.info('Speech-to-text conversion completed', {
         model,
@@ -212,6 +208,11 @@ class VoiceService {
 
       return {
         text: transcription,
+        segments: segments.map(segment => ({
+          start: segment.start,
+          end: segment.end,
+          text: segment.text.trim()
+        })),
         metadata: {
           model,
           language,
@@ -344,7 +345,7 @@ class VoiceService {
   async generateAIResponse(userMessage, conversation) {
     // This is a placeholder - integrate with your actual AI service (AidenCompanion)
     try {
-      if (this.openai) {
+      if (this.ai.supports('chat')) {
         // Build conversation context
         const messages = [
           {
@@ -362,8 +363,7 @@ class VoiceService {
         messages.push(...recentMessages);
         messages.push({ role: 'user', content: userMessage });
 
-        const response = await this.openai.chat.completions.create({
-          model: 'gpt-4o-mini',
+        const response = await this.ai.chat({
           messages,
           max_tokens: 300,
           temperature: 0.7
@@ -414,7 +414,7 @@ class VoiceService {
   }
 
   async generateConversationSummary(conversation) {
-    if (!this.openai || conversation.messages.length === 0) {
+    if (!this.ai.supports('chat') || conversation.messages.length === 0) {
       return 'Voice conversation completed.';
     }
 
@@ -423,8 +423,7 @@ class VoiceService {
         .map(msg => `${msg.type}: ${msg.content}`)
         .join('\n');
 
-      const response = await this.openai.chat.completions.create({
-        model: 'gpt-4o-mini',
+      const response = await this.ai.chat({
         messages: [
           {
             role: 'system',
@@ -447,6 +446,49 @@ class VoiceService {
     }
   }
 
+  /**
+   * Turn a call transcript into meeting notes
+   * @param {string} transcript - Speaker-attributed transcript, one "Name: text" line per segment
+   * @returns {Object} { summary, decisions: [string], actionItems: [{ owner, task }] }
+   */
+  async generateMeetingNotes(transcript) {
+    if (!this.ai.supports('chat') || !transcript.trim()) {
+      return { summary: 'Call transcript is available.', decisions: [], actionItems: [] };
+    }
+
+    try {
+      const response = await this.ai.chat({
+        messages: [
+          {
+            role: 'system',
+            content: 'You write meeting notes from call transcripts. Reply with JSON: ' +
+              '{"summary": "2-4 sentences", "decisions": ["..."], "actionItems": [{"owner": "speaker name or null", "task": "..."}]}. ' +
+              'Only include decisions and action items that were actually agreed in the call.'
+          },
+          {
+            role: 'user',
+            content: `Transcript:\n${transcript}`
+          }
+        ],
+        response_format: { type: 'json_object' },
+        max_tokens: 800,
+        temperature: 0.2
+      });
+
+      const notes = JSON.parse(response.choices[0].message.content);
+
+      return {
+        summary: notes.summary || '',
+        decisions: Array.isArray(notes.decisions) ? notes.decisions : [],
+        actionItems: Array.isArray(notes.actionItems) ? notes.actionItems : []
+      };
+
+    } catch (error) {
+      this.logger.warn('Failed to generate meeting notes', { error: error.message });
+      return { summary: 'Call transcript is available.', decisions: [], actionItems: [] };
+    }
+  }
+
   async saveAudioFile(buffer, format, prefix) {
     try {
       const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
@@ -473,7 +515,8 @@ class VoiceService {
       '.m4a': 'audio/mp4',
       '.flac': 'audio/flac',
       '.webm': 'audio/webm',
-      '.ogg': 'audio/ogg'
+      '.ogg': 'audio/ogg',
+      '.mp4': 'video/mp4'
     };
     return mimeTypes[ext] || 'audio/wav';
   }
@@ -546,13 +589,12 @@ class VoiceService {
   }
 
   async translateText(text, sourceLanguage, targetLanguage) {
-    if (!this.openai) {
-      throw new Error('Translation requires OpenAI API key');
+    if (!this.ai.supports('chat')) {
+      throw new Error('Translation requires an AI provider');
     }
 
     try {
-      const response = await this.openai.chat.completions.create({
-        model: 'gpt-4o-mini',
+      const response = await this.ai.chat({
         messages: [
           {
             role: 'system',
@@ -602,9 +644,10 @@ class VoiceService {
       supportedVoices: this.supportedVoices,
       supportedLanguages: this.supportedLanguages,
       activeConversations: this.activeConversations.size,
+      provider: this.ai.name,
       features: {
-        textToSpeech: true,
-        speechToText: true,
+        textToSpeech: this.ai.supports('tts'),
+        speechToText: this.ai.supports('stt'),
         realTimeConversation: true,
         voiceTranslation: true,
         streaming: true
@@ -0,0 +1,482 @@
+const database = require('../database/optimized-connection');
+const PermissionService = require('../enterprise/permission-service');
+const { getAIClient } = require('./providers');
+const { documentType, extractText } = require('./document-text');
+
+const CHUNK_SIZE = 1200;
+const CHUNK_OVERLAP = 200;
+const MAX_CHUNKS_PER_SOURCE = 200;
+// Shorter messages ("ok", "thanks") say nothing worth retrieving
+const MIN_MESSAGE_LENGTH = 12;
+const INDEXED_MESSAGE_TYPES = ['text', 'file', 'image'];
+const EMBED_BATCH_SIZE = 100;
+const BACKFILL_BATCH_SIZE = 200;
+const MAX_QUESTION_LENGTH = 1000;
+const DEFAULT_SOURCES = 8;
+const MAX_SOURCES = 20;
+const MIN_SIMILARITY = 0.25;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const ANSWER_PROMPT = `You answer questions about a team's workspace using only the numbered sources below: chat messages and excerpts of files shared in the chats.
+Cite the sources you rely on with their numbers in square brackets, e.g. [2] or [1][3], right after the statement they support.
+If the sources do not contain the answer, say so plainly instead of guessing.
+Prefer the most recent source when sources disagree, and mention when a decision was changed later.`;
+
+class WorkspaceKnowledgeError extends Error {
+  constructor(message, status = 400, code = 'KNOWLEDGE_FAILED') {
+    super(message);
+    this.name = 'WorkspaceKnowledgeError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// Splits text into overlapping chunks, breaking at paragraphs, lines,
+// sentences or words where possible
+function chunkText(text, size = CHUNK_SIZE, overlap = CHUNK_OVERLAP) {
+  const chunks = [];
+  let start = 0;
+
+  while (start < text.length && chunks.length < MAX_CHUNKS_PER_SOURCE) {
+    let end = Math.min(start + size, text.length);
+
+    if (end < text.length) {
+      const window = text.substring(start + Math.floor(size / 2), end);
+      const breakAt = ['\n\n', '\n', '. ', ' ']
+        .map(separator => window.lastIndexOf(separator))
+        .find(index => index >= 0);
+      if (breakAt !== undefined) end = start + Math.floor(size / 2) + breakAt + 1;
+    }
+
+    const chunk = text.substring(start, end).trim();
+    if (chunk) chunks.push(chunk);
+    if (end >= text.length) break;
+
+    start = Math.max(end - overlap, start + 1);
+    // Start the next chunk on a word
+    const space = text.indexOf(' ', start);
+    if (space >= 0 && space < end) start = space + 1;
+  }
+
+  return chunks;
+}
+
+function normalize(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm ? vector.map(value => value / norm) : vector;
+}
+
+// "Ask the workspace": answers questions from a workspace's chat history and
+// the documents shared in it, with citations of the messages used.
+//
+// Messages of workspace chats, and the text of their PDF, DOCX and TXT
+// attachments, are chunked and embedded into knowledge_chunks as they are
+// sent and edited (bindChatService), older history through reindex().
+// Retrieval only considers chats the asking user currently belongs to, in a
+// workspace where PermissionService lets them use AI, so an answer never
+// draws on a message the user could not open.
+//
+// Like Aiden's memories, embeddings use the server's default embedding
+// model so the vectors of a workspace stay comparable. Chunks made with a
+// previous model are ignored until the workspace is reindexed.
+class WorkspaceKnowledgeService {
+  constructor(dbConnection, options = {}) {
+    this.database = dbConnection || database;
+    this.ai = options.ai || getAIClient();
+    this.permissions = options.permissions || new PermissionService();
+    this.pending = new Map(); // messageId -> { files }
+    this.draining = false;
+    this.backfills = new Set(); // workspaceIds being reindexed
+  }
+
+  get canEmbed() {
+    return this.ai.supports('embeddings');
+  }
+
+  get embeddingModel() {
+    return this.ai.getDefaultModel('embedding');
+  }
+
+  // Event sources
+
+  bindChatService(chatService) {
+    chatService.on('message_created', (message) => {
+      this.enqueue(message.id, { files: true });
+    });
+
+    // An edit changes the text only, attachments stay indexed
+    chatService.on('message_edited', (message) => {
+      this.enqueue(message.id, { files: false });
+    });
+
+    chatService.on('message_deleted', ({ messageId }) => {
+      this.pending.delete(messageId);
+      this.removeMessage(messageId).catch((error) => {
+        console.error('Failed to remove message from the knowledge index:', error.message);
+      });
+    });
+  }
+
+  // Indexing runs one message at a time in the background, a message
+  // edited before its turn is indexed once
+  enqueue(messageId, { files = true } = {}) {
+    if (!this.canEmbed || !messageId) return;
+
+    const queued = this.pending.get(messageId);
+    this.pending.set(messageId, { files: files || Boolean(queued && queued.files) });
+
+    if (!this.draining) {
+      this.drain().catch((error) => {
+        console.error('Knowledge indexer stopped:', error.message);
+      });
+    }
+  }
+
+  async drain() {
+    this.draining = true;
+
+    try {
+      while (this.pending.size > 0) {
+        const [messageId, job] = this.pending.entries().next().value;
+        this.pending.delete(messageId);
+
+        try {
+          await this.indexMessage(messageId, job);
+        } catch (error) {
+          console.error('Failed to index message for workspace knowledge:', error.message);
+        }
+      }
+    } finally {
+      this.draining = false;
+    }
+  }
+
+  // Indexing
+
+  // Replaces the chunks of a message, and of its documents when `files`.
+  // Resolves to the number of chunks written.
+  async indexMessage(messageId, { files = true } = {}) {
+    const result = await this.database.query(`
+      SELECT m.id, m.chat_id, m.sender_id, m.content, m.message_type, m.metadata, m.is_deleted, c.workspace_id
+      FROM messages m
+      JOIN chats c ON c.id = m.chat_id
+      WHERE m.id = $1
+    `, [messageId]);
+
+    const message = result.rows[0];
+    if (!message || !message.workspace_id || message.is_deleted) {
+      await this.removeMessage(messageId);
+      return 0;
+    }
+
+    const chunks = [];
+
+    const content = (message.content || '').trim();
+    if (INDEXED_MESSAGE_TYPES.includes(message.message_type) && content.length >= MIN_MESSAGE_LENGTH) {
+      chunkText(content).forEach((text, index) => chunks.push({ fileId: null, index, text, embedText: text }));
+    }
+
+    if (files) {
+      for (const file of await this.loadDocuments(message)) {
+        const text = await extractText(file.file_path, file.type).catch((error) => {
+          console.warn(`Could not read ${file.original_name} for workspace knowledge:`, error.message);
+          return null;
+        });
+        if (!text) continue;
+
+        chunkText(text).forEach((part, index) => chunks.push({
+          fileId: file.id,
+          index,
+          text: part,
+          // The file name helps questions that mention the document
+          embedText: `${file.original_name}\n\n${part}`
+        }));
+      }
+    }
+
+    const model = this.embeddingModel;
+    const embeddings = [];
+    for (let i = 0; i < chunks.length; i += EMBED_BATCH_SIZE) {
+      const batch = chunks.slice(i, i + EMBED_BATCH_SIZE);
+      embeddings.push(...await this.ai.embed(batch.map(chunk => chunk.embedText), { model }));
+    }
+
+    await this.database.query(
+      `DELETE FROM knowledge_chunks WHERE message_id = $1 ${files ? '' : 'AND file_id IS NULL'}`,
+      [messageId]
+    );
+
+    for (const [i, chunk] of chunks.entries()) {
+      await this.database.query(`
+        INSERT INTO knowledge_chunks (
+          workspace_id, chat_id, message_id, file_id, chunk_index, content, embedding, embedding_model
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      `, [
+        message.workspace_id,
+        message.chat_id,
+        message.id,
+        chunk.fileId,
+        chunk.index,
+        chunk.text,
+        normalize(embeddings[i]),
+        model
+      ]);
+    }
+
+    return chunks.length;
+  }
+
+  // Attachments are linked after message_created, metadata.files already
+  // names them. The metadata comes from the client, so a file it names only
+  // counts when the sender uploaded it.
+  async loadDocuments(message) {
+    const fileIds = ((message.metadata && message.metadata.files) || [])
+      .map(file => file.id)
+      .filter(id => UUID_PATTERN.test(String(id)));
+
+    const result = await this.database.query(`
+      SELECT id, original_name, file_path, mime_type
+      FROM files
+      WHERE id IN (SELECT file_id FROM message_attachments WHERE message_id = $2)
+      OR (id = ANY($1::uuid[]) AND uploaded_by = $3)
+    `, [fileIds, message.id, message.sender_id]);
+
+    return result.rows
+      .map(file => ({ ...file, type: documentType(file.mime_type, file.original_name) }))
+      .filter(file => file.type);
+  }
+
+  async removeMessage(messageId) {
+    await this.database.query('DELETE FROM knowledge_chunks WHERE message_id = $1', [messageId]);
+  }
+
+  // Indexes the workspace's history in the background, messages already
+  // indexed with the current model are skipped. Workspace admins only.
+  async reindex(workspaceId, userId) {
+    await this.assertAccess(userId, workspaceId, 'ai.manage');
+    this.assertCanEmbed();
+
+    if (this.backfills.has(workspaceId)) {
+      throw new WorkspaceKnowledgeError('The workspace is already being indexed', 409, 'REINDEX_IN_PROGRESS');
+    }
+
+    this.backfills.add(workspaceId);
+    this.backfill(workspaceId)
+      .catch((error) => {
+        console.error('Workspace knowledge backfill failed:', error.message);
+      })
+      .finally(() => {
+        this.backfills.delete(workspaceId);
+      });
+
+    return { workspaceId, started: true };
+  }
+
+  async backfill(workspaceId) {
+    const model = this.embeddingModel;
+    let indexed = 0;
+    let cursor = null;
+
+    for (;;) {
+      const result = await this.database.query(`
+        SELECT m.id, m.created_at
+        FROM messages m
+        JOIN chats c ON c.id = m.chat_id
+        WHERE c.workspace_id = $1
+        AND m.is_deleted = false
+        AND ($3::timestamp IS NULL OR (m.created_at, m.id) > ($3::timestamp, $4::uuid))
+        AND NOT EXISTS (
+          SELECT 1 FROM knowledge_chunks k WHERE k.message_id = m.id AND k.embedding_model = $2
+        )
+        ORDER BY m.created_at, m.id
+        LIMIT $5
+      `, [workspaceId, model, cursor && cursor.created_at, cursor && cursor.id, BACKFILL_BATCH_SIZE]);
+
+      for (const row of result.rows) {
+        try {
+          indexed += await this.indexMessage(row.id);
+        } catch (error) {
+          console.error('Failed to index message for workspace knowledge:', error.message);
+        }
+      }
+
+      if (result.rows.length < BACKFILL_BATCH_SIZE) break;
+      cursor = result.rows[result.rows.length - 1];
+    }
+
+    return indexed;
+  }
+
+  async getStatus(workspaceId, userId) {
+    await this.assertAccess(userId, workspaceId);
+
+    const result = await this.database.query(`
+      SELECT
+        COUNT(*) FILTER (WHERE embedding_model = $2) AS chunks,
+        COUNT(DISTINCT message_id) FILTER (WHERE embedding_model = $2) AS messages,
+        COUNT(DISTINCT file_id) FILTER (WHERE embedding_model = $2) AS files,
+        COUNT(*) FILTER (WHERE embedding_model <> $2) AS stale_chunks
+      FROM knowledge_chunks
+      WHERE workspace_id = $1
+    `, [workspaceId, this.embeddingModel]);
+
+    const counts = result.rows[0] || {};
+    return {
+      workspaceId,
+      available: this.canEmbed,
+      model: this.embeddingModel,
+      chunks: parseInt(counts.chunks) || 0,
+      messages: parseInt(counts.messages) || 0,
+      files: parseInt(counts.files) || 0,
+      staleChunks: parseInt(counts.stale_chunks) || 0,
+      reindexing: this.backfills.has(workspaceId)
+    };
+  }
+
+  // Asking
+
+  // The chunks most similar to the query among the chats the user is in,
+  // as sources { messageId, chatId, chatName, fileId, fileName, sender,
+  // sentAt, content, score }
+  //
+  // There is no vector index: the score is computed for every chunk of the
+  // workspace in the user's chats (or the one chat), so a query costs time
+  // linear in that count. That is fine up to some tens of thousands of
+  // chunks per workspace, larger ones need pgvector with an HNSW index.
+  async search(userId, workspaceId, query, { chatId = null, limit = DEFAULT_SOURCES } = {}) {
+    const text = this.validateQuestion(query);
+    if (chatId && !UUID_PATTERN.test(String(chatId))) {
+      throw new WorkspaceKnowledgeError('Invalid chat id', 400, 'INVALID_CHAT');
+    }
+
+    await this.assertAccess(userId, workspaceId);
+    this.assertCanEmbed();
+
+    const model = this.embeddingModel;
+    const [embedding] = await this.ai.embed([text], { model });
+
+    const result = await this.database.query(`
+      SELECT
+        k.message_id, k.chat_id, k.file_id, k.chunk_index, k.content,
+        c.name AS chat_name,
+        f.original_name AS file_name,
+        COALESCE(u.display_name, u.nickname) AS sender,
+        m.created_at AS sent_at,
+        (SELECT SUM(a * b) FROM unnest(k.embedding, $3::real[]) AS v(a, b)) AS score
+      FROM knowledge_chunks k
+      JOIN chats c ON c.id = k.chat_id AND c.is_active = true
+      JOIN chat_participants cp ON cp.chat_id = k.chat_id AND cp.user_id = $2 AND cp.left_at IS NULL
+      JOIN messages m ON m.id = k.message_id AND m.is_deleted = false
+      LEFT JOIN users u ON u.id = m.sender_id
+      LEFT JOIN files f ON f.id = k.file_id
+      WHERE k.workspace_id = $1
+      AND k.embedding_model = $4
+      AND ($5::uuid IS NULL OR k.chat_id = $5)
+      ORDER BY score DESC
+      LIMIT $6
+    `, [
+      workspaceId,
+      userId,
+      normalize(embedding),
+      model,
+      chatId,
+      Math.min(Math.max(parseInt(limit) || DEFAULT_SOURCES, 1), MAX_SOURCES)
+    ]);
+
+    return result.rows
+      .filter(row => parseFloat(row.score) >= MIN_SIMILARITY)
+      .map(row => ({
+        messageId: row.message_id,
+        chatId: row.chat_id,
+        chatName: row.chat_name,
+        fileId: row.file_id,
+        fileName: row.file_name,
+        sender: row.sender,
+        sentAt: row.sent_at,
+        content: row.content,
+        score: parseFloat(row.score)
+      }));
+  }
+
+  // Resolves to { answer, citations, model }. Citations are the sources the
+  // answer refers to, in order of first mention, each with the messageId
+  // and chatId to open.
+  async ask(userId, workspaceId, question, { chatId = null, limit = DEFAULT_SOURCES } = {}) {
+    const sources = await this.search(userId, workspaceId, question, { chatId, limit });
+
+    if (sources.length === 0) {
+      return {
+        answer: 'I could not find anything about that in the chats and files you have access to.',
+        citations: [],
+        model: null
+      };
+    }
+
+    const context = sources.map((source, i) => {
+      const origin = source.fileName
+        ? `file "${source.fileName}" shared in #${source.chatName}`
+        : `#${source.chatName}`;
+      const sentAt = source.sentAt ? new Date(source.sentAt).toISOString().slice(0, 10) : 'unknown date';
+      return `[${i + 1}] ${source.sender || 'Unknown'} in ${origin}, ${sentAt}:\n${source.content}`;
+    }).join('\n\n');
+
+    const completion = await this.ai.chat({
+      messages: [
+        { role: 'system', content: ANSWER_PROMPT },
+        { role: 'user', content: `Sources:\n\n${context}\n\nQuestion: ${question.trim()}` }
+      ],
+      max_tokens: 800,
+      temperature: 0.2
+    }, { role: 'assistant', userId, workspaceId });
+
+    const answer = completion.choices[0].message.content || '';
+
+    const cited = [...new Set([...answer.matchAll(/\[(\d+)\]/g)].map(match => parseInt(match[1])))]
+      .filter(number => number >= 1 && number <= sources.length);
+
+    return {
+      answer,
+      citations: cited.map((number) => {
+        const { content, ...source } = sources[number - 1];
+        return { number, ...source, snippet: content.substring(0, 300) };
+      }),
+      model: completion.model
+    };
+  }
+
+  // Checks
+
+  validateQuestion(question) {
+    if (typeof question !== 'string' || question.trim().length === 0) {
+      throw new WorkspaceKnowledgeError('Question is required', 400, 'INVALID_QUESTION');
+    }
+    if (question.length > MAX_QUESTION_LENGTH) {
+      throw new WorkspaceKnowledgeError(`Question must be at most ${MAX_QUESTION_LENGTH} characters`, 400, 'INVALID_QUESTION');
+    }
+    return question.trim();
+  }
+
+  async assertAccess(userId, workspaceId, permission = 'ai.use') {
+    if (!UUID_PATTERN.test(String(workspaceId)) || !await this.permissions.canAccessWorkspace(userId, workspaceId)) {
+      throw new WorkspaceKnowledgeError('Workspace not found', 404, 'WORKSPACE_NOT_FOUND');
+    }
+
+    if (!await this.permissions.hasPermission(userId, permission, { workspaceId })) {
+      throw new WorkspaceKnowledgeError('You are not allowed to do this in the workspace', 403, 'FORBIDDEN');
+    }
+  }
+
+  assertCanEmbed() {
+    if (!this.canEmbed) {
+      throw new WorkspaceKnowledgeError(
+        'Embeddings are not available with the configured AI provider',
+        501,
+        'AI_CAPABILITY_UNAVAILABLE'
+      );
+    }
+  }
+}
+
+WorkspaceKnowledgeService.chunkText = chunkText;
+
+module.exports = WorkspaceKnowledgeService;
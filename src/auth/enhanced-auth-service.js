@@ -117,6 +117,8 @@ class EnhancedAuthService {
                 throw new Error('Account is deactivated');
             }
 
+            await this.assertSsoNotRequired(user);
+
             // Verify password
             const isValidPassword = await bcrypt.compare(password + user.salt, user.password_hash);
             if (!isValidPassword) {
@@ -125,9 +127,16 @@ class EnhancedAuthService {
 
             // Check if 2FA is enabled
             if (user.two_factor_secret) {
+                // Registered passkeys can stand in for the TOTP code
+                const passkeyResult = await this.pool.query(
+                    'SELECT COUNT(*) as count FROM webauthn_credentials WHERE user_id = $1',
+                    [user.id]
+                );
+
                 return {
                     requiresTwoFactor: true,
-                    tempToken: this.generateTempToken(user.id)
+                    tempToken: this.generateTempToken(user.id),
+                    methods: parseInt(passkeyResult.rows[0].count) > 0 ? ['totp', 'webauthn'] : ['totp']
                 };
             }
 
@@ -381,6 +390,7 @@ class EnhancedAuthService {
                 await this.pool.query('INSERT INTO user_settings (user_id) VALUES ($1)', [user.id]);
             } else {
                 user = userResult.rows[0];
+                await this.assertSsoNotRequired(user);
             }
 
             // Store OAuth info
@@ -520,6 +530,28 @@ class EnhancedAuthService {
         }
     }
 
+    // Organizations can require their identity provider for every login on
+    // a domain they have verified (organization_domains), a domain that is
+    // only listed in sso_domains locks nobody out.
+    // The organization's creator keeps other login methods as a break-glass account.
+    async assertSsoNotRequired(user) {
+        if (!user.email || !user.email.includes('@')) return;
+
+        const domain = user.email.split('@').pop().toLowerCase();
+        const result = await this.pool.query(`
+            SELECT o.id, o.name FROM organizations o
+            INNER JOIN organization_domains d ON d.organization_id = o.id
+            WHERE o.sso_enabled = true AND o.sso_required = true
+              AND d.domain = $1 AND d.verified_at IS NOT NULL
+              AND (o.created_by IS NULL OR o.created_by != $2)
+            LIMIT 1
+        `, [domain, user.id]);
+
+        if (result.rows.length > 0) {
+            throw new Error(`Single sign-on is required for ${result.rows[0].name}`);
+        }
+    }
+
     // Helper methods
     validateNickname(nickname) {
         return /^[a-zA-Z0-9_]{3,50}$/.test(nickname);
@@ -635,6 +667,32 @@ class EnhancedAuthService {
         });
     }
 
+    // Plain HTML mail, used by the notification digest
+    async sendEmail({ to, subject, html }) {
+        await this.mailer.sendMail({
+            from: process.env.SMTP_FROM || 'noreply@talkpai.com',
+            to,
+            subject,
+            html
+        });
+    }
+
+    // Calendar invites go out as text/calendar alternatives so mail clients
+    // show accept/decline, the .ics attachment covers the ones that don't
+    async sendCalendarInvite({ to, subject, html, ics, method = 'REQUEST' }) {
+        await this.mailer.sendMail({
+            from: process.env.SMTP_FROM || 'noreply@talkpai.com',
+            to,
+            subject,
+            html,
+            icalEvent: {
+                method,
+                filename: 'invite.ics',
+                content: ics
+            }
+        });
+    }
+
     // Rate limiting middleware
     static createLoginLimiter() {
         return rateLimit({
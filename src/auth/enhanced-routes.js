@@ -3,10 +3,16 @@ const passport = require('passport');
 const GoogleStrategy = require('passport-google-oauth20').Strategy;
 const MicrosoftStrategy = require('passport-microsoft').Strategy;
 const EnhancedAuthService = require('./enhanced-auth-service');
+const WebAuthnService = require('./webauthn-service');
+const SsoService = require('./sso-service');
+const ApiTokenService = require('./api-token-service');
 const authMiddleware = require('../middleware/auth');
 
 const router = express.Router();
 const authService = new EnhancedAuthService();
+const webAuthnService = new WebAuthnService(authService);
+const ssoService = new SsoService(authService);
+const apiTokenService = new ApiTokenService();
 
 // Apply rate limiting to sensitive endpoints
 const loginLimiter = EnhancedAuthService.createLoginLimiter();
@@ -71,7 +77,8 @@ router.post('/login', loginLimiter, async (req, res) => {
             return res.json({
                 success: true,
                 requiresTwoFactor: true,
-                tempToken: result.tempToken
+                tempToken: result.tempToken,
+                methods: result.methods
             });
         }
 
@@ -217,6 +224,227 @@ router.post('/2fa/disable', authMiddleware, async (req, res) => {
     }
 });
 
+// WebAuthn / passkeys: registration options
+router.post('/webauthn/register/options', authMiddleware, async (req, res) => {
+    try {
+        const options = await webAuthnService.getRegistrationOptions(req.user.id);
+        res.json(options);
+
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Verify and store a new passkey
+router.post('/webauthn/register/verify', authMiddleware, async (req, res) => {
+    try {
+        const { response, name } = req.body;
+
+        if (!response) {
+            return res.status(400).json({
+                success: false,
+                message: 'Registration response is required'
+            });
+        }
+
+        const result = await webAuthnService.verifyRegistration(req.user.id, response, name);
+        res.status(201).json(result);
+
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Authentication options for passwordless login (identifier is optional)
+router.post('/webauthn/login/options', loginLimiter, async (req, res) => {
+    try {
+        const options = await webAuthnService.getAuthenticationOptions({
+            identifier: req.body.identifier
+        });
+        res.json(options);
+
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Passwordless login with a passkey
+router.post('/webauthn/login/verify', loginLimiter, async (req, res) => {
+    try {
+        const { response, rememberMe = false } = req.body;
+
+        if (!response) {
+            return res.status(400).json({
+                success: false,
+                message: 'Authentication response is required'
+            });
+        }
+
+        const deviceInfo = {
+            userAgent: req.headers['user-agent'],
+            ip: req.ip || req.connection.remoteAddress,
+            platform: req.headers['sec-ch-ua-platform'],
+            mobile: req.headers['sec-ch-ua-mobile'] === '?1'
+        };
+
+        const result = await webAuthnService.loginWithPasskey(response, deviceInfo, rememberMe);
+
+        res.cookie('refreshToken', result.tokens.refreshToken, {
+            httpOnly: true,
+            secure: process.env.NODE_ENV === 'production',
+            sameSite: 'strict',
+            maxAge: result.tokens.expiresIn * 1000
+        });
+
+        res.json({
+            success: true,
+            user: result.user,
+            accessToken: result.tokens.accessToken,
+            expiresIn: result.tokens.expiresIn
+        });
+
+    } catch (error) {
+        res.status(401).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Authentication options for using a passkey as the second factor
+router.post('/webauthn/2fa/options', loginLimiter, async (req, res) => {
+    try {
+        const { tempToken } = req.body;
+
+        if (!tempToken) {
+            return res.status(400).json({
+                success: false,
+                message: 'Temporary token is required'
+            });
+        }
+
+        const options = await webAuthnService.getAuthenticationOptions({ tempToken });
+        res.json(options);
+
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Complete a password login with a passkey instead of a TOTP code
+router.post('/webauthn/2fa/verify', loginLimiter, async (req, res) => {
+    try {
+        const { tempToken, response } = req.body;
+
+        if (!tempToken || !response) {
+            return res.status(400).json({
+                success: false,
+                message: 'Temporary token and authentication response are required'
+            });
+        }
+
+        const deviceInfo = {
+            userAgent: req.headers['user-agent'],
+            ip: req.ip || req.connection.remoteAddress,
+            platform: req.headers['sec-ch-ua-platform'],
+            mobile: req.headers['sec-ch-ua-mobile'] === '?1'
+        };
+
+        const result = await webAuthnService.verifyTwoFactorLogin(tempToken, response, deviceInfo);
+
+        res.cookie('refreshToken', result.tokens.refreshToken, {
+            httpOnly: true,
+            secure: process.env.NODE_ENV === 'production',
+            sameSite: 'strict',
+            maxAge: result.tokens.expiresIn * 1000
+        });
+
+        res.json({
+            success: true,
+            user: result.user,
+            accessToken: result.tokens.accessToken,
+            expiresIn: result.tokens.expiresIn
+        });
+
+    } catch (error) {
+        res.status(401).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// List registered passkeys
+router.get('/webauthn/credentials', authMiddleware, async (req, res) => {
+    try {
+        const credentials = await webAuthnService.getCredentials(req.user.id);
+
+        res.json({
+            success: true,
+            credentials
+        });
+
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Rename a passkey
+router.put('/webauthn/credentials/:credentialId', authMiddleware, async (req, res) => {
+    try {
+        const { name } = req.body;
+
+        if (!name || !name.trim()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Name is required'
+            });
+        }
+
+        const credential = await webAuthnService.renameCredential(req.user.id, req.params.credentialId, name.trim());
+
+        res.json({
+            success: true,
+            credential
+        });
+
+    } catch (error) {
+        res.status(404).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Remove a passkey
+router.delete('/webauthn/credentials/:credentialId', authMiddleware, async (req, res) => {
+    try {
+        const result = await webAuthnService.deleteCredential(req.user.id, req.params.credentialId);
+        res.json(result);
+
+    } catch (error) {
+        res.status(404).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
 // Password reset request
 router.post('/forgot-password', async (req, res) => {
     try {
@@ -449,6 +677,193 @@ router.delete('/sessions/:sessionId', authMiddleware, async (req, res) => {
     }
 });
 
+// Personal access tokens and authorized apps
+router.get('/tokens', authMiddleware, authMiddleware.requireSession, async (req, res) => {
+    try {
+        const result = await apiTokenService.getUserTokens(req.user.id);
+
+        res.json({
+            success: true,
+            scopes: ApiTokenService.SCOPES,
+            ...result
+        });
+
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+router.post('/tokens', authMiddleware, authMiddleware.requireSession, async (req, res) => {
+    try {
+        const { name, scopes, expiresInDays } = req.body;
+
+        const token = await apiTokenService.createPersonalToken(req.user.id, {
+            name,
+            scopes,
+            expiresInDays
+        });
+
+        res.status(201).json({
+            success: true,
+            token
+        });
+
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+router.delete('/tokens/:tokenId', authMiddleware, authMiddleware.requireSession, async (req, res) => {
+    try {
+        await apiTokenService.revokePersonalToken(req.user.id, req.params.tokenId);
+        res.json({ success: true });
+
+    } catch (error) {
+        res.status(404).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+router.delete('/authorizations/:appId', authMiddleware, authMiddleware.requireSession, async (req, res) => {
+    try {
+        await apiTokenService.revokeAuthorization(req.user.id, req.params.appId);
+        res.json({ success: true });
+
+    } catch (error) {
+        res.status(404).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// OAuth2 provider: the consent screen loads the request, then posts the decision
+const readAuthorizationParams = (source) => ({
+    clientId: source.client_id,
+    redirectUri: source.redirect_uri,
+    scope: source.scope,
+    state: source.state,
+    codeChallenge: source.code_challenge,
+    codeChallengeMethod: source.code_challenge_method
+});
+
+router.get('/oauth/authorize', authMiddleware, authMiddleware.requireSession, async (req, res) => {
+    try {
+        if (req.query.response_type !== 'code') {
+            throw new ApiTokenService.OAuthError('unsupported_response_type', 'Only response_type=code is supported');
+        }
+
+        const request = await apiTokenService.getAuthorizationRequest(
+            req.user.id,
+            readAuthorizationParams(req.query)
+        );
+
+        res.json({
+            success: true,
+            ...request
+        });
+
+    } catch (error) {
+        res.status(error.status || 400).json({
+            success: false,
+            message: error.message,
+            error: error.code
+        });
+    }
+});
+
+router.post('/oauth/authorize', authMiddleware, authMiddleware.requireSession, async (req, res) => {
+    try {
+        const params = readAuthorizationParams(req.body);
+
+        const redirectUrl = req.body.approve
+            ? await apiTokenService.createAuthorizationCode(req.user.id, params)
+            : apiTokenService.denyAuthorization(
+                (await apiTokenService.getAuthorizationRequest(req.user.id, params)).redirectUri,
+                params.state
+            );
+
+        res.json({
+            success: true,
+            redirectUrl
+        });
+
+    } catch (error) {
+        res.status(error.status || 400).json({
+            success: false,
+            message: error.message,
+            error: error.code
+        });
+    }
+});
+
+// Client credentials come from HTTP Basic auth or the request body (RFC 6749 section 2.3.1)
+const readClientCredentials = (req) => {
+    const header = req.headers.authorization || '';
+
+    if (header.startsWith('Basic ')) {
+        const decoded = Buffer.from(header.substring(6), 'base64').toString();
+        const separator = decoded.indexOf(':');
+        return {
+            clientId: decodeURIComponent(decoded.substring(0, separator)),
+            clientSecret: decodeURIComponent(decoded.substring(separator + 1))
+        };
+    }
+
+    return {
+        clientId: req.body.client_id,
+        clientSecret: req.body.client_secret
+    };
+};
+
+router.post('/oauth/token', async (req, res) => {
+    res.set('Cache-Control', 'no-store');
+
+    try {
+        const tokens = await apiTokenService.exchangeToken({
+            ...readClientCredentials(req),
+            grantType: req.body.grant_type,
+            code: req.body.code,
+            redirectUri: req.body.redirect_uri,
+            codeVerifier: req.body.code_verifier,
+            refreshToken: req.body.refresh_token
+        });
+
+        res.json(tokens);
+
+    } catch (error) {
+        if (error instanceof ApiTokenService.OAuthError) {
+            return res.status(error.status).json(error);
+        }
+        res.status(500).json({ error: 'server_error', error_description: error.message });
+    }
+});
+
+router.post('/oauth/revoke', async (req, res) => {
+    try {
+        await apiTokenService.revokeOAuthToken({
+            ...readClientCredentials(req),
+            token: req.body.token
+        });
+
+        res.status(200).end();
+
+    } catch (error) {
+        if (error instanceof ApiTokenService.OAuthError) {
+            return res.status(error.status).json(error);
+        }
+        res.status(500).json({ error: 'server_error', error_description: error.message });
+    }
+});
+
 // Configure OAuth strategies
 if (process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET) {
     passport.use(new GoogleStrategy({
@@ -524,6 +939,147 @@ if (process.env.MICROSOFT_CLIENT_ID && process.env.MICROSOFT_CLIENT_SECRET) {
     );
 }
 
+// Organization single sign-on (SAML 2.0 / OIDC)
+function sendSsoSession(res, result) {
+    // An existing account: the user signs in to it and confirms with POST /sso/link
+    if (result.linkRequired) {
+        const redirectUrl = `${process.env.FRONTEND_URL}/login?ssoLink=${result.linkToken}&organization=${encodeURIComponent(result.organizationName)}`;
+        return res.redirect(redirectUrl);
+    }
+
+    res.cookie('refreshToken', result.tokens.refreshToken, {
+        httpOnly: true,
+        secure: process.env.NODE_ENV === 'production',
+        sameSite: 'strict',
+        maxAge: result.tokens.expiresIn * 1000
+    });
+
+    const redirectUrl = `${process.env.FRONTEND_URL}/oauth-success?token=${result.tokens.accessToken}`;
+    res.redirect(redirectUrl);
+}
+
+function sendSsoError(res, error) {
+    const redirectUrl = `${process.env.FRONTEND_URL}/login?error=${encodeURIComponent(error.message)}`;
+    res.redirect(redirectUrl);
+}
+
+// Find out whether an email address should log in through its organization
+router.get('/sso/discover', async (req, res) => {
+    try {
+        const { email } = req.query;
+
+        if (!email) {
+            return res.status(400).json({
+                success: false,
+                message: 'Email is required'
+            });
+        }
+
+        const sso = await ssoService.discover(email);
+
+        res.json({
+            success: true,
+            sso
+        });
+
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Start SSO login by redirecting to the organization's identity provider
+router.get('/sso/:orgId/login', async (req, res) => {
+    try {
+        const loginUrl = await ssoService.getLoginUrl(req.params.orgId);
+        res.redirect(loginUrl);
+
+    } catch (error) {
+        sendSsoError(res, error);
+    }
+});
+
+// SAML service provider metadata for the identity provider admin
+router.get('/sso/:orgId/saml/metadata', async (req, res) => {
+    try {
+        const metadata = await ssoService.getSamlMetadata(req.params.orgId);
+        res.type('application/xml').send(metadata);
+
+    } catch (error) {
+        res.status(404).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// SAML assertion consumer service
+router.post('/sso/:orgId/saml/acs', async (req, res) => {
+    try {
+        if (!req.body || !req.body.SAMLResponse) {
+            throw new Error('SAMLResponse is required');
+        }
+
+        const deviceInfo = {
+            userAgent: req.headers['user-agent'],
+            ip: req.ip || req.connection.remoteAddress
+        };
+
+        const result = await ssoService.handleSamlResponse(req.params.orgId, req.body, deviceInfo);
+        sendSsoSession(res, result);
+
+    } catch (error) {
+        sendSsoError(res, error);
+    }
+});
+
+// OIDC redirect URI
+router.get('/sso/:orgId/oidc/callback', async (req, res) => {
+    try {
+        const deviceInfo = {
+            userAgent: req.headers['user-agent'],
+            ip: req.ip || req.connection.remoteAddress
+        };
+
+        const result = await ssoService.handleOidcCallback(req.params.orgId, req, deviceInfo);
+        sendSsoSession(res, result);
+
+    } catch (error) {
+        sendSsoError(res, error);
+    }
+});
+
+// Link an SSO login to the signed-in account, the confirmation an existing
+// account needs before its organization's identity provider can sign it in
+router.post('/sso/link', authMiddleware, async (req, res) => {
+    try {
+        const { linkToken } = req.body;
+
+        if (!linkToken) {
+            return res.status(400).json({
+                success: false,
+                message: 'linkToken is required'
+            });
+        }
+
+        const link = await ssoService.confirmLink(linkToken, req.user.id);
+
+        res.json({
+            success: true,
+            message: `Single sign-on with ${link.organizationName} is now linked to your account`,
+            organizationId: link.organizationId
+        });
+
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
 // User profile endpoints
 router.get('/profile', authMiddleware, async (req, res) => {
     try {
@@ -541,9 +1097,12 @@ router.get('/profile', authMiddleware, async (req, res) => {
         }
 
         const user = authService.sanitizeUser(result.rows[0]);
+        const passkeys = await webAuthnService.getCredentials(req.user.id);
+
         res.json({
             success: true,
-            user
+            user,
+            passkeys
         });
 
     } catch (error) {
@@ -106,6 +106,7 @@ class AuthService {
       id: session.user_id,
       nickname: session.nickname,
       avatar: session.avatar,
+      sessionId: session.id || null,
       token
     };
   }
@@ -0,0 +1,460 @@
+const crypto = require('crypto');
+const { SAML } = require('@node-saml/node-saml');
+const { Issuer, generators } = require('openid-client');
+
+const LOGIN_STATE_TTL_MINUTES = 10;
+const ISSUER_CACHE_TTL = 60 * 60 * 1000; // 1 hour
+
+const SAML_EMAIL_ATTRIBUTES = [
+    'email',
+    'mail',
+    'http://schemas.xmlsoap.org/ws/2005/05/identity/claims/emailaddress',
+    'urn:oid:0.9.2342.19200300.100.1.3'
+];
+
+const SAML_NAME_ATTRIBUTES = [
+    'displayName',
+    'http://schemas.microsoft.com/identity/claims/displayname',
+    'http://schemas.xmlsoap.org/ws/2005/05/identity/claims/name',
+    'urn:oid:2.16.840.1.113730.3.1.241'
+];
+
+// Per-organization single sign-on. Each organization can point at its own
+// SAML 2.0 or OIDC identity provider; the settings are stored on the
+// organizations row (sso_protocol, sso_config, sso_domains, ...). Only the
+// domains verified in organization_domains count. Users are provisioned just
+// in time into the organization's default workspace. An existing account
+// outside the organization is only linked once its owner confirms while
+// signed in (confirmLink).
+class SsoService {
+    constructor(authService) {
+        this.authService = authService;
+        this.pool = authService.pool;
+        this.baseUrl = (process.env.API_BASE_URL || process.env.FRONTEND_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, '');
+        this.issuerCache = new Map();
+    }
+
+    // Organization lookup
+    async getOrganization(orgId) {
+        const result = await this.pool.query(`
+            SELECT o.id, o.name, o.sso_protocol, o.sso_enabled, o.sso_required, o.sso_config,
+                   o.default_workspace_id,
+                   ARRAY(
+                       SELECT d.domain FROM organization_domains d
+                       WHERE d.organization_id = o.id AND d.verified_at IS NOT NULL
+                   ) AS sso_domains
+            FROM organizations o
+            WHERE o.id = $1
+        `, [orgId]);
+
+        const organization = result.rows[0];
+        if (!organization || !organization.sso_enabled || !organization.sso_protocol) {
+            throw new Error('Single sign-on is not configured for this organization');
+        }
+
+        return organization;
+    }
+
+    // Which organization (if any) handles logins for this email address
+    async discover(email) {
+        const domain = this.getEmailDomain(email);
+        if (!domain) return null;
+
+        const result = await this.pool.query(`
+            SELECT o.id, o.name, o.sso_protocol, o.sso_required
+            FROM organizations o
+            INNER JOIN organization_domains d ON d.organization_id = o.id
+            WHERE o.sso_enabled = true AND d.domain = $1 AND d.verified_at IS NOT NULL
+            LIMIT 1
+        `, [domain]);
+
+        const organization = result.rows[0];
+        if (!organization) return null;
+
+        return {
+            organizationId: organization.id,
+            organizationName: organization.name,
+            protocol: organization.sso_protocol,
+            required: organization.sso_required,
+            loginUrl: `${this.baseUrl}/api/auth/sso/${organization.id}/login`
+        };
+    }
+
+    // Start a login: returns the identity provider URL to redirect to
+    async getLoginUrl(orgId) {
+        const organization = await this.getOrganization(orgId);
+
+        if (organization.sso_protocol === 'saml') {
+            const saml = this.createSamlClient(organization);
+            return saml.getAuthorizeUrlAsync(organization.id, undefined, {});
+        }
+
+        const client = await this.createOidcClient(organization);
+        const state = generators.state();
+        const nonce = generators.nonce();
+        const codeVerifier = generators.codeVerifier();
+
+        await this.saveLoginState(`oidc:${state}`, JSON.stringify({
+            organizationId: organization.id,
+            nonce,
+            codeVerifier
+        }));
+
+        return client.authorizationUrl({
+            scope: organization.sso_config.scopes || 'openid email profile',
+            state,
+            nonce,
+            code_challenge: generators.codeChallenge(codeVerifier),
+            code_challenge_method: 'S256'
+        });
+    }
+
+    // SAML
+    getSamlCallbackUrl(orgId) {
+        return `${this.baseUrl}/api/auth/sso/${orgId}/saml/acs`;
+    }
+
+    getSamlEntityId(orgId) {
+        return `${this.baseUrl}/api/auth/sso/${orgId}/saml/metadata`;
+    }
+
+    createSamlClient(organization) {
+        const config = organization.sso_config || {};
+
+        if (!config.entryPoint || !config.certificate) {
+            throw new Error('SAML identity provider is not fully configured');
+        }
+
+        return new SAML({
+            callbackUrl: this.getSamlCallbackUrl(organization.id),
+            entryPoint: config.entryPoint,
+            issuer: this.getSamlEntityId(organization.id),
+            audience: this.getSamlEntityId(organization.id),
+            idpIssuer: config.idpEntityId || undefined,
+            cert: config.certificate,
+            identifierFormat: config.identifierFormat || 'urn:oasis:names:tc:SAML:1.1:nameid-format:emailAddress',
+            signatureAlgorithm: 'sha256',
+            wantAssertionsSigned: true,
+            wantAuthnResponseSigned: Boolean(config.wantResponseSigned),
+            acceptedClockSkewMs: 5000,
+            // Only accept responses to requests we issued (no IdP-initiated logins)
+            validateInResponseTo: 'always',
+            requestIdExpirationPeriodMs: LOGIN_STATE_TTL_MINUTES * 60 * 1000,
+            cacheProvider: this.createSamlCacheProvider()
+        });
+    }
+
+    async getSamlMetadata(orgId) {
+        const organization = await this.getOrganization(orgId);
+        if (organization.sso_protocol !== 'saml') {
+            throw new Error('Organization does not use SAML');
+        }
+
+        return this.createSamlClient(organization).generateServiceProviderMetadata(null, null);
+    }
+
+    async handleSamlResponse(orgId, body, deviceInfo = {}) {
+        try {
+            const organization = await this.getOrganization(orgId);
+            if (organization.sso_protocol !== 'saml') {
+                throw new Error('Organization does not use SAML');
+            }
+
+            // Signature, audience, conditions and InResponseTo are checked here
+            const saml = this.createSamlClient(organization);
+            const { profile } = await saml.validatePostResponseAsync({ SAMLResponse: body.SAMLResponse });
+
+            if (!profile) {
+                throw new Error('No assertion in SAML response');
+            }
+
+            const config = organization.sso_config || {};
+            const email = this.pickAttribute(profile, config.emailAttribute ? [config.emailAttribute] : SAML_EMAIL_ATTRIBUTES) ||
+                (profile.nameID && profile.nameID.includes('@') ? profile.nameID : null);
+
+            return await this.completeLogin(organization, {
+                provider: 'saml',
+                subject: profile.nameID,
+                email,
+                displayName: this.pickAttribute(profile, config.nameAttribute ? [config.nameAttribute] : SAML_NAME_ATTRIBUTES),
+                profile: { nameID: profile.nameID, issuer: profile.issuer, sessionIndex: profile.sessionIndex }
+            }, deviceInfo);
+
+        } catch (error) {
+            throw new Error(`SSO login failed: ${error.message}`);
+        }
+    }
+
+    // Store SAML request IDs in the database so any instance can validate the response
+    createSamlCacheProvider() {
+        return {
+            saveAsync: async (key, value) => {
+                await this.saveLoginState(`saml:${key}`, value);
+                return { value, createdAt: Date.now() };
+            },
+            getAsync: async (key) => {
+                const result = await this.pool.query(`
+                    SELECT value FROM sso_login_states
+                    WHERE key = $1 AND expires_at > CURRENT_TIMESTAMP
+                `, [`saml:${key}`]);
+                return result.rows[0] ? result.rows[0].value : null;
+            },
+            removeAsync: async (key) => {
+                if (!key) return null;
+                return this.consumeLoginState(`saml:${key}`);
+            }
+        };
+    }
+
+    // OIDC
+    getOidcCallbackUrl(orgId) {
+        return `${this.baseUrl}/api/auth/sso/${orgId}/oidc/callback`;
+    }
+
+    async createOidcClient(organization) {
+        const config = organization.sso_config || {};
+
+        if (!config.issuer || !config.clientId) {
+            throw new Error('OIDC identity provider is not fully configured');
+        }
+
+        let cached = this.issuerCache.get(config.issuer);
+        if (!cached || Date.now() - cached.discoveredAt > ISSUER_CACHE_TTL) {
+            cached = { issuer: await Issuer.discover(config.issuer), discoveredAt: Date.now() };
+            this.issuerCache.set(config.issuer, cached);
+        }
+
+        return new cached.issuer.Client({
+            client_id: config.clientId,
+            client_secret: config.clientSecret,
+            redirect_uris: [this.getOidcCallbackUrl(organization.id)],
+            response_types: ['code'],
+            token_endpoint_auth_method: config.clientSecret ? 'client_secret_basic' : 'none'
+        });
+    }
+
+    async handleOidcCallback(orgId, req, deviceInfo = {}) {
+        try {
+            const organization = await this.getOrganization(orgId);
+            if (organization.sso_protocol !== 'oidc') {
+                throw new Error('Organization does not use OIDC');
+            }
+
+            const client = await this.createOidcClient(organization);
+            const params = client.callbackParams(req);
+
+            const stored = await this.consumeLoginState(`oidc:${params.state}`);
+            if (!stored) {
+                throw new Error('Login session expired or invalid');
+            }
+
+            const loginState = JSON.parse(stored);
+            if (loginState.organizationId !== organization.id) {
+                throw new Error('Login session does not belong to this organization');
+            }
+
+            const tokenSet = await client.callback(this.getOidcCallbackUrl(organization.id), params, {
+                state: params.state,
+                nonce: loginState.nonce,
+                code_verifier: loginState.codeVerifier
+            });
+
+            const claims = tokenSet.claims();
+
+            if (claims.email && claims.email_verified === false) {
+                throw new Error('Identity provider reports the email address as unverified');
+            }
+
+            return await this.completeLogin(organization, {
+                provider: 'oidc',
+                subject: claims.sub,
+                email: claims.email,
+                displayName: claims.name || claims.preferred_username,
+                profile: { sub: claims.sub, iss: claims.iss }
+            }, deviceInfo);
+
+        } catch (error) {
+            throw new Error(`SSO login failed: ${error.message}`);
+        }
+    }
+
+    // Just-in-time provisioning and session creation
+    async completeLogin(organization, identity, deviceInfo = {}) {
+        if (!identity.subject) {
+            throw new Error('Identity provider did not return a subject');
+        }
+
+        const email = identity.email ? identity.email.toLowerCase() : null;
+        const domain = this.getEmailDomain(email);
+
+        // An IdP may only vouch for addresses in the organization's own domains
+        if (!domain || !(organization.sso_domains || []).includes(domain)) {
+            throw new Error('Email address is not in a domain managed by this organization');
+        }
+
+        const providerId = `${organization.id}:${identity.subject}`;
+
+        let userResult = await this.pool.query(`
+            SELECT u.* FROM user_oauth uo
+            JOIN users u ON u.id = uo.user_id
+            WHERE uo.provider = $1 AND uo.provider_id = $2
+        `, [identity.provider, providerId]);
+
+        if (userResult.rows.length === 0) {
+            userResult = await this.pool.query('SELECT * FROM users WHERE LOWER(email) = $1', [email]);
+
+            // Matching the address is not enough to take over an account the
+            // organization has no hold on, its owner has to confirm the link
+            const existing = userResult.rows[0];
+            if (existing && !(await this.isOrganizationMember(organization.id, existing.id))) {
+                return this.requestLinkConfirmation(organization, existing, identity, providerId);
+            }
+        }
+
+        let user = userResult.rows[0];
+
+        if (!user) {
+            const nickname = await this.authService.generateUniqueNickname(
+                identity.displayName || email.split('@')[0]
+            );
+
+            userResult = await this.pool.query(`
+                INSERT INTO users (nickname, email, display_name, is_verified, email_verified_at)
+                VALUES ($1, $2, $3, true, CURRENT_TIMESTAMP)
+                RETURNING *
+            `, [nickname, email, identity.displayName || nickname]);
+
+            user = userResult.rows[0];
+
+            await this.pool.query('INSERT INTO user_settings (user_id) VALUES ($1)', [user.id]);
+        }
+
+        if (!user.is_active) {
+            throw new Error('Account is deactivated');
+        }
+
+        await this.linkIdentity(organization, user.id, identity.provider, providerId, identity.profile);
+
+        const tokens = await this.authService.generateTokens(user, { ...deviceInfo, sso: organization.id });
+
+        await this.pool.query(`
+            UPDATE users SET last_login = CURRENT_TIMESTAMP, last_seen = CURRENT_TIMESTAMP
+            WHERE id = $1
+        `, [user.id]);
+
+        return {
+            success: true,
+            user: this.authService.sanitizeUser(user),
+            tokens
+        };
+    }
+
+    async linkIdentity(organization, userId, provider, providerId, profile = {}) {
+        await this.pool.query(`
+            INSERT INTO user_oauth (user_id, provider, provider_id, profile_data)
+            VALUES ($1, $2, $3, $4)
+            ON CONFLICT (user_id, provider) DO UPDATE SET
+                provider_id = $3,
+                profile_data = $4,
+                updated_at = CURRENT_TIMESTAMP
+        `, [userId, provider, providerId, JSON.stringify(profile || {})]);
+
+        if (organization.default_workspace_id) {
+            await this.pool.query(`
+                INSERT INTO workspace_members (workspace_id, user_id, role)
+                VALUES ($1, $2, 'member')
+                ON CONFLICT (workspace_id, user_id) DO NOTHING
+            `, [organization.default_workspace_id, userId]);
+        }
+    }
+
+    // In one of the organization's workspaces, or provisioned for it through SCIM
+    async isOrganizationMember(orgId, userId) {
+        const result = await this.pool.query(`
+            SELECT 1 FROM workspace_members wm
+            INNER JOIN workspaces w ON w.id = wm.workspace_id
+            WHERE w.organization_id = $1 AND wm.user_id = $2 AND wm.status = 'active'
+            UNION ALL
+            SELECT 1 FROM scim_users WHERE organization_id = $1 AND user_id = $2
+            LIMIT 1
+        `, [orgId, userId]);
+
+        return result.rows.length > 0;
+    }
+
+    // No session yet: the login resolves to a token the account's owner
+    // hands to confirmLink once signed in the usual way
+    async requestLinkConfirmation(organization, user, identity, providerId) {
+        const linkToken = crypto.randomBytes(32).toString('hex');
+
+        await this.saveLoginState(`link:${linkToken}`, JSON.stringify({
+            organizationId: organization.id,
+            userId: user.id,
+            provider: identity.provider,
+            providerId,
+            profile: identity.profile || {}
+        }));
+
+        return {
+            success: false,
+            linkRequired: true,
+            linkToken,
+            organizationName: organization.name
+        };
+    }
+
+    async confirmLink(linkToken, userId) {
+        const stored = linkToken ? await this.consumeLoginState(`link:${linkToken}`) : null;
+        if (!stored) {
+            throw new Error('Link request expired or invalid');
+        }
+
+        const link = JSON.parse(stored);
+        if (String(link.userId) !== String(userId)) {
+            throw new Error('This single sign-on login belongs to a different account');
+        }
+
+        const organization = await this.getOrganization(link.organizationId);
+        await this.linkIdentity(organization, link.userId, link.provider, link.providerId, link.profile);
+
+        return { organizationId: organization.id, organizationName: organization.name };
+    }
+
+    // Helper methods
+    async saveLoginState(key, value) {
+        await this.pool.query(
+            'DELETE FROM sso_login_states WHERE expires_at < CURRENT_TIMESTAMP'
+        );
+
+        await this.pool.query(`
+            INSERT INTO sso_login_states (key, value, expires_at)
+            VALUES ($1, $2, CURRENT_TIMESTAMP + ($3 || ' minutes')::INTERVAL)
+            ON CONFLICT (key) DO UPDATE SET value = $2, expires_at = EXCLUDED.expires_at
+        `, [key, value, LOGIN_STATE_TTL_MINUTES]);
+    }
+
+    async consumeLoginState(key) {
+        const result = await this.pool.query(`
+            DELETE FROM sso_login_states
+            WHERE key = $1 AND expires_at > CURRENT_TIMESTAMP
+            RETURNING value
+        `, [key]);
+
+        return result.rows[0] ? result.rows[0].value : null;
+    }
+
+    pickAttribute(profile, names) {
+        for (const name of names) {
+            const value = profile[name] || (profile.attributes && profile.attributes[name]);
+            if (value) return Array.isArray(value) ? value[0] : value;
+        }
+        return null;
+    }
+
+    getEmailDomain(email) {
+        if (!email || typeof email !== 'string' || !email.includes('@')) return null;
+        return email.split('@').pop().toLowerCase();
+    }
+}
+
+module.exports = SsoService;
@@ -0,0 +1,336 @@
+const jwt = require('jsonwebtoken');
+const {
+    generateRegistrationOptions,
+    verifyRegistrationResponse,
+    generateAuthenticationOptions,
+    verifyAuthenticationResponse
+} = require('@simplewebauthn/server');
+const { isoBase64URL } = require('@simplewebauthn/server/helpers');
+
+const CHALLENGE_TTL_MINUTES = 5;
+
+// WebAuthn / passkey support on top of EnhancedAuthService. Passkeys can be
+// used on their own (passwordless, discoverable credentials) or as an
+// alternative to the TOTP code after a password login. Challenges are kept
+// in webauthn_challenges and deleted on first use so an assertion cannot be
+// replayed.
+class WebAuthnService {
+    constructor(authService) {
+        this.authService = authService;
+        this.pool = authService.pool;
+
+        const frontendUrl = process.env.FRONTEND_URL || `http://localhost:${process.env.PORT || 3000}`;
+        this.rpName = process.env.WEBAUTHN_RP_NAME || 'Talk pAI';
+        this.rpID = process.env.WEBAUTHN_RP_ID || new URL(frontendUrl).hostname;
+        this.origins = (process.env.WEBAUTHN_ORIGINS || frontendUrl)
+            .split(',')
+            .map(origin => origin.trim())
+            .filter(Boolean);
+    }
+
+    // Registration
+    async getRegistrationOptions(userId) {
+        try {
+            const user = await this.authService.getUserById(userId);
+            if (!user) {
+                throw new Error('User not found');
+            }
+
+            const credentials = await this.getCredentialRows(userId);
+
+            const options = await generateRegistrationOptions({
+                rpName: this.rpName,
+                rpID: this.rpID,
+                userID: user.id,
+                userName: user.email || user.nickname,
+                userDisplayName: user.display_name || user.nickname,
+                attestationType: 'none',
+                excludeCredentials: credentials.map(credential => ({
+                    id: isoBase64URL.toBuffer(credential.credential_id),
+                    type: 'public-key',
+                    transports: credential.transports
+                })),
+                authenticatorSelection: {
+                    residentKey: 'preferred',
+                    userVerification: 'preferred'
+                }
+            });
+
+            await this.storeChallenge(options.challenge, 'registration', userId);
+            return options;
+
+        } catch (error) {
+            throw new Error(`Passkey registration failed: ${error.message}`);
+        }
+    }
+
+    async verifyRegistration(userId, response, name = null) {
+        try {
+            const expectedChallenge = await this.consumeChallenge(response, 'registration', userId);
+
+            const verification = await verifyRegistrationResponse({
+                response,
+                expectedChallenge,
+                expectedOrigin: this.origins,
+                expectedRPID: this.rpID,
+                requireUserVerification: false
+            });
+
+            if (!verification.verified || !verification.registrationInfo) {
+                throw new Error('Registration response could not be verified');
+            }
+
+            const {
+                credentialID,
+                credentialPublicKey,
+                counter,
+                credentialDeviceType,
+                credentialBackedUp,
+                aaguid
+            } = verification.registrationInfo;
+
+            const result = await this.pool.query(`
+                INSERT INTO webauthn_credentials (
+                    user_id, credential_id, public_key, sign_count, transports,
+                    device_type, backed_up, aaguid, name
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+                RETURNING id, name, device_type, backed_up, transports, created_at, last_used_at
+            `, [
+                userId,
+                isoBase64URL.fromBuffer(credentialID),
+                Buffer.from(credentialPublicKey),
+                counter,
+                (response.response && response.response.transports) || [],
+                credentialDeviceType,
+                credentialBackedUp,
+                aaguid,
+                (name || 'Passkey').substring(0, 100)
+            ]);
+
+            return {
+                success: true,
+                credential: result.rows[0]
+            };
+
+        } catch (error) {
+            throw new Error(`Passkey registration failed: ${error.message}`);
+        }
+    }
+
+    // Authentication
+    async getAuthenticationOptions({ identifier = null, tempToken = null } = {}) {
+        try {
+            let userId = null;
+
+            if (tempToken) {
+                userId = this.verifyTempToken(tempToken);
+            } else if (identifier) {
+                const userResult = await this.pool.query(
+                    'SELECT id FROM users WHERE (nickname = $1 OR email = $1) AND is_active = true',
+                    [identifier]
+                );
+                userId = userResult.rows[0] ? userResult.rows[0].id : null;
+            }
+
+            // Without a known user the browser offers its discoverable credentials
+            const credentials = userId ? await this.getCredentialRows(userId) : [];
+            if (tempToken && credentials.length === 0) {
+                throw new Error('No passkeys registered');
+            }
+
+            const options = await generateAuthenticationOptions({
+                rpID: this.rpID,
+                userVerification: 'preferred',
+                allowCredentials: credentials.map(credential => ({
+                    id: isoBase64URL.toBuffer(credential.credential_id),
+                    type: 'public-key',
+                    transports: credential.transports
+                }))
+            });
+
+            await this.storeChallenge(options.challenge, 'authentication', tempToken ? userId : null);
+            return options;
+
+        } catch (error) {
+            throw new Error(`Passkey authentication failed: ${error.message}`);
+        }
+    }
+
+    // Passwordless primary login
+    async loginWithPasskey(response, deviceInfo = {}, rememberMe = false) {
+        try {
+            const user = await this.verifyAssertion(response, { requireUserVerification: true });
+            return await this.completeLogin(user, deviceInfo, rememberMe);
+
+        } catch (error) {
+            throw new Error(`Passkey login failed: ${error.message}`);
+        }
+    }
+
+    // Passkey as the second factor after a password login
+    async verifyTwoFactorLogin(tempToken, response, deviceInfo = {}) {
+        try {
+            const userId = this.verifyTempToken(tempToken);
+            const user = await this.verifyAssertion(response, { userId });
+            return await this.completeLogin(user, deviceInfo);
+
+        } catch (error) {
+            throw new Error(`2FA login verification failed: ${error.message}`);
+        }
+    }
+
+    async verifyAssertion(response, { userId = null, requireUserVerification = false } = {}) {
+        const expectedChallenge = await this.consumeChallenge(response, 'authentication', userId);
+
+        const credentialResult = await this.pool.query(`
+            SELECT c.*, u.is_active
+            FROM webauthn_credentials c
+            JOIN users u ON u.id = c.user_id
+            WHERE c.credential_id = $1
+        `, [response.id]);
+
+        const credential = credentialResult.rows[0];
+        if (!credential || (userId && credential.user_id !== userId)) {
+            throw new Error('Unknown passkey');
+        }
+
+        if (!credential.is_active) {
+            throw new Error('Account is deactivated');
+        }
+
+        const verification = await verifyAuthenticationResponse({
+            response,
+            expectedChallenge,
+            expectedOrigin: this.origins,
+            expectedRPID: this.rpID,
+            requireUserVerification,
+            authenticator: {
+                credentialID: isoBase64URL.toBuffer(credential.credential_id),
+                credentialPublicKey: new Uint8Array(credential.public_key),
+                counter: Number(credential.sign_count),
+                transports: credential.transports
+            }
+        });
+
+        if (!verification.verified) {
+            throw new Error('Passkey assertion could not be verified');
+        }
+
+        await this.pool.query(`
+            UPDATE webauthn_credentials SET
+                sign_count = $1,
+                last_used_at = CURRENT_TIMESTAMP
+            WHERE id = $2
+        `, [verification.authenticationInfo.newCounter, credential.id]);
+
+        return this.authService.getUserById(credential.user_id);
+    }
+
+    async completeLogin(user, deviceInfo = {}, rememberMe = false) {
+        await this.authService.assertSsoNotRequired(user);
+
+        const tokens = await this.authService.generateTokens(user, deviceInfo, rememberMe);
+
+        await this.pool.query(`
+            UPDATE users SET last_login = CURRENT_TIMESTAMP, last_seen = CURRENT_TIMESTAMP
+            WHERE id = $1
+        `, [user.id]);
+
+        return {
+            success: true,
+            user: this.authService.sanitizeUser(user),
+            tokens
+        };
+    }
+
+    // Credential management
+    async getCredentials(userId) {
+        const result = await this.pool.query(`
+            SELECT id, name, device_type, backed_up, transports, created_at, last_used_at
+            FROM webauthn_credentials
+            WHERE user_id = $1
+            ORDER BY created_at DESC
+        `, [userId]);
+
+        return result.rows;
+    }
+
+    async renameCredential(userId, credentialId, name) {
+        const result = await this.pool.query(`
+            UPDATE webauthn_credentials SET name = $1
+            WHERE id = $2 AND user_id = $3
+            RETURNING id, name, device_type, backed_up, transports, created_at, last_used_at
+        `, [name.substring(0, 100), credentialId, userId]);
+
+        if (result.rows.length === 0) {
+            throw new Error('Passkey not found');
+        }
+
+        return result.rows[0];
+    }
+
+    async deleteCredential(userId, credentialId) {
+        const result = await this.pool.query(`
+            DELETE FROM webauthn_credentials
+            WHERE id = $1 AND user_id = $2
+            RETURNING id
+        `, [credentialId, userId]);
+
+        if (result.rows.length === 0) {
+            throw new Error('Passkey not found');
+        }
+
+        return { success: true };
+    }
+
+    // Helper methods
+    async getCredentialRows(userId) {
+        const result = await this.pool.query(
+            'SELECT credential_id, transports FROM webauthn_credentials WHERE user_id = $1',
+            [userId]
+        );
+        return result.rows;
+    }
+
+    async storeChallenge(challenge, purpose, userId = null) {
+        await this.pool.query(
+            'DELETE FROM webauthn_challenges WHERE expires_at < CURRENT_TIMESTAMP'
+        );
+
+        await this.pool.query(`
+            INSERT INTO webauthn_challenges (challenge, purpose, user_id, expires_at)
+            VALUES ($1, $2, $3, CURRENT_TIMESTAMP + ($4 || ' minutes')::INTERVAL)
+        `, [challenge, purpose, userId, CHALLENGE_TTL_MINUTES]);
+    }
+
+    // Pull the challenge out of clientDataJSON and delete it in one step
+    async consumeChallenge(response, purpose, userId = null) {
+        if (!response || !response.response || !response.response.clientDataJSON) {
+            throw new Error('Invalid WebAuthn response');
+        }
+
+        const clientData = JSON.parse(
+            isoBase64URL.toString(response.response.clientDataJSON)
+        );
+
+        const result = await this.pool.query(`
+            DELETE FROM webauthn_challenges
+            WHERE challenge = $1 AND purpose = $2 AND expires_at > CURRENT_TIMESTAMP
+            RETURNING *
+        `, [clientData.challenge, purpose]);
+
+        const stored = result.rows[0];
+        if (!stored || (stored.user_id && stored.user_id !== userId)) {
+            throw new Error('Challenge expired or invalid');
+        }
+
+        return stored.challenge;
+    }
+
+    verifyTempToken(tempToken) {
+        const decoded = jwt.verify(tempToken, this.authService.jwtSecret + 'temp');
+        return decoded.userId;
+    }
+}
+
+module.exports = WebAuthnService;
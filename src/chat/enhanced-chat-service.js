@@ -3,15 +3,20 @@ const crypto = require('crypto');
 const EventEmitter = require('events');
 
 class EnhancedChatService extends EventEmitter {
-    constructor(io) {
+    // Without io, or with socketHandlers off, the service only does the message
+    // bookkeeping, for servers that run their own socket handlers and pass in
+    // their pool.
+    constructor(io, { pool = null, socketHandlers = true } = {}) {
         super();
-        this.pool = new Pool({
+        this.pool = pool || new Pool({
             connectionString: process.env.DATABASE_URL
         });
         this.io = io;
         this.activeUsers = new Map(); // userId -> { socketId, status, lastSeen }
         this.typingUsers = new Map(); // chatId -> Set of userIds
-        this.setupSocketHandlers();
+        if (this.io && socketHandlers) {
+            this.setupSocketHandlers();
+        }
     }
 
     setupSocketHandlers() {
@@ -38,6 +43,9 @@ class EnhancedChatService extends EventEmitter {
                         lastSeen: new Date()
                     });
 
+                    // Personal room, used to reach the user from any node (calls, notifications)
+                    socket.join(`user-${userId}`);
+
                     // Join user to their chat rooms
                     await this.joinUserChats(socket, userId);
 
@@ -92,11 +100,13 @@ class EnhancedChatService extends EventEmitter {
                         content: data.content,
                         messageType: data.messageType || 'text',
                         replyToId: data.replyToId,
-                        metadata: data.metadata
+                        metadata: data.metadata,
+                        threadRootId: data.threadRootId,
+                        alsoSendToChannel: data.alsoSendToChannel
                     });
 
                     // Broadcast to chat participants
-                    this.io.to(data.chatId).emit('new_message', message);
+                    this.broadcastMessage(message);
 
                     // Send delivery confirmation to sender
                     socket.emit('message_sent', {
@@ -147,6 +157,24 @@ class EnhancedChatService extends EventEmitter {
                 }
             });
 
+            // Thread read state
+            socket.on('mark_thread_read', async (data) => {
+                try {
+                    if (!socket.userId) return;
+
+                    await this.markThreadAsRead(data.threadRootId, socket.userId);
+
+                    socket.emit('thread_read', {
+                        chatId: data.chatId,
+                        threadRootId: data.threadRootId,
+                        timestamp: new Date()
+                    });
+
+                } catch (error) {
+                    socket.emit('error', { message: error.message });
+                }
+            });
+
             // Typing indicators
             socket.on('typing_start', async (data) => {
                 if (!socket.userId) return;
@@ -267,7 +295,7 @@ class EnhancedChatService extends EventEmitter {
     }
 
     // Core messaging functions
-    async sendMessage({ chatId, senderId, content, messageType = 'text', replyToId = null, metadata = {} }) {
+    async sendMessage({ chatId, senderId, content, messageType = 'text', replyToId = null, metadata = {}, threadRootId = null, alsoSendToChannel = false }) {
         try {
             // Verify user has access to chat
             const hasAccess = await this.verifyUserChatAccess(senderId, chatId);
@@ -275,25 +303,40 @@ class EnhancedChatService extends EventEmitter {
                 throw new Error('Access denied to chat');
             }
 
+            // Replies to a thread reply belong to the same thread
+            let rootId = null;
+            if (threadRootId) {
+                const root = await this.getThreadRoot(threadRootId, chatId);
+                rootId = root.thread_root_id || root.id;
+            }
+            const visibleInChannel = !rootId || Boolean(alsoSendToChannel);
+
             // Insert message
             const result = await this.pool.query(`
-                INSERT INTO messages (chat_id, sender_id, content, message_type, reply_to_id, metadata)
-                VALUES ($1, $2, $3, $4, $5, $6)
+                INSERT INTO messages (chat_id, sender_id, content, message_type, reply_to_id, metadata, thread_root_id, also_sent_to_channel)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
                 RETURNING *
-            `, [chatId, senderId, content, messageType, replyToId, JSON.stringify(metadata)]);
+            `, [chatId, senderId, content, messageType, replyToId, JSON.stringify(metadata), rootId, Boolean(rootId && alsoSendToChannel)]);
 
             const message = result.rows[0];
 
             // Update chat's last message timestamp
-            await this.pool.query(`
-                UPDATE chats SET last_message_at = CURRENT_TIMESTAMP WHERE id = $1
-            `, [chatId]);
+            if (visibleInChannel) {
+                await this.pool.query(`
+                    UPDATE chats SET last_message_at = CURRENT_TIMESTAMP WHERE id = $1
+                `, [chatId]);
+            }
 
             // Get sender info and reply info if exists
             const enrichedMessage = await this.enrichMessage(message);
 
-            // Create notifications for participants
-            await this.createMessageNotifications(chatId, senderId, message.id);
+            if (rootId) {
+                enrichedMessage.thread = await this.recordThreadReply(rootId, senderId);
+            }
+
+            // Picked up by the notification center (mentions, replies, new
+            // messages) and the workspace knowledge indexer
+            this.emit('message_created', enrichedMessage);
 
             return enrichedMessage;
 
@@ -304,28 +347,42 @@ class EnhancedChatService extends EventEmitter {
 
     async editMessage(messageId, userId, newContent) {
         try {
-            // Verify user owns the message
-            const messageResult = await this.pool.query(
-                'SELECT * FROM messages WHERE id = $1 AND sender_id = $2',
-                [messageId, userId]
-            );
+            const { message, revisionNumber } = await this.withTransaction(async (client) => {
+                // Verify user owns the message. The row lock makes concurrent
+                // edits take turns, so each revision holds the content it replaced.
+                const messageResult = await client.query(
+                    'SELECT * FROM messages WHERE id = $1 AND sender_id = $2 FOR UPDATE',
+                    [messageId, userId]
+                );
+
+                if (messageResult.rows.length === 0) {
+                    throw new Error('Message not found or access denied');
+                }
 
-            if (messageResult.rows.length === 0) {
-                throw new Error('Message not found or access denied');
-            }
+                // Keep the content being replaced
+                const revisionNumber = await this.recordMessageRevision(messageResult.rows[0], userId, 'edit', client);
+
+                // Update message
+                const result = await client.query(`
+                    UPDATE messages SET
+                        content = $1,
+                        is_edited = true,
+                        edit_count = edit_count + 1,
+                        updated_at = CURRENT_TIMESTAMP
+                    WHERE id = $2 AND sender_id = $3
+                    RETURNING *
+                `, [newContent, messageId, userId]);
+
+                return { message: result.rows[0], revisionNumber };
+            });
 
-            // Update message
-            const result = await this.pool.query(`
-                UPDATE messages SET
-                    content = $1,
-                    is_edited = true,
-                    edit_count = edit_count + 1,
-                    updated_at = CURRENT_TIMESTAMP
-                WHERE id = $2 AND sender_id = $3
-                RETURNING *
-            `, [newContent, messageId, userId]);
+            const enrichedMessage = await this.enrichMessage(message);
+            enrichedMessage.revision_count = revisionNumber;
+
+            // Picked up by the workspace knowledge indexer
+            this.emit('message_edited', enrichedMessage);
 
-            return await this.enrichMessage(result.rows[0]);
+            return enrichedMessage;
 
         } catch (error) {
             throw new Error(`Failed to edit message: ${error.message}`);
@@ -334,43 +391,345 @@ class EnhancedChatService extends EventEmitter {
 
     async deleteMessage(messageId, userId) {
         try {
-            // Get message to verify ownership and get chat ID
-            const messageResult = await this.pool.query(
-                'SELECT chat_id FROM messages WHERE id = $1 AND sender_id = $2',
-                [messageId, userId]
+            const chatId = await this.withTransaction(async (client) => {
+                // Get message to verify ownership and get chat ID, locked
+                // against a concurrent edit like in editMessage
+                const messageResult = await client.query(
+                    'SELECT * FROM messages WHERE id = $1 AND sender_id = $2 FOR UPDATE',
+                    [messageId, userId]
+                );
+
+                if (messageResult.rows.length === 0) {
+                    throw new Error('Message not found or access denied');
+                }
+
+                // Content is cleared below, so keep it for compliance review
+                if (!messageResult.rows[0].is_deleted) {
+                    await this.recordMessageRevision(messageResult.rows[0], userId, 'delete', client);
+                }
+
+                // Soft delete the message
+                await client.query(`
+                    UPDATE messages SET
+                        is_deleted = true,
+                        content = NULL,
+                        updated_at = CURRENT_TIMESTAMP
+                    WHERE id = $1
+                `, [messageId]);
+
+                return messageResult.rows[0].chat_id;
+            });
+
+            this.emit('message_deleted', { messageId, chatId });
+
+            return { messageId, chatId };
+
+        } catch (error) {
+            throw new Error(`Failed to delete message: ${error.message}`);
+        }
+    }
+
+    // Threads
+    async getThreadRoot(messageId, chatId) {
+        const result = await this.pool.query(`
+            SELECT id, chat_id, sender_id, thread_root_id
+            FROM messages
+            WHERE id = $1 AND chat_id = $2 AND is_deleted = false
+        `, [messageId, chatId]);
+
+        if (result.rows.length === 0) {
+            throw new Error('Thread root message not found');
+        }
+
+        return result.rows[0];
+    }
+
+    async recordThreadReply(threadRootId, senderId) {
+        const rootResult = await this.pool.query(`
+            UPDATE messages SET
+                thread_reply_count = thread_reply_count + 1,
+                thread_last_reply_at = CURRENT_TIMESTAMP
+            WHERE id = $1
+            RETURNING id, sender_id, thread_reply_count, thread_last_reply_at
+        `, [threadRootId]);
+
+        const root = rootResult.rows[0];
+
+        // The root author follows the thread without having read the new reply
+        if (root.sender_id && root.sender_id !== senderId) {
+            await this.pool.query(`
+                INSERT INTO thread_participants (thread_root_id, user_id, last_read_at)
+                VALUES ($1, $2, to_timestamp(0))
+                ON CONFLICT (thread_root_id, user_id) DO NOTHING
+            `, [threadRootId, root.sender_id]);
+        }
+
+        await this.markThreadAsRead(threadRootId, senderId);
+
+        return {
+            rootId: root.id,
+            replyCount: root.thread_reply_count,
+            lastReplyAt: root.thread_last_reply_at
+        };
+    }
+
+    async getThreadMessages(chatId, threadRootId, userId, limit = 50, offset = 0) {
+        try {
+            const hasAccess = await this.verifyUserChatAccess(userId, chatId);
+            if (!hasAccess) {
+                throw new Error('Access denied to chat');
+            }
+
+            await this.getThreadRoot(threadRootId, chatId);
+            const root = await this.enrichMessage({ id: threadRootId });
+
+            const result = await this.pool.query(`
+                SELECT
+                    m.*,
+                    u.nickname as sender_nickname,
+                    u.display_name as sender_display_name,
+                    u.avatar as sender_avatar,
+                    COALESCE(
+                        json_agg(
+                            json_build_object(
+                                'reaction', mr.reaction,
+                                'count', mr.reaction_count,
+                                'users', mr.user_list
+                            )
+                        ) FILTER (WHERE mr.reaction IS NOT NULL),
+                        '[]'
+                    ) as reactions
+                FROM messages m
+                LEFT JOIN users u ON m.sender_id = u.id
+                LEFT JOIN (
+                    SELECT
+                        message_id,
+                        reaction,
+                        COUNT(*) as reaction_count,
+                        array_agg(user_id) as user_list
+                    FROM message_reactions
+                    GROUP BY message_id, reaction
+                ) mr ON m.id = mr.message_id
+                WHERE m.thread_root_id = $1 AND m.is_deleted = false
+                GROUP BY m.id, u.nickname, u.display_name, u.avatar
+                ORDER BY m.created_at DESC
+                LIMIT $2 OFFSET $3
+            `, [threadRootId, limit, offset]);
+
+            const total = parseInt(root.thread_reply_count) || 0;
+
+            return {
+                root,
+                replies: result.rows.reverse(), // Return in chronological order
+                pagination: {
+                    limit,
+                    offset,
+                    total,
+                    hasMore: offset + result.rows.length < total
+                }
+            };
+
+        } catch (error) {
+            throw new Error(`Failed to get thread: ${error.message}`);
+        }
+    }
+
+    async markThreadAsRead(threadRootId, userId) {
+        try {
+            const rootResult = await this.pool.query(
+                'SELECT chat_id FROM messages WHERE id = $1',
+                [threadRootId]
             );
 
-            if (messageResult.rows.length === 0) {
-                throw new Error('Message not found or access denied');
+            if (rootResult.rows.length === 0) {
+                throw new Error('Thread not found');
             }
 
-            const chatId = messageResult.rows[0].chat_id;
+            const hasAccess = await this.verifyUserChatAccess(userId, rootResult.rows[0].chat_id);
+            if (!hasAccess) {
+                throw new Error('Access denied');
+            }
 
-            // Soft delete the message
             await this.pool.query(`
-                UPDATE messages SET
-                    is_deleted = true,
-                    content = NULL,
-                    updated_at = CURRENT_TIMESTAMP
-                WHERE id = $1
+                INSERT INTO thread_participants (thread_root_id, user_id, last_read_at)
+                VALUES ($1, $2, CURRENT_TIMESTAMP)
+                ON CONFLICT (thread_root_id, user_id)
+                DO UPDATE SET last_read_at = CURRENT_TIMESTAMP
+            `, [threadRootId, userId]);
+
+            return { success: true };
+
+        } catch (error) {
+            throw new Error(`Failed to mark thread as read: ${error.message}`);
+        }
+    }
+
+    async getUnreadThreads(userId, chatId = null) {
+        try {
+            const result = await this.pool.query(`
+                SELECT
+                    tp.thread_root_id,
+                    root.chat_id,
+                    root.content as root_content,
+                    root.thread_reply_count,
+                    root.thread_last_reply_at,
+                    COUNT(r.id) as unread_count
+                FROM thread_participants tp
+                JOIN messages root ON tp.thread_root_id = root.id
+                JOIN chat_participants cp ON cp.chat_id = root.chat_id AND cp.user_id = tp.user_id AND cp.left_at IS NULL
+                JOIN messages r ON r.thread_root_id = tp.thread_root_id
+                    AND r.created_at > tp.last_read_at
+                    AND r.sender_id != $1
+                    AND r.is_deleted = false
+                WHERE tp.user_id = $1 AND tp.is_following = true
+                AND ($2::uuid IS NULL OR root.chat_id = $2)
+                GROUP BY tp.thread_root_id, root.chat_id, root.content, root.thread_reply_count, root.thread_last_reply_at
+                ORDER BY root.thread_last_reply_at DESC
+            `, [userId, chatId]);
+
+            return result.rows;
+
+        } catch (error) {
+            throw new Error(`Failed to get unread threads: ${error.message}`);
+        }
+    }
+
+    // Safe to repeat, files already attached are left as they are
+    async attachFilesToMessage(messageId, fileIds = []) {
+        for (let i = 0; i < fileIds.length; i++) {
+            await this.pool.query(`
+                INSERT INTO message_attachments (message_id, file_id, attachment_order)
+                VALUES ($1, $2, $3)
+                ON CONFLICT (message_id, file_id) DO NOTHING
+            `, [messageId, fileIds[i], i + 1]);
+        }
+    }
+
+    emitToUser(userId, event, payload) {
+        const activeUser = this.activeUsers.get(userId);
+        if (!activeUser) return false;
+
+        const socket = this.io.sockets.sockets.get(activeUser.socketId);
+        if (!socket) return false;
+
+        socket.emit(event, payload);
+        return true;
+    }
+
+    // Emit a freshly sent message to the right audience
+    broadcastMessage(message) {
+        if (!this.io || !message) return;
+
+        if (message.thread_root_id) {
+            this.io.to(message.chat_id).emit('thread_reply', {
+                chatId: message.chat_id,
+                threadRootId: message.thread_root_id,
+                message: message,
+                replyCount: message.thread ? message.thread.replyCount : null,
+                lastReplyAt: message.thread ? message.thread.lastReplyAt : null
+            });
+
+            if (!message.also_sent_to_channel) return;
+        }
+
+        this.io.to(message.chat_id).emit('new_message', message);
+    }
+
+    // Message revisions
+    // Callers hold the message's row lock, which keeps the numbering free of
+    // gaps and duplicates (UNIQUE(message_id, revision_number) backs it up)
+    async recordMessageRevision(message, changedBy, changeType, db = this.pool) {
+        const result = await db.query(`
+            INSERT INTO message_revisions (message_id, revision_number, content, metadata, change_type, changed_by)
+            SELECT $1::uuid, COALESCE(MAX(revision_number), 0) + 1, $2::text, $3::jsonb, $4::varchar, $5::uuid
+            FROM message_revisions
+            WHERE message_id = $1::uuid
+            RETURNING revision_number
+        `, [message.id, message.content, JSON.stringify(message.metadata || {}), changeType, changedBy]);
+
+        return result.rows[0].revision_number;
+    }
+
+    async getMessageRevisions(chatId, messageId, userId) {
+        try {
+            const messageResult = await this.pool.query(`
+                SELECT m.id, m.chat_id, m.sender_id, m.content, m.is_edited, m.is_deleted,
+                       m.edit_count, m.created_at, m.updated_at, c.workspace_id
+                FROM messages m
+                JOIN chats c ON m.chat_id = c.id
+                WHERE m.id = $1 AND m.chat_id = $2
+            `, [messageId, chatId]);
+
+            if (messageResult.rows.length === 0) {
+                throw new Error('Message not found');
+            }
+
+            const message = messageResult.rows[0];
+
+            // Deleted messages are only visible to workspace admins
+            const hasAccess = message.is_deleted
+                ? await this.isWorkspaceAdmin(userId, message.workspace_id)
+                : await this.verifyUserChatAccess(userId, chatId);
+
+            if (!hasAccess) {
+                throw new Error('Access denied');
+            }
+
+            const revisions = await this.pool.query(`
+                SELECT
+                    mr.revision_number,
+                    mr.content,
+                    mr.metadata,
+                    mr.change_type,
+                    mr.changed_by,
+                    u.nickname as changed_by_nickname,
+                    mr.created_at
+                FROM message_revisions mr
+                LEFT JOIN users u ON mr.changed_by = u.id
+                WHERE mr.message_id = $1
+                ORDER BY mr.revision_number ASC
             `, [messageId]);
 
-            return { messageId, chatId };
+            return {
+                message: {
+                    id: message.id,
+                    chatId: message.chat_id,
+                    senderId: message.sender_id,
+                    content: message.content,
+                    isEdited: message.is_edited,
+                    isDeleted: message.is_deleted,
+                    createdAt: message.created_at,
+                    updatedAt: message.updated_at
+                },
+                revisionCount: revisions.rows.length,
+                revisions: revisions.rows
+            };
 
         } catch (error) {
-            throw new Error(`Failed to delete message: ${error.message}`);
+            throw new Error(`Failed to get message revisions: ${error.message}`);
         }
     }
 
+    async isWorkspaceAdmin(userId, workspaceId) {
+        if (!workspaceId) return false;
+
+        const result = await this.pool.query(`
+            SELECT 1 FROM workspace_members
+            WHERE workspace_id = $1 AND user_id = $2 AND role IN ('owner', 'admin')
+        `, [workspaceId, userId]);
+
+        return result.rows.length > 0;
+    }
+
     // Chat management
-    async createChat({ name, description, type = 'private', createdBy, participants = [] }) {
+    async createChat({ name, description, type = 'private', createdBy, participants = [], workspaceId = null, settings = {} }) {
         try {
             // Create chat
             const chatResult = await this.pool.query(`
-                INSERT INTO chats (name, description, type, created_by)
-                VALUES ($1, $2, $3, $4)
+                INSERT INTO chats (name, description, type, created_by, workspace_id, settings)
+                VALUES ($1, $2, $3, $4, $5, $6)
                 RETURNING *
-            `, [name, description, type, createdBy]);
+            `, [name, description, type, createdBy, workspaceId, JSON.stringify(settings)]);
 
             const chat = chatResult.rows[0];
 
@@ -478,12 +837,16 @@ class EnhancedChatService extends EventEmitter {
             }
 
             // Add reaction
-            await this.pool.query(`
+            const inserted = await this.pool.query(`
                 INSERT INTO message_reactions (message_id, user_id, reaction)
                 VALUES ($1, $2, $3)
                 ON CONFLICT (message_id, user_id, reaction) DO NOTHING
             `, [messageId, userId, reaction]);
 
+            if (inserted.rowCount > 0) {
+                this.emit('reaction_added', { messageId, userId, reaction, chatId });
+            }
+
             return { messageId, userId, reaction, chatId };
 
         } catch (error) {
@@ -551,6 +914,27 @@ class EnhancedChatService extends EventEmitter {
         }
     }
 
+    // The pool is the app's database wrapper, which runs transactions itself,
+    // or a plain pg Pool
+    async withTransaction(callback) {
+        if (typeof this.pool.transaction === 'function') {
+            return this.pool.transaction(callback);
+        }
+
+        const client = await this.pool.connect();
+        try {
+            await client.query('BEGIN');
+            const result = await callback(client);
+            await client.query('COMMIT');
+            return result;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
     async verifyUserChatAccess(userId, chatId) {
         const result = await this.pool.query(`
             SELECT 1 FROM chat_participants
@@ -666,31 +1050,6 @@ class EnhancedChatService extends EventEmitter {
         }
     }
 
-    async createMessageNotifications(chatId, senderId, messageId) {
-        // Create notifications for all chat participants except sender
-        const participants = await this.pool.query(`
-            SELECT cp.user_id, u.nickname, us.notification_desktop
-            FROM chat_participants cp
-            JOIN users u ON cp.user_id = u.id
-            LEFT JOIN user_settings us ON u.id = us.user_id
-            WHERE cp.chat_id = $1 AND cp.user_id != $2 AND cp.left_at IS NULL
-        `, [chatId, senderId]);
-
-        for (const participant of participants.rows) {
-            if (participant.notification_desktop) {
-                await this.pool.query(`
-                    INSERT INTO notifications (
-                        user_id, type, title, message, related_entity_type, related_entity_id
-                    ) VALUES ($1, 'new_message', 'New Message', $2, 'message', $3)
-                `, [
-                    participant.user_id,
-                    `New message in chat`,
-                    messageId
-                ]);
-            }
-        }
-    }
-
     // API endpoints for REST calls
     async getChatMessages(chatId, userId, limit = 50, offset = 0) {
         try {
@@ -731,6 +1090,7 @@ class EnhancedChatService extends EventEmitter {
                     GROUP BY message_id, reaction
                 ) mr ON m.id = mr.message_id
                 WHERE m.chat_id = $1 AND m.is_deleted = false
+                AND (m.thread_root_id IS NULL OR m.also_sent_to_channel = true)
                 GROUP BY m.id, u.nickname, u.display_name, u.avatar, rm.content, ru.nickname
                 ORDER BY m.created_at DESC
                 LIMIT $2 OFFSET $3
@@ -759,7 +1119,19 @@ class EnhancedChatService extends EventEmitter {
                         AND m.created_at > cp.last_read_at
                         AND m.sender_id != $1
                         AND m.is_deleted = false
+                        AND (m.thread_root_id IS NULL OR m.also_sent_to_channel = true)
                     ) as unread_count,
+                    (
+                        SELECT COUNT(*)
+                        FROM thread_participants tp
+                        JOIN messages r ON r.thread_root_id = tp.thread_root_id
+                        WHERE tp.user_id = $1
+                        AND tp.is_following = true
+                        AND r.chat_id = c.id
+                        AND r.created_at > tp.last_read_at
+                        AND r.sender_id != $1
+                        AND r.is_deleted = false
+                    ) as thread_unread_count,
                     (
                         SELECT json_agg(
                             json_build_object(
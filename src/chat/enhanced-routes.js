@@ -3,7 +3,11 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
 const authMiddleware = require('../middleware/auth');
+const uploadMiddleware = require('../middleware/upload');
+const AudioService = require('../audio/service');
 const EnhancedChatService = require('./enhanced-chat-service');
+const ChatExportService = require('./export-service');
+const ChatImportService = require('./import-service');
 
 const router = express.Router();
 
@@ -36,13 +40,62 @@ const upload = multer({
     }
 });
 
+// Slack / Telegram exports are much larger than regular attachments
+const importUpload = multer({
+    storage: multer.diskStorage({
+        destination: async (req, file, cb) => {
+            const uploadDir = path.join(__dirname, '../../uploads/imports');
+            try {
+                await fs.mkdir(uploadDir, { recursive: true });
+                cb(null, uploadDir);
+            } catch (error) {
+                cb(error);
+            }
+        },
+        filename: (req, file, cb) => {
+            const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+            cb(null, 'import-' + uniqueSuffix + path.extname(file.originalname));
+        }
+    }),
+    limits: {
+        fileSize: 500 * 1024 * 1024, // 500MB limit
+        files: 1
+    },
+    fileFilter: (req, file, cb) => {
+        const ext = path.extname(file.originalname).toLowerCase();
+        cb(null, ext === '.zip' || ext === '.json');
+    }
+});
+
 // Initialize chat service (will be set by main server)
 let chatService = null;
+let scheduledMessageService = null;
+let chatImportService = null;
+let voicemailService = null;
+const audioService = new AudioService();
 
 function setChatService(service) {
     chatService = service;
 }
 
+function setScheduledMessageService(service) {
+    scheduledMessageService = service;
+}
+
+function setChatImportService(service) {
+    chatImportService = service;
+}
+
+function setVoicemailService(service) {
+    voicemailService = service;
+}
+
+function startImport(importId) {
+    chatImportService.runImport(importId).catch(error => {
+        console.error('Chat import failed:', error.message);
+    });
+}
+
 // Get user's chats
 router.get('/chats', authMiddleware, async (req, res) => {
     try {
@@ -271,14 +324,14 @@ router.post('/chats/:chatId/messages', authMiddleware, upload.array('files', 10)
         }
 
         const { chatId } = req.params;
-        const { content, messageType = 'text', replyToId } = req.body;
+        const { content, messageType = 'text', replyToId, threadRootId, sendAt } = req.body;
+        const alsoSendToChannel = req.body.alsoSendToChannel === true || req.body.alsoSendToChannel === 'true';
 
-        let message;
+        let messageData;
+        const fileIds = [];
 
         if (req.files && req.files.length > 0) {
             // Handle file uploads
-            const fileIds = [];
-
             for (const file of req.files) {
                 // Store file info in database
                 const fileResult = await chatService.pool.query(`
@@ -299,13 +352,15 @@ router.post('/chats/:chatId/messages', authMiddleware, upload.array('files', 10)
                 fileIds.push(fileResult.rows[0].id);
             }
 
-            // Send message with file attachments
-            message = await chatService.sendMessage({
+            // Message with file attachments
+            messageData = {
                 chatId,
                 senderId: req.user.id,
                 content: content || '',
                 messageType: fileIds.length === 1 && req.files[0].mimetype.startsWith('image/') ? 'image' : 'file',
                 replyToId,
+                threadRootId,
+                alsoSendToChannel,
                 metadata: {
                     fileCount: fileIds.length,
                     files: req.files.map((file, index) => ({
@@ -315,15 +370,7 @@ router.post('/chats/:chatId/messages', authMiddleware, upload.array('files', 10)
                         mimeType: file.mimetype
                     }))
                 }
-            });
-
-            // Link files to message
-            for (let i = 0; i < fileIds.length; i++) {
-                await chatService.pool.query(`
-                    INSERT INTO message_attachments (message_id, file_id, attachment_order)
-                    VALUES ($1, $2, $3)
-                `, [message.id, fileIds[i], i + 1]);
-            }
+            };
 
         } else {
             // Regular text message
@@ -334,20 +381,311 @@ router.post('/chats/:chatId/messages', authMiddleware, upload.array('files', 10)
                 });
             }
 
-            message = await chatService.sendMessage({
+            messageData = {
                 chatId,
                 senderId: req.user.id,
                 content,
                 messageType,
-                replyToId
+                replyToId,
+                threadRootId,
+                alsoSendToChannel
+            };
+        }
+
+        // Delayed send goes through the persisted queue
+        if (sendAt) {
+            if (!scheduledMessageService) {
+                return res.status(500).json({
+                    success: false,
+                    message: 'Scheduled messages are not available'
+                });
+            }
+
+            const scheduled = await scheduledMessageService.scheduleMessage({
+                ...messageData,
+                fileIds,
+                sendAt
+            });
+
+            return res.status(202).json({
+                success: true,
+                scheduled: scheduled
             });
         }
 
+        const message = await chatService.sendMessage(messageData);
+
+        // Link files to message
+        await chatService.attachFilesToMessage(message.id, fileIds);
+
         // Broadcast message to chat participants via Socket.IO
-        if (chatService.io) {
-            chatService.io.to(chatId).emit('new_message', message);
+        chatService.broadcastMessage(message);
+
+        res.status(201).json({
+            success: true,
+            message: message
+        });
+
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Voice notes, same path and AudioService as the original chat API. With a
+// voicemailCallId the note is left as voicemail for a call that rang out.
+router.post('/:chatId/audio', authMiddleware, uploadMiddleware.handleAudioUpload(), async (req, res) => {
+    let audioData = null;
+
+    try {
+        if (!chatService) {
+            return res.status(500).json({
+                success: false,
+                message: 'Chat service not initialized'
+            });
+        }
+
+        const { chatId } = req.params;
+        const { replyToId, voicemailCallId } = req.body;
+        const duration = req.body.duration ? parseInt(req.body.duration, 10) || null : null;
+
+        if (voicemailCallId && !voicemailService) {
+            return res.status(500).json({
+                success: false,
+                message: 'Voicemail is not available'
+            });
+        }
+
+        audioData = await audioService.saveAudioFile(req.file, req.user.id);
+
+        const fileResult = await chatService.pool.query(`
+            INSERT INTO files (
+                original_name, file_name, file_path, file_size,
+                mime_type, uploaded_by, storage_provider
+            ) VALUES ($1, $2, $3, $4, $5, $6, 'local')
+            RETURNING id
+        `, [
+            audioData.originalName || audioData.fileName,
+            audioData.fileName,
+            audioData.filePath,
+            audioData.fileSize,
+            audioData.fileType,
+            req.user.id
+        ]);
+        const fileId = fileResult.rows[0].id;
+
+        let message;
+        if (voicemailCallId) {
+            message = await voicemailService.createVoicemail({
+                callId: voicemailCallId,
+                chatId,
+                userId: req.user.id,
+                audioData,
+                fileId,
+                duration
+            });
+        } else {
+            message = await chatService.sendMessage({
+                chatId,
+                senderId: req.user.id,
+                content: 'Voice message',
+                messageType: 'audio',
+                replyToId,
+                metadata: {
+                    audio: {
+                        fileId,
+                        audioUrl: audioData.fileUrl,
+                        mimeType: audioData.fileType,
+                        size: audioData.fileSize,
+                        duration
+                    }
+                }
+            });
+
+            await chatService.attachFilesToMessage(message.id, [fileId]);
+            chatService.broadcastMessage(message);
         }
 
+        res.status(201).json({
+            success: true,
+            message,
+            audioUrl: audioData.fileUrl
+        });
+
+    } catch (error) {
+        if (audioData) {
+            await chatService.pool.query('DELETE FROM files WHERE file_name = $1', [audioData.fileName]).catch(() => {});
+            await audioService.deleteAudioFile(audioData.fileName).catch(() => {});
+        }
+
+        res.status(error.status || 400).json({
+            success: false,
+            message: error.message,
+            error: error.code
+        });
+    }
+});
+
+// List pending scheduled messages
+router.get('/scheduled-messages', authMiddleware, async (req, res) => {
+    try {
+        if (!scheduledMessageService) {
+            return res.status(500).json({
+                success: false,
+                message: 'Scheduled messages are not available'
+            });
+        }
+
+        const scheduled = await scheduledMessageService.listScheduledMessages(
+            req.user.id,
+            req.query.chatId || null
+        );
+
+        res.json({
+            success: true,
+            scheduled: scheduled
+        });
+
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Edit a pending scheduled message
+router.put('/scheduled-messages/:scheduledId', authMiddleware, async (req, res) => {
+    try {
+        if (!scheduledMessageService) {
+            return res.status(500).json({
+                success: false,
+                message: 'Scheduled messages are not available'
+            });
+        }
+
+        const { scheduledId } = req.params;
+        const { content, sendAt } = req.body;
+
+        if (content === undefined && sendAt === undefined) {
+            return res.status(400).json({
+                success: false,
+                message: 'Content or sendAt is required'
+            });
+        }
+
+        const scheduled = await scheduledMessageService.updateScheduledMessage(
+            scheduledId,
+            req.user.id,
+            { content, sendAt }
+        );
+
+        res.json({
+            success: true,
+            scheduled: scheduled
+        });
+
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Cancel a pending scheduled message
+router.delete('/scheduled-messages/:scheduledId', authMiddleware, async (req, res) => {
+    try {
+        if (!scheduledMessageService) {
+            return res.status(500).json({
+                success: false,
+                message: 'Scheduled messages are not available'
+            });
+        }
+
+        const { scheduledId } = req.params;
+
+        await scheduledMessageService.cancelScheduledMessage(scheduledId, req.user.id);
+
+        res.json({
+            success: true
+        });
+
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Get thread replies for a message
+router.get('/chats/:chatId/messages/:messageId/thread', authMiddleware, async (req, res) => {
+    try {
+        if (!chatService) {
+            return res.status(500).json({
+                success: false,
+                message: 'Chat service not initialized'
+            });
+        }
+
+        const { chatId, messageId } = req.params;
+        const { limit = 50, offset = 0 } = req.query;
+
+        const thread = await chatService.getThreadMessages(
+            chatId,
+            messageId,
+            req.user.id,
+            parseInt(limit),
+            parseInt(offset)
+        );
+
+        res.json({
+            success: true,
+            ...thread
+        });
+
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Reply in a thread
+router.post('/chats/:chatId/messages/:messageId/thread', authMiddleware, async (req, res) => {
+    try {
+        if (!chatService) {
+            return res.status(500).json({
+                success: false,
+                message: 'Chat service not initialized'
+            });
+        }
+
+        const { chatId, messageId } = req.params;
+        const { content, messageType = 'text', alsoSendToChannel = false } = req.body;
+
+        if (!content) {
+            return res.status(400).json({
+                success: false,
+                message: 'Content is required for thread replies'
+            });
+        }
+
+        const message = await chatService.sendMessage({
+            chatId,
+            senderId: req.user.id,
+            content,
+            messageType,
+            threadRootId: messageId,
+            alsoSendToChannel: alsoSendToChannel === true || alsoSendToChannel === 'true'
+        });
+
+        chatService.broadcastMessage(message);
+
         res.status(201).json({
             success: true,
             message: message
@@ -361,6 +699,84 @@ router.post('/chats/:chatId/messages', authMiddleware, upload.array('files', 10)
     }
 });
 
+// Get edit history of a message
+router.get('/chats/:chatId/messages/:messageId/revisions', authMiddleware, async (req, res) => {
+    try {
+        if (!chatService) {
+            return res.status(500).json({
+                success: false,
+                message: 'Chat service not initialized'
+            });
+        }
+
+        const { chatId, messageId } = req.params;
+
+        const history = await chatService.getMessageRevisions(chatId, messageId, req.user.id);
+
+        res.json({
+            success: true,
+            ...history
+        });
+
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Mark thread as read
+router.post('/chats/:chatId/messages/:messageId/thread/read', authMiddleware, async (req, res) => {
+    try {
+        if (!chatService) {
+            return res.status(500).json({
+                success: false,
+                message: 'Chat service not initialized'
+            });
+        }
+
+        const { messageId } = req.params;
+
+        await chatService.markThreadAsRead(messageId, req.user.id);
+
+        res.json({
+            success: true
+        });
+
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Get threads with unread replies
+router.get('/threads/unread', authMiddleware, async (req, res) => {
+    try {
+        if (!chatService) {
+            return res.status(500).json({
+                success: false,
+                message: 'Chat service not initialized'
+            });
+        }
+
+        const threads = await chatService.getUnreadThreads(req.user.id, req.query.chatId || null);
+
+        res.json({
+            success: true,
+            threads: threads
+        });
+
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
 // Add participant to chat
 router.post('/chats/:chatId/participants', authMiddleware, async (req, res) => {
     try {
@@ -591,12 +1007,12 @@ router.get('/chats/:chatId/search', authMiddleware, async (req, res) => {
                 u.nickname as sender_nickname,
                 u.display_name as sender_display_name,
                 u.avatar as sender_avatar,
-                ts_rank(to_tsvector('english', m.content), plainto_tsquery('english', $1)) as rank
+                ts_rank(m.search_vector, websearch_to_tsquery('english', $1)) as rank
             FROM messages m
             JOIN users u ON m.sender_id = u.id
             WHERE m.chat_id = $2
             AND m.is_deleted = false
-            AND to_tsvector('english', m.content) @@ plainto_tsquery('english', $1)
+            AND m.search_vector @@ websearch_to_tsquery('english', $1)
             ORDER BY rank DESC, m.created_at DESC
             LIMIT $3 OFFSET $4
         `, [query, chatId, limit, offset]);
@@ -686,7 +1102,25 @@ router.get('/chats/:chatId/export', authMiddleware, async (req, res) => {
         }
 
         const { chatId } = req.params;
-        const { format = 'json' } = req.query;
+        const { format = 'json', from, to } = req.query;
+        const exportFormat = format === 'md' ? 'markdown' : format;
+
+        if (!ChatExportService.formats.includes(exportFormat)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Unsupported export format'
+            });
+        }
+
+        const fromDate = from ? new Date(from) : null;
+        const toDate = to ? new Date(to) : null;
+
+        if ((fromDate && isNaN(fromDate.getTime())) || (toDate && isNaN(toDate.getTime()))) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid date range'
+            });
+        }
 
         // Verify user has permission to export
         const hasPermission = await chatService.verifyUserChatPermission(
@@ -702,35 +1136,202 @@ router.get('/chats/:chatId/export', authMiddleware, async (req, res) => {
             });
         }
 
-        const messages = await chatService.getChatMessages(chatId, req.user.id, 10000, 0);
+        const exportService = new ChatExportService(chatService.pool);
 
-        if (format === 'json') {
-            res.json({
-                success: true,
-                chatId: chatId,
-                exportDate: new Date(),
-                messageCount: messages.length,
-                messages: messages
-            });
-        } else if (format === 'csv') {
-            // Convert to CSV format
-            const csv = [
-                'Timestamp,Sender,Content,Type',
-                ...messages.map(msg =>
-                    `"${msg.created_at}","${msg.sender_nickname}","${msg.content || ''}","${msg.message_type}"`
-                )
-            ].join('\n');
-
-            res.setHeader('Content-Type', 'text/csv');
-            res.setHeader('Content-Disposition', `attachment; filename="chat-${chatId}-export.csv"`);
-            res.send(csv);
-        } else {
-            res.status(400).json({
+        await exportService.exportChat(res, {
+            chatId,
+            format: exportFormat,
+            from: fromDate,
+            to: toDate,
+            exportedBy: req.user.id
+        });
+
+    } catch (error) {
+        // Once streaming has started the only option is to cut the download
+        if (res.headersSent) {
+            res.destroy(error);
+            return;
+        }
+
+        res.status(400).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Import history from a Slack or Telegram export (workspace admins only)
+router.post('/admin/imports', authMiddleware, importUpload.single('file'), async (req, res) => {
+    try {
+        if (!chatService || !chatImportService) {
+            return res.status(500).json({
                 success: false,
-                message: 'Unsupported export format'
+                message: 'Import service not initialized'
             });
         }
 
+        const { workspaceId, source } = req.body;
+        const dryRun = req.body.dryRun !== false && req.body.dryRun !== 'false';
+
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: 'Export file (.zip or .json) is required'
+            });
+        }
+
+        const isAdmin = await chatService.isWorkspaceAdmin(req.user.id, workspaceId);
+        if (!isAdmin) {
+            await fs.unlink(req.file.path).catch(() => {});
+            return res.status(403).json({
+                success: false,
+                message: 'Workspace admin access required'
+            });
+        }
+
+        if (!ChatImportService.sources.includes(source)) {
+            await fs.unlink(req.file.path).catch(() => {});
+            return res.status(400).json({
+                success: false,
+                message: `Source must be one of: ${ChatImportService.sources.join(', ')}`
+            });
+        }
+
+        let userMapping = req.body.userMapping || {};
+        if (typeof userMapping === 'string') {
+            try {
+                userMapping = JSON.parse(userMapping);
+            } catch (error) {
+                await fs.unlink(req.file.path).catch(() => {});
+                return res.status(400).json({
+                    success: false,
+                    message: 'userMapping must be a JSON object'
+                });
+            }
+        }
+
+        const importJob = await chatImportService.createImport({
+            workspaceId,
+            source,
+            createdBy: req.user.id,
+            filePath: req.file.path,
+            fileName: req.file.originalname,
+            dryRun,
+            userMapping
+        });
+
+        startImport(importJob.id);
+
+        res.status(202).json({
+            success: true,
+            import: chatImportService.formatImport(importJob)
+        });
+
+    } catch (error) {
+        // No job owns the upload yet
+        if (req.file) {
+            await fs.unlink(req.file.path).catch(() => {});
+        }
+
+        res.status(400).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// List imports for a workspace
+router.get('/admin/imports', authMiddleware, async (req, res) => {
+    try {
+        if (!chatService || !chatImportService) {
+            return res.status(500).json({
+                success: false,
+                message: 'Import service not initialized'
+            });
+        }
+
+        const { workspaceId, limit = 20 } = req.query;
+
+        const isAdmin = await chatService.isWorkspaceAdmin(req.user.id, workspaceId);
+        if (!isAdmin) {
+            return res.status(403).json({
+                success: false,
+                message: 'Workspace admin access required'
+            });
+        }
+
+        const imports = await chatImportService.getWorkspaceImports(workspaceId, Math.min(parseInt(limit) || 20, 100));
+
+        res.json({
+            success: true,
+            imports
+        });
+
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Import progress and (dry-run) report
+router.get('/admin/imports/:importId', authMiddleware, async (req, res) => {
+    try {
+        if (!chatService || !chatImportService) {
+            return res.status(500).json({
+                success: false,
+                message: 'Import service not initialized'
+            });
+        }
+
+        const importJob = await chatImportService.getImport(req.params.importId);
+        if (!importJob || !(await chatService.isWorkspaceAdmin(req.user.id, importJob.workspace_id))) {
+            return res.status(404).json({
+                success: false,
+                message: 'Import not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            import: chatImportService.formatImport(importJob)
+        });
+
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Run a reviewed dry run for real
+router.post('/admin/imports/:importId/commit', authMiddleware, async (req, res) => {
+    try {
+        if (!chatService || !chatImportService) {
+            return res.status(500).json({
+                success: false,
+                message: 'Import service not initialized'
+            });
+        }
+
+        const existing = await chatImportService.getImport(req.params.importId);
+        if (!existing || !(await chatService.isWorkspaceAdmin(req.user.id, existing.workspace_id))) {
+            return res.status(404).json({
+                success: false,
+                message: 'Import not found'
+            });
+        }
+
+        const importJob = await chatImportService.commitImport(existing.id);
+        startImport(importJob.id);
+
+        res.status(202).json({
+            success: true,
+            import: chatImportService.formatImport(importJob)
+        });
+
     } catch (error) {
         res.status(400).json({
             success: false,
@@ -739,4 +1340,4 @@ router.get('/chats/:chatId/export', authMiddleware, async (req, res) => {
     }
 });
 
-module.exports = { router, setChatService };
\ No newline at end of file
+module.exports = { router, setChatService, setScheduledMessageService, setChatImportService, setVoicemailService };
\ No newline at end of file
@@ -0,0 +1,394 @@
+const fs = require('fs');
+const path = require('path');
+const { PassThrough } = require('stream');
+const archiver = require('archiver');
+
+const UPLOADS_ROOT = path.resolve(__dirname, '../../uploads');
+const EXPORT_FORMATS = ['json', 'csv', 'html', 'markdown', 'zip'];
+
+// Streams a chat transcript in batches so large chats never sit in memory
+class ChatExportService {
+    constructor(pool, options = {}) {
+        this.pool = pool;
+        this.batchSize = options.batchSize || 500;
+    }
+
+    static get formats() {
+        return EXPORT_FORMATS;
+    }
+
+    async getChat(chatId) {
+        const result = await this.pool.query(
+            'SELECT id, name, description, type, created_at FROM chats WHERE id = $1',
+            [chatId]
+        );
+
+        if (result.rows.length === 0) {
+            throw new Error('Chat not found');
+        }
+
+        return result.rows[0];
+    }
+
+    // Keyset pagination over (created_at, id) keeps every batch query cheap
+    async *iterateMessages(chatId, { from = null, to = null } = {}) {
+        let cursor = null;
+
+        while (true) {
+            const result = await this.pool.query(`
+                SELECT
+                    m.id,
+                    m.content,
+                    m.message_type,
+                    m.reply_to_id,
+                    m.thread_root_id,
+                    m.is_edited,
+                    m.created_at,
+                    m.created_at::text as cursor_at,
+                    u.nickname as sender_nickname,
+                    u.display_name as sender_display_name,
+                    COALESCE(
+                        (
+                            SELECT json_agg(
+                                json_build_object(
+                                    'id', f.id,
+                                    'originalName', f.original_name,
+                                    'fileName', f.file_name,
+                                    'filePath', f.file_path,
+                                    'mimeType', f.mime_type,
+                                    'size', f.file_size
+                                ) ORDER BY ma.attachment_order
+                            )
+                            FROM message_attachments ma
+                            JOIN files f ON ma.file_id = f.id
+                            WHERE ma.message_id = m.id
+                        ),
+                        '[]'
+                    ) as attachments
+                FROM messages m
+                LEFT JOIN users u ON m.sender_id = u.id
+                WHERE m.chat_id = $1
+                AND m.is_deleted = false
+                AND ($2::timestamp IS NULL OR m.created_at >= $2)
+                AND ($3::timestamp IS NULL OR m.created_at < $3)
+                AND ($4::timestamp IS NULL OR (m.created_at, m.id) > ($4, $5::uuid))
+                ORDER BY m.created_at ASC, m.id ASC
+                LIMIT $6
+            `, [
+                chatId,
+                from,
+                to,
+                cursor ? cursor.createdAt : null,
+                cursor ? cursor.id : null,
+                this.batchSize
+            ]);
+
+            for (const { cursor_at, ...row } of result.rows) {
+                yield row;
+            }
+
+            if (result.rows.length < this.batchSize) return;
+
+            // Text form keeps microseconds that a JS Date would drop
+            const last = result.rows[result.rows.length - 1];
+            cursor = { createdAt: last.cursor_at, id: last.id };
+        }
+    }
+
+    async exportChat(res, { chatId, format = 'json', from = null, to = null, exportedBy = null }) {
+        if (!EXPORT_FORMATS.includes(format)) {
+            throw new Error('Unsupported export format');
+        }
+
+        const chat = await this.getChat(chatId);
+        const context = {
+            chat,
+            range: { from, to },
+            exportedBy,
+            exportDate: new Date()
+        };
+        const baseName = `chat-${chatId}-export`;
+
+        switch (format) {
+            case 'json':
+                this.setDownloadHeaders(res, 'application/json; charset=utf-8', `${baseName}.json`);
+                await this.writeJson(res, context);
+                break;
+            case 'csv':
+                this.setDownloadHeaders(res, 'text/csv; charset=utf-8', `${baseName}.csv`);
+                await this.writeCsv(res, context);
+                break;
+            case 'html':
+                this.setDownloadHeaders(res, 'text/html; charset=utf-8', `${baseName}.html`);
+                await this.writeHtml(res, context);
+                break;
+            case 'markdown':
+                this.setDownloadHeaders(res, 'text/markdown; charset=utf-8', `${baseName}.md`);
+                await this.writeMarkdown(res, context);
+                break;
+            case 'zip':
+                this.setDownloadHeaders(res, 'application/zip', `${baseName}.zip`);
+                await this.writeZip(res, context);
+                return;
+        }
+
+        res.end();
+    }
+
+    setDownloadHeaders(res, contentType, fileName) {
+        res.setHeader('Content-Type', contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    }
+
+    // Respect backpressure so slow clients don't buffer the whole export.
+    // A client that disconnects mid-export closes the stream instead of
+    // draining it, so that stops the export rather than waiting forever.
+    async write(stream, chunk) {
+        if (stream.destroyed) {
+            throw new Error('Export stream closed before the export finished');
+        }
+
+        if (!stream.write(chunk)) {
+            await new Promise((resolve, reject) => {
+                const settle = (error) => {
+                    stream.off('drain', onDrain);
+                    stream.off('close', onClose);
+                    stream.off('error', settle);
+                    if (error) reject(error);
+                    else resolve();
+                };
+                const onDrain = () => settle();
+                const onClose = () => settle(new Error('Export stream closed before the export finished'));
+
+                stream.on('drain', onDrain);
+                stream.on('close', onClose);
+                stream.on('error', settle);
+            });
+        }
+    }
+
+    async writeJson(stream, { chat, range, exportDate }) {
+        await this.write(stream, `{"success":true,"chatId":${JSON.stringify(chat.id)},"chatName":${JSON.stringify(chat.name)},` +
+            `"exportDate":${JSON.stringify(exportDate)},"range":${JSON.stringify(range)},"messages":[`);
+
+        let count = 0;
+        for await (const message of this.iterateMessages(chat.id, range)) {
+            const { attachments, ...rest } = message;
+            const entry = {
+                ...rest,
+                attachments: attachments.map(({ filePath, ...file }) => file)
+            };
+            await this.write(stream, (count > 0 ? ',' : '') + JSON.stringify(entry));
+            count++;
+        }
+
+        await this.write(stream, `],"messageCount":${count}}`);
+    }
+
+    async writeCsv(stream, { chat, range }) {
+        // BOM so spreadsheet apps detect UTF-8
+        await this.write(stream, '\uFEFF' + this.csvRow(['Timestamp', 'Sender', 'Content', 'Type', 'Attachments', 'Thread']));
+
+        for await (const message of this.iterateMessages(chat.id, range)) {
+            await this.write(stream, this.csvRow([
+                new Date(message.created_at).toISOString(),
+                message.sender_nickname || '',
+                message.content || '',
+                message.message_type,
+                message.attachments.map(file => file.originalName).join('; '),
+                message.thread_root_id || ''
+            ]));
+        }
+    }
+
+    csvRow(fields) {
+        return fields.map(field => this.csvField(field)).join(',') + '\r\n';
+    }
+
+    csvField(value) {
+        let text = String(value === null || value === undefined ? '' : value);
+
+        // Neutralise spreadsheet formulas
+        if (/^[=+\-@\t\r]/.test(text)) {
+            text = `'${text}`;
+        }
+
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+
+    async writeHtml(stream, { chat, range, exportDate }, attachmentLinks = null) {
+        await this.write(stream, `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${this.escapeHtml(chat.name)} - Talk pAI export</title>
+<style>
+body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; max-width: 860px; margin: 0 auto; padding: 24px; color: #1f2937; background: #f9fafb; }
+header { border-bottom: 1px solid #e5e7eb; margin-bottom: 16px; }
+.message { padding: 8px 12px; margin: 4px 0; border-radius: 8px; background: #fff; }
+.message.thread { margin-left: 32px; border-left: 3px solid #c7d2fe; }
+.sender { font-weight: 600; }
+.time { color: #6b7280; font-size: 12px; margin-left: 8px; }
+.content { white-space: pre-wrap; word-wrap: break-word; margin-top: 4px; }
+.attachments { margin-top: 4px; font-size: 13px; }
+.edited { color: #9ca3af; font-size: 12px; }
+</style>
+</head>
+<body>
+<header>
+<h1>${this.escapeHtml(chat.name)}</h1>
+<p>${this.escapeHtml(chat.description || '')}</p>
+<p class="time">Exported ${this.escapeHtml(exportDate.toISOString())}${this.describeRange(range)}</p>
+</header>
+<main>
+`);
+
+        for await (const message of this.iterateMessages(chat.id, range)) {
+            if (attachmentLinks) {
+                this.collectAttachments(message, attachmentLinks);
+            }
+
+            const attachments = message.attachments.map(file => {
+                const link = attachmentLinks ? attachmentLinks.get(file.id) : null;
+                const label = this.escapeHtml(file.originalName);
+                return link ? `<a href="${this.escapeHtml(link.name)}">${label}</a>` : label;
+            });
+
+            await this.write(stream, `<div class="message${message.thread_root_id ? ' thread' : ''}">` +
+                `<span class="sender">${this.escapeHtml(message.sender_display_name || message.sender_nickname || 'Unknown')}</span>` +
+                `<span class="time">${this.escapeHtml(new Date(message.created_at).toISOString())}</span>` +
+                (message.is_edited ? ' <span class="edited">(edited)</span>' : '') +
+                `<div class="content">${this.escapeHtml(message.content || '')}</div>` +
+                (attachments.length > 0 ? `<div class="attachments">📎 ${attachments.join(', ')}</div>` : '') +
+                '</div>\n');
+        }
+
+        await this.write(stream, '</main>\n</body>\n</html>\n');
+    }
+
+    async writeMarkdown(stream, { chat, range, exportDate }) {
+        await this.write(stream, `# ${this.escapeMarkdown(chat.name)}\n\n` +
+            (chat.description ? `${this.escapeMarkdown(chat.description)}\n\n` : '') +
+            `_Exported ${exportDate.toISOString()}${this.describeRange(range)}_\n\n`);
+
+        for await (const message of this.iterateMessages(chat.id, range)) {
+            const sender = this.escapeMarkdown(message.sender_display_name || message.sender_nickname || 'Unknown');
+            const prefix = message.thread_root_id ? '> ' : '';
+            const lines = (message.content || '').split('\n').map(line => `${prefix}${line}`);
+
+            let entry = `${prefix}**${sender}** · ${new Date(message.created_at).toISOString()}` +
+                (message.is_edited ? ' _(edited)_' : '') + '\n\n' +
+                lines.join('\n') + '\n';
+
+            for (const file of message.attachments) {
+                entry += `${prefix}- 📎 ${this.escapeMarkdown(file.originalName)}\n`;
+            }
+
+            await this.write(stream, entry + '\n');
+        }
+    }
+
+    async writeZip(res, context) {
+        const archive = archiver('zip', { zlib: { level: 6 } });
+        const finished = new Promise((resolve, reject) => {
+            res.on('close', resolve);
+            res.on('finish', resolve);
+            archive.on('error', reject);
+        });
+
+        archive.on('warning', (error) => {
+            console.warn('Chat export archive warning:', error.message);
+        });
+
+        const transcript = new PassThrough();
+        const messagesJson = new PassThrough();
+
+        // The archive stops reading once the client is gone, so the entry
+        // streams would never drain: tear them down to end the writers
+        res.on('close', () => {
+            if (res.writableFinished) return;
+            archive.abort();
+            transcript.destroy();
+            messagesJson.destroy();
+        });
+
+        archive.pipe(res);
+
+        // Transcript first; it records which uploads to bundle
+        const attachmentLinks = new Map();
+        archive.append(transcript, { name: 'transcript.html' });
+        await this.writeHtml(transcript, context, attachmentLinks);
+        transcript.end();
+
+        archive.append(messagesJson, { name: 'messages.json' });
+        await this.writeJson(messagesJson, context);
+        messagesJson.end();
+
+        const missing = [];
+        for (const [fileId, entry] of attachmentLinks.entries()) {
+            const filePath = this.resolveUpload(entry.file);
+            if (filePath) {
+                archive.file(filePath, { name: entry.name });
+            } else {
+                missing.push({ id: fileId, originalName: entry.file.originalName });
+            }
+        }
+
+        archive.append(JSON.stringify({
+            chatId: context.chat.id,
+            chatName: context.chat.name,
+            exportDate: context.exportDate,
+            range: context.range,
+            attachmentCount: attachmentLinks.size - missing.length,
+            missingAttachments: missing
+        }, null, 2), { name: 'manifest.json' });
+
+        await archive.finalize();
+        await finished;
+    }
+
+    collectAttachments(message, attachmentLinks) {
+        for (const file of message.attachments) {
+            if (!attachmentLinks.has(file.id)) {
+                const safeName = file.originalName.replace(/[^\w.\- ]/g, '_');
+                attachmentLinks.set(file.id, {
+                    file,
+                    name: `attachments/${file.id}-${safeName}`
+                });
+            }
+        }
+    }
+
+    // Only bundle files that really live under uploads/
+    resolveUpload(file) {
+        if (!file.filePath) return null;
+
+        const resolved = path.resolve(file.filePath);
+        if (!resolved.startsWith(UPLOADS_ROOT + path.sep)) return null;
+        if (!fs.existsSync(resolved)) return null;
+
+        return resolved;
+    }
+
+    describeRange({ from, to }) {
+        if (!from && !to) return '';
+        const start = from ? new Date(from).toISOString().slice(0, 10) : 'beginning';
+        const end = to ? new Date(to).toISOString().slice(0, 10) : 'now';
+        return ` · ${start} – ${end}`;
+    }
+
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    escapeMarkdown(text) {
+        return String(text).replace(/([\\`*_{}\[\]()#+!|<>])/g, '\\$1');
+    }
+}
+
+module.exports = ChatExportService;
@@ -0,0 +1,848 @@
+const EventEmitter = require('events');
+const path = require('path');
+const fs = require('fs').promises;
+const { randomUUID } = require('crypto');
+const AdmZip = require('adm-zip');
+
+const MAX_ATTACHMENT_SIZE = 100 * 1024 * 1024; // matches the files table limit
+
+// Slack exports reactions by short name; map the common ones back to emoji
+const SLACK_EMOJI = {
+    '+1': '👍',
+    'thumbsup': '👍',
+    '-1': '👎',
+    'thumbsdown': '👎',
+    'heart': '❤️',
+    'joy': '😂',
+    'smile': '😄',
+    'slightly_smiling_face': '🙂',
+    'laughing': '😆',
+    'tada': '🎉',
+    'fire': '🔥',
+    'eyes': '👀',
+    'pray': '🙏',
+    'clap': '👏',
+    'rocket': '🚀',
+    'white_check_mark': '✅',
+    'heavy_check_mark': '✔️',
+    'x': '❌',
+    'thinking_face': '🤔',
+    'wave': '👋',
+    'ok_hand': '👌',
+    'raised_hands': '🙌',
+    '100': '💯',
+    'cry': '😢',
+    'open_mouth': '😮'
+};
+
+const SLACK_SYSTEM_SUBTYPES = [
+    'channel_join', 'channel_leave', 'channel_topic', 'channel_purpose',
+    'channel_name', 'channel_archive', 'channel_unarchive',
+    'group_join', 'group_leave', 'group_topic', 'group_purpose', 'group_name'
+];
+
+const TELEGRAM_CHAT_TYPES = {
+    personal_chat: 'private',
+    bot_chat: 'private',
+    saved_messages: 'private',
+    private_group: 'group',
+    private_supergroup: 'group',
+    public_supergroup: 'public',
+    private_channel: 'broadcast',
+    public_channel: 'broadcast'
+};
+
+const MIME_TYPES = {
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.mp4': 'video/mp4',
+    '.mov': 'video/quicktime',
+    '.ogg': 'audio/ogg',
+    '.oga': 'audio/ogg',
+    '.mp3': 'audio/mpeg',
+    '.m4a': 'audio/mp4',
+    '.pdf': 'application/pdf',
+    '.txt': 'text/plain',
+    '.zip': 'application/zip'
+};
+
+// Imports history from Slack workspace exports and Telegram Desktop
+// exports. Both sources are first parsed into the same shape
+// ({ users, chats: [{ ..., messages }] }) so the dry-run report and the
+// real import share the user mapping and counting logic. Jobs are
+// persisted in chat_imports and progress is written back as they run.
+class ChatImportService extends EventEmitter {
+    constructor(chatService, options = {}) {
+        super();
+        this.chatService = chatService;
+        this.pool = chatService.pool;
+        this.uploadDir = options.uploadDir || path.join(__dirname, '../../uploads/chat');
+        this.batchSize = options.batchSize || 500;
+        this.sweepInterval = options.sweepInterval || 5 * 60 * 1000; // 5 minutes
+        this.staleAfterMinutes = options.staleAfterMinutes || 15;
+        this.timer = null;
+    }
+
+    start() {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => {
+            this.failInterruptedImports().catch(error => {
+                console.error('Chat import cleanup failed:', error.message);
+            });
+        }, this.sweepInterval);
+
+        // Jobs that were running when the server went down
+        this.failInterruptedImports().catch(error => {
+            console.error('Chat import cleanup failed:', error.message);
+        });
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    static get sources() {
+        return ['slack', 'telegram'];
+    }
+
+    // Jobs
+    async createImport({ workspaceId, source, createdBy, filePath, fileName, dryRun = true, userMapping = {} }) {
+        if (!ChatImportService.sources.includes(source)) {
+            throw new Error('Unsupported import source');
+        }
+
+        const result = await this.pool.query(`
+            INSERT INTO chat_imports (
+                workspace_id, source, file_name, file_path, dry_run, user_mapping, created_by
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+            RETURNING *
+        `, [workspaceId, source, fileName, filePath, Boolean(dryRun), JSON.stringify(userMapping), createdBy]);
+
+        return result.rows[0];
+    }
+
+    async getImport(importId) {
+        const result = await this.pool.query(`
+            SELECT * FROM chat_imports WHERE id = $1
+        `, [importId]);
+
+        return result.rows[0] || null;
+    }
+
+    // The upload's location on the server stays out of API responses
+    formatImport(job) {
+        const { file_path, ...rest } = job;
+        return rest;
+    }
+
+    async getWorkspaceImports(workspaceId, limit = 20) {
+        const result = await this.pool.query(`
+            SELECT id, workspace_id, source, file_name, dry_run, status, progress,
+                   error, created_by, started_at, completed_at, created_at
+            FROM chat_imports
+            WHERE workspace_id = $1
+            ORDER BY created_at DESC
+            LIMIT $2
+        `, [workspaceId, limit]);
+
+        return result.rows;
+    }
+
+    // Turn a finished dry run into a real import of the same upload
+    async commitImport(importId) {
+        const result = await this.pool.query(`
+            UPDATE chat_imports
+            SET dry_run = false, status = 'pending', progress = '{}', error = NULL,
+                started_at = NULL, completed_at = NULL
+            WHERE id = $1 AND dry_run = true AND status = 'completed'
+            RETURNING *
+        `, [importId]);
+
+        if (result.rows.length === 0) {
+            throw new Error('Only a completed dry run can be committed');
+        }
+
+        return result.rows[0];
+    }
+
+    async runImport(importId) {
+        // Claim the job so a second request cannot start it twice
+        const claimed = await this.pool.query(`
+            UPDATE chat_imports
+            SET status = 'running', started_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND status = 'pending'
+            RETURNING *
+        `, [importId]);
+
+        const job = claimed.rows[0];
+        if (!job) {
+            throw new Error('Import is not pending');
+        }
+
+        try {
+            await this.updateProgress(job.id, { phase: 'parsing' });
+
+            const archive = await this.parseArchive(job.source, job.file_path, job.file_name);
+            const userMap = await this.resolveUsers(job.workspace_id, archive.users, job.user_mapping || {});
+            const report = this.buildReport(job, archive, userMap);
+
+            if (!job.dry_run) {
+                await this.importChats(job, archive, userMap, report);
+                await fs.unlink(job.file_path).catch(() => {});
+            }
+
+            await this.pool.query(`
+                UPDATE chat_imports
+                SET status = 'completed', report = $2, completed_at = CURRENT_TIMESTAMP
+                WHERE id = $1
+            `, [job.id, JSON.stringify(report)]);
+
+            this.emit('completed', { importId: job.id, report });
+            return report;
+
+        } catch (error) {
+            await this.pool.query(`
+                UPDATE chat_imports
+                SET status = 'failed', error = $2, completed_at = CURRENT_TIMESTAMP
+                WHERE id = $1
+            `, [job.id, error.message]);
+
+            // A failed job cannot be committed or rerun, so its upload is no longer needed
+            await fs.unlink(job.file_path).catch(() => {});
+
+            this.emit('failed', { importId: job.id, error: error.message });
+            throw error;
+        }
+    }
+
+    async updateProgress(importId, progress) {
+        await this.pool.query(`
+            UPDATE chat_imports SET progress = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1
+        `, [importId, JSON.stringify(progress)]);
+
+        this.emit('progress', { importId, ...progress });
+    }
+
+    // A running job stops touching updated_at when the process running it
+    // dies. Nothing would ever finish it, so it is failed and its upload removed.
+    async failInterruptedImports() {
+        const result = await this.pool.query(`
+            UPDATE chat_imports
+            SET status = 'failed', error = 'Import was interrupted before it finished',
+                completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+            WHERE status = 'running'
+            AND updated_at < NOW() - make_interval(mins => $1)
+            RETURNING id, file_path
+        `, [this.staleAfterMinutes]);
+
+        for (const job of result.rows) {
+            await fs.unlink(job.file_path).catch(() => {});
+            this.emit('failed', { importId: job.id, error: 'Import was interrupted before it finished' });
+        }
+
+        return result.rows.length;
+    }
+
+    // Parsing
+    async parseArchive(source, filePath, fileName = '') {
+        if (source === 'slack') {
+            return this.parseSlackExport(new AdmZip(filePath));
+        }
+
+        // Telegram Desktop writes a folder with result.json next to the
+        // media; accept either the bare JSON or that folder zipped up
+        if (path.extname(fileName || filePath).toLowerCase() === '.json') {
+            const data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+            return this.parseTelegramExport(data, null, '');
+        }
+
+        const zip = new AdmZip(filePath);
+        const resultEntry = zip.getEntries().find(entry => path.posix.basename(entry.entryName) === 'result.json');
+        if (!resultEntry) {
+            throw new Error('result.json not found in Telegram export');
+        }
+
+        const data = JSON.parse(resultEntry.getData().toString('utf8'));
+        return this.parseTelegramExport(data, zip, path.posix.dirname(resultEntry.entryName));
+    }
+
+    parseSlackExport(zip) {
+        const entries = zip.getEntries();
+        const usersEntry = entries.find(entry => path.posix.basename(entry.entryName) === 'users.json');
+        if (!usersEntry) {
+            throw new Error('users.json not found in Slack export');
+        }
+
+        const root = path.posix.dirname(usersEntry.entryName);
+        const entryPath = (name) => (root === '.' ? name : `${root}/${name}`);
+        const readJson = (name) => {
+            const entry = zip.getEntry(entryPath(name));
+            return entry ? JSON.parse(entry.getData().toString('utf8')) : [];
+        };
+
+        const users = new Map();
+        for (const user of readJson('users.json')) {
+            const profile = user.profile || {};
+            users.set(user.id, {
+                externalId: user.id,
+                name: profile.real_name || user.real_name || user.name,
+                email: profile.email || null,
+                nicknames: [user.name, profile.display_name].filter(Boolean)
+            });
+        }
+
+        const conversations = [
+            ...readJson('channels.json').map(channel => ({ ...channel, chatType: 'public', folder: channel.name })),
+            ...readJson('groups.json').map(group => ({ ...group, chatType: 'group', folder: group.name })),
+            ...readJson('mpims.json').map(mpim => ({ ...mpim, chatType: 'group', folder: mpim.name })),
+            ...readJson('dms.json').map(dm => ({ ...dm, chatType: 'private', folder: dm.id }))
+        ];
+
+        const chats = conversations.map(conversation => {
+            const prefix = `${entryPath(conversation.folder)}/`;
+            const dayFiles = entries
+                .filter(entry => !entry.isDirectory && entry.entryName.startsWith(prefix) && entry.entryName.endsWith('.json'))
+                .sort((a, b) => a.entryName.localeCompare(b.entryName));
+
+            const messages = [];
+            for (const dayFile of dayFiles) {
+                for (const raw of JSON.parse(dayFile.getData().toString('utf8'))) {
+                    const message = this.parseSlackMessage(raw, users, zip, root);
+                    if (message) messages.push(message);
+                }
+            }
+
+            const memberIds = conversation.members || [];
+            const name = conversation.chatType === 'private'
+                ? memberIds.map(id => (users.get(id) || {}).name || id).join(', ')
+                : conversation.name;
+
+            return {
+                externalId: conversation.id,
+                name: name || conversation.id,
+                description: (conversation.purpose && conversation.purpose.value) || null,
+                type: conversation.chatType,
+                memberIds,
+                messages
+            };
+        });
+
+        return { source: 'slack', users, chats };
+    }
+
+    parseSlackMessage(raw, users, zip, root) {
+        if (raw.type !== 'message' || !raw.ts) return null;
+
+        const authorId = raw.user || raw.bot_id || null;
+        if (authorId && !users.has(authorId)) {
+            users.set(authorId, {
+                externalId: authorId,
+                name: raw.username || (raw.bot_profile && raw.bot_profile.name) || authorId,
+                email: null,
+                nicknames: []
+            });
+        }
+
+        const attachments = (raw.files || []).map(file => {
+            // Exports made with file contents keep them under __uploads/<file id>/
+            const prefix = root === '.' ? `__uploads/${file.id}/` : `${root}/__uploads/${file.id}/`;
+            const entry = zip.getEntries().find(candidate => !candidate.isDirectory && candidate.entryName.startsWith(prefix));
+
+            return {
+                name: file.name || file.title || file.id,
+                mimeType: file.mimetype || 'application/octet-stream',
+                entry: entry ? entry.entryName : null,
+                url: file.url_private || null
+            };
+        });
+
+        const reactions = (raw.reactions || []).map(reaction => ({
+            reaction: SLACK_EMOJI[reaction.name] || `:${reaction.name}:`,
+            userIds: reaction.users || []
+        }));
+
+        return {
+            externalId: raw.ts,
+            authorId,
+            content: this.convertSlackMarkup(raw.text || '', users),
+            createdAt: new Date(parseFloat(raw.ts) * 1000),
+            isSystem: SLACK_SYSTEM_SUBTYPES.includes(raw.subtype),
+            replyToExternalId: null,
+            threadExternalId: raw.thread_ts && raw.thread_ts !== raw.ts ? raw.thread_ts : null,
+            reactions,
+            attachments
+        };
+    }
+
+    convertSlackMarkup(text, users) {
+        return text
+            .replace(/<@([A-Z0-9]+)(?:\|[^>]*)?>/g, (match, id) => {
+                const user = users.get(id);
+                return `@${user ? (user.nicknames[0] || user.name) : id}`;
+            })
+            .replace(/<#[A-Z0-9]+\|([^>]+)>/g, '#$1')
+            .replace(/<!(here|channel|everyone)(?:\|[^>]*)?>/g, '@$1')
+            .replace(/<(https?:\/\/[^|>]+)\|([^>]+)>/g, '$2 ($1)')
+            .replace(/<(https?:\/\/[^>]+)>/g, '$1')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&amp;/g, '&');
+    }
+
+    parseTelegramExport(data, zip, root) {
+        const sourceChats = data.chats && Array.isArray(data.chats.list) ? data.chats.list : [data];
+        const users = new Map();
+
+        const chats = sourceChats.filter(chat => Array.isArray(chat.messages)).map(chat => {
+            const memberIds = new Set();
+            const messages = [];
+
+            for (const raw of chat.messages) {
+                const message = this.parseTelegramMessage(raw, users, zip, root);
+                if (!message) continue;
+
+                if (message.authorId) memberIds.add(message.authorId);
+                messages.push(message);
+            }
+
+            return {
+                externalId: String(chat.id),
+                name: chat.name || `Telegram chat ${chat.id}`,
+                description: null,
+                type: TELEGRAM_CHAT_TYPES[chat.type] || 'group',
+                memberIds: Array.from(memberIds),
+                messages
+            };
+        });
+
+        return { source: 'telegram', users, chats };
+    }
+
+    parseTelegramMessage(raw, users, zip, root) {
+        if (raw.type !== 'message' && raw.type !== 'service') return null;
+
+        const isSystem = raw.type === 'service';
+        const authorId = isSystem ? raw.actor_id : raw.from_id;
+        const authorName = isSystem ? raw.actor : raw.from;
+
+        if (authorId && !users.has(authorId)) {
+            // Telegram exports carry display names only, so try them as nicknames
+            users.set(authorId, {
+                externalId: authorId,
+                name: authorName || authorId,
+                email: null,
+                nicknames: authorName ? [authorName, authorName.replace(/\s+/g, '_')] : []
+            });
+        }
+
+        const text = Array.isArray(raw.text)
+            ? raw.text.map(part => (typeof part === 'string' ? part : part.text || '')).join('')
+            : (raw.text || '');
+
+        const attachments = [];
+        for (const mediaPath of [raw.photo, raw.file]) {
+            if (!mediaPath) continue;
+
+            // Files skipped during export are recorded as "(File not included...)"
+            const entryName = mediaPath.startsWith('(') ? null : path.posix.join(root, mediaPath);
+            const entry = zip && entryName ? zip.getEntry(entryName) : null;
+
+            attachments.push({
+                name: (mediaPath === raw.file && raw.file_name) || path.posix.basename(mediaPath),
+                mimeType: raw.mime_type || (raw.photo === mediaPath ? 'image/jpeg' : this.guessMimeType(mediaPath)),
+                entry: entry ? entry.entryName : null,
+                url: null
+            });
+        }
+
+        const reactions = (raw.reactions || [])
+            .filter(reaction => reaction.emoji)
+            .map(reaction => ({
+                reaction: reaction.emoji,
+                userIds: (reaction.recent || []).map(recent => recent.from_id).filter(Boolean)
+            }));
+
+        const createdAt = raw.date_unixtime
+            ? new Date(parseInt(raw.date_unixtime, 10) * 1000)
+            : new Date(raw.date);
+
+        return {
+            externalId: String(raw.id),
+            authorId: authorId || null,
+            content: isSystem && !text ? (raw.action || '').replace(/_/g, ' ') : text,
+            createdAt,
+            isSystem,
+            replyToExternalId: raw.reply_to_message_id ? String(raw.reply_to_message_id) : null,
+            threadExternalId: null,
+            reactions,
+            attachments
+        };
+    }
+
+    guessMimeType(fileName) {
+        return MIME_TYPES[path.extname(fileName).toLowerCase()] || 'application/octet-stream';
+    }
+
+    // Map source users to workspace members by explicit mapping, email or nickname
+    async resolveUsers(workspaceId, sourceUsers, userMapping = {}) {
+        const result = await this.pool.query(`
+            SELECT u.id, u.email, u.nickname
+            FROM users u
+            JOIN workspace_members wm ON wm.user_id = u.id
+            WHERE wm.workspace_id = $1 AND u.is_active = true
+        `, [workspaceId]);
+
+        const byId = new Map();
+        const byEmail = new Map();
+        const byNickname = new Map();
+        for (const user of result.rows) {
+            byId.set(user.id, user.id);
+            if (user.email) byEmail.set(user.email.toLowerCase(), user.id);
+            byNickname.set(user.nickname.toLowerCase(), user.id);
+        }
+
+        const userMap = new Map();
+        for (const sourceUser of sourceUsers.values()) {
+            const explicit = userMapping[sourceUser.externalId];
+            let match = null;
+
+            if (explicit) {
+                const key = String(explicit).toLowerCase().replace(/^@/, '');
+                const userId = byId.get(explicit) || byEmail.get(key) || byNickname.get(key);
+                if (userId) match = { userId, matchedBy: 'mapping' };
+            }
+
+            if (!match && sourceUser.email && byEmail.has(sourceUser.email.toLowerCase())) {
+                match = { userId: byEmail.get(sourceUser.email.toLowerCase()), matchedBy: 'email' };
+            }
+
+            if (!match) {
+                const nickname = sourceUser.nicknames.find(candidate => byNickname.has(candidate.toLowerCase()));
+                if (nickname) match = { userId: byNickname.get(nickname.toLowerCase()), matchedBy: 'nickname' };
+            }
+
+            if (match) userMap.set(sourceUser.externalId, match);
+        }
+
+        return userMap;
+    }
+
+    buildReport(job, archive, userMap) {
+        const report = {
+            source: archive.source,
+            dryRun: job.dry_run,
+            users: { mapped: [], unmapped: [] },
+            chats: [],
+            totals: { chats: 0, messages: 0, reactions: 0, attachments: 0, missingAttachments: 0, skippedMessages: 0 }
+        };
+
+        for (const sourceUser of archive.users.values()) {
+            const match = userMap.get(sourceUser.externalId);
+            if (match) {
+                report.users.mapped.push({ externalId: sourceUser.externalId, name: sourceUser.name, userId: match.userId, matchedBy: match.matchedBy });
+            } else {
+                report.users.unmapped.push({ externalId: sourceUser.externalId, name: sourceUser.name });
+            }
+        }
+
+        for (const chat of archive.chats) {
+            const summary = {
+                externalId: chat.externalId,
+                name: chat.name,
+                type: chat.type,
+                participants: chat.memberIds.filter(id => userMap.has(id)).length,
+                messages: 0,
+                reactions: 0,
+                attachments: 0,
+                missingAttachments: 0,
+                skippedMessages: 0
+            };
+
+            for (const message of chat.messages) {
+                if (!message.content && message.attachments.length === 0) {
+                    summary.skippedMessages++;
+                    continue;
+                }
+
+                summary.messages++;
+                summary.attachments += message.attachments.filter(attachment => attachment.entry).length;
+                summary.missingAttachments += message.attachments.filter(attachment => !attachment.entry).length;
+                summary.reactions += message.reactions
+                    .filter(reaction => reaction.reaction.length <= 10)
+                    .reduce((sum, reaction) => sum + reaction.userIds.filter(id => userMap.has(id)).length, 0);
+            }
+
+            report.chats.push(summary);
+            report.totals.chats++;
+            for (const key of ['messages', 'reactions', 'attachments', 'missingAttachments', 'skippedMessages']) {
+                report.totals[key] += summary[key];
+            }
+        }
+
+        return report;
+    }
+
+    // Importing
+    async importChats(job, archive, userMap, report) {
+        const zip = archive.source === 'slack' || path.extname(job.file_name || job.file_path).toLowerCase() !== '.json'
+            ? new AdmZip(job.file_path)
+            : null;
+
+        let messagesImported = 0;
+
+        for (let i = 0; i < archive.chats.length; i++) {
+            const chat = archive.chats[i];
+            const summary = report.chats[i];
+
+            await this.updateProgress(job.id, {
+                phase: 'importing',
+                chatsTotal: archive.chats.length,
+                chatsDone: i,
+                currentChat: chat.name,
+                messagesImported
+            });
+
+            const chatId = await this.importChat(job, chat, userMap, zip);
+            summary.chatId = chatId;
+            messagesImported += summary.messages;
+        }
+
+        await this.updateProgress(job.id, {
+            phase: 'done',
+            chatsTotal: archive.chats.length,
+            chatsDone: archive.chats.length,
+            messagesImported
+        });
+    }
+
+    async importChat(job, chat, userMap, zip) {
+        const participants = [...new Set(chat.memberIds.filter(id => userMap.has(id)).map(id => userMap.get(id).userId))];
+
+        // The importing admin should not end up owning other people's DMs
+        const createdBy = chat.type === 'private' && participants.length > 0 && !participants.includes(job.created_by)
+            ? participants[0]
+            : job.created_by;
+
+        const created = await this.chatService.createChat({
+            name: chat.name.slice(0, 255),
+            description: chat.description,
+            type: chat.type,
+            createdBy,
+            participants,
+            workspaceId: job.workspace_id,
+            settings: { imported: { source: job.source, externalId: chat.externalId, importId: job.id } }
+        });
+
+        const client = await this.pool.connect();
+        const writtenFiles = [];
+
+        try {
+            await client.query('BEGIN');
+
+            const messages = chat.messages
+                .filter(message => message.content || message.attachments.length > 0)
+                .sort((a, b) => a.createdAt - b.createdAt);
+
+            const idMap = new Map(messages.map(message => [message.externalId, randomUUID()]));
+
+            for (let i = 0; i < messages.length; i += this.batchSize) {
+                const batch = messages.slice(i, i + this.batchSize);
+                await this.insertMessages(client, created.id, batch, idMap, userMap, job);
+                await this.insertReactions(client, batch, idMap, userMap);
+                await this.insertAttachments(client, batch, idMap, userMap, job, zip, writtenFiles);
+
+                // Keeps the job from looking interrupted during a long chat
+                await this.pool.query('UPDATE chat_imports SET updated_at = CURRENT_TIMESTAMP WHERE id = $1', [job.id]);
+                this.emit('progress', { importId: job.id, phase: 'importing', currentChat: chat.name, chatMessagesDone: i + batch.length, chatMessagesTotal: messages.length });
+            }
+
+            // Threads were inserted with their roots, so counters can be derived in one pass
+            await client.query(`
+                UPDATE messages root
+                SET thread_reply_count = t.reply_count, thread_last_reply_at = t.last_reply_at
+                FROM (
+                    SELECT thread_root_id, COUNT(*) as reply_count, MAX(created_at) as last_reply_at
+                    FROM messages
+                    WHERE chat_id = $1 AND thread_root_id IS NOT NULL
+                    GROUP BY thread_root_id
+                ) t
+                WHERE root.id = t.thread_root_id
+            `, [created.id]);
+
+            // Imported history starts out read for everyone who took part
+            await client.query(`
+                INSERT INTO thread_participants (thread_root_id, user_id, last_read_at)
+                SELECT DISTINCT COALESCE(m.thread_root_id, m.id), m.sender_id, root.thread_last_reply_at
+                FROM messages m
+                JOIN messages root ON root.id = COALESCE(m.thread_root_id, m.id)
+                WHERE m.chat_id = $1 AND m.sender_id IS NOT NULL AND root.thread_reply_count > 0
+                ON CONFLICT (thread_root_id, user_id) DO NOTHING
+            `, [created.id]);
+
+            await client.query(`
+                UPDATE chats
+                SET last_message_at = COALESCE((SELECT MAX(created_at) FROM messages WHERE chat_id = $1), last_message_at)
+                WHERE id = $1
+            `, [created.id]);
+
+            await client.query(`
+                UPDATE chat_participants SET last_read_at = CURRENT_TIMESTAMP WHERE chat_id = $1
+            `, [created.id]);
+
+            await client.query('COMMIT');
+            return created.id;
+
+        } catch (error) {
+            await client.query('ROLLBACK');
+            await this.pool.query('DELETE FROM chats WHERE id = $1', [created.id]);
+            await Promise.all(writtenFiles.map(filePath => fs.unlink(filePath).catch(() => {})));
+            throw new Error(`Failed to import chat "${chat.name}": ${error.message}`);
+        } finally {
+            client.release();
+        }
+    }
+
+    async insertMessages(client, chatId, batch, idMap, userMap, job) {
+        const columns = { ids: [], senders: [], contents: [], types: [], replyTo: [], threadRoots: [], metadata: [], createdAt: [] };
+
+        for (const message of batch) {
+            const sender = message.authorId ? userMap.get(message.authorId) : null;
+            const sourceUser = message.authorId || null;
+
+            let messageType = 'text';
+            if (message.isSystem) {
+                messageType = 'system';
+            } else if (message.attachments.length > 0) {
+                messageType = message.attachments.length === 1 && message.attachments[0].mimeType.startsWith('image/') ? 'image' : 'file';
+            }
+
+            columns.ids.push(idMap.get(message.externalId));
+            columns.senders.push(sender ? sender.userId : null);
+            columns.contents.push(message.content || '');
+            columns.types.push(messageType);
+            columns.replyTo.push(idMap.get(message.replyToExternalId) || null);
+            columns.threadRoots.push(idMap.get(message.threadExternalId) || null);
+            columns.metadata.push(JSON.stringify({
+                imported: {
+                    source: job.source,
+                    importId: job.id,
+                    externalId: message.externalId,
+                    authorId: sourceUser
+                },
+                missingFiles: message.attachments
+                    .filter(attachment => !attachment.entry)
+                    .map(attachment => ({ name: attachment.name, url: attachment.url }))
+            }));
+            columns.createdAt.push(message.createdAt);
+        }
+
+        await client.query(`
+            INSERT INTO messages (
+                id, chat_id, sender_id, content, message_type, reply_to_id,
+                thread_root_id, metadata, created_at, updated_at
+            )
+            SELECT m.id, $1::uuid, m.sender_id, m.content, m.message_type, m.reply_to_id,
+                   m.thread_root_id, m.metadata, m.created_at, m.created_at
+            FROM unnest(
+                $2::uuid[], $3::uuid[], $4::text[], $5::text[], $6::uuid[], $7::uuid[], $8::jsonb[], $9::timestamp[]
+            ) AS m(id, sender_id, content, message_type, reply_to_id, thread_root_id, metadata, created_at)
+        `, [
+            chatId,
+            columns.ids,
+            columns.senders,
+            columns.contents,
+            columns.types,
+            columns.replyTo,
+            columns.threadRoots,
+            columns.metadata,
+            columns.createdAt
+        ]);
+    }
+
+    async insertReactions(client, batch, idMap, userMap) {
+        const messageIds = [];
+        const userIds = [];
+        const reactions = [];
+        const createdAt = [];
+
+        for (const message of batch) {
+            for (const reaction of message.reactions) {
+                if (reaction.reaction.length > 10) continue;
+
+                for (const sourceUserId of reaction.userIds) {
+                    const user = userMap.get(sourceUserId);
+                    if (!user) continue;
+
+                    messageIds.push(idMap.get(message.externalId));
+                    userIds.push(user.userId);
+                    reactions.push(reaction.reaction);
+                    createdAt.push(message.createdAt);
+                }
+            }
+        }
+
+        if (messageIds.length === 0) return;
+
+        await client.query(`
+            INSERT INTO message_reactions (message_id, user_id, reaction, created_at)
+            SELECT * FROM unnest($1::uuid[], $2::uuid[], $3::text[], $4::timestamp[])
+            ON CONFLICT (message_id, user_id, reaction) DO NOTHING
+        `, [messageIds, userIds, reactions, createdAt]);
+    }
+
+    async insertAttachments(client, batch, idMap, userMap, job, zip, writtenFiles) {
+        if (!zip) return;
+
+        await fs.mkdir(this.uploadDir, { recursive: true });
+
+        for (const message of batch) {
+            const sender = message.authorId ? userMap.get(message.authorId) : null;
+            let order = 1;
+
+            for (const attachment of message.attachments) {
+                if (!attachment.entry) continue;
+
+                const entry = zip.getEntry(attachment.entry);
+                if (!entry || entry.header.size === 0 || entry.header.size > MAX_ATTACHMENT_SIZE) continue;
+
+                const fileName = `import-${Date.now()}-${Math.round(Math.random() * 1E9)}${path.extname(attachment.name)}`;
+                const filePath = path.join(this.uploadDir, fileName);
+                const data = entry.getData();
+
+                await fs.writeFile(filePath, data);
+                writtenFiles.push(filePath);
+
+                const fileResult = await client.query(`
+                    INSERT INTO files (
+                        original_name, file_name, file_path, file_size,
+                        mime_type, uploaded_by, storage_provider, metadata, created_at
+                    ) VALUES ($1, $2, $3, $4, $5, $6, 'local', $7, $8)
+                    RETURNING id
+                `, [
+                    attachment.name.slice(0, 255),
+                    fileName,
+                    filePath,
+                    data.length,
+                    attachment.mimeType.slice(0, 100),
+                    sender ? sender.userId : job.created_by,
+                    JSON.stringify({ imported: { source: job.source, importId: job.id } }),
+                    message.createdAt
+                ]);
+
+                await client.query(`
+                    INSERT INTO message_attachments (message_id, file_id, attachment_order)
+                    VALUES ($1, $2, $3)
+                `, [idMap.get(message.externalId), fileResult.rows[0].id, order++]);
+            }
+        }
+    }
+}
+
+module.exports = ChatImportService;
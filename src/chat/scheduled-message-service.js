@@ -0,0 +1,262 @@
+const EventEmitter = require('events');
+
+// Persisted queue of messages to be sent later. Rows live in
+// scheduled_messages, so pending sends survive restarts and are picked
+// up by whichever instance polls first.
+class ScheduledMessageService extends EventEmitter {
+    constructor(chatService, options = {}) {
+        super();
+        this.chatService = chatService;
+        this.pool = chatService.pool;
+        this.pollInterval = options.pollInterval || 15000; // 15 seconds
+        this.batchSize = options.batchSize || 50;
+        this.maxAttempts = options.maxAttempts || 3;
+        this.staleAfterMinutes = options.staleAfterMinutes || 5;
+        this.timer = null;
+        this.processing = false;
+    }
+
+    start() {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => {
+            this.processDueMessages().catch(error => {
+                console.error('Scheduled message processing failed:', error.message);
+            });
+        }, this.pollInterval);
+
+        // Deliver anything that became due while the server was down
+        this.processDueMessages().catch(error => {
+            console.error('Scheduled message processing failed:', error.message);
+        });
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    parseSendAt(sendAt) {
+        const date = new Date(sendAt);
+        if (isNaN(date.getTime())) {
+            throw new Error('Invalid sendAt date');
+        }
+
+        if (date.getTime() <= Date.now()) {
+            throw new Error('sendAt must be in the future');
+        }
+
+        return date;
+    }
+
+    async scheduleMessage({ chatId, senderId, content, messageType = 'text', replyToId = null, threadRootId = null, alsoSendToChannel = false, metadata = {}, fileIds = [], sendAt }) {
+        try {
+            const sendDate = this.parseSendAt(sendAt);
+
+            const hasAccess = await this.chatService.verifyUserChatAccess(senderId, chatId);
+            if (!hasAccess) {
+                throw new Error('Access denied to chat');
+            }
+
+            const result = await this.pool.query(`
+                INSERT INTO scheduled_messages (
+                    chat_id, sender_id, content, message_type, reply_to_id,
+                    thread_root_id, also_send_to_channel, metadata, file_ids, send_at
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+                RETURNING *
+            `, [
+                chatId,
+                senderId,
+                content,
+                messageType,
+                replyToId || null,
+                threadRootId || null,
+                Boolean(alsoSendToChannel),
+                JSON.stringify(metadata),
+                fileIds,
+                sendDate
+            ]);
+
+            return result.rows[0];
+
+        } catch (error) {
+            throw new Error(`Failed to schedule message: ${error.message}`);
+        }
+    }
+
+    async listScheduledMessages(userId, chatId = null) {
+        try {
+            const result = await this.pool.query(`
+                SELECT sm.*, c.name as chat_name
+                FROM scheduled_messages sm
+                JOIN chats c ON sm.chat_id = c.id
+                WHERE sm.sender_id = $1
+                AND sm.status = 'pending'
+                AND ($2::uuid IS NULL OR sm.chat_id = $2)
+                ORDER BY sm.send_at ASC
+            `, [userId, chatId]);
+
+            return result.rows;
+
+        } catch (error) {
+            throw new Error(`Failed to list scheduled messages: ${error.message}`);
+        }
+    }
+
+    async updateScheduledMessage(scheduledId, userId, { content, sendAt }) {
+        try {
+            const sendDate = sendAt !== undefined ? this.parseSendAt(sendAt) : null;
+
+            const result = await this.pool.query(`
+                UPDATE scheduled_messages SET
+                    content = COALESCE($1, content),
+                    send_at = COALESCE($2, send_at),
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = $3 AND sender_id = $4 AND status = 'pending'
+                RETURNING *
+            `, [content !== undefined ? content : null, sendDate, scheduledId, userId]);
+
+            if (result.rows.length === 0) {
+                throw new Error('Scheduled message not found or already sent');
+            }
+
+            return result.rows[0];
+
+        } catch (error) {
+            throw new Error(`Failed to update scheduled message: ${error.message}`);
+        }
+    }
+
+    async cancelScheduledMessage(scheduledId, userId) {
+        try {
+            const result = await this.pool.query(`
+                UPDATE scheduled_messages SET
+                    status = 'cancelled',
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1 AND sender_id = $2 AND status = 'pending'
+                RETURNING id
+            `, [scheduledId, userId]);
+
+            if (result.rows.length === 0) {
+                throw new Error('Scheduled message not found or already sent');
+            }
+
+            return { success: true };
+
+        } catch (error) {
+            throw new Error(`Failed to cancel scheduled message: ${error.message}`);
+        }
+    }
+
+    async processDueMessages() {
+        if (this.processing) return 0;
+        this.processing = true;
+
+        try {
+            // Rows left in 'sending' by a crashed instance go back to the queue
+            await this.pool.query(`
+                UPDATE scheduled_messages SET status = 'pending'
+                WHERE status = 'sending'
+                AND updated_at < NOW() - make_interval(mins => $1)
+            `, [this.staleAfterMinutes]);
+
+            // Claim due rows so concurrent instances never send twice
+            const claimed = await this.pool.query(`
+                UPDATE scheduled_messages SET
+                    status = 'sending',
+                    attempts = attempts + 1,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id IN (
+                    SELECT id FROM scheduled_messages
+                    WHERE status = 'pending' AND send_at <= NOW()
+                    ORDER BY send_at ASC
+                    LIMIT $1
+                    FOR UPDATE SKIP LOCKED
+                )
+                RETURNING *
+            `, [this.batchSize]);
+
+            for (const scheduled of claimed.rows) {
+                await this.deliver(scheduled);
+            }
+
+            return claimed.rows.length;
+
+        } finally {
+            this.processing = false;
+        }
+    }
+
+    async deliver(scheduled) {
+        try {
+            // An earlier attempt already posted the message and failed after
+            let message = scheduled.sent_message_id
+                ? await this.chatService.enrichMessage({ id: scheduled.sent_message_id })
+                : null;
+
+            if (!message) {
+                message = await this.chatService.sendMessage({
+                    chatId: scheduled.chat_id,
+                    senderId: scheduled.sender_id,
+                    content: scheduled.content,
+                    messageType: scheduled.message_type,
+                    replyToId: scheduled.reply_to_id,
+                    metadata: { ...(scheduled.metadata || {}), scheduledMessageId: scheduled.id },
+                    threadRootId: scheduled.thread_root_id,
+                    alsoSendToChannel: scheduled.also_send_to_channel
+                });
+
+                // Recorded before anything else can fail, so a retry never posts twice
+                await this.pool.query(`
+                    UPDATE scheduled_messages SET
+                        sent_message_id = $1,
+                        updated_at = CURRENT_TIMESTAMP
+                    WHERE id = $2
+                `, [message.id, scheduled.id]);
+            }
+
+            await this.chatService.attachFilesToMessage(message.id, scheduled.file_ids || []);
+
+            await this.pool.query(`
+                UPDATE scheduled_messages SET
+                    status = 'sent',
+                    sent_message_id = $1,
+                    sent_at = CURRENT_TIMESTAMP,
+                    last_error = NULL,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = $2
+            `, [message.id, scheduled.id]);
+
+            this.chatService.broadcastMessage(message);
+            this.chatService.emitToUser(scheduled.sender_id, 'scheduled_message_sent', {
+                scheduledId: scheduled.id,
+                message: message
+            });
+
+            this.emit('delivered', { scheduled, message });
+
+        } catch (error) {
+            const failed = scheduled.attempts >= this.maxAttempts;
+
+            await this.pool.query(`
+                UPDATE scheduled_messages SET
+                    status = $1,
+                    last_error = $2,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = $3
+            `, [failed ? 'failed' : 'pending', error.message, scheduled.id]);
+
+            if (failed) {
+                this.chatService.emitToUser(scheduled.sender_id, 'scheduled_message_failed', {
+                    scheduledId: scheduled.id,
+                    chatId: scheduled.chat_id,
+                    error: error.message
+                });
+            }
+        }
+    }
+}
+
+module.exports = ScheduledMessageService;
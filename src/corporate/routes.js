@@ -1,5 +1,6 @@
 const express = require('express');
 const CorporateService = require('./service');
+const ScimService = require('../enterprise/scim-service');
 const AuthService = require('../auth/service');
 const Logger = require('../utils/enhanced-logger');
 const logger = new Logger('CorporateActivity');
@@ -8,6 +9,7 @@ class CorporateRoutes {
   constructor() {
     this.router = express.Router();
     this.corporateService = new CorporateService();
+    this.scimService = new ScimService();
     this.authService = new AuthService();
     this.setupRoutes();
   }
@@ -24,6 +26,12 @@ class CorporateRoutes {
     this.router.post('/organizations', this.createOrganization.bind(this));
     this.router.get('/organizations/:orgId', this.getOrganization.bind(this));
     this.router.get('/organizations/:orgId/workspaces', this.getOrganizationWorkspaces.bind(this));
+    this.router.get('/organizations/:orgId/sso', this.getSsoSettings.bind(this));
+    this.router.put('/organizations/:orgId/sso', this.updateSsoSettings.bind(this));
+    this.router.post('/organizations/:orgId/sso/domains/:domain/verify', this.verifySsoDomain.bind(this));
+    this.router.get('/organizations/:orgId/scim-tokens', this.getScimTokens.bind(this));
+    this.router.post('/organizations/:orgId/scim-tokens', this.createScimToken.bind(this));
+    this.router.delete('/organizations/:orgId/scim-tokens/:tokenId', this.revokeScimToken.bind(this));
 
     // Workspace Management
     this.router.post('/workspaces', this.createWorkspace.bind(this));
@@ -147,6 +155,179 @@ class CorporateRoutes {
     }
   }
 
+  async getSsoSettings(req, res) {
+    try {
+      const { orgId } = req.params;
+
+      const canManage = await this.corporateService.canManageOrganization(req.user.id, orgId);
+      if (!canManage) {
+        return res.status(403).json({ error: 'Organization admin access required' });
+      }
+
+      const sso = await this.corporateService.getSsoSettings(orgId);
+      if (!sso) {
+        return res.status(404).json({ error: 'Organization not found' });
+      }
+
+      res.json({
+        success: true,
+        sso
+      });
+    } catch (error) {
+      console.error('Get SSO settings error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  async updateSsoSettings(req, res) {
+    try {
+      const { orgId } = req.params;
+      const { protocol, enabled, required, domains, defaultWorkspaceId, config } = req.body;
+
+      const canManage = await this.corporateService.canManageOrganization(req.user.id, orgId);
+      if (!canManage) {
+        return res.status(403).json({ error: 'Organization admin access required' });
+      }
+
+      const sso = await this.corporateService.updateSsoSettings(orgId, {
+        protocol,
+        enabled,
+        required,
+        domains: Array.isArray(domains) ? domains : [],
+        defaultWorkspaceId,
+        config: config || {}
+      }, req.user.id);
+
+      logger.info('Organization SSO updated', {
+        userId: req.user.id,
+        action: 'organization.sso_updated',
+        resourceType: 'organization',
+        resourceId: orgId,
+        protocol
+      });
+
+      res.json({
+        success: true,
+        sso
+      });
+    } catch (error) {
+      console.error('Update SSO settings error:', error);
+      res.status(400).json({ error: error.message });
+    }
+  }
+
+  async verifySsoDomain(req, res) {
+    try {
+      const { orgId, domain } = req.params;
+
+      const canManage = await this.corporateService.canManageOrganization(req.user.id, orgId);
+      if (!canManage) {
+        return res.status(403).json({ error: 'Organization admin access required' });
+      }
+
+      const sso = await this.corporateService.verifySsoDomain(orgId, domain);
+
+      logger.info('Organization SSO domain verified', {
+        userId: req.user.id,
+        action: 'organization.sso_domain_verified',
+        resourceType: 'organization',
+        resourceId: orgId,
+        domain
+      });
+
+      res.json({
+        success: true,
+        sso
+      });
+    } catch (error) {
+      console.error('Verify SSO domain error:', error);
+      res.status(400).json({ error: error.message });
+    }
+  }
+
+  async getScimTokens(req, res) {
+    try {
+      const { orgId } = req.params;
+
+      const canManage = await this.corporateService.canManageOrganization(req.user.id, orgId);
+      if (!canManage) {
+        return res.status(403).json({ error: 'Organization admin access required' });
+      }
+
+      const tokens = await this.scimService.listTokens(orgId);
+
+      res.json({
+        success: true,
+        tokens
+      });
+    } catch (error) {
+      console.error('Get SCIM tokens error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  // Provisioning runs as the admin who created the token, so they must be
+  // an admin of the organization's workspaces
+  async createScimToken(req, res) {
+    try {
+      const { orgId } = req.params;
+      const { name } = req.body;
+
+      const canManage = await this.corporateService.canManageOrganization(req.user.id, orgId);
+      if (!canManage) {
+        return res.status(403).json({ error: 'Organization admin access required' });
+      }
+
+      if (!name || !name.trim()) {
+        return res.status(400).json({ error: 'Token name is required' });
+      }
+
+      const token = await this.scimService.createToken(orgId, name.trim().substring(0, 100), req.user.id);
+
+      logger.info('SCIM token created', {
+        userId: req.user.id,
+        action: 'organization.scim_token_created',
+        resourceType: 'organization',
+        resourceId: orgId,
+        tokenId: token.id
+      });
+
+      res.status(201).json({
+        success: true,
+        token
+      });
+    } catch (error) {
+      console.error('Create SCIM token error:', error);
+      res.status(400).json({ error: error.message });
+    }
+  }
+
+  async revokeScimToken(req, res) {
+    try {
+      const { orgId, tokenId } = req.params;
+
+      const canManage = await this.corporateService.canManageOrganization(req.user.id, orgId);
+      if (!canManage) {
+        return res.status(403).json({ error: 'Organization admin access required' });
+      }
+
+      await this.scimService.revokeToken(orgId, tokenId);
+
+      logger.info('SCIM token revoked', {
+        userId: req.user.id,
+        action: 'organization.scim_token_revoked',
+        resourceType: 'organization',
+        resourceId: orgId,
+        tokenId
+      });
+
+      res.json({ success: true });
+    } catch (error) {
+      console.error('Revoke SCIM token error:', error);
+      res.status(404).json({ error: error.message });
+    }
+  }
+
   async createWorkspace(req, res) {
     try {
       const { organizationId, name, slug, description, isPublic, settings } = req.body;
@@ -1,7 +1,19 @@
+const crypto = require('crypto');
+const dns = require('dns').promises;
 const database = require('../database/optimized-connection');
 const Logger = require('../utils/enhanced-logger');
 const logger = new Logger('CorporateService');
 
+const PUBLIC_EMAIL_DOMAINS = [
+  'gmail.com', 'googlemail.com', 'outlook.com', 'hotmail.com', 'live.com',
+  'yahoo.com', 'icloud.com', 'me.com', 'aol.com', 'proton.me', 'protonmail.com',
+  'gmx.com', 'mail.com', 'yandex.com', 'ukr.net'
+];
+
+// Where an organization proves it owns an SSO domain
+const DOMAIN_VERIFICATION_PREFIX = '_talkpai-verification';
+const DOMAIN_VERIFICATION_VALUE = 'talkpai-domain-verification=';
+
 class CorporateService {
   constructor() {
     this.useDatabase = database.isConnected;
@@ -56,6 +68,216 @@ class CorporateService {
     return result.rows[0] || null;
   }
 
+  // Single sign-on
+  async canManageOrganization(userId, orgId) {
+    if (!this.useDatabase) return false;
+
+    const result = await database.query(`
+      SELECT 1 FROM organizations WHERE id = $1 AND created_by = $2
+      UNION ALL
+      SELECT 1 FROM user_roles
+      WHERE user_id = $2
+        AND (role = 'superadmin' OR (role = 'org_admin' AND scope = 'org' AND scope_id::text = $1::text))
+        AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)
+      LIMIT 1
+    `, [orgId, userId]);
+
+    return result.rows.length > 0;
+  }
+
+  async getSsoSettings(orgId) {
+    if (!this.useDatabase) return null;
+
+    const result = await database.query(`
+      SELECT id, sso_protocol, sso_enabled, sso_required, sso_config, sso_domains, default_workspace_id
+      FROM organizations
+      WHERE id = $1
+    `, [orgId]);
+
+    const organization = result.rows[0];
+    if (!organization) return null;
+
+    // Never hand the OIDC client secret back out
+    const { clientSecret, ...config } = organization.sso_config || {};
+
+    const domains = await database.query(`
+      SELECT domain, verification_token, verified_at
+      FROM organization_domains
+      WHERE organization_id = $1
+      ORDER BY domain
+    `, [orgId]);
+
+    return {
+      organizationId: organization.id,
+      protocol: organization.sso_protocol,
+      enabled: organization.sso_enabled,
+      required: organization.sso_required,
+      domains: organization.sso_domains,
+      // Until a domain is verified, logins and SCIM ignore it
+      domainVerification: domains.rows.map(domain => ({
+        domain: domain.domain,
+        verified: Boolean(domain.verified_at),
+        verifiedAt: domain.verified_at,
+        record: {
+          type: 'TXT',
+          name: `${DOMAIN_VERIFICATION_PREFIX}.${domain.domain}`,
+          value: `${DOMAIN_VERIFICATION_VALUE}${domain.verification_token}`
+        }
+      })),
+      defaultWorkspaceId: organization.default_workspace_id,
+      config: { ...config, hasClientSecret: Boolean(clientSecret) }
+    };
+  }
+
+  async updateSsoSettings(orgId, { protocol, enabled = false, required = false, domains = [], defaultWorkspaceId = null, config = {} }, updatedBy) {
+    if (!this.useDatabase) {
+      throw new Error('Database required for SSO configuration');
+    }
+
+    if (!['saml', 'oidc'].includes(protocol)) {
+      throw new Error('Protocol must be saml or oidc');
+    }
+
+    if (protocol === 'saml' && (!config.entryPoint || !config.certificate)) {
+      throw new Error('SAML requires entryPoint and certificate');
+    }
+
+    if (protocol === 'oidc' && (!config.issuer || !config.clientId)) {
+      throw new Error('OIDC requires issuer and clientId');
+    }
+
+    if (required && !enabled) {
+      throw new Error('SSO must be enabled before it can be required');
+    }
+
+    const normalizedDomains = [...new Set(domains.map(domain => domain.trim().toLowerCase()).filter(Boolean))];
+    if (enabled && normalizedDomains.length === 0) {
+      throw new Error('At least one email domain is required');
+    }
+
+    // The IdP vouches for every address in these domains, so shared mail providers are off limits
+    const publicDomain = normalizedDomains.find(domain => PUBLIC_EMAIL_DOMAINS.includes(domain));
+    if (publicDomain) {
+      throw new Error(`${publicDomain} cannot be used for single sign-on`);
+    }
+
+    // Listing a domain is only a claim, another organization may list it until one verifies it
+    const claimed = await database.query(`
+      SELECT o.name FROM organization_domains d
+      INNER JOIN organizations o ON o.id = d.organization_id
+      WHERE d.organization_id != $1 AND d.domain = ANY($2::text[]) AND d.verified_at IS NOT NULL
+      LIMIT 1
+    `, [orgId, normalizedDomains]);
+
+    if (claimed.rows.length > 0) {
+      throw new Error(`Domain already used for single sign-on by ${claimed.rows[0].name}`);
+    }
+
+    if (defaultWorkspaceId) {
+      const workspace = await database.query(
+        'SELECT 1 FROM workspaces WHERE id = $1 AND organization_id = $2',
+        [defaultWorkspaceId, orgId]
+      );
+
+      if (workspace.rows.length === 0) {
+        throw new Error('Default workspace must belong to this organization');
+      }
+    }
+
+    // Keep the stored client secret unless a new one is provided
+    const result = await database.query(`
+      UPDATE organizations SET
+        sso_protocol = $2,
+        sso_enabled = $3,
+        sso_required = $4,
+        sso_domains = $5,
+        default_workspace_id = $6,
+        sso_config = CASE
+          WHEN $7::jsonb ? 'clientSecret' THEN $7::jsonb
+          ELSE $7::jsonb || jsonb_strip_nulls(jsonb_build_object('clientSecret', sso_config->'clientSecret'))
+        END,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING id
+    `, [orgId, protocol, Boolean(enabled), Boolean(required), normalizedDomains, defaultWorkspaceId, JSON.stringify(config)]);
+
+    if (result.rows.length === 0) {
+      throw new Error('Organization not found');
+    }
+
+    // Domains that were dropped lose their verification, new ones get a challenge
+    await database.query(`
+      DELETE FROM organization_domains
+      WHERE organization_id = $1 AND NOT (domain = ANY($2::text[]))
+    `, [orgId, normalizedDomains]);
+
+    for (const domain of normalizedDomains) {
+      await database.query(`
+        INSERT INTO organization_domains (organization_id, domain, verification_token)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (organization_id, domain) DO NOTHING
+      `, [orgId, domain, crypto.randomBytes(24).toString('hex')]);
+    }
+
+    await logger.logActivity({
+      userId: updatedBy,
+      action: 'organization.sso_updated',
+      resourceType: 'organization',
+      resourceId: orgId,
+      metadata: { protocol, enabled, required, domains: normalizedDomains }
+    });
+
+    return this.getSsoSettings(orgId);
+  }
+
+  // Looks up the domain's TXT record and marks the domain verified when it
+  // carries the organization's token
+  async verifySsoDomain(orgId, domain) {
+    if (!this.useDatabase) {
+      throw new Error('Database required for SSO configuration');
+    }
+
+    const normalizedDomain = String(domain || '').trim().toLowerCase();
+    const result = await database.query(`
+      SELECT id, verification_token, verified_at
+      FROM organization_domains
+      WHERE organization_id = $1 AND domain = $2
+    `, [orgId, normalizedDomain]);
+
+    const claim = result.rows[0];
+    if (!claim) {
+      throw new Error('Domain is not configured for single sign-on');
+    }
+
+    if (!claim.verified_at) {
+      const recordName = `${DOMAIN_VERIFICATION_PREFIX}.${normalizedDomain}`;
+      let records = [];
+      try {
+        records = (await dns.resolveTxt(recordName)).map(chunks => chunks.join(''));
+      } catch (error) {
+        if (!['ENOTFOUND', 'ENODATA'].includes(error.code)) throw error;
+      }
+
+      if (!records.includes(`${DOMAIN_VERIFICATION_VALUE}${claim.verification_token}`)) {
+        throw new Error(`Verification record not found in the TXT records of ${recordName}`);
+      }
+
+      try {
+        await database.query(
+          'UPDATE organization_domains SET verified_at = CURRENT_TIMESTAMP WHERE id = $1',
+          [claim.id]
+        );
+      } catch (error) {
+        if (error.code === '23505') {
+          throw new Error('Domain is already verified by another organization');
+        }
+        throw error;
+      }
+    }
+
+    return this.getSsoSettings(orgId);
+  }
+
   // Workspace Management
   async createWorkspace({ organizationId, name, slug, description, isPublic, createdBy, settings = {} }) {
     if (!this.useDatabase) {
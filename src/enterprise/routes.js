@@ -2,6 +2,10 @@ const express = require('express');
 const WorkspaceService = require('./workspace-service');
 const TeamService = require('./team-service');
 const PermissionService = require('./permission-service');
+const ApiTokenService = require('../auth/api-token-service');
+const CallQualityService = require('../webrtc/call-quality-service');
+const { getAIClient } = require('../ai/providers');
+const { AIToolRunner, aidenTools } = require('../ai/tools');
 const authMiddleware = require('../middleware/auth');
 const Logger = require('../utils/enhanced-logger');
 
@@ -11,6 +15,10 @@ class EnterpriseRoutes {
     this.workspaceService = new WorkspaceService();
     this.teamService = new TeamService();
     this.permissionService = new PermissionService();
+    this.apiTokenService = new ApiTokenService();
+    this.callQualityService = new CallQualityService();
+    this.aiClient = getAIClient();
+    this.aiTools = new AIToolRunner(this.aiClient, aidenTools);
     this.logger = new Logger('EnterpriseRoutes');
     this.initializeRoutes();
   }
@@ -62,6 +70,26 @@ class EnterpriseRoutes {
 
     // Permission checking endpoint
     this.router.post('/permissions/check', this.checkPermission.bind(this));
+
+    // OAuth apps registered in a workspace (session logins only)
+    this.router.get('/workspaces/:workspaceId/apps', authMiddleware.requireSession, this.getWorkspaceApps.bind(this));
+    this.router.post('/workspaces/:workspaceId/apps', authMiddleware.requireSession, this.createApp.bind(this));
+    this.router.put('/apps/:appId', authMiddleware.requireSession, this.updateApp.bind(this));
+    this.router.post('/apps/:appId/rotate-secret', authMiddleware.requireSession, this.rotateAppSecret.bind(this));
+    this.router.delete('/apps/:appId', authMiddleware.requireSession, this.deleteApp.bind(this));
+
+    // Call quality reports for workspace admins
+    this.router.get('/workspaces/:workspaceId/call-quality', this.getCallQualityReport.bind(this));
+    this.router.get('/workspaces/:workspaceId/call-quality/calls/:callId', this.getCallQualityDetails.bind(this));
+
+    // AI model selection per workspace, admins change it
+    this.router.get('/workspaces/:workspaceId/ai-models', this.getWorkspaceAIModels.bind(this));
+    this.router.put('/workspaces/:workspaceId/ai-models', authMiddleware.requireSession, this.updateWorkspaceAIModels.bind(this));
+
+    // Tools Aiden may call in the workspace, and the audit log of its calls (admins)
+    this.router.get('/workspaces/:workspaceId/ai-tools', this.getWorkspaceAITools.bind(this));
+    this.router.put('/workspaces/:workspaceId/ai-tools', authMiddleware.requireSession, this.updateWorkspaceAITools.bind(this));
+    this.router.get('/workspaces/:workspaceId/ai-tool-invocations', this.getWorkspaceAIToolInvocations.bind(this));
   }
 
   // Workspace Management
@@ -253,6 +281,16 @@ class EnterpriseRoutes {
         teamId
       );
 
+      const notifications = req.app.get('notifications');
+      if (notifications) {
+        notifications.notifyWorkspaceInvite({
+          workspaceId,
+          userId,
+          invitedBy: req.user.id,
+          role
+        }).catch(error => this.logger.error('Workspace invite notification failed', { error: error.message }));
+      }
+
       res.status(201).json(membership);
     } catch (error) {
       this.logger.error('Add workspace member failed', {
@@ -620,6 +658,220 @@ class EnterpriseRoutes {
     }
   }
 
+  // OAuth App Management
+  async getWorkspaceApps(req, res) {
+    try {
+      const apps = await this.apiTokenService.getWorkspaceApps(req.params.workspaceId, req.user.id);
+      res.json({ apps, scopes: ApiTokenService.SCOPES });
+    } catch (error) {
+      this.logger.error('Get workspace apps failed', {
+        error: error.message,
+        workspaceId: req.params.workspaceId,
+        userId: req.user.id
+      });
+      res.status(403).json({ error: error.message });
+    }
+  }
+
+  async createApp(req, res) {
+    try {
+      const { workspaceId } = req.params;
+      const { name, description, homepageUrl, redirectUris, scopes } = req.body;
+
+      // The client secret is only returned in this response
+      const app = await this.apiTokenService.createApp(workspaceId, {
+        name,
+        description,
+        homepageUrl,
+        redirectUris,
+        scopes
+      }, req.user.id);
+
+      this.logger.info('OAuth app registered', {
+        appId: app.id,
+        workspaceId,
+        userId: req.user.id
+      });
+
+      res.status(201).json(app);
+    } catch (error) {
+      this.logger.error('Create app failed', {
+        error: error.message,
+        workspaceId: req.params.workspaceId,
+        userId: req.user.id
+      });
+      res.status(400).json({ error: error.message });
+    }
+  }
+
+  async updateApp(req, res) {
+    try {
+      const app = await this.apiTokenService.updateApp(req.params.appId, req.body, req.user.id);
+      res.json(app);
+    } catch (error) {
+      this.logger.error('Update app failed', {
+        error: error.message,
+        appId: req.params.appId,
+        userId: req.user.id
+      });
+      res.status(400).json({ error: error.message });
+    }
+  }
+
+  async rotateAppSecret(req, res) {
+    try {
+      const credentials = await this.apiTokenService.rotateAppSecret(req.params.appId, req.user.id);
+      res.json(credentials);
+    } catch (error) {
+      this.logger.error('Rotate app secret failed', {
+        error: error.message,
+        appId: req.params.appId,
+        userId: req.user.id
+      });
+      res.status(400).json({ error: error.message });
+    }
+  }
+
+  async deleteApp(req, res) {
+    try {
+      await this.apiTokenService.deleteApp(req.params.appId, req.user.id);
+      res.json({ success: true });
+    } catch (error) {
+      this.logger.error('Delete app failed', {
+        error: error.message,
+        appId: req.params.appId,
+        userId: req.user.id
+      });
+      res.status(400).json({ error: error.message });
+    }
+  }
+
+  // Call Quality
+  async getCallQualityReport(req, res) {
+    try {
+      const { timeframe = '30d' } = req.query;
+      const report = await this.callQualityService.getWorkspaceReport(
+        req.params.workspaceId,
+        req.user.id,
+        timeframe
+      );
+      res.json(report);
+    } catch (error) {
+      this.logger.error('Get call quality report failed', {
+        error: error.message,
+        workspaceId: req.params.workspaceId,
+        userId: req.user.id
+      });
+      const status = error.message === 'Workspace admin access required' ? 403 : 400;
+      res.status(status).json({ error: error.message });
+    }
+  }
+
+  async getCallQualityDetails(req, res) {
+    try {
+      const report = await this.callQualityService.getCallReport(
+        req.params.workspaceId,
+        req.params.callId,
+        req.user.id
+      );
+      res.json(report);
+    } catch (error) {
+      this.logger.error('Get call quality details failed', {
+        error: error.message,
+        workspaceId: req.params.workspaceId,
+        callId: req.params.callId,
+        userId: req.user.id
+      });
+      const status = error.message === 'Workspace admin access required' ? 403 : 404;
+      res.status(status).json({ error: error.message });
+    }
+  }
+
+  async getWorkspaceAIModels(req, res) {
+    try {
+      const models = await this.aiClient.getWorkspaceModels(req.params.workspaceId, req.user.id);
+      res.json(models);
+    } catch (error) {
+      this.logger.error('Get workspace AI models failed', {
+        error: error.message,
+        workspaceId: req.params.workspaceId,
+        userId: req.user.id
+      });
+      res.status(error.status || 400).json({ error: error.message });
+    }
+  }
+
+  // { assistant: 'llama3.1:70b', embedding: null }, null resets a role to the server default
+  async updateWorkspaceAIModels(req, res) {
+    try {
+      const models = await this.aiClient.updateWorkspaceModels(
+        req.params.workspaceId,
+        req.user.id,
+        req.body.models || {}
+      );
+      res.json(models);
+    } catch (error) {
+      this.logger.error('Update workspace AI models failed', {
+        error: error.message,
+        workspaceId: req.params.workspaceId,
+        userId: req.user.id
+      });
+      res.status(error.status || 400).json({ error: error.message });
+    }
+  }
+
+  async getWorkspaceAITools(req, res) {
+    try {
+      const tools = await this.aiTools.getWorkspaceTools(req.params.workspaceId, req.user.id);
+      res.json(tools);
+    } catch (error) {
+      this.logger.error('Get workspace AI tools failed', {
+        error: error.message,
+        workspaceId: req.params.workspaceId,
+        userId: req.user.id
+      });
+      res.status(error.status || 400).json({ error: error.message });
+    }
+  }
+
+  // { tools: ['web_search', 'send_message'] }, null goes back to the default tools
+  async updateWorkspaceAITools(req, res) {
+    try {
+      const tools = await this.aiTools.updateWorkspaceTools(
+        req.params.workspaceId,
+        req.user.id,
+        req.body.tools
+      );
+      res.json(tools);
+    } catch (error) {
+      this.logger.error('Update workspace AI tools failed', {
+        error: error.message,
+        workspaceId: req.params.workspaceId,
+        userId: req.user.id
+      });
+      res.status(error.status || 400).json({ error: error.message });
+    }
+  }
+
+  async getWorkspaceAIToolInvocations(req, res) {
+    try {
+      const { userId, limit, before } = req.query;
+      const invocations = await this.aiTools.listWorkspaceInvocations(req.params.workspaceId, req.user.id, {
+        userId,
+        limit,
+        before
+      });
+      res.json({ invocations });
+    } catch (error) {
+      this.logger.error('Get workspace AI tool invocations failed', {
+        error: error.message,
+        workspaceId: req.params.workspaceId,
+        userId: req.user.id
+      });
+      res.status(error.status || 400).json({ error: error.message });
+    }
+  }
+
   getRouter() {
     return this.router;
   }
@@ -0,0 +1,145 @@
+const express = require('express');
+const ScimService = require('./scim-service');
+const Logger = require('../utils/enhanced-logger');
+
+const { ScimError } = ScimService;
+const { USER_SCHEMA, GROUP_SCHEMA } = ScimService.schemas;
+
+/**
+ * SCIM 2.0 endpoints (RFC 7644) for identity providers such as Okta or Entra ID.
+ * Authenticated with per-organization bearer tokens instead of user sessions.
+ */
+class ScimRoutes {
+  constructor() {
+    this.router = express.Router();
+    this.scimService = new ScimService();
+    this.logger = new Logger('ScimRoutes');
+    this.initializeRoutes();
+  }
+
+  getRouter() {
+    return this.router;
+  }
+
+  initializeRoutes() {
+    // IdPs send application/scim+json, which the global JSON parser ignores
+    this.router.use(express.json({ type: ['application/json', 'application/scim+json'] }));
+    this.router.use(this.authenticate.bind(this));
+
+    // Discovery
+    this.router.get('/ServiceProviderConfig', this.getServiceProviderConfig.bind(this));
+    this.router.get('/ResourceTypes', this.getResourceTypes.bind(this));
+
+    // Users
+    this.router.get('/Users', this.handle((req, base) => this.scimService.listUsers(req.scim, req.query, base)));
+    this.router.post('/Users', this.handle((req, base) => this.scimService.createUser(req.scim, req.body, base), 201));
+    this.router.get('/Users/:id', this.handle((req, base) => this.scimService.getUser(req.scim, req.params.id, base)));
+    this.router.put('/Users/:id', this.handle((req, base) => this.scimService.replaceUser(req.scim, req.params.id, req.body, base)));
+    this.router.patch('/Users/:id', this.handle((req, base) => this.scimService.patchUser(req.scim, req.params.id, req.body, base)));
+    this.router.delete('/Users/:id', this.handle((req) => this.scimService.deleteUser(req.scim, req.params.id), 204));
+
+    // Groups
+    this.router.get('/Groups', this.handle((req, base) => this.scimService.listGroups(req.scim, req.query, base)));
+    this.router.post('/Groups', this.handle((req, base) => this.scimService.createGroup(req.scim, req.body, base), 201));
+    this.router.get('/Groups/:id', this.handle((req, base) => this.scimService.getGroup(req.scim, req.params.id, base)));
+    this.router.put('/Groups/:id', this.handle((req, base) => this.scimService.replaceGroup(req.scim, req.params.id, req.body, base)));
+    this.router.patch('/Groups/:id', this.handle((req, base) => this.scimService.patchGroup(req.scim, req.params.id, req.body, base)));
+    this.router.delete('/Groups/:id', this.handle((req) => this.scimService.deleteGroup(req.scim, req.params.id), 204));
+  }
+
+  async authenticate(req, res, next) {
+    try {
+      const header = req.headers.authorization || '';
+      const token = header.startsWith('Bearer ') ? header.substring(7).trim() : null;
+
+      req.scim = await this.scimService.authenticateToken(token);
+      next();
+    } catch (error) {
+      this.sendError(res, error);
+    }
+  }
+
+  /**
+   * Wrap a service call and send its result as a SCIM response
+   */
+  handle(action, status = 200) {
+    return async (req, res) => {
+      try {
+        const result = await action(req, this.getBaseUrl(req));
+
+        if (status === 204) {
+          return res.status(204).end();
+        }
+
+        if (status === 201 && result.meta) {
+          res.setHeader('Location', result.meta.location);
+        }
+
+        res.status(status).type('application/scim+json').send(JSON.stringify(result));
+      } catch (error) {
+        this.sendError(res, error);
+      }
+    };
+  }
+
+  sendError(res, error) {
+    let scimError = error;
+
+    if (!(error instanceof ScimError)) {
+      // Service-layer permission and validation errors are plain Errors
+      if (/permission|not a member/i.test(error.message)) {
+        scimError = new ScimError(403, error.message);
+      } else if (/not found/i.test(error.message)) {
+        scimError = new ScimError(404, error.message);
+      } else if (/already exists/i.test(error.message)) {
+        scimError = new ScimError(409, error.message, 'uniqueness');
+      } else {
+        this.logger.error('SCIM request failed', { error: error.message });
+        scimError = new ScimError(500, 'Internal server error');
+      }
+    }
+
+    res.status(scimError.status).type('application/scim+json').send(JSON.stringify(scimError));
+  }
+
+  getBaseUrl(req) {
+    return `${req.protocol}://${req.get('host')}${req.baseUrl}`;
+  }
+
+  getServiceProviderConfig(req, res) {
+    res.type('application/scim+json').send(JSON.stringify({
+      schemas: ['urn:ietf:params:scim:schemas:core:2.0:ServiceProviderConfig'],
+      patch: { supported: true },
+      bulk: { supported: false, maxOperations: 0, maxPayloadSize: 0 },
+      filter: { supported: true, maxResults: 200 },
+      changePassword: { supported: false },
+      sort: { supported: false },
+      etag: { supported: false },
+      authenticationSchemes: [{
+        type: 'oauthbearertoken',
+        name: 'Bearer Token',
+        description: 'Organization SCIM token issued from the organization settings',
+        primary: true
+      }],
+      meta: { resourceType: 'ServiceProviderConfig', location: `${this.getBaseUrl(req)}/ServiceProviderConfig` }
+    }));
+  }
+
+  getResourceTypes(req, res) {
+    const baseUrl = this.getBaseUrl(req);
+    const resources = [
+      { id: 'User', name: 'User', endpoint: '/Users', schema: USER_SCHEMA },
+      { id: 'Group', name: 'Group', endpoint: '/Groups', schema: GROUP_SCHEMA }
+    ].map(resource => ({
+      schemas: ['urn:ietf:params:scim:schemas:core:2.0:ResourceType'],
+      ...resource,
+      meta: { resourceType: 'ResourceType', location: `${baseUrl}/ResourceTypes/${resource.id}` }
+    }));
+
+    res.type('application/scim+json').send(JSON.stringify(
+      this.scimService.toListResponse(resources, resources.length, 1)
+    ));
+  }
+}
+
+module.exports = ScimRoutes;
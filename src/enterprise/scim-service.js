@@ -0,0 +1,734 @@
+const crypto = require('crypto');
+const database = require('../database/optimized-connection');
+const Logger = require('../utils/enhanced-logger');
+const WorkspaceService = require('./workspace-service');
+const TeamService = require('./team-service');
+const EnhancedAuthService = require('../auth/enhanced-auth-service');
+
+const USER_SCHEMA = 'urn:ietf:params:scim:schemas:core:2.0:User';
+const GROUP_SCHEMA = 'urn:ietf:params:scim:schemas:core:2.0:Group';
+const LIST_SCHEMA = 'urn:ietf:params:scim:api:messages:2.0:ListResponse';
+const PATCH_SCHEMA = 'urn:ietf:params:scim:api:messages:2.0:PatchOp';
+const ERROR_SCHEMA = 'urn:ietf:params:scim:api:messages:2.0:Error';
+
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * Error carrying the HTTP status and scimType for the SCIM error response
+ */
+class ScimError extends Error {
+  constructor(status, detail, scimType = null) {
+    super(detail);
+    this.status = status;
+    this.scimType = scimType;
+  }
+
+  toJSON() {
+    const body = { schemas: [ERROR_SCHEMA], status: String(this.status), detail: this.message };
+    if (this.scimType) body.scimType = this.scimType;
+    return body;
+  }
+}
+
+/**
+ * SCIM 2.0 provisioning for an organization.
+ * Users map onto the users table (linked through scim_users), groups map onto
+ * teams. Membership changes go through WorkspaceService / TeamService acting
+ * as the admin who issued the SCIM token, so their permission checks and
+ * logging apply exactly as for changes made in the UI.
+ * An organization only sees the users it provisioned, and only changes the
+ * account itself (email, name, active) for accounts SCIM created for it.
+ * Adopted accounts keep their profile, deprovisioning them removes them from
+ * the organization's workspaces and nothing more.
+ */
+class ScimService {
+  constructor() {
+    this.logger = new Logger('ScimService');
+    this.workspaceService = new WorkspaceService();
+    this.teamService = new TeamService();
+    this.authService = new EnhancedAuthService();
+  }
+
+  static get ScimError() {
+    return ScimError;
+  }
+
+  static get schemas() {
+    return { USER_SCHEMA, GROUP_SCHEMA, LIST_SCHEMA, PATCH_SCHEMA };
+  }
+
+  static hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Resolve a bearer token to the organization it was issued for
+   */
+  async authenticateToken(token) {
+    if (!token || !token.startsWith('scim_')) {
+      throw new ScimError(401, 'Invalid SCIM token');
+    }
+
+    const result = await database.query(`
+      UPDATE scim_tokens st
+      SET last_used_at = CURRENT_TIMESTAMP
+      FROM organizations o
+      WHERE st.token_hash = $1 AND st.revoked_at IS NULL AND o.id = st.organization_id
+      RETURNING st.id, st.organization_id, st.created_by, o.default_workspace_id,
+        ARRAY(
+          SELECT d.domain FROM organization_domains d
+          WHERE d.organization_id = o.id AND d.verified_at IS NOT NULL
+        ) AS sso_domains
+    `, [ScimService.hashToken(token)]);
+
+    if (result.rows.length === 0) {
+      throw new ScimError(401, 'Invalid SCIM token');
+    }
+
+    const row = result.rows[0];
+    return {
+      tokenId: row.id,
+      organizationId: row.organization_id,
+      actorId: row.created_by,
+      defaultWorkspaceId: row.default_workspace_id,
+      domains: row.sso_domains || []
+    };
+  }
+
+  /**
+   * Users
+   */
+  async listUsers(context, { filter, startIndex = 1, count = 100 }, baseUrl) {
+    const params = [context.organizationId];
+    let where = 'su.organization_id = $1';
+
+    if (filter) {
+      const { attribute, value } = this.parseFilter(filter);
+      const column = {
+        'username': 'LOWER(COALESCE(su.user_name, u.email))',
+        'externalid': 'su.external_id',
+        'emails.value': 'LOWER(u.email)',
+        'emails[type eq "work"].value': 'LOWER(u.email)',
+        'id': 'u.id::text'
+      }[attribute];
+
+      if (!column) {
+        throw new ScimError(400, `Filtering on ${attribute} is not supported`, 'invalidFilter');
+      }
+
+      params.push(column === 'su.external_id' || column === 'u.id::text' ? value : value.toLowerCase());
+      where += ` AND ${column} = $${params.length}`;
+    }
+
+    const countResult = await database.query(`
+      SELECT COUNT(*) as total
+      FROM users u
+      INNER JOIN scim_users su ON su.user_id = u.id AND su.organization_id = $1
+      WHERE ${where}
+    `, params);
+
+    const limit = Math.min(Math.max(parseInt(count) || 0, 0), MAX_PAGE_SIZE);
+    const offset = Math.max(parseInt(startIndex) || 1, 1) - 1;
+
+    const result = await database.query(`
+      SELECT u.*, su.external_id, su.user_name, su.owns_account
+      FROM users u
+      INNER JOIN scim_users su ON su.user_id = u.id AND su.organization_id = $1
+      WHERE ${where}
+      ORDER BY u.created_at ASC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset]);
+
+    return this.toListResponse(
+      result.rows.map(user => this.toScimUser(user, baseUrl)),
+      parseInt(countResult.rows[0].total),
+      offset + 1
+    );
+  }
+
+  async getUser(context, userId, baseUrl) {
+    const user = await this.findUser(context, userId);
+    return this.toScimUser(user, baseUrl);
+  }
+
+  async createUser(context, resource, baseUrl) {
+    const attributes = this.readUserAttributes(resource);
+
+    if (!attributes.email) {
+      throw new ScimError(400, 'userName or a primary email address is required', 'invalidValue');
+    }
+
+    const existing = await database.query(`
+      SELECT u.*, su.organization_id as linked_org
+      FROM users u
+      LEFT JOIN scim_users su ON su.user_id = u.id AND su.organization_id = $2
+      WHERE LOWER(u.email) = LOWER($1)
+    `, [attributes.email, context.organizationId]);
+
+    let user = existing.rows[0];
+    const ownsAccount = !user;
+
+    if (user && user.linked_org) {
+      throw new ScimError(409, 'User already exists', 'uniqueness');
+    }
+
+    // Existing accounts are only adopted when the address is in one of the organization's verified domains
+    if (user && !context.domains.includes(attributes.email.split('@').pop().toLowerCase())) {
+      throw new ScimError(409, 'User already exists', 'uniqueness');
+    }
+
+    if (!user) {
+      const nickname = await this.authService.generateUniqueNickname(
+        attributes.displayName || attributes.email.split('@')[0]
+      );
+
+      const created = await database.query(`
+        INSERT INTO users (nickname, email, display_name, is_verified, is_active)
+        VALUES ($1, $2, $3, true, $4)
+        RETURNING *
+      `, [nickname, attributes.email, attributes.displayName || nickname, attributes.active !== false]);
+
+      user = created.rows[0];
+      await database.query('INSERT INTO user_settings (user_id) VALUES ($1) ON CONFLICT DO NOTHING', [user.id]);
+    }
+
+    await database.query(`
+      INSERT INTO scim_users (organization_id, user_id, external_id, user_name, owns_account)
+      VALUES ($1, $2, $3, $4, $5)
+    `, [context.organizationId, user.id, attributes.externalId, attributes.userName, ownsAccount]);
+
+    if (attributes.active === false) {
+      await this.deprovisionUser(context, { id: user.id, owns_account: ownsAccount });
+    } else {
+      await this.ensureDefaultWorkspace(context, user.id);
+    }
+
+    this.logger.info('SCIM user provisioned', {
+      organizationId: context.organizationId,
+      userId: user.id
+    });
+
+    return this.getUser(context, user.id, baseUrl);
+  }
+
+  async replaceUser(context, userId, resource, baseUrl) {
+    const user = await this.findUser(context, userId);
+    await this.applyUserAttributes(context, user, this.readUserAttributes(resource));
+    return this.getUser(context, userId, baseUrl);
+  }
+
+  async patchUser(context, userId, patch, baseUrl) {
+    const user = await this.findUser(context, userId);
+
+    const attributes = {};
+    for (const operation of this.readOperations(patch)) {
+      if (operation.op === 'remove') continue;
+
+      // Without a path the value is a partial resource
+      const values = operation.path ? { [operation.path]: operation.value } : operation.value || {};
+
+      for (const [path, value] of Object.entries(values)) {
+        switch (path.toLowerCase()) {
+          case 'active':
+            attributes.active = value === true || String(value).toLowerCase() === 'true';
+            break;
+          case 'username':
+            attributes.userName = value;
+            break;
+          case 'externalid':
+            attributes.externalId = value;
+            break;
+          case 'displayname':
+          case 'name.formatted':
+            attributes.displayName = value;
+            break;
+          case 'emails':
+          case 'emails[type eq "work"].value': {
+            const email = Array.isArray(value) ? this.pickPrimaryEmail(value) : value;
+            if (email) attributes.email = email;
+            break;
+          }
+          case 'name':
+            attributes.displayName = this.formatName(value) || attributes.displayName;
+            break;
+        }
+      }
+    }
+
+    await this.applyUserAttributes(context, user, attributes);
+    return this.getUser(context, userId, baseUrl);
+  }
+
+  async deleteUser(context, userId) {
+    const user = await this.findUser(context, userId);
+    await this.deprovisionUser(context, user);
+
+    await database.query(`
+      DELETE FROM scim_users WHERE organization_id = $1 AND user_id = $2
+    `, [context.organizationId, userId]);
+  }
+
+  // user is a row from findUser. The account itself only changes when the
+  // organization owns it.
+  async applyUserAttributes(context, user, attributes) {
+    const userId = user.id;
+
+    if (user.owns_account) {
+      const updates = [];
+      const params = [userId];
+
+      if (attributes.email) {
+        params.push(attributes.email);
+        updates.push(`email = $${params.length}`);
+      }
+
+      if (attributes.displayName) {
+        params.push(attributes.displayName);
+        updates.push(`display_name = $${params.length}`);
+      }
+
+      if (updates.length > 0) {
+        try {
+          await database.query(`
+            UPDATE users SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1
+          `, params);
+        } catch (error) {
+          if (error.code === '23505') {
+            throw new ScimError(409, 'Email address is already in use', 'uniqueness');
+          }
+          throw error;
+        }
+      }
+    }
+
+    if (attributes.userName !== undefined || attributes.externalId !== undefined) {
+      await database.query(`
+        UPDATE scim_users SET
+          external_id = COALESCE($3, external_id),
+          user_name = COALESCE($4, user_name),
+          updated_at = CURRENT_TIMESTAMP
+        WHERE organization_id = $1 AND user_id = $2
+      `, [context.organizationId, userId, attributes.externalId || null, attributes.userName || null]);
+    }
+
+    if (attributes.active === false) {
+      await this.deprovisionUser(context, user);
+    } else if (attributes.active === true) {
+      if (user.owns_account) {
+        await database.query(`
+          UPDATE users SET is_active = true, updated_at = CURRENT_TIMESTAMP WHERE id = $1
+        `, [userId]);
+      }
+      await this.ensureDefaultWorkspace(context, userId);
+    }
+  }
+
+  /**
+   * Offboarding: drop the user from the organization's workspaces. For an
+   * account the organization owns, also end every session and lock it.
+   */
+  async deprovisionUser(context, user) {
+    const userId = user.id;
+
+    const memberships = await database.query(`
+      SELECT wm.workspace_id
+      FROM workspace_members wm
+      INNER JOIN workspaces w ON w.id = wm.workspace_id
+      WHERE w.organization_id = $1 AND wm.user_id = $2 AND wm.status = 'active'
+    `, [context.organizationId, userId]);
+
+    for (const membership of memberships.rows) {
+      await this.workspaceService.removeMember(membership.workspace_id, userId, context.actorId);
+    }
+
+    if (user.owns_account) {
+      await this.authService.logoutAllDevices(userId);
+
+      // Only lock the account when it is not used outside this organization
+      await database.query(`
+        UPDATE users SET is_active = false, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND NOT EXISTS (
+          SELECT 1 FROM workspace_members wm
+          INNER JOIN workspaces w ON w.id = wm.workspace_id
+          WHERE wm.user_id = $1 AND wm.status = 'active'
+            AND (w.organization_id IS NULL OR w.organization_id != $2)
+        )
+      `, [userId, context.organizationId]);
+    }
+
+    this.logger.info('SCIM user deprovisioned', {
+      organizationId: context.organizationId,
+      userId,
+      ownsAccount: Boolean(user.owns_account),
+      workspaces: memberships.rows.length
+    });
+  }
+
+  async ensureDefaultWorkspace(context, userId) {
+    if (!context.defaultWorkspaceId) return;
+    await this.ensureWorkspaceMember(context, context.defaultWorkspaceId, userId);
+  }
+
+  async ensureWorkspaceMember(context, workspaceId, userId) {
+    const membership = await database.query(`
+      SELECT 1 FROM workspace_members
+      WHERE workspace_id = $1 AND user_id = $2 AND status = 'active'
+    `, [workspaceId, userId]);
+
+    if (membership.rows.length === 0) {
+      await this.workspaceService.addMember(workspaceId, userId, context.actorId, 'member');
+    }
+  }
+
+  async findUser(context, userId) {
+    const result = await database.query(`
+      SELECT u.*, su.external_id, su.user_name, su.owns_account
+      FROM users u
+      INNER JOIN scim_users su ON su.user_id = u.id AND su.organization_id = $1
+      WHERE u.id::text = $2
+    `, [context.organizationId, String(userId)]);
+
+    if (result.rows.length === 0) {
+      throw new ScimError(404, `User ${userId} not found`);
+    }
+
+    return result.rows[0];
+  }
+
+  readUserAttributes(resource = {}) {
+    const email = this.pickPrimaryEmail(resource.emails) ||
+      (resource.userName && resource.userName.includes('@') ? resource.userName : null);
+
+    return {
+      userName: resource.userName || null,
+      externalId: resource.externalId || null,
+      email: email ? email.trim() : null,
+      displayName: resource.displayName || this.formatName(resource.name) || null,
+      active: resource.active === undefined ? undefined : resource.active !== false && String(resource.active).toLowerCase() !== 'false'
+    };
+  }
+
+  pickPrimaryEmail(emails) {
+    if (!Array.isArray(emails) || emails.length === 0) return null;
+    const primary = emails.find(email => email.primary) || emails.find(email => email.type === 'work') || emails[0];
+    return primary ? primary.value : null;
+  }
+
+  formatName(name) {
+    if (!name) return null;
+    return name.formatted || [name.givenName, name.familyName].filter(Boolean).join(' ') || null;
+  }
+
+  toScimUser(user, baseUrl) {
+    return {
+      schemas: [USER_SCHEMA],
+      id: user.id,
+      externalId: user.external_id || undefined,
+      userName: user.user_name || user.email || user.nickname,
+      displayName: user.display_name,
+      name: { formatted: user.display_name },
+      emails: user.email ? [{ value: user.email, type: 'work', primary: true }] : [],
+      active: user.is_active,
+      meta: {
+        resourceType: 'User',
+        created: user.created_at,
+        lastModified: user.updated_at || user.created_at,
+        location: `${baseUrl}/Users/${user.id}`
+      }
+    };
+  }
+
+  /**
+   * Groups (teams in the organization's workspaces)
+   */
+  async listGroups(context, { filter, startIndex = 1, count = 100 }, baseUrl) {
+    const params = [context.organizationId];
+    let where = 'w.organization_id = $1';
+
+    if (filter) {
+      const { attribute, value } = this.parseFilter(filter);
+      const column = { 'displayname': 't.name', 'id': 't.id::text', 'externalid': 't.settings->>\'scimExternalId\'' }[attribute];
+
+      if (!column) {
+        throw new ScimError(400, `Filtering on ${attribute} is not supported`, 'invalidFilter');
+      }
+
+      params.push(value);
+      where += ` AND ${column} = $${params.length}`;
+    }
+
+    const countResult = await database.query(`
+      SELECT COUNT(*) as total
+      FROM teams t
+      INNER JOIN workspaces w ON w.id = t.workspace_id
+      WHERE ${where}
+    `, params);
+
+    const limit = Math.min(Math.max(parseInt(count) || 0, 0), MAX_PAGE_SIZE);
+    const offset = Math.max(parseInt(startIndex) || 1, 1) - 1;
+
+    const result = await database.query(`
+      SELECT t.*
+      FROM teams t
+      INNER JOIN workspaces w ON w.id = t.workspace_id
+      WHERE ${where}
+      ORDER BY t.created_at ASC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset]);
+
+    const groups = [];
+    for (const team of result.rows) {
+      groups.push(await this.toScimGroup(team, baseUrl));
+    }
+
+    return this.toListResponse(groups, parseInt(countResult.rows[0].total), offset + 1);
+  }
+
+  async getGroup(context, groupId, baseUrl) {
+    const team = await this.findTeam(context, groupId);
+    return this.toScimGroup(team, baseUrl);
+  }
+
+  async createGroup(context, resource, baseUrl) {
+    if (!resource.displayName) {
+      throw new ScimError(400, 'displayName is required', 'invalidValue');
+    }
+
+    if (!context.defaultWorkspaceId) {
+      throw new ScimError(400, 'Organization has no default workspace for provisioned groups');
+    }
+
+    let team;
+    try {
+      team = await this.teamService.createTeam({
+        workspaceId: context.defaultWorkspaceId,
+        name: resource.displayName,
+        description: 'Provisioned via SCIM',
+        settings: resource.externalId ? { scimExternalId: resource.externalId } : {},
+        createdBy: context.actorId
+      });
+    } catch (error) {
+      if (error.message.includes('already exists')) {
+        throw new ScimError(409, error.message, 'uniqueness');
+      }
+      throw error;
+    }
+
+    await this.setGroupMembers(context, team, (resource.members || []).map(member => member.value));
+    return this.getGroup(context, team.id, baseUrl);
+  }
+
+  async replaceGroup(context, groupId, resource, baseUrl) {
+    const team = await this.findTeam(context, groupId);
+
+    if (resource.displayName && resource.displayName !== team.name) {
+      await this.teamService.updateTeam(team.id, { name: resource.displayName }, context.actorId);
+    }
+
+    await this.setGroupMembers(context, team, (resource.members || []).map(member => member.value));
+    return this.getGroup(context, team.id, baseUrl);
+  }
+
+  async patchGroup(context, groupId, patch, baseUrl) {
+    const team = await this.findTeam(context, groupId);
+
+    for (const operation of this.readOperations(patch)) {
+      const path = (operation.path || '').trim();
+      const memberFilter = path.match(/^members\[value eq "([^"]+)"\]$/i);
+
+      if (operation.op === 'remove' && memberFilter) {
+        await this.removeGroupMember(context, team, memberFilter[1]);
+      } else if (operation.op === 'remove' && path.toLowerCase() === 'members') {
+        const members = Array.isArray(operation.value) ? operation.value.map(member => member.value) : null;
+        const current = members || (await this.getTeamMemberIds(team.id));
+        for (const userId of current) {
+          await this.removeGroupMember(context, team, userId);
+        }
+      } else if (operation.op === 'add' && path.toLowerCase() === 'members') {
+        for (const member of [].concat(operation.value || [])) {
+          await this.addGroupMember(context, team, member.value);
+        }
+      } else if (operation.op === 'replace' && path.toLowerCase() === 'members') {
+        await this.setGroupMembers(context, team, [].concat(operation.value || []).map(member => member.value));
+      } else if (operation.op === 'replace' || operation.op === 'add') {
+        const values = path ? { [path]: operation.value } : operation.value || {};
+        const displayName = values.displayName || values.displayname;
+
+        if (displayName && displayName !== team.name) {
+          await this.teamService.updateTeam(team.id, { name: displayName }, context.actorId);
+        }
+
+        if (!path && Array.isArray(values.members)) {
+          await this.setGroupMembers(context, team, values.members.map(member => member.value));
+        }
+      }
+    }
+
+    return this.getGroup(context, team.id, baseUrl);
+  }
+
+  async deleteGroup(context, groupId) {
+    const team = await this.findTeam(context, groupId);
+    await this.teamService.deleteTeam(team.id, context.actorId);
+  }
+
+  // Teams are single-valued per workspace membership, so adding a user here moves them out of any other team
+  async addGroupMember(context, team, userId) {
+    await this.findUser(context, userId);
+    await this.ensureWorkspaceMember(context, team.workspace_id, userId);
+    await this.teamService.addMemberToTeam(team.id, userId, context.actorId);
+  }
+
+  async removeGroupMember(context, team, userId) {
+    const memberIds = await this.getTeamMemberIds(team.id);
+    if (!memberIds.includes(String(userId))) return;
+
+    await this.teamService.removeMemberFromTeam(team.id, userId, context.actorId);
+  }
+
+  async setGroupMembers(context, team, userIds) {
+    const wanted = userIds.filter(Boolean).map(String);
+    const current = await this.getTeamMemberIds(team.id);
+
+    for (const userId of current.filter(id => !wanted.includes(id))) {
+      await this.removeGroupMember(context, team, userId);
+    }
+
+    for (const userId of wanted.filter(id => !current.includes(id))) {
+      await this.addGroupMember(context, team, userId);
+    }
+  }
+
+  async getTeamMemberIds(teamId) {
+    const result = await database.query(`
+      SELECT user_id FROM workspace_members
+      WHERE team_id = $1 AND status = 'active'
+    `, [teamId]);
+
+    return result.rows.map(row => String(row.user_id));
+  }
+
+  async findTeam(context, groupId) {
+    const result = await database.query(`
+      SELECT t.*
+      FROM teams t
+      INNER JOIN workspaces w ON w.id = t.workspace_id
+      WHERE w.organization_id = $1 AND t.id::text = $2
+    `, [context.organizationId, String(groupId)]);
+
+    if (result.rows.length === 0) {
+      throw new ScimError(404, `Group ${groupId} not found`);
+    }
+
+    return result.rows[0];
+  }
+
+  async toScimGroup(team, baseUrl) {
+    const members = await database.query(`
+      SELECT u.id, u.display_name, u.nickname
+      FROM workspace_members wm
+      INNER JOIN users u ON u.id = wm.user_id
+      WHERE wm.team_id = $1 AND wm.status = 'active'
+      ORDER BY u.nickname ASC
+    `, [team.id]);
+
+    const settings = team.settings || {};
+
+    return {
+      schemas: [GROUP_SCHEMA],
+      id: team.id,
+      externalId: settings.scimExternalId || undefined,
+      displayName: team.name,
+      members: members.rows.map(member => ({
+        value: member.id,
+        display: member.display_name || member.nickname,
+        $ref: `${baseUrl}/Users/${member.id}`
+      })),
+      meta: {
+        resourceType: 'Group',
+        created: team.created_at,
+        lastModified: team.updated_at || team.created_at,
+        location: `${baseUrl}/Groups/${team.id}`
+      }
+    };
+  }
+
+  /**
+   * Protocol helpers
+   */
+  parseFilter(filter) {
+    const match = filter.trim().match(/^([\w.[\]" ]+?)\s+eq\s+"([^"]*)"$/i);
+    if (!match) {
+      throw new ScimError(400, 'Only "attribute eq \\"value\\"" filters are supported', 'invalidFilter');
+    }
+
+    return { attribute: match[1].trim().toLowerCase(), value: match[2] };
+  }
+
+  readOperations(patch = {}) {
+    if (!Array.isArray(patch.schemas) || !patch.schemas.includes(PATCH_SCHEMA) || !Array.isArray(patch.Operations)) {
+      throw new ScimError(400, 'Request is not a valid PatchOp', 'invalidSyntax');
+    }
+
+    return patch.Operations.map(operation => ({
+      ...operation,
+      op: String(operation.op || '').toLowerCase()
+    }));
+  }
+
+  toListResponse(resources, totalResults, startIndex) {
+    return {
+      schemas: [LIST_SCHEMA],
+      totalResults,
+      startIndex,
+      itemsPerPage: resources.length,
+      Resources: resources
+    };
+  }
+
+  /**
+   * Token management (used by the organization admin API)
+   */
+  async createToken(organizationId, name, createdBy) {
+    const token = `scim_${crypto.randomBytes(32).toString('hex')}`;
+
+    const result = await database.query(`
+      INSERT INTO scim_tokens (organization_id, name, token_hash, created_by)
+      VALUES ($1, $2, $3, $4)
+      RETURNING id, organization_id, name, created_by, created_at
+    `, [organizationId, name, ScimService.hashToken(token), createdBy]);
+
+    // The plain token is only ever returned here
+    return { ...result.rows[0], token };
+  }
+
+  async listTokens(organizationId) {
+    const result = await database.query(`
+      SELECT st.id, st.name, st.created_at, st.last_used_at, st.revoked_at,
+             u.nickname as created_by_name
+      FROM scim_tokens st
+      LEFT JOIN users u ON u.id = st.created_by
+      WHERE st.organization_id = $1
+      ORDER BY st.created_at DESC
+    `, [organizationId]);
+
+    return result.rows;
+  }
+
+  async revokeToken(organizationId, tokenId) {
+    const result = await database.query(`
+      UPDATE scim_tokens SET revoked_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND organization_id = $2 AND revoked_at IS NULL
+      RETURNING id
+    `, [tokenId, organizationId]);
+
+    if (result.rows.length === 0) {
+      throw new Error('Token not found');
+    }
+
+    return { success: true };
+  }
+}
+
+module.exports = ScimService;
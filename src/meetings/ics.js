@@ -0,0 +1,197 @@
+const { formatRRule, parseRRule, getZonedParts, getTimeZoneOffset } = require('./recurrence');
+
+const PRODUCT_ID = '-//Talk pAI//Meetings//EN';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// RFC 5545 TEXT escaping
+function escapeText(value) {
+    return String(value || '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// Content lines are folded at 75 octets, continuation lines start with a space
+function foldLine(line) {
+    const bytes = Buffer.from(line, 'utf8');
+    if (bytes.length <= 75) return line;
+
+    const chunks = [];
+    let current = '';
+    let size = 0;
+    const limit = () => (chunks.length === 0 ? 75 : 74);
+
+    for (const char of line) {
+        const charSize = Buffer.byteLength(char, 'utf8');
+        if (size + charSize > limit()) {
+            chunks.push(current);
+            current = '';
+            size = 0;
+        }
+        current += char;
+        size += charSize;
+    }
+    chunks.push(current);
+
+    return chunks.join('\r\n ');
+}
+
+function pad(value) {
+    return String(value).padStart(2, '0');
+}
+
+function formatUtc(date) {
+    return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function formatLocal(date, timeZone) {
+    const parts = getZonedParts(new Date(date), timeZone);
+    return `${parts.year}${pad(parts.month)}${pad(parts.day)}T${pad(parts.hour)}${pad(parts.minute)}${pad(parts.second)}`;
+}
+
+// Parameter values such as CN are quoted since names may contain ':' or ','
+function quoteParam(value) {
+    return `"${String(value || '').replace(/"/g, "'").replace(/\r?\n/g, ' ')}"`;
+}
+
+function formatOffset(minutes) {
+    const sign = minutes < 0 ? '-' : '+';
+    const abs = Math.abs(minutes);
+    return `${sign}${pad(Math.floor(abs / 60))}${pad(abs % 60)}`;
+}
+
+// VTIMEZONE with the concrete offset changes in [from, to). Emitting the
+// transitions instead of yearly rules keeps this independent of how each
+// zone defines its DST, which Intl does not expose.
+function buildTimezone(timeZone, from, to) {
+    const lines = ['BEGIN:VTIMEZONE', `TZID:${timeZone}`];
+    const transitions = [];
+
+    let previousOffset = getTimeZoneOffset(new Date(from), timeZone);
+    for (let time = from.getTime() + DAY_MS; time <= to.getTime(); time += DAY_MS) {
+        const offset = getTimeZoneOffset(new Date(time), timeZone);
+        if (offset === previousOffset) continue;
+
+        // Narrow the day down to the minute of the change
+        let low = time - DAY_MS;
+        let high = time;
+        while (high - low > 60000) {
+            const middle = low + Math.floor((high - low) / 120000) * 60000;
+            if (getTimeZoneOffset(new Date(middle), timeZone) === previousOffset) {
+                low = middle;
+            } else {
+                high = middle;
+            }
+        }
+
+        transitions.push({ at: new Date(high), from: previousOffset, to: offset });
+        previousOffset = offset;
+    }
+
+    // Observance in effect at the start of the range, before any change
+    const initial = getTimeZoneOffset(new Date(from), timeZone);
+    const initialKind = transitions.length > 0 && transitions[0].to < initial ? 'DAYLIGHT' : 'STANDARD';
+    lines.push(
+        `BEGIN:${initialKind}`,
+        `DTSTART:${formatUtc(new Date(from.getTime() - DAY_MS + initial * 60000)).replace('Z', '')}`,
+        `TZOFFSETFROM:${formatOffset(initial)}`,
+        `TZOFFSETTO:${formatOffset(initial)}`,
+        `END:${initialKind}`
+    );
+
+    for (const transition of transitions) {
+        const kind = transition.to > transition.from ? 'DAYLIGHT' : 'STANDARD';
+        // DTSTART of an observance is local time before the change
+        const localStart = formatUtc(new Date(transition.at.getTime() + transition.from * 60000)).replace('Z', '');
+        lines.push(
+            `BEGIN:${kind}`,
+            `DTSTART:${localStart}`,
+            `TZOFFSETFROM:${formatOffset(transition.from)}`,
+            `TZOFFSETTO:${formatOffset(transition.to)}`,
+            `END:${kind}`
+        );
+    }
+
+    lines.push('END:VTIMEZONE');
+    return lines;
+}
+
+// A calendar with one VEVENT for the whole series. METHOD:REQUEST invites or
+// updates, METHOD:CANCEL withdraws. Clients match updates by UID and keep the
+// highest SEQUENCE.
+function buildCalendar({ method = 'REQUEST', meeting, organizer, attendees = [], joinUrl, now = new Date() }) {
+    const cancelled = method === 'CANCEL';
+    const startsAt = new Date(meeting.starts_at);
+    const endsAt = new Date(startsAt.getTime() + meeting.duration_minutes * 60000);
+    const timeZone = meeting.timezone || 'UTC';
+    const recurring = Boolean(meeting.rrule);
+    // Recurring series are anchored to the zone's wall clock so DST shifts are followed
+    const zoned = recurring && timeZone !== 'UTC';
+
+    const description = [meeting.agenda, joinUrl ? `Join: ${joinUrl}` : null]
+        .filter(Boolean)
+        .join('\n\n');
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        `METHOD:${method}`
+    ];
+
+    if (zoned) {
+        const rule = parseRRule(meeting.rrule);
+        const horizon = rule.until || new Date(startsAt.getTime() + 2 * 365 * DAY_MS);
+        lines.push(...buildTimezone(timeZone, startsAt, new Date(Math.min(horizon.getTime(), startsAt.getTime() + 5 * 365 * DAY_MS))));
+    }
+
+    lines.push(
+        'BEGIN:VEVENT',
+        `UID:meeting-${meeting.id}@talkpai`,
+        `SEQUENCE:${meeting.ics_sequence || 0}`,
+        `DTSTAMP:${formatUtc(now)}`,
+        zoned ? `DTSTART;TZID=${timeZone}:${formatLocal(startsAt, timeZone)}` : `DTSTART:${formatUtc(startsAt)}`,
+        zoned ? `DTEND;TZID=${timeZone}:${formatLocal(endsAt, timeZone)}` : `DTEND:${formatUtc(endsAt)}`
+    );
+
+    if (recurring) {
+        lines.push(`RRULE:${formatRRule(parseRRule(meeting.rrule))}`);
+    }
+
+    lines.push(
+        `SUMMARY:${escapeText(meeting.title)}`,
+        `STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`
+    );
+
+    if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+    if (joinUrl) lines.push(`URL:${joinUrl}`, `LOCATION:${escapeText(joinUrl)}`);
+
+    if (organizer) {
+        lines.push(`ORGANIZER;CN=${quoteParam(organizer.name)}:mailto:${organizer.email || 'noreply@talkpai.com'}`);
+    }
+
+    for (const attendee of attendees) {
+        if (!attendee.email) continue;
+        lines.push(`ATTENDEE;CN=${quoteParam(attendee.name)};ROLE=REQ-PARTICIPANT;PARTSTAT=${attendee.partstat || 'NEEDS-ACTION'};RSVP=TRUE:mailto:${attendee.email}`);
+    }
+
+    if (!cancelled) {
+        for (const minutes of meeting.reminder_minutes || []) {
+            lines.push(
+                'BEGIN:VALARM',
+                'ACTION:DISPLAY',
+                `DESCRIPTION:${escapeText(meeting.title)}`,
+                `TRIGGER:-PT${minutes}M`,
+                'END:VALARM'
+            );
+        }
+    }
+
+    lines.push('END:VEVENT', 'END:VCALENDAR');
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = { buildCalendar, escapeText, foldLine, formatUtc };
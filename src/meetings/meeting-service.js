@@ -0,0 +1,1032 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const recurrence = require('./recurrence');
+const { buildCalendar } = require('./ics');
+
+// How early the join link works before a meeting starts
+const JOIN_EARLY_MINUTES = 10;
+// Rooms are pre-created this long before the start
+const ROOM_OPEN_LEAD_MINUTES = 5;
+// Occurrences are materialized this far ahead, which bounds reminder offsets
+const LOOKAHEAD_MINUTES = 24 * 60;
+const MAX_DURATION_MINUTES = 24 * 60;
+const RESPONSES = ['accepted', 'declined', 'tentative'];
+
+class MeetingError extends Error {
+    constructor(message, status = 400, code = 'MEETING_FAILED') {
+        super(message);
+        this.name = 'MeetingError';
+        this.status = status;
+        this.code = code;
+    }
+}
+
+// Scheduled calls on a chat or workspace channel. A meeting is a series
+// (one start plus an optional RRULE), each time it comes up a row is added
+// to meeting_occurrences and a group call room is opened for it, so the
+// call_logs rows of that room form the meeting's history.
+//
+// Like ScheduledMessageService, everything time-driven is done by a poller
+// over persisted rows, so reminders and rooms survive restarts and any
+// instance can pick them up.
+class MeetingService extends EventEmitter {
+    constructor(chatService, callService, groupCallService, options = {}) {
+        super();
+        this.chatService = chatService;
+        this.callService = callService;
+        this.groupCallService = groupCallService;
+        this.pool = chatService.pool;
+        // EnhancedAuthService, its nodemailer transport sends the invites
+        this.mailer = options.mailer || null;
+        // NotificationService, falls back to plain notification rows without it
+        this.notifications = options.notifications || null;
+        this.pollInterval = options.pollInterval || 30000; // 30 seconds
+        this.batchSize = options.batchSize || 50;
+        this.timer = null;
+        this.processing = false;
+
+        this.callService.on('call_ended', ({ callId, call }) => {
+            this.handleCallEnded(callId, call).catch((error) => {
+                console.error('Failed to update meeting occurrence:', error.message);
+            });
+        });
+    }
+
+    start() {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => {
+            this.processDueMeetings().catch(error => {
+                console.error('Meeting processing failed:', error.message);
+            });
+        }, this.pollInterval);
+
+        this.processDueMeetings().catch(error => {
+            console.error('Meeting processing failed:', error.message);
+        });
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    async createMeeting(userId, data) {
+        const { chatId, inviteeIds = [] } = data;
+
+        if (!chatId || !await this.chatService.verifyUserChatAccess(userId, chatId)) {
+            throw new MeetingError('Access denied to chat', 403, 'ACCESS_DENIED');
+        }
+
+        const fields = this.validateFields(data);
+        const chat = await this.getChat(chatId);
+        const invitees = await this.resolveInvitees(chat, userId, inviteeIds);
+
+        const result = await this.pool.query(`
+            INSERT INTO meetings (
+                chat_id, workspace_id, organizer_id, title, agenda, call_type, starts_at,
+                duration_minutes, timezone, rrule, reminder_minutes, join_token, next_occurrence_at
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $7)
+            RETURNING *
+        `, [
+            chatId,
+            chat.workspace_id,
+            userId,
+            fields.title,
+            fields.agenda,
+            fields.callType,
+            fields.startsAt,
+            fields.durationMinutes,
+            fields.timezone,
+            fields.rrule,
+            fields.reminderMinutes,
+            crypto.randomBytes(24).toString('base64url')
+        ]);
+
+        const meeting = result.rows[0];
+        await this.addInvitees(meeting.id, invitees);
+
+        await this.notifyUsers(invitees, meeting, 'meeting_invite', 'Meeting invitation',
+            `You are invited to "${meeting.title}"`);
+        this.sendInvites(meeting, invitees, 'REQUEST');
+
+        return this.getMeeting(meeting.id, userId);
+    }
+
+    // Organizer only. Schedule changes drop occurrences that have not started
+    // yet and bump the .ics SEQUENCE so calendars replace the old invite.
+    async updateMeeting(meetingId, userId, data) {
+        const current = await this.getMeetingRow(meetingId);
+        this.requireOrganizer(current, userId);
+
+        if (current.status === 'cancelled') {
+            throw new MeetingError('Meeting is cancelled', 409, 'MEETING_CANCELLED');
+        }
+
+        const fields = this.validateFields({
+            title: current.title,
+            agenda: current.agenda,
+            callType: current.call_type,
+            startsAt: data.startsAt !== undefined ? data.startsAt : current.starts_at,
+            durationMinutes: current.duration_minutes,
+            timezone: current.timezone,
+            rrule: current.rrule,
+            reminderMinutes: current.reminder_minutes,
+            ...data
+        }, { allowPast: data.startsAt === undefined });
+
+        const rescheduled = fields.startsAt.getTime() !== new Date(current.starts_at).getTime()
+            || fields.durationMinutes !== current.duration_minutes
+            || fields.timezone !== current.timezone
+            || (fields.rrule || null) !== (current.rrule || null);
+
+        const result = await this.pool.query(`
+            UPDATE meetings SET
+                title = $2,
+                agenda = $3,
+                call_type = $4,
+                starts_at = $5,
+                duration_minutes = $6,
+                timezone = $7,
+                rrule = $8,
+                reminder_minutes = $9,
+                next_occurrence_at = CASE WHEN $10 THEN $11 ELSE next_occurrence_at END,
+                ics_sequence = ics_sequence + 1
+            WHERE id = $1
+            RETURNING *
+        `, [
+            meetingId,
+            fields.title,
+            fields.agenda,
+            fields.callType,
+            fields.startsAt,
+            fields.durationMinutes,
+            fields.timezone,
+            fields.rrule,
+            fields.reminderMinutes,
+            rescheduled,
+            rescheduled ? this.getNextStart({ ...current, ...this.toRow(fields) }, new Date(Date.now() - fields.durationMinutes * 60000)) : null
+        ]);
+        const meeting = result.rows[0];
+
+        if (rescheduled) {
+            await this.pool.query(`
+                DELETE FROM meeting_occurrences
+                WHERE meeting_id = $1 AND status = 'scheduled'
+            `, [meetingId]);
+        }
+
+        let removed = [];
+        if (Array.isArray(data.inviteeIds)) {
+            const chat = await this.getChat(meeting.chat_id);
+            const invitees = await this.resolveInvitees(chat, meeting.organizer_id, data.inviteeIds);
+            const previous = await this.getInviteeIds(meetingId);
+
+            removed = previous.filter(id => !invitees.includes(id));
+            await this.pool.query(
+                'DELETE FROM meeting_invitees WHERE meeting_id = $1 AND user_id = ANY($2)',
+                [meetingId, removed]
+            );
+            await this.addInvitees(meetingId, invitees);
+
+            const added = invitees.filter(id => !previous.includes(id));
+            await this.notifyUsers(added, meeting, 'meeting_invite', 'Meeting invitation',
+                `You are invited to "${meeting.title}"`);
+        }
+
+        const invitees = await this.getInviteeIds(meetingId);
+        this.sendInvites(meeting, invitees, 'REQUEST');
+        this.sendInvites(meeting, removed, 'CANCEL');
+
+        for (const inviteeId of invitees) {
+            this.chatService.emitToUser(inviteeId, 'meeting_updated', { meetingId });
+        }
+
+        return this.getMeeting(meetingId, userId);
+    }
+
+    // Rooms that are already open keep running, only future occurrences go
+    async cancelMeeting(meetingId, userId) {
+        const current = await this.getMeetingRow(meetingId);
+        this.requireOrganizer(current, userId);
+
+        const result = await this.pool.query(`
+            UPDATE meetings SET
+                status = 'cancelled',
+                next_occurrence_at = NULL,
+                ics_sequence = ics_sequence + 1
+            WHERE id = $1 AND status = 'scheduled'
+            RETURNING *
+        `, [meetingId]);
+
+        if (result.rows.length === 0) {
+            throw new MeetingError('Meeting is already cancelled', 409, 'MEETING_CANCELLED');
+        }
+        const meeting = result.rows[0];
+
+        await this.pool.query(`
+            UPDATE meeting_occurrences SET status = 'cancelled'
+            WHERE meeting_id = $1 AND status = 'scheduled'
+        `, [meetingId]);
+
+        const invitees = await this.getInviteeIds(meetingId);
+        await this.notifyUsers(invitees, meeting, 'meeting_cancelled', 'Meeting cancelled',
+            `"${meeting.title}" was cancelled`);
+        this.sendInvites(meeting, invitees, 'CANCEL');
+
+        return { success: true };
+    }
+
+    async respond(meetingId, userId, response) {
+        if (!RESPONSES.includes(response)) {
+            throw new MeetingError(`Response must be one of: ${RESPONSES.join(', ')}`);
+        }
+
+        const result = await this.pool.query(`
+            UPDATE meeting_invitees SET
+                response = $3,
+                responded_at = CURRENT_TIMESTAMP
+            WHERE meeting_id = $1 AND user_id = $2
+            RETURNING *
+        `, [meetingId, userId, response]);
+
+        if (result.rows.length === 0) {
+            throw new MeetingError('You are not invited to this meeting', 404, 'NOT_INVITED');
+        }
+
+        const meeting = await this.getMeetingRow(meetingId);
+        this.chatService.emitToUser(meeting.organizer_id, 'meeting_response', {
+            meetingId,
+            userId,
+            response
+        });
+
+        return { meetingId, userId, response };
+    }
+
+    // Meetings the user organizes or is invited to (or all meetings of a chat
+    // they are in), with their occurrences in the window
+    async listMeetings(userId, { chatId = null, from = new Date(), to = null } = {}) {
+        const windowStart = new Date(from);
+        const windowEnd = to ? new Date(to) : new Date(windowStart.getTime() + 30 * 24 * 60 * 60000);
+
+        if (isNaN(windowStart.getTime()) || isNaN(windowEnd.getTime())) {
+            throw new MeetingError('Invalid date range');
+        }
+
+        if (chatId && !await this.chatService.verifyUserChatAccess(userId, chatId)) {
+            throw new MeetingError('Access denied to chat', 403, 'ACCESS_DENIED');
+        }
+
+        const result = await this.pool.query(`
+            SELECT m.*, c.name as chat_name
+            FROM meetings m
+            JOIN chats c ON m.chat_id = c.id
+            WHERE m.status = 'scheduled'
+            AND (
+                ($2::uuid IS NOT NULL AND m.chat_id = $2)
+                OR ($2::uuid IS NULL AND (
+                    m.organizer_id = $1
+                    OR EXISTS (SELECT 1 FROM meeting_invitees mi WHERE mi.meeting_id = m.id AND mi.user_id = $1)
+                ))
+            )
+            ORDER BY m.starts_at ASC
+        `, [userId, chatId]);
+
+        const meetings = [];
+        for (const row of result.rows) {
+            const occurrences = recurrence.occurrencesBetween(
+                row.starts_at,
+                row.timezone,
+                row.rrule,
+                new Date(windowStart.getTime() - row.duration_minutes * 60000),
+                windowEnd,
+                50
+            );
+            if (occurrences.length === 0) continue;
+
+            meetings.push({
+                ...this.formatMeeting(row),
+                chatName: row.chat_name,
+                occurrences: occurrences.map(start => ({
+                    startsAt: start,
+                    endsAt: new Date(start.getTime() + row.duration_minutes * 60000)
+                }))
+            });
+        }
+
+        return meetings;
+    }
+
+    async getMeeting(meetingId, userId) {
+        const meeting = await this.getMeetingRow(meetingId);
+        await this.requireAccess(meeting, userId);
+
+        const invitees = await this.pool.query(`
+            SELECT mi.user_id, mi.response, mi.responded_at, u.nickname, u.display_name, u.avatar
+            FROM meeting_invitees mi
+            JOIN users u ON mi.user_id = u.id
+            WHERE mi.meeting_id = $1
+            ORDER BY u.nickname
+        `, [meetingId]);
+
+        return {
+            ...this.formatMeeting(meeting),
+            nextOccurrenceAt: meeting.next_occurrence_at,
+            invitees: invitees.rows.map(row => ({
+                userId: row.user_id,
+                nickname: row.nickname,
+                displayName: row.display_name,
+                avatar: row.avatar,
+                response: row.response,
+                respondedAt: row.responded_at
+            }))
+        };
+    }
+
+    async getIcs(meetingId, userId) {
+        const meeting = await this.getMeetingRow(meetingId);
+        await this.requireAccess(meeting, userId);
+
+        const people = await this.getPeople(meeting, await this.getInviteeIds(meetingId));
+        return buildCalendar({
+            method: meeting.status === 'cancelled' ? 'CANCEL' : 'REQUEST',
+            meeting,
+            organizer: people.organizer,
+            attendees: people.attendees,
+            joinUrl: this.getJoinUrl(meeting)
+        });
+    }
+
+    // Past and current occurrences with the calls that were held for them
+    async getHistory(meetingId, userId, { limit = 20, offset = 0 } = {}) {
+        const meeting = await this.getMeetingRow(meetingId);
+        await this.requireAccess(meeting, userId);
+
+        const result = await this.pool.query(`
+            SELECT
+                o.id, o.starts_at, o.ends_at, o.status,
+                COALESCE(
+                    json_agg(
+                        json_build_object(
+                            'callId', cl.call_id,
+                            'status', cl.status,
+                            'startedAt', cl.started_at,
+                            'answeredAt', cl.answered_at,
+                            'endedAt', cl.ended_at,
+                            'durationSeconds', cl.duration_seconds,
+                            'participantCount', (
+                                SELECT COUNT(*) FROM call_participants cp
+                                WHERE cp.call_id = cl.id AND cp.joined_at IS NOT NULL
+                            )
+                        ) ORDER BY cl.started_at
+                    ) FILTER (WHERE cl.id IS NOT NULL),
+                    '[]'
+                ) as calls
+            FROM meeting_occurrences o
+            LEFT JOIN call_logs cl ON cl.meeting_occurrence_id = o.id
+            WHERE o.meeting_id = $1 AND o.starts_at <= CURRENT_TIMESTAMP
+            GROUP BY o.id
+            ORDER BY o.starts_at DESC
+            LIMIT $2 OFFSET $3
+        `, [meetingId, Math.min(parseInt(limit) || 20, 100), parseInt(offset) || 0]);
+
+        return result.rows.map(row => ({
+            occurrenceId: row.id,
+            startsAt: row.starts_at,
+            endsAt: row.ends_at,
+            status: row.status,
+            calls: row.calls
+        }));
+    }
+
+    // The join link resolves to the room of the occurrence that is on now,
+    // opening it if the poller has not yet or the last call already ended
+    async joinMeeting(token, userId) {
+        const result = await this.pool.query('SELECT * FROM meetings WHERE join_token = $1', [token]);
+        const meeting = result.rows[0];
+
+        if (!meeting) {
+            throw new MeetingError('Meeting not found', 404, 'INVALID_MEETING');
+        }
+        await this.requireAccess(meeting, userId);
+
+        if (meeting.status === 'cancelled') {
+            throw new MeetingError('Meeting is cancelled', 409, 'MEETING_CANCELLED');
+        }
+
+        await this.materializeOccurrences(meeting.id);
+
+        const occurrences = await this.pool.query(`
+            SELECT * FROM meeting_occurrences
+            WHERE meeting_id = $1
+            AND status <> 'cancelled'
+            AND starts_at <= CURRENT_TIMESTAMP + ($2 * INTERVAL '1 minute')
+            AND ends_at > CURRENT_TIMESTAMP
+            ORDER BY starts_at ASC
+            LIMIT 1
+        `, [meeting.id, JOIN_EARLY_MINUTES]);
+
+        let occurrence = occurrences.rows[0];
+        if (!occurrence) {
+            throw new MeetingError('Meeting has not started yet', 409, 'NOT_STARTED');
+        }
+
+        if (!occurrence.call_id || !await this.isRoomOpen(occurrence.call_id)) {
+            occurrence = await this.openRoom(meeting, occurrence);
+        }
+
+        return {
+            meetingId: meeting.id,
+            occurrenceId: occurrence.id,
+            callId: occurrence.call_id,
+            callType: meeting.call_type,
+            chatId: meeting.chat_id,
+            startsAt: occurrence.starts_at,
+            endsAt: occurrence.ends_at
+        };
+    }
+
+    // Poller
+
+    async processDueMeetings() {
+        if (this.processing) return;
+        this.processing = true;
+
+        try {
+            await this.materializeOccurrences();
+            await this.sendDueReminders();
+            await this.openDueRooms();
+            await this.closeFinishedRooms();
+        } finally {
+            this.processing = false;
+        }
+    }
+
+    // Adds the occurrence rows coming up within the lookahead and advances
+    // next_occurrence_at. The UNIQUE (meeting_id, starts_at) and the compare
+    // on next_occurrence_at keep concurrent pollers from doubling up.
+    async materializeOccurrences(meetingId = null) {
+        const due = await this.pool.query(`
+            SELECT * FROM meetings
+            WHERE status = 'scheduled'
+            AND next_occurrence_at IS NOT NULL
+            AND next_occurrence_at <= CURRENT_TIMESTAMP + ($1 * INTERVAL '1 minute')
+            AND ($2::uuid IS NULL OR id = $2)
+            ORDER BY next_occurrence_at ASC
+            LIMIT $3
+        `, [LOOKAHEAD_MINUTES, meetingId, this.batchSize]);
+
+        for (const meeting of due.rows) {
+            try {
+                let start = new Date(meeting.next_occurrence_at);
+                const horizon = Date.now() + LOOKAHEAD_MINUTES * 60000;
+
+                while (start && start.getTime() <= horizon) {
+                    const endsAt = new Date(start.getTime() + meeting.duration_minutes * 60000);
+
+                    // Slots that passed while no poller was running are skipped
+                    if (endsAt.getTime() <= Date.now()) {
+                        start = this.getNextStart(meeting, start);
+                        continue;
+                    }
+
+                    await this.pool.query(`
+                        INSERT INTO meeting_occurrences (meeting_id, starts_at, ends_at)
+                        VALUES ($1, $2, $3)
+                        ON CONFLICT (meeting_id, starts_at) DO NOTHING
+                    `, [meeting.id, start, endsAt]);
+
+                    start = this.getNextStart(meeting, start);
+                }
+
+                await this.pool.query(`
+                    UPDATE meetings SET next_occurrence_at = $3
+                    WHERE id = $1 AND next_occurrence_at = $2
+                `, [meeting.id, meeting.next_occurrence_at, start]);
+
+            } catch (error) {
+                console.error(`Failed to expand meeting ${meeting.id}:`, error.message);
+            }
+        }
+    }
+
+    // One reminder per occurrence and offset. Offsets that came due together
+    // (e.g. after downtime) are claimed at once and sent as a single reminder.
+    async sendDueReminders() {
+        const candidates = await this.pool.query(`
+            SELECT o.*, m.title, m.chat_id, m.organizer_id, m.reminder_minutes, m.join_token, m.call_type
+            FROM meeting_occurrences o
+            JOIN meetings m ON o.meeting_id = m.id
+            WHERE o.status IN ('scheduled', 'open')
+            AND m.status = 'scheduled'
+            AND o.starts_at > CURRENT_TIMESTAMP
+            AND o.starts_at <= CURRENT_TIMESTAMP + ($1 * INTERVAL '1 minute')
+            ORDER BY o.starts_at ASC
+            LIMIT $2
+        `, [LOOKAHEAD_MINUTES, this.batchSize]);
+
+        for (const occurrence of candidates.rows) {
+            const minutesLeft = (new Date(occurrence.starts_at).getTime() - Date.now()) / 60000;
+            const sent = occurrence.reminders_sent || [];
+            const due = (occurrence.reminder_minutes || []).filter(minutes => minutes >= minutesLeft);
+
+            if (due.length === 0 || due.every(minutes => sent.includes(minutes))) continue;
+
+            const claimed = await this.pool.query(`
+                UPDATE meeting_occurrences SET reminders_sent = $3
+                WHERE id = $1 AND reminders_sent = $2
+                RETURNING id
+            `, [occurrence.id, sent, [...new Set([...sent, ...due])]]);
+            if (claimed.rows.length === 0) continue;
+
+            try {
+                const meeting = { ...occurrence, id: occurrence.meeting_id };
+                const recipients = await this.getRecipients(meeting);
+                const minutes = Math.max(1, Math.round(minutesLeft));
+
+                await this.notifyUsers(recipients, meeting, 'meeting_reminder', 'Meeting starting soon',
+                    `"${occurrence.title}" starts in ${minutes} minute${minutes === 1 ? '' : 's'}`,
+                    { occurrenceId: occurrence.id, startsAt: occurrence.starts_at });
+
+            } catch (error) {
+                console.error(`Failed to send meeting reminder for ${occurrence.id}:`, error.message);
+            }
+        }
+    }
+
+    async openDueRooms() {
+        const due = await this.pool.query(`
+            SELECT o.* FROM meeting_occurrences o
+            JOIN meetings m ON o.meeting_id = m.id
+            WHERE o.status = 'scheduled'
+            AND m.status = 'scheduled'
+            AND o.starts_at <= CURRENT_TIMESTAMP + ($1 * INTERVAL '1 minute')
+            AND o.ends_at > CURRENT_TIMESTAMP
+            ORDER BY o.starts_at ASC
+            LIMIT $2
+        `, [ROOM_OPEN_LEAD_MINUTES, this.batchSize]);
+
+        for (const occurrence of due.rows) {
+            try {
+                await this.openRoom(await this.getMeetingRow(occurrence.meeting_id), occurrence);
+            } catch (error) {
+                console.error(`Failed to open meeting room for ${occurrence.id}:`, error.message);
+            }
+        }
+    }
+
+    // Occurrences past their end: rooms nobody is in are closed, rooms with
+    // people still talking are left to end on their own. Occurrences that
+    // never got a room (e.g. the server was down) are marked missed.
+    async closeFinishedRooms() {
+        const finished = await this.pool.query(`
+            SELECT * FROM meeting_occurrences
+            WHERE status IN ('scheduled', 'open')
+            AND ends_at <= CURRENT_TIMESTAMP
+            ORDER BY ends_at ASC
+            LIMIT $1
+        `, [this.batchSize]);
+
+        for (const occurrence of finished.rows) {
+            try {
+                const call = occurrence.call_id ? await this.callService.store.getCall(occurrence.call_id) : null;
+
+                if (call) {
+                    if (this.groupCallService.getJoinedUserIds(call).length > 0) continue;
+                    // Ends the call, handleCallEnded settles the occurrence
+                    await this.groupCallService.endCall(occurrence.call_id, 'ended');
+                }
+
+                await this.pool.query(`
+                    UPDATE meeting_occurrences SET status = CASE
+                        WHEN EXISTS (
+                            SELECT 1 FROM call_logs
+                            WHERE meeting_occurrence_id = $1 AND answered_at IS NOT NULL
+                        ) THEN 'ended'
+                        ELSE 'missed'
+                    END
+                    WHERE id = $1 AND status IN ('scheduled', 'open')
+                `, [occurrence.id]);
+
+            } catch (error) {
+                console.error(`Failed to close meeting occurrence ${occurrence.id}:`, error.message);
+            }
+        }
+    }
+
+    // A room of an occurrence ended. Later in the slot the join link opens a
+    // new one, so the occurrence stays open until closeFinishedRooms settles it.
+    async handleCallEnded(callId, call) {
+        if (!call || call.mode !== 'group' || !call.metadata || !call.metadata.meetingOccurrenceId) return;
+
+        await this.pool.query(`
+            UPDATE meeting_occurrences SET
+                call_id = NULL,
+                status = CASE
+                    WHEN ends_at > CURRENT_TIMESTAMP THEN 'open'
+                    WHEN EXISTS (
+                        SELECT 1 FROM call_logs
+                        WHERE meeting_occurrence_id = meeting_occurrences.id AND answered_at IS NOT NULL
+                    ) THEN 'ended'
+                    ELSE 'missed'
+                END
+            WHERE id = $1 AND call_id = $2
+        `, [call.metadata.meetingOccurrenceId, callId]);
+    }
+
+    // Claims the occurrence with a 'pending' call_id before creating the room
+    // so two instances (or a join racing the poller) don't open two rooms for
+    // it. A claim left behind by a crashed instance expires after a minute.
+    async openRoom(meeting, occurrence) {
+        const claimed = await this.pool.query(`
+            UPDATE meeting_occurrences SET status = 'open', call_id = 'pending'
+            WHERE id = $1
+            AND call_id IS NOT DISTINCT FROM $2
+            AND (call_id IS DISTINCT FROM 'pending' OR updated_at < CURRENT_TIMESTAMP - INTERVAL '1 minute')
+            RETURNING *
+        `, [occurrence.id, occurrence.call_id]);
+
+        if (claimed.rows.length === 0) {
+            const current = await this.pool.query('SELECT * FROM meeting_occurrences WHERE id = $1', [occurrence.id]);
+            if (current.rows[0] && current.rows[0].call_id === 'pending') {
+                throw new MeetingError('Meeting room is being opened, try again', 409, 'ROOM_OPENING');
+            }
+            return current.rows[0];
+        }
+
+        let callId;
+        try {
+            callId = await this.groupCallService.openRoom({
+                chatId: meeting.chat_id,
+                callType: meeting.call_type,
+                hostId: meeting.organizer_id,
+                userIds: await this.getInviteeIds(meeting.id),
+                metadata: { meetingId: meeting.id, meetingOccurrenceId: occurrence.id }
+            });
+        } catch (error) {
+            await this.pool.query(`
+                UPDATE meeting_occurrences SET status = 'scheduled', call_id = NULL
+                WHERE id = $1 AND call_id = 'pending'
+            `, [occurrence.id]);
+            throw error;
+        }
+
+        await this.pool.query(
+            'UPDATE call_logs SET meeting_occurrence_id = $1 WHERE call_id = $2',
+            [occurrence.id, callId]
+        );
+        const result = await this.pool.query(`
+            UPDATE meeting_occurrences SET call_id = $2
+            WHERE id = $1 AND call_id = 'pending'
+            RETURNING *
+        `, [occurrence.id, callId]);
+
+        const payload = {
+            meetingId: meeting.id,
+            occurrenceId: occurrence.id,
+            callId,
+            chatId: meeting.chat_id,
+            callType: meeting.call_type,
+            title: meeting.title,
+            startsAt: occurrence.starts_at
+        };
+        for (const recipientId of await this.getRecipients(meeting)) {
+            this.chatService.emitToUser(recipientId, 'meeting_room_open', payload);
+        }
+        this.emit('room_opened', payload);
+
+        return result.rows[0];
+    }
+
+    // Helpers
+
+    validateFields(data, { allowPast = false } = {}) {
+        const title = typeof data.title === 'string' ? data.title.trim() : '';
+        if (!title || title.length > 255) {
+            throw new MeetingError('Title is required and must be at most 255 characters');
+        }
+
+        const callType = data.callType || 'video';
+        if (!['audio', 'video'].includes(callType)) {
+            throw new MeetingError('callType must be audio or video');
+        }
+
+        const startsAt = new Date(data.startsAt);
+        if (isNaN(startsAt.getTime())) {
+            throw new MeetingError('Invalid startsAt date');
+        }
+        // Whole minutes, occurrences are expanded at that precision
+        startsAt.setUTCSeconds(0, 0);
+        if (!allowPast && startsAt.getTime() <= Date.now()) {
+            throw new MeetingError('startsAt must be in the future');
+        }
+
+        const durationMinutes = parseInt(data.durationMinutes || 30, 10);
+        if (!Number.isInteger(durationMinutes) || durationMinutes < 1 || durationMinutes > MAX_DURATION_MINUTES) {
+            throw new MeetingError(`durationMinutes must be between 1 and ${MAX_DURATION_MINUTES}`);
+        }
+
+        const timezone = data.timezone || 'UTC';
+        if (!recurrence.isValidTimeZone(timezone)) {
+            throw new MeetingError(`Unknown time zone: ${timezone}`);
+        }
+
+        let rrule = null;
+        if (data.rrule) {
+            try {
+                rrule = recurrence.formatRRule(recurrence.parseRRule(data.rrule));
+            } catch (error) {
+                throw new MeetingError(error.message, 400, 'INVALID_RRULE');
+            }
+        }
+
+        const reminderMinutes = data.reminderMinutes === undefined ? [10] : data.reminderMinutes;
+        if (!Array.isArray(reminderMinutes) || reminderMinutes.length > 5 || !reminderMinutes.every(minutes =>
+            Number.isInteger(minutes) && minutes >= 0 && minutes <= LOOKAHEAD_MINUTES
+        )) {
+            throw new MeetingError(`reminderMinutes must be up to 5 whole minute offsets between 0 and ${LOOKAHEAD_MINUTES}`);
+        }
+
+        return {
+            title,
+            agenda: data.agenda ? String(data.agenda).slice(0, 10000) : null,
+            callType,
+            startsAt,
+            durationMinutes,
+            timezone,
+            rrule,
+            reminderMinutes: [...new Set(reminderMinutes)].sort((a, b) => b - a)
+        };
+    }
+
+    toRow(fields) {
+        return {
+            starts_at: fields.startsAt,
+            duration_minutes: fields.durationMinutes,
+            timezone: fields.timezone,
+            rrule: fields.rrule
+        };
+    }
+
+    getNextStart(meeting, after) {
+        return recurrence.nextOccurrence(meeting.starts_at, meeting.timezone, meeting.rrule, after);
+    }
+
+    // Defaults to everyone in the chat. On a workspace channel, workspace
+    // members outside the channel can be invited too.
+    async resolveInvitees(chat, organizerId, inviteeIds) {
+        const requested = [...new Set(inviteeIds.map(String))].filter(id => id !== String(organizerId));
+
+        if (requested.length === 0) {
+            const members = await this.pool.query(`
+                SELECT user_id FROM chat_participants
+                WHERE chat_id = $1 AND left_at IS NULL AND user_id <> $2
+            `, [chat.id, organizerId]);
+            return members.rows.map(row => String(row.user_id));
+        }
+
+        const result = await this.pool.query(`
+            SELECT user_id FROM chat_participants
+            WHERE chat_id = $1 AND left_at IS NULL
+            UNION
+            SELECT user_id FROM workspace_members
+            WHERE $2::uuid IS NOT NULL AND workspace_id = $2 AND status = 'active'
+        `, [chat.id, chat.workspace_id]);
+        const allowed = new Set(result.rows.map(row => String(row.user_id)));
+
+        const outside = requested.filter(id => !allowed.has(id));
+        if (outside.length > 0) {
+            throw new MeetingError('Invitees must be members of the chat or its workspace', 400, 'INVALID_INVITEES');
+        }
+
+        return requested;
+    }
+
+    async addInvitees(meetingId, userIds) {
+        if (userIds.length === 0) return;
+
+        await this.pool.query(`
+            INSERT INTO meeting_invitees (meeting_id, user_id)
+            SELECT $1, unnest($2::uuid[])
+            ON CONFLICT (meeting_id, user_id) DO NOTHING
+        `, [meetingId, userIds]);
+    }
+
+    async getInviteeIds(meetingId) {
+        const result = await this.pool.query(
+            'SELECT user_id FROM meeting_invitees WHERE meeting_id = $1',
+            [meetingId]
+        );
+        return result.rows.map(row => String(row.user_id));
+    }
+
+    // Organizer plus invitees who have not declined
+    async getRecipients(meeting) {
+        const result = await this.pool.query(`
+            SELECT user_id FROM meeting_invitees
+            WHERE meeting_id = $1 AND response <> 'declined'
+        `, [meeting.id]);
+
+        return [...new Set([String(meeting.organizer_id), ...result.rows.map(row => String(row.user_id))])];
+    }
+
+    async notifyUsers(userIds, meeting, type, title, message, extra = {}) {
+        const actionUrl = this.getJoinUrl(meeting);
+
+        for (const userId of userIds) {
+            if (this.notifications) {
+                await this.notifications.notify({
+                    userId,
+                    type,
+                    title,
+                    message,
+                    chatId: meeting.chat_id,
+                    actionUrl,
+                    entityType: 'meeting',
+                    entityId: meeting.id,
+                    metadata: extra
+                });
+            } else {
+                await this.pool.query(`
+                    INSERT INTO notifications (
+                        user_id, type, title, message, action_url, related_entity_type, related_entity_id, metadata
+                    ) VALUES ($1, $2, $3, $4, $5, 'meeting', $6, $7)
+                `, [userId, type, title, message, actionUrl, meeting.id, JSON.stringify({ chatId: meeting.chat_id, ...extra })]);
+            }
+
+            this.chatService.emitToUser(userId, type, {
+                meetingId: meeting.id,
+                chatId: meeting.chat_id,
+                title: meeting.title,
+                message,
+                joinUrl: actionUrl,
+                ...extra
+            });
+        }
+    }
+
+    // Mail goes out in the background, a failing SMTP server must not fail
+    // the API call that scheduled the meeting
+    sendInvites(meeting, userIds, method) {
+        if (!this.mailer || userIds.length === 0) return;
+
+        (async () => {
+            const people = await this.getPeople(meeting, userIds);
+            const ics = buildCalendar({
+                method,
+                meeting,
+                organizer: people.organizer,
+                attendees: people.attendees,
+                joinUrl: this.getJoinUrl(meeting)
+            });
+
+            for (const attendee of people.attendees) {
+                if (!attendee.email) continue;
+
+                try {
+                    await this.mailer.sendCalendarInvite({
+                        to: attendee.email,
+                        subject: method === 'CANCEL' ? `Cancelled: ${meeting.title}` : `Invitation: ${meeting.title}`,
+                        html: this.renderInviteEmail(meeting, method, people.organizer),
+                        ics,
+                        method
+                    });
+                } catch (error) {
+                    console.error(`Failed to send meeting invite to ${attendee.email}:`, error.message);
+                }
+            }
+        })().catch((error) => {
+            console.error('Failed to send meeting invites:', error.message);
+        });
+    }
+
+    async getPeople(meeting, userIds) {
+        const result = await this.pool.query(`
+            SELECT u.id, u.email, u.nickname, u.display_name, mi.response
+            FROM users u
+            LEFT JOIN meeting_invitees mi ON mi.user_id = u.id AND mi.meeting_id = $1
+            WHERE u.id = ANY($2)
+        `, [meeting.id, [...userIds, meeting.organizer_id]]);
+
+        const toPerson = (user) => ({
+            name: user.display_name || user.nickname,
+            email: user.email,
+            partstat: user.response && user.response !== 'needs_action'
+                ? user.response.toUpperCase()
+                : 'NEEDS-ACTION'
+        });
+
+        const organizer = result.rows.find(user => String(user.id) === String(meeting.organizer_id));
+
+        return {
+            organizer: organizer ? toPerson(organizer) : null,
+            attendees: result.rows
+                .filter(user => userIds.includes(String(user.id)))
+                .map(toPerson)
+        };
+    }
+
+    renderInviteEmail(meeting, method, organizer) {
+        const when = new Date(meeting.starts_at).toLocaleString('en-US', {
+            timeZone: meeting.timezone,
+            dateStyle: 'full',
+            timeStyle: 'short'
+        });
+
+        if (method === 'CANCEL') {
+            return `
+                <h2>${escapeHtml(meeting.title)} was cancelled</h2>
+                <p>The meeting scheduled for ${escapeHtml(when)} (${escapeHtml(meeting.timezone)}) will not take place.</p>
+            `;
+        }
+
+        return `
+            <h2>${escapeHtml(meeting.title)}</h2>
+            <p>${escapeHtml(when)} (${escapeHtml(meeting.timezone)}), ${meeting.duration_minutes} minutes${meeting.rrule ? ', recurring' : ''}</p>
+            ${organizer ? `<p>Organized by ${escapeHtml(organizer.name)}</p>` : ''}
+            ${meeting.agenda ? `<p>${escapeHtml(meeting.agenda).replace(/\n/g, '<br>')}</p>` : ''}
+            <a href="${this.getJoinUrl(meeting)}">Join meeting</a>
+        `;
+    }
+
+    // Opened by public/js/meeting-join.js, which joins the room through /api/meetings/join/:token
+    getJoinUrl(meeting) {
+        return `${process.env.FRONTEND_URL || ''}/?meeting=${meeting.join_token}`;
+    }
+
+    async getChat(chatId) {
+        const result = await this.pool.query('SELECT id, workspace_id FROM chats WHERE id = $1', [chatId]);
+        if (result.rows.length === 0) {
+            throw new MeetingError('Chat not found', 404, 'INVALID_CHAT');
+        }
+        return result.rows[0];
+    }
+
+    async getMeetingRow(meetingId) {
+        const result = await this.pool.query('SELECT * FROM meetings WHERE id = $1', [meetingId]);
+        if (result.rows.length === 0) {
+            throw new MeetingError('Meeting not found', 404, 'INVALID_MEETING');
+        }
+        return result.rows[0];
+    }
+
+    requireOrganizer(meeting, userId) {
+        if (String(meeting.organizer_id) !== String(userId)) {
+            throw new MeetingError('Only the organizer can change this meeting', 403, 'ORGANIZER_REQUIRED');
+        }
+    }
+
+    async requireAccess(meeting, userId) {
+        if (String(meeting.organizer_id) === String(userId)) return;
+
+        const invited = await this.pool.query(
+            'SELECT 1 FROM meeting_invitees WHERE meeting_id = $1 AND user_id = $2',
+            [meeting.id, userId]
+        );
+        if (invited.rows.length > 0) return;
+
+        if (!meeting.chat_id || !await this.chatService.verifyUserChatAccess(userId, meeting.chat_id)) {
+            throw new MeetingError('Access denied', 403, 'ACCESS_DENIED');
+        }
+    }
+
+    async isRoomOpen(callId) {
+        const call = await this.callService.store.getCall(callId);
+        return Boolean(call && call.mode === 'group');
+    }
+
+    formatMeeting(meeting) {
+        return {
+            id: meeting.id,
+            chatId: meeting.chat_id,
+            workspaceId: meeting.workspace_id,
+            organizerId: meeting.organizer_id,
+            title: meeting.title,
+            agenda: meeting.agenda,
+            callType: meeting.call_type,
+            startsAt: meeting.starts_at,
+            durationMinutes: meeting.duration_minutes,
+            timezone: meeting.timezone,
+            rrule: meeting.rrule,
+            reminderMinutes: meeting.reminder_minutes,
+            status: meeting.status,
+            joinUrl: this.getJoinUrl(meeting),
+            createdAt: meeting.created_at
+        };
+    }
+}
+
+function escapeHtml(value) {
+    return String(value || '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+MeetingService.MeetingError = MeetingError;
+
+module.exports = MeetingService;
@@ -0,0 +1,264 @@
+// Recurrence rules for meetings. Supports the RFC 5545 RRULE subset the
+// scheduling UI offers: FREQ=DAILY|WEEKLY|MONTHLY with INTERVAL, COUNT,
+// UNTIL and BYDAY (weekly only). Occurrences are expanded on the wall clock
+// of the meeting's IANA time zone, so a 09:00 weekly meeting stays at 09:00
+// across daylight saving changes.
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+
+// Expansion always starts from DTSTART (COUNT has to be counted from there),
+// this caps the work for very long-running series
+const MAX_ITERATIONS = 10000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        }));
+    }
+    return formatters.get(timeZone);
+}
+
+function isValidTimeZone(timeZone) {
+    try {
+        getFormatter(timeZone);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Wall-clock fields of an instant in a time zone
+function getZonedParts(date, timeZone) {
+    const parts = {};
+    for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+        if (type !== 'literal') parts[type] = parseInt(value, 10);
+    }
+    return parts;
+}
+
+// Offset from UTC in minutes at an instant, e.g. 120 for Europe/Kyiv in summer
+function getTimeZoneOffset(date, timeZone) {
+    const parts = getZonedParts(date, timeZone);
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+// Instant for a wall-clock time in a time zone. Times skipped by a DST jump
+// resolve to the same clock time after the jump.
+function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) {
+    const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+    let offset = getTimeZoneOffset(new Date(asUtc), timeZone);
+    let result = asUtc - offset * 60000;
+
+    const corrected = getTimeZoneOffset(new Date(result), timeZone);
+    if (corrected !== offset) {
+        offset = corrected;
+        result = asUtc - offset * 60000;
+    }
+
+    return new Date(result);
+}
+
+function parseUntil(value) {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(value);
+    if (!match) {
+        throw new Error(`Invalid UNTIL value: ${value}`);
+    }
+
+    const [, year, month, day, hour = '23', minute = '59', second = '59'] = match;
+    return new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+}
+
+function parseRRule(value) {
+    if (!value || typeof value !== 'string') {
+        throw new Error('Recurrence rule is required');
+    }
+
+    const rule = { freq: null, interval: 1, count: null, until: null, byDay: null };
+    const body = value.trim().replace(/^RRULE:/i, '');
+
+    for (const pair of body.split(';').filter(Boolean)) {
+        const [rawKey, rawValue = ''] = pair.split('=');
+        const key = rawKey.trim().toUpperCase();
+        const val = rawValue.trim().toUpperCase();
+
+        switch (key) {
+            case 'FREQ':
+                if (!FREQUENCIES.includes(val)) {
+                    throw new Error(`Unsupported FREQ: ${val}`);
+                }
+                rule.freq = val;
+                break;
+            case 'INTERVAL':
+                rule.interval = parseInt(val, 10);
+                if (!Number.isInteger(rule.interval) || rule.interval < 1 || rule.interval > 365) {
+                    throw new Error('INTERVAL must be between 1 and 365');
+                }
+                break;
+            case 'COUNT':
+                rule.count = parseInt(val, 10);
+                if (!Number.isInteger(rule.count) || rule.count < 1 || rule.count > MAX_ITERATIONS) {
+                    throw new Error(`COUNT must be between 1 and ${MAX_ITERATIONS}`);
+                }
+                break;
+            case 'UNTIL':
+                rule.until = parseUntil(val);
+                break;
+            case 'BYDAY':
+                rule.byDay = val.split(',').map(day => {
+                    if (!WEEKDAYS.includes(day)) {
+                        throw new Error(`Unsupported BYDAY value: ${day}`);
+                    }
+                    return WEEKDAYS.indexOf(day);
+                });
+                break;
+            case 'WKST':
+                break;
+            default:
+                throw new Error(`Unsupported recurrence part: ${key}`);
+        }
+    }
+
+    if (!rule.freq) {
+        throw new Error('Recurrence rule needs a FREQ');
+    }
+    if (rule.count && rule.until) {
+        throw new Error('COUNT and UNTIL cannot be combined');
+    }
+    if (rule.byDay && rule.freq !== 'WEEKLY') {
+        throw new Error('BYDAY is only supported with FREQ=WEEKLY');
+    }
+
+    return rule;
+}
+
+// Canonical form, used for storage and in .ics files
+function formatRRule(rule) {
+    const parts = [`FREQ=${rule.freq}`];
+
+    if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+    if (rule.byDay) parts.push(`BYDAY=${rule.byDay.map(day => WEEKDAYS[day]).join(',')}`);
+    if (rule.count) parts.push(`COUNT=${rule.count}`);
+    if (rule.until) parts.push(`UNTIL=${rule.until.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')}`);
+
+    return parts.join(';');
+}
+
+// Start instants of a series in order. Without a rule only the first start
+// is yielded.
+function* iterateOccurrences(startsAt, timeZone, rrule) {
+    const start = new Date(startsAt);
+    if (!rrule) {
+        yield start;
+        return;
+    }
+
+    const rule = typeof rrule === 'string' ? parseRRule(rrule) : rrule;
+    const local = getZonedParts(start, timeZone);
+    const time = { hour: local.hour, minute: local.minute, second: local.second };
+    // Calendar arithmetic on the local date, the clock time is applied per occurrence
+    const firstDay = Date.UTC(local.year, local.month - 1, local.day);
+
+    let emitted = 0;
+    let iterations = 0;
+
+    const toInstant = (dayMs) => {
+        const day = new Date(dayMs);
+        return zonedTimeToUtc({
+            year: day.getUTCFullYear(),
+            month: day.getUTCMonth() + 1,
+            day: day.getUTCDate(),
+            ...time
+        }, timeZone);
+    };
+
+    const candidates = function* () {
+        if (rule.freq === 'DAILY') {
+            for (let n = 0; ; n++) {
+                yield firstDay + n * rule.interval * DAY_MS;
+            }
+        }
+
+        if (rule.freq === 'WEEKLY') {
+            const byDay = (rule.byDay || [new Date(firstDay).getUTCDay()]).slice().sort((a, b) => a - b);
+            const weekStart = firstDay - new Date(firstDay).getUTCDay() * DAY_MS;
+            for (let n = 0; ; n++) {
+                const week = weekStart + n * rule.interval * 7 * DAY_MS;
+                for (const weekday of byDay) {
+                    const day = week + weekday * DAY_MS;
+                    if (day >= firstDay) yield day;
+                }
+            }
+        }
+
+        if (rule.freq === 'MONTHLY') {
+            // Months without the start's day of month are skipped, as in RFC 5545
+            for (let n = 0; ; n++) {
+                const month = local.month - 1 + n * rule.interval;
+                const day = Date.UTC(local.year, month, local.day);
+                if (new Date(day).getUTCDate() === local.day) yield day;
+            }
+        }
+    };
+
+    for (const day of candidates()) {
+        if (++iterations > MAX_ITERATIONS) return;
+
+        const occurrence = toInstant(day);
+        if (rule.until && occurrence > rule.until) return;
+
+        yield occurrence;
+
+        if (rule.count && ++emitted >= rule.count) return;
+    }
+}
+
+// First start strictly after `after`, or null when the series is over
+function nextOccurrence(startsAt, timeZone, rrule, after) {
+    const threshold = new Date(after).getTime();
+
+    for (const occurrence of iterateOccurrences(startsAt, timeZone, rrule)) {
+        if (occurrence.getTime() > threshold) return occurrence;
+    }
+
+    return null;
+}
+
+// Starts within [from, to), at most `limit` of them
+function occurrencesBetween(startsAt, timeZone, rrule, from, to, limit = 100) {
+    const lower = new Date(from).getTime();
+    const upper = new Date(to).getTime();
+    const result = [];
+
+    for (const occurrence of iterateOccurrences(startsAt, timeZone, rrule)) {
+        if (occurrence.getTime() >= upper || result.length >= limit) break;
+        if (occurrence.getTime() >= lower) result.push(occurrence);
+    }
+
+    return result;
+}
+
+module.exports = {
+    parseRRule,
+    formatRRule,
+    iterateOccurrences,
+    nextOccurrence,
+    occurrencesBetween,
+    getZonedParts,
+    getTimeZoneOffset,
+    zonedTimeToUtc,
+    isValidTimeZone
+};
@@ -0,0 +1,170 @@
+const express = require('express');
+const authMiddleware = require('../middleware/auth');
+
+const router = express.Router();
+
+// Initialize meeting service (will be set by main server)
+let meetingService = null;
+
+function setMeetingService(service) {
+    meetingService = service;
+}
+
+function sendError(res, error) {
+    res.status(error.status || 400).json({
+        success: false,
+        message: error.message,
+        error: error.code
+    });
+}
+
+function requireService(req, res, next) {
+    if (!meetingService) {
+        return res.status(500).json({
+            success: false,
+            message: 'Meeting service not initialized'
+        });
+    }
+    next();
+}
+
+router.use(authMiddleware, requireService);
+
+// Upcoming meetings with their occurrences: ?chatId=&from=&to=
+router.get('/', async (req, res) => {
+    try {
+        const meetings = await meetingService.listMeetings(req.user.id, {
+            chatId: req.query.chatId || null,
+            from: req.query.from || new Date(),
+            to: req.query.to || null
+        });
+
+        res.json({
+            success: true,
+            meetings
+        });
+
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+router.post('/', async (req, res) => {
+    try {
+        const meeting = await meetingService.createMeeting(req.user.id, req.body);
+
+        res.status(201).json({
+            success: true,
+            meeting
+        });
+
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Resolves a join link to the call room of the current occurrence, the
+// client then joins it with group_call_join
+router.post('/join/:token', async (req, res) => {
+    try {
+        const room = await meetingService.joinMeeting(req.params.token, req.user.id);
+
+        res.json({
+            success: true,
+            room
+        });
+
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+router.get('/:meetingId', async (req, res) => {
+    try {
+        const meeting = await meetingService.getMeeting(req.params.meetingId, req.user.id);
+
+        res.json({
+            success: true,
+            meeting
+        });
+
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+router.patch('/:meetingId', async (req, res) => {
+    try {
+        const meeting = await meetingService.updateMeeting(req.params.meetingId, req.user.id, req.body);
+
+        res.json({
+            success: true,
+            meeting
+        });
+
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+router.delete('/:meetingId', async (req, res) => {
+    try {
+        await meetingService.cancelMeeting(req.params.meetingId, req.user.id);
+
+        res.json({
+            success: true,
+            message: 'Meeting cancelled'
+        });
+
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// RSVP: { response: 'accepted' | 'declined' | 'tentative' }
+router.post('/:meetingId/respond', async (req, res) => {
+    try {
+        const result = await meetingService.respond(req.params.meetingId, req.user.id, req.body.response);
+
+        res.json({
+            success: true,
+            ...result
+        });
+
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Past occurrences with their call logs
+router.get('/:meetingId/history', async (req, res) => {
+    try {
+        const history = await meetingService.getHistory(req.params.meetingId, req.user.id, {
+            limit: req.query.limit,
+            offset: req.query.offset
+        });
+
+        res.json({
+            success: true,
+            history
+        });
+
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+router.get('/:meetingId/invite.ics', async (req, res) => {
+    try {
+        const ics = await meetingService.getIcs(req.params.meetingId, req.user.id);
+
+        res.set('Content-Type', 'text/calendar; charset=utf-8');
+        res.set('Content-Disposition', 'attachment; filename="invite.ics"');
+        res.send(ics);
+
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+module.exports = { router, setMeetingService };
@@ -1,7 +1,34 @@
 const AuthService = require('../auth/service');
+const ApiTokenService = require('../auth/api-token-service');
 
 // Create a single auth service instance
 const authService = new AuthService();
+const apiTokenService = new ApiTokenService();
+
+// Scopes an API token needs per mounted router. Routers that are not listed
+// (token management, sessions, admin APIs) only accept session logins.
+const SCOPE_RULES = [
+  { prefix: '/api/auth/profile', read: 'profile:read', write: 'profile:write' },
+  { prefix: '/api/chat', read: 'chat:read', write: 'chat:write' },
+  { prefix: '/api/messages', read: 'chat:read', write: 'chat:write' },
+  { prefix: '/api/search', read: 'search:read', write: 'search:read' },
+  { prefix: '/api/enterprise', read: 'workspace:read', write: 'workspace:write' },
+  { prefix: '/api/ai', read: 'ai:use', write: 'ai:use' },
+  { prefix: '/api/aiden', read: 'ai:use', write: 'ai:use' }
+];
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+const getRequiredScope = (req) => {
+  const path = `${req.baseUrl}${req.path}`;
+  const rule = SCOPE_RULES.find(({ prefix }) => path === prefix || path.startsWith(`${prefix}/`));
+
+  if (!rule) {
+    return null;
+  }
+
+  return READ_METHODS.includes(req.method) ? rule.read : rule.write;
+};
 
 // Middleware function for authentication
 const authMiddleware = async (req, res, next) => {
@@ -16,6 +43,25 @@ const authMiddleware = async (req, res, next) => {
     }
 
     const token = authHeader.substring(7); // Remove 'Bearer ' prefix
+
+    if (ApiTokenService.isApiToken(token)) {
+      const user = await apiTokenService.authenticate(token);
+      const scope = getRequiredScope(req);
+
+      if (!scope || !user.scopes.includes(scope)) {
+        return res.status(403).json({
+          success: false,
+          error: scope
+            ? `This token is missing the required scope: ${scope}`
+            : 'This endpoint does not accept API tokens',
+          requiredScope: scope
+        });
+      }
+
+      req.user = user;
+      return next();
+    }
+
     const user = await authService.authenticate(token);
 
     req.user = user;
@@ -29,4 +75,28 @@ const authMiddleware = async (req, res, next) => {
   }
 };
 
-module.exports = authMiddleware;
\ No newline at end of file
+// Explicit scope check for routes that need more than their router's default.
+// Session logins are not scoped and always pass.
+authMiddleware.requireScope = (scope) => (req, res, next) => {
+  if (req.user && req.user.scopes && !req.user.scopes.includes(scope)) {
+    return res.status(403).json({
+      success: false,
+      error: `This token is missing the required scope: ${scope}`,
+      requiredScope: scope
+    });
+  }
+  next();
+};
+
+// For endpoints an API token must never reach, such as managing tokens or apps
+authMiddleware.requireSession = (req, res, next) => {
+  if (req.user && req.user.scopes) {
+    return res.status(403).json({
+      success: false,
+      error: 'This endpoint does not accept API tokens'
+    });
+  }
+  next();
+};
+
+module.exports = authMiddleware;
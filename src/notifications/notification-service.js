@@ -0,0 +1,742 @@
+const database = require('../database/optimized-connection');
+
+// Notification types. Chat-scoped ones follow the chat's mute and
+// notification level, direct ones (someone addressed the user) still come
+// through in chats set to "mentions only".
+const NOTIFICATION_TYPES = {
+    new_message: { chatScoped: true },
+    mention: { chatScoped: true, direct: true },
+    reply: { chatScoped: true, direct: true },
+    reaction: { chatScoped: true },
+    friend_request: {},
+    missed_call: {},
+    workspace_invite: {},
+    meeting_invite: {},
+    meeting_cancelled: {},
+    meeting_reminder: {}
+};
+
+const CHAT_LEVELS = ['all', 'mentions'];
+const DIGEST_FREQUENCIES = ['hourly', 'daily', 'weekly'];
+const DIGEST_MAX_ITEMS = 20;
+const PREVIEW_LENGTH = 140;
+// Same mention syntax the client highlights
+const MENTION_PATTERN = /@(\w+)/g;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+class NotificationError extends Error {
+    constructor(message, status = 400, code = 'NOTIFICATION_FAILED') {
+        super(message);
+        this.name = 'NotificationError';
+        this.status = status;
+        this.code = code;
+    }
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// The notification center. Mentions, replies, reactions, friend requests,
+// missed calls and workspace/meeting invites all go through notify(), which
+// applies the recipient's preferences, stores the notification and delivers
+// it over the socket right away, over Web Push when the user has no socket
+// open, and later in the email digest if it is still unread by then.
+//
+// Works on either server: it only needs something with query() and,
+// for live delivery, the Socket.IO server whose `user-<id>` rooms the
+// clients join.
+class NotificationService {
+    constructor(dbConnection, options = {}) {
+        this.database = dbConnection || database;
+        this.io = options.io || null;
+        // Web Push sender, sendToUser(userId, payload) resolves to the number of devices reached
+        this.push = options.push || null;
+        // EnhancedAuthService, its nodemailer transport sends the digests
+        this.mailer = options.mailer || null;
+        this.pollInterval = options.pollInterval || 5 * 60 * 1000; // 5 minutes
+        this.batchSize = options.batchSize || 50;
+        this.timer = null;
+        this.processing = false;
+    }
+
+    setPushSender(sender) {
+        this.push = sender;
+    }
+
+    // Event sources
+
+    bindChatService(chatService) {
+        chatService.on('message_created', (message) => {
+            this.handleMessage(message).catch((error) => {
+                console.error('Failed to create message notifications:', error.message);
+            });
+        });
+
+        chatService.on('reaction_added', (reaction) => {
+            this.handleReaction(reaction).catch((error) => {
+                console.error('Failed to create reaction notification:', error.message);
+            });
+        });
+    }
+
+    bindCallService(callService) {
+        callService.on('call_ended', ({ callId, call, reason }) => {
+            if (reason !== 'missed' || call.mode === 'group') return;
+
+            this.handleMissedCall(callId, call).catch((error) => {
+                console.error('Failed to create missed call notification:', error.message);
+            });
+        });
+    }
+
+    // Email digest poller
+
+    start() {
+        if (this.timer || !this.mailer) return;
+
+        this.timer = setInterval(() => {
+            this.processDigests().catch(error => {
+                console.error('Notification digest failed:', error.message);
+            });
+        }, this.pollInterval);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    // Creation
+
+    async notify({ userId, type, title, message = null, actorId = null, chatId = null, actionUrl = null, entityType = null, entityId = null, metadata = {} }) {
+        if (!NOTIFICATION_TYPES[type]) {
+            throw new NotificationError(`Unknown notification type: ${type}`);
+        }
+
+        if (actorId && String(actorId) === String(userId)) {
+            return null;
+        }
+
+        const delivery = await this.getDelivery(userId, type, chatId);
+        if (!delivery) {
+            return null;
+        }
+
+        const result = await this.database.query(`
+            WITH inserted AS (
+                INSERT INTO notifications (
+                    user_id, type, title, message, action_url, related_entity_type,
+                    related_entity_id, chat_id, actor_id, metadata
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+                RETURNING *
+            )
+            SELECT inserted.*, u.nickname AS actor_nickname, u.display_name AS actor_display_name, u.avatar AS actor_avatar
+            FROM inserted
+            LEFT JOIN users u ON inserted.actor_id = u.id
+        `, [
+            userId,
+            type,
+            title.slice(0, 255),
+            message,
+            actionUrl,
+            entityType,
+            entityId,
+            chatId,
+            actorId,
+            JSON.stringify(metadata)
+        ]);
+
+        const notification = this.formatNotification(result.rows[0]);
+        this.emitToUser(userId, 'notification', notification);
+
+        if (delivery.push) {
+            this.deliverPush(userId, notification).catch((error) => {
+                console.error('Failed to push notification:', error.message);
+            });
+        }
+
+        return notification;
+    }
+
+    // Null when the user does not want this notification at all
+    async getDelivery(userId, type, chatId) {
+        const result = await this.database.query(`
+            SELECT
+                COALESCE(np.enabled, TRUE) AS enabled,
+                COALESCE(np.push, TRUE) AS push,
+                COALESCE(cp.is_muted AND (cp.muted_until IS NULL OR cp.muted_until > CURRENT_TIMESTAMP), FALSE) AS muted,
+                COALESCE(cp.notification_level, 'all') AS level
+            FROM (SELECT $1::uuid AS user_id) recipient
+            LEFT JOIN notification_preferences np ON np.user_id = recipient.user_id AND np.type = $2
+            LEFT JOIN chat_participants cp ON cp.user_id = recipient.user_id AND cp.chat_id = $3::uuid
+        `, [userId, type, chatId]);
+
+        const preferences = result.rows[0];
+        const spec = NOTIFICATION_TYPES[type];
+
+        if (!preferences.enabled) {
+            return null;
+        }
+
+        if (spec.chatScoped && chatId) {
+            if (preferences.muted) return null;
+            if (preferences.level === 'mentions' && !spec.direct) return null;
+        }
+
+        return { push: preferences.push };
+    }
+
+    async deliverPush(userId, notification) {
+        if (!this.push || await this.isOnline(userId)) return;
+
+        const sent = await this.push.sendToUser(userId, {
+            title: notification.title,
+            message: notification.message,
+            url: notification.actionUrl || '/',
+            tag: notification.chatId ? `chat-${notification.chatId}` : notification.type,
+            notificationId: notification.id,
+            type: notification.type,
+            chatId: notification.chatId
+        });
+
+        if (sent > 0) {
+            await this.database.query('UPDATE notifications SET is_pushed = TRUE WHERE id = $1', [notification.id]);
+        }
+    }
+
+    async isOnline(userId) {
+        if (!this.io) return false;
+
+        const sockets = await this.io.in(`user-${userId}`).fetchSockets();
+        return sockets.length > 0;
+    }
+
+    async handleMessage(message) {
+        // Missed calls get their own notification from the call service
+        if (message.metadata?.missedCall) return;
+
+        const participants = await this.database.query(`
+            SELECT cp.user_id, u.nickname
+            FROM chat_participants cp
+            JOIN users u ON cp.user_id = u.id
+            WHERE cp.chat_id = $1 AND cp.user_id != $2 AND cp.left_at IS NULL
+        `, [message.chat_id, message.sender_id]);
+
+        if (participants.rows.length === 0) return;
+
+        const chatResult = await this.database.query('SELECT name, type FROM chats WHERE id = $1', [message.chat_id]);
+        const chat = chatResult.rows[0] || {};
+
+        const mentions = this.extractMentions(message);
+        const addressed = await this.getAddressedUserIds(message);
+        const inChannel = !message.thread_root_id || message.also_sent_to_channel;
+        const sender = message.sender_display_name || message.sender_nickname || 'Someone';
+        const place = chat.type === 'private' || !chat.name ? '' : ` in ${chat.name}`;
+
+        for (const participant of participants.rows) {
+            const userId = String(participant.user_id);
+            let type = null;
+            let title = null;
+
+            if (mentions.userIds.has(userId) || mentions.nicknames.has(participant.nickname.toLowerCase())) {
+                type = 'mention';
+                title = `${sender} mentioned you${place}`;
+            } else if (addressed.has(userId)) {
+                type = 'reply';
+                title = `${sender} replied to you${place}`;
+            } else if (inChannel) {
+                type = 'new_message';
+                title = `New message from ${sender}${place}`;
+            }
+
+            if (!type) continue;
+
+            await this.notify({
+                userId,
+                type,
+                title,
+                message: this.preview(message.content),
+                actorId: message.sender_id,
+                chatId: message.chat_id,
+                actionUrl: `/?chat=${message.chat_id}`,
+                entityType: 'message',
+                entityId: message.id,
+                metadata: message.thread_root_id ? { threadRootId: message.thread_root_id } : {}
+            });
+        }
+    }
+
+    extractMentions(message) {
+        const nicknames = new Set();
+        for (const match of (message.content || '').matchAll(MENTION_PATTERN)) {
+            nicknames.add(match[1].toLowerCase());
+        }
+
+        const userIds = new Set((message.metadata?.mentions || []).map(String));
+
+        return { nicknames, userIds };
+    }
+
+    // The author of the message replied to and everyone following the thread
+    async getAddressedUserIds(message) {
+        if (!message.reply_to_id && !message.thread_root_id) {
+            return new Set();
+        }
+
+        const result = await this.database.query(`
+            SELECT sender_id AS user_id FROM messages WHERE id = $1
+            UNION
+            SELECT user_id FROM thread_participants WHERE thread_root_id = $2 AND is_following = TRUE
+        `, [message.reply_to_id || null, message.thread_root_id || null]);
+
+        return new Set(result.rows.map(row => String(row.user_id)));
+    }
+
+    async handleReaction({ messageId, userId, reaction, chatId }) {
+        const result = await this.database.query(`
+            SELECT m.sender_id, m.content, u.nickname, u.display_name
+            FROM messages m
+            JOIN users u ON u.id = $2
+            WHERE m.id = $1
+        `, [messageId, userId]);
+
+        const row = result.rows[0];
+        if (!row || !row.sender_id) return;
+
+        await this.notify({
+            userId: row.sender_id,
+            type: 'reaction',
+            title: `${row.display_name || row.nickname} reacted ${reaction} to your message`,
+            message: this.preview(row.content),
+            actorId: userId,
+            chatId,
+            actionUrl: `/?chat=${chatId}`,
+            entityType: 'message',
+            entityId: messageId,
+            metadata: { reaction }
+        });
+    }
+
+    async handleMissedCall(callId, call) {
+        const callerId = String(call.initiatorId);
+        const caller = await this.getUserName(callerId);
+        const kind = call.callType === 'video' ? 'video' : 'voice';
+
+        for (const userId of Object.keys(call.participants)) {
+            if (userId === callerId) continue;
+
+            await this.notify({
+                userId,
+                type: 'missed_call',
+                title: `Missed ${kind} call from ${caller}`,
+                actorId: callerId,
+                chatId: call.chatId || null,
+                actionUrl: call.chatId ? `/?chat=${call.chatId}` : null,
+                entityType: 'call',
+                metadata: { callId, callType: call.callType }
+            });
+        }
+    }
+
+    async notifyFriendRequest({ requestId, fromUserId, toUserId, message = null }) {
+        const sender = await this.getUserName(fromUserId);
+
+        return this.notify({
+            userId: toUserId,
+            type: 'friend_request',
+            title: `${sender} sent you a friend request`,
+            message: message ? this.preview(message) : null,
+            actorId: fromUserId,
+            actionUrl: '/?contacts=requests',
+            entityType: 'friend_request',
+            entityId: requestId
+        });
+    }
+
+    async notifyWorkspaceInvite({ workspaceId, userId, invitedBy, role = 'member' }) {
+        const result = await this.database.query('SELECT name FROM workspaces WHERE id = $1', [workspaceId]);
+        const workspace = result.rows[0]?.name || 'a workspace';
+        const inviter = await this.getUserName(invitedBy);
+
+        return this.notify({
+            userId,
+            type: 'workspace_invite',
+            title: `${inviter} added you to ${workspace}`,
+            actorId: invitedBy,
+            actionUrl: `/?workspace=${workspaceId}`,
+            entityType: 'workspace',
+            entityId: workspaceId,
+            metadata: { role }
+        });
+    }
+
+    // Reading
+
+    async listNotifications(userId, { limit = 50, offset = 0, unreadOnly = false, type = null } = {}) {
+        const pageSize = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 100);
+        const start = Math.max(parseInt(offset, 10) || 0, 0);
+
+        const result = await this.database.query(`
+            SELECT n.*, u.nickname AS actor_nickname, u.display_name AS actor_display_name, u.avatar AS actor_avatar
+            FROM notifications n
+            LEFT JOIN users u ON n.actor_id = u.id
+            WHERE n.user_id = $1
+            AND ($2::boolean = FALSE OR n.is_read = FALSE)
+            AND ($3::text IS NULL OR n.type = $3)
+            ORDER BY n.created_at DESC
+            LIMIT $4 OFFSET $5
+        `, [userId, Boolean(unreadOnly), type, pageSize, start]);
+
+        return {
+            notifications: result.rows.map(row => this.formatNotification(row)),
+            unreadCount: await this.getUnreadCount(userId),
+            pagination: { limit: pageSize, offset: start }
+        };
+    }
+
+    async getUnreadCount(userId) {
+        const result = await this.database.query(
+            'SELECT COUNT(*) AS count FROM notifications WHERE user_id = $1 AND is_read = FALSE',
+            [userId]
+        );
+
+        return parseInt(result.rows[0].count, 10);
+    }
+
+    async markAsRead(notificationId, userId) {
+        if (!UUID_PATTERN.test(notificationId)) {
+            throw new NotificationError('Notification not found', 404, 'NOT_FOUND');
+        }
+
+        const result = await this.database.query(`
+            UPDATE notifications SET is_read = TRUE, read_at = COALESCE(read_at, CURRENT_TIMESTAMP)
+            WHERE id = $1 AND user_id = $2
+            RETURNING id
+        `, [notificationId, userId]);
+
+        if (result.rows.length === 0) {
+            throw new NotificationError('Notification not found', 404, 'NOT_FOUND');
+        }
+
+        const unreadCount = await this.getUnreadCount(userId);
+        this.emitToUser(userId, 'notifications_read', { ids: [notificationId], unreadCount });
+
+        return { unreadCount };
+    }
+
+    // All of the user's notifications, or only those of one chat
+    async markAllAsRead(userId, { chatId = null } = {}) {
+        if (chatId && !UUID_PATTERN.test(chatId)) {
+            throw new NotificationError('Chat not found', 404, 'NOT_FOUND');
+        }
+
+        const result = await this.database.query(`
+            UPDATE notifications SET is_read = TRUE, read_at = CURRENT_TIMESTAMP
+            WHERE user_id = $1 AND is_read = FALSE
+            AND ($2::uuid IS NULL OR chat_id = $2::uuid)
+            RETURNING id
+        `, [userId, chatId]);
+
+        const unreadCount = await this.getUnreadCount(userId);
+        this.emitToUser(userId, 'notifications_read', { chatId, all: true, unreadCount });
+
+        return { updated: result.rows.length, unreadCount };
+    }
+
+    async deleteNotification(notificationId, userId) {
+        if (!UUID_PATTERN.test(notificationId)) {
+            throw new NotificationError('Notification not found', 404, 'NOT_FOUND');
+        }
+
+        const result = await this.database.query(
+            'DELETE FROM notifications WHERE id = $1 AND user_id = $2 RETURNING id',
+            [notificationId, userId]
+        );
+
+        if (result.rows.length === 0) {
+            throw new NotificationError('Notification not found', 404, 'NOT_FOUND');
+        }
+    }
+
+    // Preferences
+
+    async getPreferences(userId) {
+        const [typeRows, settings, chats] = await Promise.all([
+            this.database.query(
+                'SELECT type, enabled, push, email FROM notification_preferences WHERE user_id = $1',
+                [userId]
+            ),
+            this.database.query(
+                'SELECT notification_email, email_digest_frequency FROM user_settings WHERE user_id = $1',
+                [userId]
+            ),
+            this.database.query(`
+                SELECT cp.chat_id, c.name, cp.is_muted, cp.muted_until, cp.notification_level
+                FROM chat_participants cp
+                JOIN chats c ON cp.chat_id = c.id
+                WHERE cp.user_id = $1 AND cp.left_at IS NULL
+                AND (cp.is_muted = TRUE OR cp.notification_level != 'all')
+                ORDER BY c.name
+            `, [userId])
+        ]);
+
+        const stored = Object.fromEntries(typeRows.rows.map(row => [row.type, row]));
+        const types = {};
+        for (const type of Object.keys(NOTIFICATION_TYPES)) {
+            types[type] = {
+                enabled: stored[type]?.enabled ?? true,
+                push: stored[type]?.push ?? true,
+                email: stored[type]?.email ?? true
+            };
+        }
+
+        return {
+            types,
+            emailDigest: {
+                enabled: settings.rows[0]?.notification_email ?? false,
+                frequency: settings.rows[0]?.email_digest_frequency || 'daily'
+            },
+            chats: chats.rows.map(row => this.formatChatPreferences(row))
+        };
+    }
+
+    // { types: { mention: { push: false } }, emailDigest: { enabled, frequency } }
+    async updatePreferences(userId, { types = {}, emailDigest = null } = {}) {
+        for (const [type, values] of Object.entries(types)) {
+            if (!NOTIFICATION_TYPES[type]) {
+                throw new NotificationError(`Unknown notification type: ${type}`, 400, 'INVALID_TYPE');
+            }
+
+            const [enabled, push, email] = ['enabled', 'push', 'email'].map(key =>
+                typeof values?.[key] === 'boolean' ? values[key] : null
+            );
+
+            await this.database.query(`
+                INSERT INTO notification_preferences (user_id, type, enabled, push, email)
+                VALUES ($1, $2, COALESCE($3::boolean, TRUE), COALESCE($4::boolean, TRUE), COALESCE($5::boolean, TRUE))
+                ON CONFLICT (user_id, type) DO UPDATE SET
+                    enabled = COALESCE($3::boolean, notification_preferences.enabled),
+                    push = COALESCE($4::boolean, notification_preferences.push),
+                    email = COALESCE($5::boolean, notification_preferences.email)
+            `, [userId, type, enabled, push, email]);
+        }
+
+        if (emailDigest) {
+            const { enabled, frequency } = emailDigest;
+
+            if (frequency !== undefined && !DIGEST_FREQUENCIES.includes(frequency)) {
+                throw new NotificationError(`Digest frequency must be one of: ${DIGEST_FREQUENCIES.join(', ')}`, 400, 'INVALID_FREQUENCY');
+            }
+
+            await this.database.query(`
+                INSERT INTO user_settings (user_id, notification_email, email_digest_frequency)
+                VALUES ($1, COALESCE($2::boolean, FALSE), COALESCE($3, 'daily'))
+                ON CONFLICT (user_id) DO UPDATE SET
+                    notification_email = COALESCE($2::boolean, user_settings.notification_email),
+                    email_digest_frequency = COALESCE($3, user_settings.email_digest_frequency)
+            `, [userId, typeof enabled === 'boolean' ? enabled : null, frequency || null]);
+        }
+
+        return this.getPreferences(userId);
+    }
+
+    // { level: 'all' | 'mentions', muted, mutedUntil }, a mutedUntil implies muted
+    async updateChatPreferences(userId, chatId, { level, muted, mutedUntil } = {}) {
+        if (level !== undefined && !CHAT_LEVELS.includes(level)) {
+            throw new NotificationError(`Level must be one of: ${CHAT_LEVELS.join(', ')}`, 400, 'INVALID_LEVEL');
+        }
+
+        let until = null;
+        if (mutedUntil) {
+            until = new Date(mutedUntil);
+            if (Number.isNaN(until.getTime()) || until <= new Date()) {
+                throw new NotificationError('mutedUntil must be a future date', 400, 'INVALID_MUTE');
+            }
+            muted = true;
+        }
+
+        if (!UUID_PATTERN.test(chatId)) {
+            throw new NotificationError('Chat not found', 404, 'NOT_FOUND');
+        }
+
+        const result = await this.database.query(`
+            UPDATE chat_participants cp SET
+                notification_level = COALESCE($3, cp.notification_level),
+                is_muted = COALESCE($4::boolean, cp.is_muted),
+                muted_until = CASE WHEN $4::boolean IS NULL THEN cp.muted_until ELSE $5::timestamp END
+            FROM chats c
+            WHERE cp.chat_id = $2 AND cp.user_id = $1 AND cp.left_at IS NULL AND c.id = cp.chat_id
+            RETURNING cp.chat_id, c.name, cp.is_muted, cp.muted_until, cp.notification_level
+        `, [userId, chatId, level || null, typeof muted === 'boolean' ? muted : null, until]);
+
+        if (result.rows.length === 0) {
+            throw new NotificationError('Chat not found', 404, 'NOT_FOUND');
+        }
+
+        return this.formatChatPreferences(result.rows[0]);
+    }
+
+    // Email digest
+
+    async processDigests() {
+        if (this.processing || !this.mailer) return;
+        this.processing = true;
+
+        try {
+            // Claims the users that are due, so two instances never mail the same digest
+            const due = await this.database.query(`
+                WITH due AS (
+                    SELECT us.user_id, u.email, u.display_name, u.nickname
+                    FROM user_settings us
+                    JOIN users u ON u.id = us.user_id
+                    WHERE us.notification_email = TRUE
+                    AND u.email IS NOT NULL
+                    AND u.is_active = TRUE
+                    AND (
+                        us.last_email_digest_at IS NULL
+                        OR us.last_email_digest_at <= CURRENT_TIMESTAMP - CASE us.email_digest_frequency
+                            WHEN 'hourly' THEN INTERVAL '1 hour'
+                            WHEN 'weekly' THEN INTERVAL '7 days'
+                            ELSE INTERVAL '1 day'
+                        END
+                    )
+                    AND EXISTS (
+                        SELECT 1 FROM notifications n
+                        WHERE n.user_id = us.user_id AND n.is_read = FALSE AND n.is_emailed = FALSE
+                    )
+                    LIMIT $1
+                    FOR UPDATE OF us SKIP LOCKED
+                )
+                UPDATE user_settings us SET last_email_digest_at = CURRENT_TIMESTAMP
+                FROM due
+                WHERE us.user_id = due.user_id
+                RETURNING due.user_id, due.email, due.display_name, due.nickname
+            `, [this.batchSize]);
+
+            for (const user of due.rows) {
+                try {
+                    await this.sendDigest(user);
+                } catch (error) {
+                    console.error('Failed to send notification digest:', error.message);
+                }
+            }
+        } finally {
+            this.processing = false;
+        }
+    }
+
+    async sendDigest(user) {
+        const result = await this.database.query(`
+            SELECT n.*, COUNT(*) OVER () AS total
+            FROM notifications n
+            LEFT JOIN notification_preferences np ON np.user_id = n.user_id AND np.type = n.type
+            WHERE n.user_id = $1 AND n.is_read = FALSE AND n.is_emailed = FALSE
+            AND COALESCE(np.enabled, TRUE) AND COALESCE(np.email, TRUE)
+            ORDER BY n.created_at DESC
+            LIMIT $2
+        `, [user.user_id, DIGEST_MAX_ITEMS]);
+
+        if (result.rows.length === 0) return;
+
+        const total = parseInt(result.rows[0].total, 10);
+        const baseUrl = process.env.FRONTEND_URL || '';
+        const items = result.rows.map((row) => {
+            const title = escapeHtml(row.title);
+            const link = row.action_url
+                ? `<a href="${escapeHtml(row.action_url.startsWith('http') ? row.action_url : `${baseUrl}${row.action_url}`)}">${title}</a>`
+                : title;
+            const message = row.message ? `<br><span style="color:#666">${escapeHtml(row.message)}</span>` : '';
+            return `<li style="margin-bottom:12px">${link}${message}</li>`;
+        });
+        const more = total > items.length ? `<p>…and ${total - items.length} more.</p>` : '';
+
+        await this.mailer.sendEmail({
+            to: user.email,
+            subject: `You have ${total} unread notification${total === 1 ? '' : 's'} on Talk pAI`,
+            html: `
+                <h2>Hi ${escapeHtml(user.display_name || user.nickname)}, here is what you missed</h2>
+                <ul style="padding-left:20px">${items.join('')}</ul>
+                ${more}
+                <p><a href="${escapeHtml(baseUrl || '/')}">Open Talk pAI</a></p>
+                <p style="color:#999;font-size:12px">You can change how often you get this email in your notification settings.</p>
+            `
+        });
+
+        await this.database.query(`
+            UPDATE notifications SET is_emailed = TRUE
+            WHERE user_id = $1 AND is_read = FALSE AND is_emailed = FALSE AND created_at <= $2
+        `, [user.user_id, result.rows[0].created_at]);
+    }
+
+    // Helpers
+
+    emitToUser(userId, event, data) {
+        if (this.io) {
+            this.io.to(`user-${userId}`).emit(event, data);
+        }
+    }
+
+    async getUserName(userId) {
+        const result = await this.database.query(
+            'SELECT nickname, display_name FROM users WHERE id = $1',
+            [userId]
+        );
+
+        const user = result.rows[0];
+        return user ? (user.display_name || user.nickname) : 'Someone';
+    }
+
+    preview(content) {
+        if (!content) return null;
+
+        const text = content.replace(/\s+/g, ' ').trim();
+        return text.length > PREVIEW_LENGTH ? `${text.slice(0, PREVIEW_LENGTH - 1)}…` : text;
+    }
+
+    formatNotification(row) {
+        return {
+            id: row.id,
+            type: row.type,
+            title: row.title,
+            message: row.message,
+            actionUrl: row.action_url,
+            chatId: row.chat_id,
+            actor: row.actor_id ? {
+                id: row.actor_id,
+                nickname: row.actor_nickname,
+                displayName: row.actor_display_name,
+                avatar: row.actor_avatar
+            } : null,
+            entityType: row.related_entity_type,
+            entityId: row.related_entity_id,
+            metadata: row.metadata || {},
+            isRead: row.is_read,
+            readAt: row.read_at,
+            createdAt: row.created_at
+        };
+    }
+
+    formatChatPreferences(row) {
+        const muted = row.is_muted && (!row.muted_until || new Date(row.muted_until) > new Date());
+
+        return {
+            chatId: row.chat_id,
+            name: row.name,
+            level: row.notification_level || 'all',
+            muted,
+            mutedUntil: muted ? row.muted_until : null
+        };
+    }
+}
+
+NotificationService.NotificationError = NotificationError;
+NotificationService.NOTIFICATION_TYPES = Object.keys(NOTIFICATION_TYPES);
+
+module.exports = NotificationService;
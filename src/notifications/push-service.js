@@ -0,0 +1,296 @@
+const axios = require('axios');
+const database = require('../database/optimized-connection');
+const webPush = require('./web-push');
+
+const DEFAULT_TTL_SECONDS = 24 * 60 * 60;
+// Transient failures in a row before a subscription is dropped
+const MAX_FAILURES = 5;
+
+// Browsers only hand out endpoints on these push services, anything else
+// is refused so the server cannot be pointed at arbitrary hosts
+const PUSH_SERVICE_HOSTS = [
+    'fcm.googleapis.com',
+    'android.googleapis.com',
+    'push.services.mozilla.com',
+    'push.apple.com',
+    'notify.windows.com'
+];
+
+class PushError extends Error {
+    constructor(message, status = 400, code = 'PUSH_FAILED') {
+        super(message);
+        this.name = 'PushError';
+        this.status = status;
+        this.code = code;
+    }
+}
+
+// Web Push delivery. The VAPID pair comes from VAPID_PUBLIC_KEY and
+// VAPID_PRIVATE_KEY, without them one is generated once and kept in
+// push_vapid_keys so every instance signs with the same key.
+//
+// Subscriptions are stored per browser (endpoint) together with the login
+// session that registered them. Logged out or expired sessions stop
+// receiving pushes, and the push service telling us a subscription is
+// gone (404/410) removes it.
+class WebPushService {
+    constructor(dbConnection, options = {}) {
+        this.database = dbConnection || database;
+        this.subject = options.subject || process.env.VAPID_SUBJECT
+            || `mailto:${process.env.SMTP_FROM || 'noreply@talkpai.com'}`;
+        this.ttl = options.ttl || DEFAULT_TTL_SECONDS;
+        this.timeout = options.timeout || 10000;
+        this.keys = null;
+        this.authorizations = new Map(); // push service origin -> { header, expiresAt }
+    }
+
+    async getVapidKeys() {
+        if (this.keys) return this.keys;
+
+        if (process.env.VAPID_PUBLIC_KEY || process.env.VAPID_PRIVATE_KEY) {
+            const keys = {
+                publicKey: process.env.VAPID_PUBLIC_KEY,
+                privateKey: process.env.VAPID_PRIVATE_KEY
+            };
+            webPush.validateVapidKeys(keys);
+            this.keys = keys;
+            return keys;
+        }
+
+        // The first instance to get here wins, the others read its pair back
+        const generated = webPush.generateVapidKeys();
+        await this.database.query(`
+            INSERT INTO push_vapid_keys (id, public_key, private_key)
+            VALUES (1, $1, $2)
+            ON CONFLICT (id) DO NOTHING
+        `, [generated.publicKey, generated.privateKey]);
+
+        const result = await this.database.query(
+            'SELECT public_key, private_key FROM push_vapid_keys WHERE id = 1'
+        );
+
+        this.keys = {
+            publicKey: result.rows[0].public_key,
+            privateKey: result.rows[0].private_key
+        };
+        return this.keys;
+    }
+
+    async getPublicKey() {
+        const keys = await this.getVapidKeys();
+        return keys.publicKey;
+    }
+
+    // subscription is PushSubscription.toJSON(): { endpoint, expirationTime, keys: { p256dh, auth } }
+    async subscribe(userId, subscription, { sessionId = null, userAgent = null } = {}) {
+        const { endpoint, expirationTime = null, keys = {} } = subscription || {};
+
+        this.validateEndpoint(endpoint);
+
+        if (Buffer.from(keys.p256dh || '', 'base64url').length !== 65
+            || Buffer.from(keys.auth || '', 'base64url').length !== 16) {
+            throw new PushError('Invalid subscription keys', 400, 'INVALID_SUBSCRIPTION');
+        }
+
+        // A browser that logs in as someone else keeps its endpoint, the row moves over
+        const result = await this.database.query(`
+            INSERT INTO push_subscriptions (user_id, session_id, endpoint, p256dh, auth, user_agent, expires_at)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
+            ON CONFLICT (endpoint) DO UPDATE SET
+                user_id = EXCLUDED.user_id,
+                session_id = EXCLUDED.session_id,
+                p256dh = EXCLUDED.p256dh,
+                auth = EXCLUDED.auth,
+                user_agent = EXCLUDED.user_agent,
+                expires_at = EXCLUDED.expires_at,
+                failure_count = 0
+            RETURNING *
+        `, [
+            userId,
+            sessionId,
+            endpoint,
+            keys.p256dh,
+            keys.auth,
+            userAgent ? String(userAgent).slice(0, 500) : null,
+            expirationTime ? new Date(expirationTime) : null
+        ]);
+
+        return this.formatSubscription(result.rows[0]);
+    }
+
+    async unsubscribe(userId, endpoint) {
+        const result = await this.database.query(`
+            DELETE FROM push_subscriptions
+            WHERE user_id = $1 AND endpoint = $2
+            RETURNING id
+        `, [userId, endpoint]);
+
+        if (result.rows.length === 0) {
+            throw new PushError('Subscription not found', 404, 'SUBSCRIPTION_NOT_FOUND');
+        }
+    }
+
+    async removeSubscription(userId, subscriptionId) {
+        if (!/^[0-9a-f-]{36}$/i.test(String(subscriptionId))) {
+            throw new PushError('Invalid subscription id', 400, 'INVALID_ID');
+        }
+
+        const result = await this.database.query(`
+            DELETE FROM push_subscriptions
+            WHERE id = $1 AND user_id = $2
+            RETURNING id
+        `, [subscriptionId, userId]);
+
+        if (result.rows.length === 0) {
+            throw new PushError('Subscription not found', 404, 'SUBSCRIPTION_NOT_FOUND');
+        }
+    }
+
+    async listSubscriptions(userId) {
+        const result = await this.database.query(`
+            SELECT * FROM push_subscriptions
+            WHERE user_id = $1
+            ORDER BY created_at DESC
+        `, [userId]);
+
+        return result.rows.map(row => this.formatSubscription(row));
+    }
+
+    // Resolves to the number of devices that accepted the message
+    async sendToUser(userId, payload, { ttl = null, urgency = 'normal' } = {}) {
+        const body = JSON.stringify(payload);
+        if (Buffer.byteLength(body) > webPush.MAX_PAYLOAD_BYTES) {
+            throw new PushError('Push payload is too large', 413, 'PAYLOAD_TOO_LARGE');
+        }
+
+        // Subscriptions whose session ended or that the browser let expire
+        await this.database.query(`
+            DELETE FROM push_subscriptions ps
+            WHERE ps.user_id = $1
+            AND (
+                (ps.expires_at IS NOT NULL AND ps.expires_at <= CURRENT_TIMESTAMP)
+                OR EXISTS (
+                    SELECT 1 FROM sessions s
+                    WHERE s.id = ps.session_id
+                    AND (s.is_active = FALSE OR s.expires_at <= CURRENT_TIMESTAMP)
+                )
+            )
+        `, [userId]);
+
+        const result = await this.database.query(`
+            SELECT id, endpoint, p256dh, auth
+            FROM push_subscriptions
+            WHERE user_id = $1
+        `, [userId]);
+
+        if (result.rows.length === 0) return 0;
+
+        const delivered = await Promise.all(
+            result.rows.map(subscription => this.sendToSubscription(subscription, body, { ttl, urgency }))
+        );
+
+        return delivered.filter(Boolean).length;
+    }
+
+    async sendToSubscription(subscription, body, { ttl, urgency }) {
+        let response;
+        try {
+            const keys = await this.getVapidKeys();
+
+            response = await axios.post(subscription.endpoint, webPush.encryptPayload(body, subscription), {
+                headers: {
+                    'Authorization': this.getAuthorization(subscription.endpoint, keys),
+                    'Content-Encoding': 'aes128gcm',
+                    'Content-Type': 'application/octet-stream',
+                    'TTL': String(ttl || this.ttl),
+                    'Urgency': urgency
+                },
+                timeout: this.timeout,
+                maxRedirects: 0,
+                validateStatus: () => true
+            });
+        } catch (error) {
+            console.error('Push delivery failed:', error.message);
+            await this.recordFailure(subscription.id);
+            return false;
+        }
+
+        // The browser unsubscribed or the subscription expired on the push service
+        if (response.status === 404 || response.status === 410) {
+            await this.database.query('DELETE FROM push_subscriptions WHERE id = $1', [subscription.id]);
+            return false;
+        }
+
+        if (response.status < 200 || response.status >= 300) {
+            console.error(`Push service answered ${response.status} for subscription ${subscription.id}`);
+            await this.recordFailure(subscription.id);
+            return false;
+        }
+
+        await this.database.query(`
+            UPDATE push_subscriptions SET last_used_at = CURRENT_TIMESTAMP, failure_count = 0
+            WHERE id = $1
+        `, [subscription.id]);
+
+        return true;
+    }
+
+    async recordFailure(subscriptionId) {
+        const result = await this.database.query(`
+            UPDATE push_subscriptions SET failure_count = failure_count + 1
+            WHERE id = $1
+            RETURNING failure_count
+        `, [subscriptionId]);
+
+        if (result.rows[0]?.failure_count >= MAX_FAILURES) {
+            await this.database.query('DELETE FROM push_subscriptions WHERE id = $1', [subscriptionId]);
+        }
+    }
+
+    // One signed token per push service, reused until it is about to expire
+    getAuthorization(endpoint, keys) {
+        const audience = new URL(endpoint).origin;
+        const now = Math.floor(Date.now() / 1000);
+
+        const cached = this.authorizations.get(audience);
+        if (cached && cached.expiresAt - now > 60 * 60) {
+            return cached.header;
+        }
+
+        const expiresAt = now + 12 * 60 * 60;
+        const header = webPush.createVapidAuthorization(endpoint, keys, this.subject, expiresAt);
+        this.authorizations.set(audience, { header, expiresAt });
+
+        return header;
+    }
+
+    validateEndpoint(endpoint) {
+        let url;
+        try {
+            url = new URL(endpoint);
+        } catch (error) {
+            throw new PushError('Invalid subscription endpoint', 400, 'INVALID_SUBSCRIPTION');
+        }
+
+        const knownHost = PUSH_SERVICE_HOSTS.some(host => url.hostname === host || url.hostname.endsWith(`.${host}`));
+        if (url.protocol !== 'https:' || !knownHost) {
+            throw new PushError('Unsupported push service', 400, 'INVALID_SUBSCRIPTION');
+        }
+    }
+
+    formatSubscription(row) {
+        return {
+            id: row.id,
+            pushService: new URL(row.endpoint).hostname,
+            userAgent: row.user_agent,
+            sessionId: row.session_id,
+            expiresAt: row.expires_at,
+            createdAt: row.created_at,
+            lastUsedAt: row.last_used_at
+        };
+    }
+}
+
+WebPushService.PushError = PushError;
+
+module.exports = WebPushService;
@@ -0,0 +1,252 @@
+const express = require('express');
+const authMiddleware = require('../middleware/auth');
+
+const router = express.Router();
+
+// Initialize notification service (will be set by main server)
+let notificationService = null;
+let pushService = null;
+
+function setNotificationService(service) {
+    notificationService = service;
+}
+
+function setPushService(service) {
+    pushService = service;
+}
+
+function sendError(res, error) {
+    res.status(error.status || 400).json({
+        success: false,
+        message: error.message,
+        error: error.code
+    });
+}
+
+function requireService(req, res, next) {
+    if (!notificationService) {
+        return res.status(500).json({
+            success: false,
+            message: 'Notification service not initialized'
+        });
+    }
+    next();
+}
+
+function requirePush(req, res, next) {
+    if (!pushService) {
+        return res.status(503).json({
+            success: false,
+            message: 'Push notifications are not available'
+        });
+    }
+    next();
+}
+
+router.use(authMiddleware, requireService);
+
+// ?limit=&offset=&unreadOnly=true&type=mention
+router.get('/', async (req, res) => {
+    try {
+        const result = await notificationService.listNotifications(req.user.id, {
+            limit: req.query.limit,
+            offset: req.query.offset,
+            // unread_only is what the v2 API documented
+            unreadOnly: (req.query.unreadOnly || req.query.unread_only) === 'true',
+            type: req.query.type || null
+        });
+
+        res.json({
+            success: true,
+            ...result
+        });
+
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+router.get('/unread-count', async (req, res) => {
+    try {
+        const unreadCount = await notificationService.getUnreadCount(req.user.id);
+
+        res.json({
+            success: true,
+            unreadCount
+        });
+
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// { chatId } limits it to one chat
+router.put('/read-all', async (req, res) => {
+    try {
+        const result = await notificationService.markAllAsRead(req.user.id, {
+            chatId: req.body.chatId || null
+        });
+
+        res.json({
+            success: true,
+            ...result
+        });
+
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+router.get('/preferences', async (req, res) => {
+    try {
+        const preferences = await notificationService.getPreferences(req.user.id);
+
+        res.json({
+            success: true,
+            preferences
+        });
+
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// { types: { reaction: { enabled: false }, mention: { email: false } }, emailDigest: { enabled, frequency } }
+router.put('/preferences', async (req, res) => {
+    try {
+        const preferences = await notificationService.updatePreferences(req.user.id, {
+            types: req.body.types || {},
+            emailDigest: req.body.emailDigest || null
+        });
+
+        res.json({
+            success: true,
+            preferences
+        });
+
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// { level: 'all' | 'mentions', muted, mutedUntil }
+router.put('/preferences/chats/:chatId', async (req, res) => {
+    try {
+        const chat = await notificationService.updateChatPreferences(req.user.id, req.params.chatId, req.body);
+
+        res.json({
+            success: true,
+            chat
+        });
+
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Web Push, the browser subscribes with this key as applicationServerKey
+router.get('/push/public-key', requirePush, async (req, res) => {
+    try {
+        const publicKey = await pushService.getPublicKey();
+
+        res.json({
+            success: true,
+            publicKey
+        });
+
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+router.get('/push/subscriptions', requirePush, async (req, res) => {
+    try {
+        const subscriptions = await pushService.listSubscriptions(req.user.id);
+
+        res.json({
+            success: true,
+            subscriptions
+        });
+
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// { subscription: PushSubscription.toJSON() }
+router.post('/push/subscriptions', requirePush, async (req, res) => {
+    try {
+        const subscription = await pushService.subscribe(req.user.id, req.body.subscription, {
+            sessionId: req.user.sessionId,
+            userAgent: req.get('user-agent')
+        });
+
+        res.status(201).json({
+            success: true,
+            subscription
+        });
+
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// { endpoint }, what the browser knows about its own subscription
+router.delete('/push/subscriptions', requirePush, async (req, res) => {
+    try {
+        await pushService.unsubscribe(req.user.id, req.body.endpoint);
+
+        res.json({
+            success: true,
+            message: 'Push subscription removed'
+        });
+
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+router.delete('/push/subscriptions/:subscriptionId', requirePush, async (req, res) => {
+    try {
+        await pushService.removeSubscription(req.user.id, req.params.subscriptionId);
+
+        res.json({
+            success: true,
+            message: 'Push subscription removed'
+        });
+
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+router.put('/:notificationId/read', async (req, res) => {
+    try {
+        const result = await notificationService.markAsRead(req.params.notificationId, req.user.id);
+
+        res.json({
+            success: true,
+            message: 'Notification marked as read',
+            ...result
+        });
+
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+router.delete('/:notificationId', async (req, res) => {
+    try {
+        await notificationService.deleteNotification(req.params.notificationId, req.user.id);
+
+        res.json({
+            success: true,
+            message: 'Notification deleted'
+        });
+
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+module.exports = { router, setNotificationService, setPushService };
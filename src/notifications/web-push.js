@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+
+// Web Push message encryption (RFC 8291, aes128gcm from RFC 8188) and
+// VAPID authentication (RFC 8292). Keys are passed around base64url
+// encoded, the way browsers hand them out in PushSubscription.toJSON().
+
+const RECORD_SIZE = 4096;
+// Header (salt, rs, idlen, keyid) plus the AEAD tag and the padding delimiter
+const ENCRYPTION_OVERHEAD = 16 + 4 + 1 + 65 + 16 + 1;
+const MAX_PAYLOAD_BYTES = RECORD_SIZE - ENCRYPTION_OVERHEAD;
+const VAPID_TOKEN_TTL_SECONDS = 12 * 60 * 60;
+
+function hkdf(salt, ikm, info, length) {
+    return Buffer.from(crypto.hkdfSync('sha256', ikm, salt, info, length));
+}
+
+function generateVapidKeys() {
+    const ecdh = crypto.createECDH('prime256v1');
+    ecdh.generateKeys();
+
+    // getPrivateKey() drops leading zero bytes
+    const privateKey = ecdh.getPrivateKey();
+
+    return {
+        publicKey: ecdh.getPublicKey().toString('base64url'),
+        privateKey: Buffer.concat([Buffer.alloc(32 - privateKey.length), privateKey]).toString('base64url')
+    };
+}
+
+// Checks a VAPID pair from the environment before it is used for signing
+function validateVapidKeys({ publicKey, privateKey }) {
+    const publicBytes = Buffer.from(publicKey || '', 'base64url');
+    const privateBytes = Buffer.from(privateKey || '', 'base64url');
+
+    if (publicBytes.length !== 65 || publicBytes[0] !== 0x04) {
+        throw new Error('VAPID public key must be an uncompressed P-256 point (65 bytes, base64url)');
+    }
+
+    if (privateBytes.length !== 32) {
+        throw new Error('VAPID private key must be 32 bytes, base64url');
+    }
+
+    const ecdh = crypto.createECDH('prime256v1');
+    ecdh.setPrivateKey(privateBytes);
+    if (!ecdh.getPublicKey().equals(publicBytes)) {
+        throw new Error('VAPID public key does not belong to the private key');
+    }
+}
+
+// `t=<jwt>, k=<public key>` for the Authorization header of one push service
+function createVapidAuthorization(endpoint, { publicKey, privateKey }, subject, expiresAt = null) {
+    const publicBytes = Buffer.from(publicKey, 'base64url');
+    const key = crypto.createPrivateKey({
+        format: 'jwk',
+        key: {
+            kty: 'EC',
+            crv: 'P-256',
+            d: privateKey,
+            x: publicBytes.subarray(1, 33).toString('base64url'),
+            y: publicBytes.subarray(33, 65).toString('base64url')
+        }
+    });
+
+    const header = Buffer.from(JSON.stringify({ typ: 'JWT', alg: 'ES256' })).toString('base64url');
+    const claims = Buffer.from(JSON.stringify({
+        aud: new URL(endpoint).origin,
+        exp: expiresAt || Math.floor(Date.now() / 1000) + VAPID_TOKEN_TTL_SECONDS,
+        sub: subject
+    })).toString('base64url');
+
+    const signature = crypto.sign('sha256', Buffer.from(`${header}.${claims}`), {
+        key,
+        dsaEncoding: 'ieee-p1363'
+    });
+
+    return `vapid t=${header}.${claims}.${signature.toString('base64url')}, k=${publicKey}`;
+}
+
+// Encrypts one payload for one subscription, the result is the request body
+function encryptPayload(payload, { p256dh, auth }) {
+    const plaintext = Buffer.isBuffer(payload) ? payload : Buffer.from(payload);
+    if (plaintext.length > MAX_PAYLOAD_BYTES) {
+        throw new Error(`Push payload is ${plaintext.length} bytes, the limit is ${MAX_PAYLOAD_BYTES}`);
+    }
+
+    const userAgentPublic = Buffer.from(p256dh, 'base64url');
+    const authSecret = Buffer.from(auth, 'base64url');
+
+    // A fresh key pair per message, its public half travels in the header
+    const ecdh = crypto.createECDH('prime256v1');
+    const serverPublic = ecdh.generateKeys();
+    const sharedSecret = ecdh.computeSecret(userAgentPublic);
+
+    const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), userAgentPublic, serverPublic]);
+    const ikm = hkdf(authSecret, sharedSecret, keyInfo, 32);
+
+    const salt = crypto.randomBytes(16);
+    const contentKey = hkdf(salt, ikm, Buffer.from('Content-Encoding: aes128gcm\0'), 16);
+    const nonce = hkdf(salt, ikm, Buffer.from('Content-Encoding: nonce\0'), 12);
+
+    // Single record, so it ends with the last-record delimiter and no padding
+    const cipher = crypto.createCipheriv('aes-128-gcm', contentKey, nonce);
+    const ciphertext = Buffer.concat([
+        cipher.update(Buffer.concat([plaintext, Buffer.from([0x02])])),
+        cipher.final(),
+        cipher.getAuthTag()
+    ]);
+
+    const header = Buffer.alloc(16 + 4 + 1);
+    salt.copy(header, 0);
+    header.writeUInt32BE(RECORD_SIZE, 16);
+    header.writeUInt8(serverPublic.length, 20);
+
+    return Buffer.concat([header, serverPublic, ciphertext]);
+}
+
+module.exports = {
+    generateVapidKeys,
+    validateVapidKeys,
+    createVapidAuthorization,
+    encryptPayload,
+    MAX_PAYLOAD_BYTES
+};
@@ -3,6 +3,7 @@ const path = require('path');
 const fs = require('fs');
 const { ErrorHandler, ValidationError, NotFoundError, AuthenticationError } = require('../utils/error-handler');
 const uploadMiddleware = require('../middleware/upload');
+const { router: notificationRoutes } = require('../notifications/routes');
 
 /**
  * Minimal Comprehensive API Routes for Talk pAI
@@ -85,8 +86,11 @@ class ComprehensiveAPI {
         // ================================
         this.router.post('/chats/:chatId/typing', this.notImplementedHandler.bind(this));
         this.router.put('/chats/:chatId/read', this.notImplementedHandler.bind(this));
-        this.router.get('/notifications', this.notImplementedHandler.bind(this));
-        this.router.put('/notifications/:notificationId/read', this.notImplementedHandler.bind(this));
+
+        // ================================
+        // NOTIFICATION CENTER (shared with /api/notifications)
+        // ================================
+        this.router.use('/notifications', notificationRoutes);
 
         // ================================
         // PLACEHOLDER ENDPOINTS (Return 501 Not Implemented)
@@ -839,43 +843,6 @@ class ComprehensiveAPI {
         }
     }
 
-    async getNotifications(req, res) {
-        try {
-            const userId = req.user?.id;
-            const { limit = 50, offset = 0, unread_only = false } = req.query;
-
-            const notifications = await this.db.getUserNotifications(userId, {
-                limit: parseInt(limit),
-                offset: parseInt(offset),
-                unread_only: unread_only === 'true'
-            });
-
-            res.json({
-                success: true,
-                notifications,
-                pagination: { limit: parseInt(limit), offset: parseInt(offset) }
-            });
-        } catch (error) {
-            this.handleError(error, req, res);
-        }
-    }
-
-    async markNotificationAsRead(req, res) {
-        try {
-            const { notificationId } = req.params;
-            const userId = req.user?.id;
-
-            await this.db.markNotificationAsRead(notificationId, userId);
-
-            res.json({
-                success: true,
-                message: 'Notification marked as read'
-            });
-        } catch (error) {
-            this.handleError(error, req, res);
-        }
-    }
-
     // ================================
     // FILE MANAGEMENT
     // ================================
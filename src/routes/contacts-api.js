@@ -266,15 +266,26 @@ class ContactsAPI {
                 }
 
                 // Create friend request
-                await this.database.query(`
+                const friendRequest = await this.database.query(`
                     INSERT INTO friend_requests (from_user_id, to_user_id, message)
                     VALUES ($1, $2, $3)
                     ON CONFLICT (from_user_id, to_user_id) DO UPDATE SET
                         message = $3,
                         created_at = CURRENT_TIMESTAMP,
                         status = 'pending'
+                    RETURNING id
                 `, [userId, contactUserId, message]);
 
+                const notifications = req.app.get('notifications');
+                if (notifications) {
+                    notifications.notifyFriendRequest({
+                        requestId: friendRequest.rows[0].id,
+                        fromUserId: userId,
+                        toUserId: contactUserId,
+                        message
+                    }).catch(error => this.logger.error('Friend request notification error:', error));
+                }
+
                 res.json({
                     success: true,
                     message: 'Friend request sent successfully'
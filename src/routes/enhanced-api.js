@@ -1,4 +1,5 @@
 const express = require('express');
+const authMiddleware = require('../middleware/auth');
 
 class EnhancedRoutes {
     constructor(database, logger) {
@@ -123,12 +124,7 @@ class EnhancedRoutes {
         });
 
         // Thread endpoints
-        this.router.post('/messages/:messageId/thread', (req, res) => {
-            res.json({
-                success: true,
-                message: 'Thread created successfully'
-            });
-        });
+        this.router.post('/messages/:messageId/thread', authMiddleware, this.replyInThread.bind(this));
 
         // Status endpoints
         this.router.put('/users/status', (req, res) => {
@@ -160,6 +156,90 @@ class EnhancedRoutes {
         });
     }
 
+    async replyInThread(req, res) {
+        try {
+            const { messageId } = req.params;
+            const { content, messageType = 'text', alsoSendToChannel = false } = req.body;
+
+            if (!content) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Content is required'
+                });
+            }
+
+            const rootResult = await this.database.query(`
+                SELECT m.chat_id
+                FROM messages m
+                JOIN chat_participants cp ON cp.chat_id = m.chat_id
+                WHERE m.id = $1 AND m.is_deleted = false
+                AND cp.user_id = $2 AND cp.left_at IS NULL
+            `, [messageId, req.user.id]);
+
+            if (rootResult.rows.length === 0) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Message not found'
+                });
+            }
+
+            // The app's chat service, the one the notification center and the
+            // knowledge indexer listen on
+            const chatService = req.app.get('chatService');
+            if (!chatService) {
+                return res.status(503).json({
+                    success: false,
+                    error: 'Chat service not initialized'
+                });
+            }
+
+            const chatId = rootResult.rows[0].chat_id;
+            const sendToChannel = alsoSendToChannel === true || alsoSendToChannel === 'true';
+
+            // Same path as socket replies: resolves the thread root and keeps
+            // the reply count and thread participants up to date
+            const reply = await chatService.sendMessage({
+                chatId,
+                senderId: req.user.id,
+                content,
+                messageType,
+                threadRootId: messageId,
+                alsoSendToChannel: sendToChannel
+            });
+            const { thread, ...message } = reply;
+
+            const io = req.app.get('io');
+            if (io) {
+                io.to(`chat-${chatId}`).emit('thread_reply', {
+                    chatId,
+                    threadRootId: thread.rootId,
+                    message,
+                    replyCount: thread.replyCount,
+                    lastReplyAt: thread.lastReplyAt
+                });
+
+                if (sendToChannel) {
+                    io.to(`chat-${chatId}`).emit('new_message', message);
+                }
+            }
+
+            res.status(201).json({
+                success: true,
+                data: {
+                    threadRootId: thread.rootId,
+                    message,
+                    replyCount: thread.replyCount
+                }
+            });
+        } catch (error) {
+            this.logger.error(`Thread reply failed: ${error.message}`);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to reply in thread'
+            });
+        }
+    }
+
     getRouter() {
         return this.router;
     }
@@ -0,0 +1,100 @@
+const OPERATORS = ['from', 'in', 'has', 'before', 'after'];
+const HAS_VALUES = ['file', 'image', 'video', 'audio', 'link', 'reaction'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+class SearchQueryParser {
+  /**
+   * Split a raw search string into free text and operators.
+   * Supported operators: from:@nick, in:#channel, has:file|image|video|audio|link|reaction,
+   * before:YYYY-MM-DD (exclusive), after:YYYY-MM-DD (inclusive).
+   * Quoted phrases stay in the free text and are matched as phrases.
+   * @param {string} raw - Query as typed by the user
+   * @returns {Object} Parsed query with text, filters and validation errors
+   */
+  static parse(raw = '') {
+    const parsed = {
+      text: '',
+      from: [],
+      in: [],
+      has: [],
+      before: null,
+      after: null,
+      errors: []
+    };
+
+    const textParts = [];
+    const tokens = raw.match(/-?[a-zA-Z]+:"[^"]*"|"[^"]*"|\S+/g) || [];
+
+    for (const token of tokens) {
+      const match = token.match(/^([a-zA-Z]+):(.+)$/);
+      const operator = match ? match[1].toLowerCase() : null;
+
+      if (!operator || !OPERATORS.includes(operator)) {
+        textParts.push(token);
+        continue;
+      }
+
+      const value = match[2].replace(/^"|"$/g, '').trim();
+      if (!value) {
+        parsed.errors.push(`Missing value for ${operator}:`);
+        continue;
+      }
+
+      switch (operator) {
+        case 'from':
+          parsed.from.push(value.replace(/^@/, '').toLowerCase());
+          break;
+        case 'in':
+          parsed.in.push(value.replace(/^#/, '').toLowerCase());
+          break;
+        case 'has':
+          if (HAS_VALUES.includes(value.toLowerCase())) {
+            parsed.has.push(value.toLowerCase());
+          } else {
+            parsed.errors.push(`Unsupported has: value "${value}"`);
+          }
+          break;
+        case 'before':
+        case 'after': {
+          const date = SearchQueryParser._parseDate(value);
+          if (date) {
+            parsed[operator] = date;
+          } else {
+            parsed.errors.push(`Invalid date for ${operator}: use YYYY-MM-DD`);
+          }
+          break;
+        }
+      }
+    }
+
+    parsed.text = textParts.join(' ').trim();
+    return parsed;
+  }
+
+  /**
+   * Whether the parsed query narrows results at all
+   * @param {Object} parsed - Result of parse()
+   * @returns {boolean}
+   */
+  static isEmpty(parsed) {
+    return !parsed.text &&
+      parsed.from.length === 0 &&
+      parsed.in.length === 0 &&
+      parsed.has.length === 0 &&
+      !parsed.before &&
+      !parsed.after;
+  }
+
+  static _parseDate(value) {
+    if (!DATE_PATTERN.test(value)) return null;
+
+    // Date rolls impossible days over (2024-02-30 becomes March 1st), so the
+    // value has to survive the round trip
+    const date = new Date(`${value}T00:00:00Z`);
+    if (isNaN(date.getTime())) return null;
+
+    return date.toISOString().slice(0, 10) === value ? date : null;
+  }
+}
+
+module.exports = SearchQueryParser;
@@ -1,5 +1,6 @@
 const express = require('express');
 const SearchService = require('./service');
+const SearchQueryParser = require('./query-parser');
 const authMiddleware = require('../middleware/auth');
 const Logger = require('../utils/enhanced-logger');
 
@@ -29,6 +30,9 @@ class SearchRoutes {
     // Chat/channel search
     this.router.get('/chats', this.searchChats.bind(this));
 
+    // Call transcript and meeting notes search
+    this.router.get('/transcripts', this.searchTranscripts.bind(this));
+
     // Global search
     this.router.get('/global', this.globalSearch.bind(this));
 
@@ -126,12 +130,18 @@ class SearchRoutes {
         return res.status(400).json({ error: 'Search query too long' });
       }
 
+      const parsedQuery = SearchQueryParser.parse(query.trim());
+      if (parsedQuery.errors.length > 0) {
+        return res.status(400).json({ error: parsedQuery.errors[0] });
+      }
+
       const options = {
-        chatId: chat_id ? parseInt(chat_id) : null,
-        workspaceId: workspace_id ? parseInt(workspace_id) : null,
-        messageType,
+        chatId: chat_id || null,
+        workspaceId: workspace_id || null,
+        messageType: message_type || null,
         limit: parseInt(limit),
-        offset: parseInt(offset)
+        offset: parseInt(offset),
+        parsedQuery
       };
 
       const result = await this.searchService.searchMessages(
@@ -203,6 +213,51 @@ class SearchRoutes {
     }
   }
 
+  async searchTranscripts(req, res) {
+    try {
+      const { q: query, chat_id, limit = 20, offset = 0 } = req.query;
+
+      if (!query || query.trim().length === 0) {
+        return res.json({ transcripts: [], total: 0 });
+      }
+
+      if (query.length > 200) {
+        return res.status(400).json({ error: 'Search query too long' });
+      }
+
+      const parsedQuery = SearchQueryParser.parse(query.trim());
+      if (parsedQuery.errors.length > 0) {
+        return res.status(400).json({ error: parsedQuery.errors[0] });
+      }
+
+      const result = await this.searchService.searchTranscripts(
+        query.trim(),
+        req.user.id,
+        {
+          chatId: chat_id || null,
+          limit: parseInt(limit),
+          offset: parseInt(offset),
+          parsedQuery
+        }
+      );
+
+      this.logger.info('Transcript search completed', {
+        userId: req.user.id,
+        query: query.trim(),
+        resultCount: result.transcripts.length
+      });
+
+      res.json(result);
+    } catch (error) {
+      this.logger.error('Transcript search failed', {
+        error: error.message,
+        userId: req.user.id,
+        query: req.query.q
+      });
+      res.status(500).json({ error: 'Transcript search failed' });
+    }
+  }
+
   async globalSearch(req, res) {
     try {
       const { q: query, limit = 20 } = req.query;
@@ -212,7 +267,8 @@ class SearchRoutes {
           users: [],
           messages: [],
           chats: [],
-          total: { users: 0, messages: 0, chats: 0 }
+          transcripts: [],
+          total: { users: 0, messages: 0, chats: 0, transcripts: 0 }
         });
       }
 
@@ -220,10 +276,15 @@ class SearchRoutes {
         return res.status(400).json({ error: 'Search query too long' });
       }
 
+      const parsedQuery = SearchQueryParser.parse(query.trim());
+      if (parsedQuery.errors.length > 0) {
+        return res.status(400).json({ error: parsedQuery.errors[0] });
+      }
+
       const results = await this.searchService.globalSearch(
         query.trim(),
         req.user.id,
-        { limit: parseInt(limit) }
+        { limit: parseInt(limit), parsedQuery }
       );
 
       this.logger.info('Global search completed', {
@@ -1,5 +1,21 @@
 const database = require('../database/optimized-connection');
 const Logger = require('../utils/enhanced-logger');
+const SearchQueryParser = require('./query-parser');
+
+// Control characters never appear in typed text, so they are safe markers
+// to swap for <mark> tags after the snippet has been HTML-escaped
+const HIGHLIGHT_START = '\u0002';
+const HIGHLIGHT_STOP = '\u0003';
+const HEADLINE_OPTIONS = `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_STOP}, MaxWords=35, MinWords=15, MaxFragments=2, FragmentDelimiter=" … "`;
+
+const HAS_CONDITIONS = {
+  file: `(m.message_type IN ('file', 'image', 'video', 'audio') OR EXISTS (SELECT 1 FROM message_attachments ma WHERE ma.message_id = m.id))`,
+  image: `m.message_type = 'image'`,
+  video: `m.message_type = 'video'`,
+  audio: `m.message_type = 'audio'`,
+  link: `m.content ~* 'https?://'`,
+  reaction: `EXISTS (SELECT 1 FROM message_reactions mr WHERE mr.message_id = m.id)`
+};
 
 class SearchService {
   constructor() {
@@ -166,11 +182,12 @@ class SearchService {
   }
 
   /**
-   * Search messages with full-text search
+   * Search messages with ranked full-text search and query operators
+   * (from:@nick, in:#channel, has:file, before:/after: dates, "quoted phrases")
    * @param {string} query - Search query
    * @param {number} userId - Current user ID
    * @param {Object} options - Search options
-   * @returns {Array} Message search results
+   * @returns {Object} Message search results with highlighted snippets
    */
   async searchMessages(query, userId, options = {}) {
     const {
@@ -181,40 +198,54 @@ class SearchService {
       messageType = null
     } = options;
 
-    if (!this.useDatabase) {
+    const parsed = options.parsedQuery || SearchQueryParser.parse(query);
+
+    if (!this.useDatabase || SearchQueryParser.isEmpty(parsed)) {
       return { messages: [], total: 0 };
     }
 
     try {
-      let baseQuery = `
-        SELECT
-          m.id,
-          m.content,
-          m.message_type,
-          m.created_at,
-          m.chat_id,
-          u.nickname,
-          u.avatar,
-          c.name as chat_name,
-          c.type as chat_type,
-          -- Text search ranking
-          ts_rank(ms.search_vector, plainto_tsquery('english', $1)) as rank
-        FROM messages m
-        INNER JOIN message_search ms ON m.id = ms.message_id
-        INNER JOIN users u ON m.user_id = u.id
-        INNER JOIN chats c ON m.chat_id = c.id
-        INNER JOIN chat_participants cp ON c.id = cp.chat_id
-      `;
-
-      const params = [query];
+      const params = [userId];
       let paramIndex = 1;
 
       let whereConditions = [
-        `ms.search_vector @@ plainto_tsquery('english', $1)`,
-        `cp.user_id = $${++paramIndex}`, // User has access to chat
+        `cp.user_id = $1`, // User has access to chat
+        `cp.left_at IS NULL`,
         `m.is_deleted = false`
       ];
-      params.push(userId);
+
+      let tsQuery = null;
+
+      if (parsed.text) {
+        tsQuery = `websearch_to_tsquery('english', $${++paramIndex})`;
+        params.push(parsed.text);
+
+        whereConditions.push(`m.search_vector @@ ${tsQuery}`);
+      }
+
+      if (parsed.from.length > 0) {
+        whereConditions.push(`LOWER(u.nickname) = ANY($${++paramIndex})`);
+        params.push(parsed.from);
+      }
+
+      if (parsed.in.length > 0) {
+        whereConditions.push(`LOWER(c.name) = ANY($${++paramIndex})`);
+        params.push(parsed.in);
+      }
+
+      for (const has of parsed.has) {
+        whereConditions.push(HAS_CONDITIONS[has]);
+      }
+
+      if (parsed.before) {
+        whereConditions.push(`m.created_at < $${++paramIndex}`);
+        params.push(parsed.before);
+      }
+
+      if (parsed.after) {
+        whereConditions.push(`m.created_at >= $${++paramIndex}`);
+        params.push(parsed.after);
+      }
 
       if (chatId) {
         whereConditions.push(`m.chat_id = $${++paramIndex}`);
@@ -231,26 +262,67 @@ class SearchService {
         params.push(messageType);
       }
 
-      baseQuery += ` WHERE ${whereConditions.join(' AND ')}`;
-      baseQuery += ` ORDER BY rank DESC, m.created_at DESC`;
-      baseQuery += ` LIMIT $${++paramIndex} OFFSET $${++paramIndex}`;
+      const fromClause = `
+        FROM messages m
+        INNER JOIN chats c ON m.chat_id = c.id
+        INNER JOIN chat_participants cp ON c.id = cp.chat_id
+        LEFT JOIN users u ON m.sender_id = u.id
+        WHERE ${whereConditions.join(' AND ')}
+      `;
+
+      const countParams = params.slice();
+
+      let rankSql = '0';
+      let snippetSql = 'LEFT(m.content, 200)';
+
+      if (tsQuery) {
+        rankSql = `ts_rank_cd(m.search_vector, ${tsQuery})`;
+        snippetSql = `ts_headline('english', m.content, ${tsQuery}, $${++paramIndex})`;
+        params.push(HEADLINE_OPTIONS);
+      }
+
+      const baseQuery = `
+        SELECT
+          m.id,
+          m.content,
+          m.message_type,
+          m.created_at,
+          m.chat_id,
+          m.sender_id,
+          m.thread_root_id,
+          u.nickname,
+          u.display_name,
+          u.avatar,
+          c.name as chat_name,
+          c.type as chat_type,
+          ${rankSql} as rank,
+          ${snippetSql} as snippet
+        ${fromClause}
+        ORDER BY rank DESC, m.created_at DESC
+        LIMIT $${++paramIndex} OFFSET $${++paramIndex}
+      `;
       params.push(limit, offset);
 
       const [messagesResult, countResult] = await Promise.all([
         database.query(baseQuery, params),
-        database.query(`
-          SELECT COUNT(DISTINCT m.id) as total
-          FROM messages m
-          INNER JOIN message_search ms ON m.id = ms.message_id
-          INNER JOIN chats c ON m.chat_id = c.id
-          INNER JOIN chat_participants cp ON c.id = cp.chat_id
-          WHERE ${whereConditions.slice(0, -2).join(' AND ')}
-        `, params.slice(0, -2))
+        database.query(`SELECT COUNT(DISTINCT m.id) as total ${fromClause}`, countParams)
       ]);
 
       return {
-        messages: messagesResult.rows,
-        total: parseInt(countResult.rows[0].total)
+        messages: messagesResult.rows.map(message => ({
+          ...message,
+          rank: parseFloat(message.rank),
+          snippet: this._formatSnippet(message.snippet)
+        })),
+        total: parseInt(countResult.rows[0].total),
+        filters: {
+          text: parsed.text,
+          from: parsed.from,
+          in: parsed.in,
+          has: parsed.has,
+          before: parsed.before,
+          after: parsed.after
+        }
       };
     } catch (error) {
       this.logger.error('Message search failed', { error: error.message, query });
@@ -258,6 +330,102 @@ class SearchService {
     }
   }
 
+  /**
+   * Search call transcripts and meeting notes the user has access to
+   * @param {string} query - Search query
+   * @param {number} userId - Current user ID
+   * @param {Object} options - Search options
+   * @returns {Object} { transcripts, total }
+   */
+  async searchTranscripts(query, userId, options = {}) {
+    const { chatId = null, limit = 20, offset = 0 } = options;
+    const parsed = options.parsedQuery || SearchQueryParser.parse(query);
+
+    if (!this.useDatabase || !parsed.text) {
+      return { transcripts: [], total: 0 };
+    }
+
+    try {
+      const params = [userId, parsed.text];
+      let paramIndex = 2;
+      const tsQuery = `websearch_to_tsquery('english', $2)`;
+
+      // Participants of the call or members of its chat, as for playback
+      let whereConditions = [
+        `ct.status = 'ready'`,
+        `ct.search_vector @@ ${tsQuery}`,
+        `(EXISTS (SELECT 1 FROM call_participants p WHERE p.call_id = ct.call_log_id AND p.user_id = $1)
+          OR EXISTS (SELECT 1 FROM chat_participants cp WHERE cp.chat_id = ct.chat_id AND cp.user_id = $1 AND cp.left_at IS NULL))`
+      ];
+
+      if (parsed.in.length > 0) {
+        whereConditions.push(`LOWER(c.name) = ANY($${++paramIndex})`);
+        params.push(parsed.in);
+      }
+
+      if (parsed.before) {
+        whereConditions.push(`ct.created_at < $${++paramIndex}`);
+        params.push(parsed.before);
+      }
+
+      if (parsed.after) {
+        whereConditions.push(`ct.created_at >= $${++paramIndex}`);
+        params.push(parsed.after);
+      }
+
+      if (chatId) {
+        whereConditions.push(`ct.chat_id = $${++paramIndex}`);
+        params.push(chatId);
+      }
+
+      const fromClause = `
+        FROM call_transcripts ct
+        LEFT JOIN chats c ON ct.chat_id = c.id
+        LEFT JOIN call_logs cl ON ct.call_log_id = cl.id
+        WHERE ${whereConditions.join(' AND ')}
+      `;
+
+      const countParams = params.slice();
+
+      const baseQuery = `
+        SELECT
+          ct.id,
+          ct.recording_id,
+          ct.chat_id,
+          ct.message_id,
+          ct.summary,
+          ct.created_at,
+          c.name as chat_name,
+          c.type as chat_type,
+          cl.call_type,
+          cl.duration_seconds,
+          ts_rank_cd(ct.search_vector, ${tsQuery}) as rank,
+          ts_headline('english', ct.transcript, ${tsQuery}, $${++paramIndex}) as snippet
+        ${fromClause}
+        ORDER BY rank DESC, ct.created_at DESC
+        LIMIT $${++paramIndex} OFFSET $${++paramIndex}
+      `;
+      params.push(HEADLINE_OPTIONS, limit, offset);
+
+      const [transcriptsResult, countResult] = await Promise.all([
+        database.query(baseQuery, params),
+        database.query(`SELECT COUNT(*) as total ${fromClause}`, countParams)
+      ]);
+
+      return {
+        transcripts: transcriptsResult.rows.map(transcript => ({
+          ...transcript,
+          rank: parseFloat(transcript.rank),
+          snippet: this._formatSnippet(transcript.snippet)
+        })),
+        total: parseInt(countResult.rows[0].total)
+      };
+    } catch (error) {
+      this.logger.error('Transcript search failed', { error: error.message, query });
+      throw error;
+    }
+  }
+
   /**
    * Search channels and chats
    * @param {string} query - Search query
@@ -335,22 +503,27 @@ class SearchService {
    */
   async globalSearch(query, userId, options = {}) {
     const { limit = 20 } = options;
+    const parsed = options.parsedQuery || SearchQueryParser.parse(query);
 
     try {
-      const [users, messages, chats] = await Promise.all([
-        this.searchUsers(query, userId, { limit: Math.ceil(limit * 0.3) }),
-        this.searchMessages(query, userId, { limit: Math.ceil(limit * 0.5) }),
-        this.searchChats(query, userId, { limit: Math.ceil(limit * 0.2) })
+      // Operators only apply to messages; people and chats match the free text
+      const [users, messages, chats, transcripts] = await Promise.all([
+        parsed.text ? this.searchUsers(parsed.text, userId, { limit: Math.ceil(limit * 0.3) }) : [],
+        this.searchMessages(query, userId, { limit: Math.ceil(limit * 0.5), parsedQuery: parsed }),
+        parsed.text ? this.searchChats(parsed.text, userId, { limit: Math.ceil(limit * 0.2) }) : [],
+        this.searchTranscripts(query, userId, { limit: Math.ceil(limit * 0.2), parsedQuery: parsed })
       ]);
 
       return {
         users,
         messages: messages.messages || messages,
         chats,
+        transcripts: transcripts.transcripts,
         total: {
           users: users.length,
           messages: messages.total || messages.length,
-          chats: chats.length
+          chats: chats.length,
+          transcripts: transcripts.total
         }
       };
     } catch (error) {
@@ -378,6 +551,19 @@ class SearchService {
       .slice(0, limit);
   }
 
+  _formatSnippet(snippet) {
+    if (!snippet) return '';
+
+    // Escape stored content, then turn headline markers into <mark> tags
+    return snippet
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(new RegExp(HIGHLIGHT_START, 'g'), '<mark>')
+      .replace(new RegExp(HIGHLIGHT_STOP, 'g'), '</mark>');
+  }
+
   _isUserOnline(lastSeen) {
     if (!lastSeen) return false;
     return (new Date() - new Date(lastSeen)) < 5 * 60 * 1000; // 5 minutes
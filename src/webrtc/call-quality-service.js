@@ -0,0 +1,345 @@
+const database = require('../database/optimized-connection');
+
+const TIMEFRAMES = {
+    '24h': { interval: '1 day', bucket: 'hour' },
+    '7d': { interval: '7 days', bucket: 'day' },
+    '30d': { interval: '30 days', bucket: 'day' },
+    '90d': { interval: '90 days', bucket: 'week' }
+};
+
+// Reported metrics, higherIsWorse drives regression detection
+const METRICS = {
+    packetLoss: { column: 'packet_loss_pct', higherIsWorse: true },
+    jitter: { column: 'jitter_ms', higherIsWorse: true },
+    rtt: { column: 'rtt_ms', higherIsWorse: true },
+    inboundKbps: { column: 'inbound_kbps', higherIsWorse: false },
+    outboundKbps: { column: 'outbound_kbps', higherIsWorse: false }
+};
+
+// A p95 (or p50 for bitrate) this much worse than the previous period is
+// flagged, periods with fewer samples are too noisy to compare
+const REGRESSION_THRESHOLD = 0.25;
+const MIN_REGRESSION_SAMPLES = 30;
+
+const CANDIDATE_TYPES = ['host', 'srflx', 'prflx', 'relay'];
+const QUALITY_LEVELS = ['excellent', 'good', 'fair', 'poor'];
+
+// Stores the stats clients send with `report_call_quality` and aggregates
+// them into per-call, per-user and per-workspace quality reports.
+class CallQualityService {
+    constructor(dbConnection) {
+        this.database = dbConnection || database;
+    }
+
+    // Ingestion
+
+    // Only participants still in the call can report, anything else is dropped
+    async recordSample(callId, userId, quality, stats = {}) {
+        if (!userId) return false;
+
+        const sample = this.normalizeStats(stats);
+
+        const result = await this.database.query(`
+            INSERT INTO call_quality_samples (
+                call_log_id, user_id, quality, packet_loss_pct, jitter_ms, rtt_ms,
+                inbound_kbps, outbound_kbps, candidate_type, relay_protocol
+            )
+            SELECT cl.id, $2, $3, $4, $5, $6, $7, $8, $9, $10
+            FROM call_logs cl
+            JOIN call_participants cp ON cp.call_id = cl.id
+            WHERE cl.call_id = $1
+            AND cp.user_id = $2
+            AND cp.status = 'joined'
+            RETURNING id
+        `, [
+            callId,
+            userId,
+            QUALITY_LEVELS.includes(quality) ? quality : null,
+            sample.packetLoss,
+            sample.jitter,
+            sample.rtt,
+            sample.inboundKbps,
+            sample.outboundKbps,
+            sample.candidateType,
+            sample.relayProtocol
+        ]);
+
+        return result.rows.length > 0;
+    }
+
+    // Clients send raw getStats() values: jitter and RTT in seconds, bitrate
+    // in bits per second, loss as packets over the sampling interval
+    normalizeStats(stats) {
+        const number = (value, max) => {
+            if (value === null || value === undefined || value === '') return null;
+            const parsed = Number(value);
+            return Number.isFinite(parsed) && parsed >= 0 ? Math.min(parsed, max) : null;
+        };
+
+        let packetLoss = number(stats.packetLossPercent, 100);
+        if (packetLoss === null) {
+            const lost = number(stats.packetsLost, Number.MAX_SAFE_INTEGER);
+            const received = number(stats.packetsReceived, Number.MAX_SAFE_INTEGER);
+            if (lost !== null && received !== null && lost + received > 0) {
+                packetLoss = (lost / (lost + received)) * 100;
+            }
+        }
+
+        const round = (value) => value === null ? null : Math.round(value * 100) / 100;
+        const jitter = number(stats.jitter, 60);
+        const rtt = number(stats.roundTripTime, 60);
+        const inbound = number(stats.inboundBitrate, 1e10);
+        const outbound = number(stats.outboundBitrate, 1e10);
+
+        return {
+            packetLoss: round(packetLoss),
+            jitter: round(jitter === null ? null : jitter * 1000),
+            rtt: round(rtt === null ? null : rtt * 1000),
+            inboundKbps: round(inbound === null ? null : inbound / 1000),
+            outboundKbps: round(outbound === null ? null : outbound / 1000),
+            candidateType: CANDIDATE_TYPES.includes(stats.candidateType) ? stats.candidateType : null,
+            relayProtocol: stats.candidateType === 'relay' && typeof stats.relayProtocol === 'string'
+                ? stats.relayProtocol.substring(0, 10)
+                : null
+        };
+    }
+
+    // Reports
+
+    /**
+     * Percentiles for a user's own connection or for all calls in a workspace
+     * @param {Object} scope - { userId } or { workspaceId }
+     * @param {string} timeframe - 24h, 7d, 30d or 90d
+     */
+    async getSummary(scope, timeframe = '30d') {
+        const { interval } = this.getTimeframe(timeframe);
+        const params = [interval];
+        const scopeCondition = this.getScopeCondition(scope, params);
+
+        const result = await this.database.query(`
+            SELECT ${this.getAggregateColumns()}
+            FROM call_quality_samples s
+            JOIN call_logs cl ON cl.id = s.call_log_id
+            WHERE s.sampled_at >= NOW() - $1::interval AND ${scopeCondition}
+        `, params);
+
+        return this.formatAggregate(result.rows[0]);
+    }
+
+    async getWorkspaceReport(workspaceId, userId, timeframe = '30d') {
+        await this.assertWorkspaceAdmin(workspaceId, userId);
+
+        const { interval, bucket } = this.getTimeframe(timeframe);
+        const scope = { workspaceId };
+        const fromClause = `
+            FROM call_quality_samples s
+            JOIN call_logs cl ON cl.id = s.call_log_id
+            JOIN chats c ON c.id = cl.chat_id
+        `;
+        const period = `s.sampled_at >= NOW() - $1::interval AND c.workspace_id = $2`;
+
+        const [summary, previous, timeline, users, calls] = await Promise.all([
+            this.getSummary(scope, timeframe),
+            this.database.query(`
+                SELECT ${this.getAggregateColumns()}
+                ${fromClause}
+                WHERE s.sampled_at >= NOW() - 2 * $1::interval
+                  AND s.sampled_at < NOW() - $1::interval
+                  AND c.workspace_id = $2
+            `, [interval, workspaceId]),
+            this.database.query(`
+                SELECT date_trunc('${bucket}', s.sampled_at) as bucket, ${this.getAggregateColumns()}
+                ${fromClause}
+                WHERE ${period}
+                GROUP BY 1
+                ORDER BY 1 ASC
+            `, [interval, workspaceId]),
+            this.database.query(`
+                SELECT s.user_id, u.nickname, u.display_name, ${this.getAggregateColumns()}
+                ${fromClause}
+                LEFT JOIN users u ON u.id = s.user_id
+                WHERE ${period}
+                GROUP BY s.user_id, u.nickname, u.display_name
+                ORDER BY percentile_cont(0.95) WITHIN GROUP (ORDER BY s.packet_loss_pct) DESC NULLS LAST
+                LIMIT 20
+            `, [interval, workspaceId]),
+            this.database.query(`
+                SELECT cl.call_id, cl.call_type, cl.mode, cl.started_at, cl.duration_seconds,
+                       ${this.getAggregateColumns()}
+                ${fromClause}
+                WHERE ${period}
+                GROUP BY cl.id
+                ORDER BY percentile_cont(0.95) WITHIN GROUP (ORDER BY s.packet_loss_pct) DESC NULLS LAST
+                LIMIT 20
+            `, [interval, workspaceId])
+        ]);
+
+        const previousSummary = this.formatAggregate(previous.rows[0]);
+
+        return {
+            workspaceId,
+            timeframe,
+            bucket,
+            summary,
+            previous: previousSummary,
+            regressions: this.findRegressions(summary, previousSummary),
+            timeline: timeline.rows.map(row => ({
+                bucket: row.bucket,
+                ...this.formatAggregate(row)
+            })),
+            users: users.rows.map(row => ({
+                userId: row.user_id,
+                nickname: row.nickname,
+                displayName: row.display_name,
+                ...this.formatAggregate(row)
+            })),
+            calls: calls.rows.map(row => ({
+                callId: row.call_id,
+                callType: row.call_type,
+                mode: row.mode,
+                startedAt: row.started_at,
+                durationSeconds: row.duration_seconds,
+                ...this.formatAggregate(row)
+            }))
+        };
+    }
+
+    // Per-participant breakdown of a single call
+    async getCallReport(workspaceId, callId, userId) {
+        await this.assertWorkspaceAdmin(workspaceId, userId);
+
+        const result = await this.database.query(`
+            SELECT s.user_id, u.nickname, u.display_name,
+                   MIN(s.sampled_at) as first_sample, MAX(s.sampled_at) as last_sample,
+                   ${this.getAggregateColumns()}
+            FROM call_quality_samples s
+            JOIN call_logs cl ON cl.id = s.call_log_id
+            JOIN chats c ON c.id = cl.chat_id
+            LEFT JOIN users u ON u.id = s.user_id
+            WHERE cl.call_id = $1 AND c.workspace_id = $2
+            GROUP BY s.user_id, u.nickname, u.display_name
+            ORDER BY u.nickname ASC
+        `, [callId, workspaceId]);
+
+        if (result.rows.length === 0) {
+            throw new Error('No quality data for this call');
+        }
+
+        return {
+            callId,
+            participants: result.rows.map(row => ({
+                userId: row.user_id,
+                nickname: row.nickname,
+                displayName: row.display_name,
+                firstSample: row.first_sample,
+                lastSample: row.last_sample,
+                ...this.formatAggregate(row)
+            }))
+        };
+    }
+
+    findRegressions(current, previous) {
+        if (current.samples < MIN_REGRESSION_SAMPLES || previous.samples < MIN_REGRESSION_SAMPLES) {
+            return [];
+        }
+
+        const regressions = [];
+
+        for (const [metric, { higherIsWorse }] of Object.entries(METRICS)) {
+            const percentile = higherIsWorse ? 'p95' : 'p50';
+            const now = current[metric][percentile];
+            const before = previous[metric][percentile];
+            if (now === null || before === null || before === 0) continue;
+
+            const change = (now - before) / before;
+            if (higherIsWorse ? change > REGRESSION_THRESHOLD : change < -REGRESSION_THRESHOLD) {
+                regressions.push({
+                    metric,
+                    percentile,
+                    current: now,
+                    previous: before,
+                    changePercent: Math.round(change * 1000) / 10
+                });
+            }
+        }
+
+        return regressions;
+    }
+
+    // Helpers
+
+    getTimeframe(timeframe) {
+        const config = TIMEFRAMES[timeframe];
+        if (!config) {
+            throw new Error(`Unsupported timeframe: ${timeframe}`);
+        }
+        return config;
+    }
+
+    getScopeCondition(scope, params) {
+        if (scope.workspaceId) {
+            params.push(scope.workspaceId);
+            return `cl.chat_id IN (SELECT id FROM chats WHERE workspace_id = $${params.length})`;
+        }
+        if (scope.userId) {
+            params.push(scope.userId);
+            return `s.user_id = $${params.length}`;
+        }
+        throw new Error('A user or workspace scope is required');
+    }
+
+    getAggregateColumns() {
+        const percentiles = Object.entries(METRICS).map(([metric, { column }]) => `
+            percentile_cont(0.5) WITHIN GROUP (ORDER BY s.${column}) as ${column}_p50,
+            percentile_cont(0.95) WITHIN GROUP (ORDER BY s.${column}) as ${column}_p95`);
+
+        return `
+            COUNT(*) as samples,
+            COUNT(DISTINCT s.call_log_id) as calls,
+            COUNT(DISTINCT s.user_id) as users,
+            COUNT(DISTINCT s.call_log_id) FILTER (WHERE s.candidate_type = 'relay') as relayed_calls,
+            AVG(CASE WHEN s.candidate_type = 'relay' THEN 100.0 ELSE 0 END)
+                FILTER (WHERE s.candidate_type IS NOT NULL) as relay_pct,
+            AVG(CASE WHEN s.quality = 'poor' THEN 100.0 ELSE 0 END)
+                FILTER (WHERE s.quality IS NOT NULL) as poor_pct,
+            ${percentiles.join(',')}
+        `;
+    }
+
+    formatAggregate(row = {}) {
+        const value = (raw) => raw === null || raw === undefined ? null : Math.round(parseFloat(raw) * 100) / 100;
+
+        const formatted = {
+            samples: parseInt(row.samples || 0),
+            calls: parseInt(row.calls || 0),
+            users: parseInt(row.users || 0),
+            relayedCalls: parseInt(row.relayed_calls || 0),
+            relayPercent: value(row.relay_pct),
+            poorPercent: value(row.poor_pct)
+        };
+
+        for (const [metric, { column }] of Object.entries(METRICS)) {
+            formatted[metric] = {
+                p50: value(row[`${column}_p50`]),
+                p95: value(row[`${column}_p95`])
+            };
+        }
+
+        return formatted;
+    }
+
+    async assertWorkspaceAdmin(workspaceId, userId) {
+        const result = await this.database.query(`
+            SELECT role FROM workspace_members
+            WHERE workspace_id = $1 AND user_id = $2 AND status = 'active'
+        `, [workspaceId, userId]);
+
+        if (result.rows.length === 0 || !['admin', 'owner'].includes(result.rows[0].role)) {
+            throw new Error('Workspace admin access required');
+        }
+    }
+}
+
+CallQualityService.TIMEFRAMES = TIMEFRAMES;
+
+module.exports = CallQualityService;
@@ -1,16 +1,30 @@
 const { Pool } = require('pg');
 const crypto = require('crypto');
 const EventEmitter = require('events');
-
+const { createCallStateStore, attachCallStateStore } = require('../../webrtc-server/call-state');
+const CallQualityService = require('./call-quality-service');
+
+const MAX_MESH_PARTICIPANTS = 4;
+
+// Call state (participants, status, user -> call) lives in a call-state store
+// so several instances can serve calls behind a load balancer. Sockets are
+// addressed through the `user-<id>` room joined on authentication, which the
+// store's Socket.IO adapter relays to whichever node holds the socket.
+//
+// Emits 'call_ended' and 'participant_joined' (group calls) on the node that
+// handled them, for features built on top of calls such as recording.
 class WebRTCCallService extends EventEmitter {
-    constructor(io) {
+    constructor(io, store = createCallStateStore()) {
         super();
         this.pool = new Pool({
             connectionString: process.env.DATABASE_URL
         });
         this.io = io;
-        this.activeCalls = new Map(); // callId -> { participants, status, metadata }
-        this.userCalls = new Map(); // userId -> callId
+        this.quality = new CallQualityService(this.pool);
+        this.store = attachCallStateStore(io, store);
+        this.store.init().catch((error) => {
+            console.error('Failed to initialize call state store:', error);
+        });
         this.setupSocketHandlers();
     }
 
@@ -41,32 +55,34 @@ class WebRTCCallService extends EventEmitter {
                         chatId
                     });
 
+                    const callId = call.call_id;
+
                     // Add participants to call
-                    this.activeCalls.set(call.id, {
-                        participants: new Map([
-                            [socket.userId, { socketId: socket.id, status: 'calling' }],
-                            [targetUserId, { socketId: null, status: 'ringing' }]
-                        ]),
+                    await this.store.saveCall(callId, {
+                        participants: {
+                            [socket.userId]: { status: 'calling' },
+                            [targetUserId]: { status: 'ringing' }
+                        },
                         status: 'initiated',
                         callType,
-                        initiatedAt: new Date(),
+                        chatId,
+                        initiatorId: socket.userId,
+                        initiatedAt: new Date().toISOString(),
                         metadata: {}
                     });
 
-                    this.userCalls.set(socket.userId, call.id);
-                    this.userCalls.set(targetUserId, call.id);
+                    await this.store.setUserCall(socket.userId, callId);
+                    await this.store.setUserCall(targetUserId, callId);
 
                     // Join call room
-                    socket.join(`call-${call.id}`);
+                    socket.join(`call-${callId}`);
 
-                    // Find target user's socket and notify
-                    const targetSocket = this.findUserSocket(targetUserId);
-                    if (targetSocket) {
-                        targetSocket.join(`call-${call.id}`);
-                        this.activeCalls.get(call.id).participants.get(targetUserId).socketId = targetSocket.id;
+                    // Notify the target user on whichever node they are connected to
+                    if (await this.isUserOnline(targetUserId)) {
+                        this.io.in(`user-${targetUserId}`).socketsJoin(`call-${callId}`);
 
-                        targetSocket.emit('incoming_call', {
-                            callId: call.id,
+                        this.emitToUser(targetUserId, 'incoming_call', {
+                            callId,
                             from: {
                                 id: socket.userId,
                                 nickname: data.callerInfo?.nickname,
@@ -79,7 +95,7 @@ class WebRTCCallService extends EventEmitter {
 
                         // Start ringing timeout
                         setTimeout(() => {
-                            this.handleCallTimeout(call.id);
+                            this.handleCallTimeout(callId);
                         }, 60000); // 60 seconds timeout
                     } else {
                         // Target user is offline
@@ -87,11 +103,11 @@ class WebRTCCallService extends EventEmitter {
                             error: 'USER_OFFLINE',
                             message: 'Target user is not available'
                         });
-                        await this.endCall(call.id, 'failed');
+                        await this.endCall(callId, 'failed');
                     }
 
                     socket.emit('call_initiated', {
-                        callId: call.id,
+                        callId,
                         status: 'ringing'
                     });
 
@@ -109,9 +125,16 @@ class WebRTCCallService extends EventEmitter {
                     if (!socket.userId) return;
 
                     const { callId } = data;
-                    const call = this.activeCalls.get(callId);
+                    const call = await this.store.updateCall(callId, (state) => {
+                        if (state.mode === 'group' || !state.participants[socket.userId]) return;
+
+                        // Update call status
+                        state.status = 'answered';
+                        state.answeredAt = state.answeredAt || new Date().toISOString();
+                        state.participants[socket.userId].status = 'connected';
+                    });
 
-                    if (!call || !call.participants.has(socket.userId)) {
+                    if (!call || call.mode === 'group' || !call.participants[socket.userId]) {
                         socket.emit('call_error', {
                             error: 'INVALID_CALL',
                             message: 'Call not found or access denied'
@@ -119,11 +142,6 @@ class WebRTCCallService extends EventEmitter {
                         return;
                     }
 
-                    // Update call status
-                    call.status = 'answered';
-                    call.answeredAt = new Date();
-                    call.participants.get(socket.userId).status = 'connected';
-
                     // Update database
                     await this.pool.query(`
                         UPDATE call_logs SET
@@ -181,41 +199,35 @@ class WebRTCCallService extends EventEmitter {
             // WebRTC signaling
             socket.on('webrtc_offer', (data) => {
                 const { callId, offer, targetUserId } = data;
-                const targetSocket = this.findUserSocket(targetUserId);
+                if (!socket.userId || !targetUserId) return;
 
-                if (targetSocket) {
-                    targetSocket.emit('webrtc_offer', {
-                        callId,
-                        offer,
-                        from: socket.userId
-                    });
-                }
+                this.emitToUser(targetUserId, 'webrtc_offer', {
+                    callId,
+                    offer,
+                    from: socket.userId
+                });
             });
 
             socket.on('webrtc_answer', (data) => {
                 const { callId, answer, targetUserId } = data;
-                const targetSocket = this.findUserSocket(targetUserId);
+                if (!socket.userId || !targetUserId) return;
 
-                if (targetSocket) {
-                    targetSocket.emit('webrtc_answer', {
-                        callId,
-                        answer,
-                        from: socket.userId
-                    });
-                }
+                this.emitToUser(targetUserId, 'webrtc_answer', {
+                    callId,
+                    answer,
+                    from: socket.userId
+                });
             });
 
             socket.on('webrtc_ice_candidate', (data) => {
                 const { callId, candidate, targetUserId } = data;
-                const targetSocket = this.findUserSocket(targetUserId);
+                if (!socket.userId || !targetUserId) return;
 
-                if (targetSocket) {
-                    targetSocket.emit('webrtc_ice_candidate', {
-                        callId,
-                        candidate,
-                        from: socket.userId
-                    });
-                }
+                this.emitToUser(targetUserId, 'webrtc_ice_candidate', {
+                    callId,
+                    candidate,
+                    from: socket.userId
+                });
             });
 
             // Call controls
@@ -255,9 +267,9 @@ class WebRTCCallService extends EventEmitter {
                     if (!socket.userId) return;
 
                     const { callId, userIds } = data;
-                    const call = this.activeCalls.get(callId);
+                    const call = await this.store.getCall(callId);
 
-                    if (!call || !call.participants.has(socket.userId)) {
+                    if (!call || !call.participants[socket.userId]) {
                         socket.emit('call_error', {
                             error: 'INVALID_CALL',
                             message: 'Call not found or access denied'
@@ -265,32 +277,46 @@ class WebRTCCallService extends EventEmitter {
                         return;
                     }
 
-                    for (const userId of userIds) {
+                    // A 1:1 mesh does not hold up beyond a handful of peers,
+                    // larger calls go through GroupCallService
+                    const newUserIds = userIds.filter(userId => !call.participants[userId]);
+                    if (call.mode === 'group' ||
+                        Object.keys(call.participants).length + newUserIds.length > MAX_MESH_PARTICIPANTS) {
+                        socket.emit('call_error', {
+                            error: 'GROUP_CALL_REQUIRED',
+                            message: `Calls with more than ${MAX_MESH_PARTICIPANTS} participants must be started as a group call`
+                        });
+                        return;
+                    }
+
+                    for (const userId of newUserIds) {
                         // Check if user is already in call
-                        if (call.participants.has(userId)) continue;
+                        if (call.participants[userId]) continue;
 
                         // Check if user is available
                         const userStatus = await this.getUserCallStatus(userId);
                         if (userStatus.inCall) continue;
 
                         // Add user to call
-                        call.participants.set(userId, { socketId: null, status: 'invited' });
-                        this.userCalls.set(userId, callId);
+                        const updated = await this.store.updateCall(callId, (state) => {
+                            state.participants[userId] = { status: 'invited' };
+                        });
+                        if (!updated) break;
 
-                        // Find user's socket and invite
-                        const userSocket = this.findUserSocket(userId);
-                        if (userSocket) {
-                            userSocket.join(`call-${callId}`);
-                            call.participants.get(userId).socketId = userSocket.id;
+                        await this.store.setUserCall(userId, callId);
 
-                            userSocket.emit('call_invitation', {
+                        // Invite the user on whichever node they are connected to
+                        if (await this.isUserOnline(userId)) {
+                            this.io.in(`user-${userId}`).socketsJoin(`call-${callId}`);
+
+                            this.emitToUser(userId, 'call_invitation', {
                                 callId,
                                 from: {
                                     id: socket.userId,
                                     // Add user info
                                 },
-                                callType: call.callType,
-                                participantCount: call.participants.size
+                                callType: updated.callType,
+                                participantCount: Object.keys(updated.participants).length
                             });
                         }
 
@@ -312,6 +338,8 @@ class WebRTCCallService extends EventEmitter {
             // Call quality reporting
             socket.on('report_call_quality', async (data) => {
                 try {
+                    if (!socket.userId) return;
+
                     const { callId, quality, connectionStats } = data;
 
                     await this.pool.query(`
@@ -321,14 +349,8 @@ class WebRTCCallService extends EventEmitter {
                         AND user_id = $3
                     `, [quality, callId, socket.userId]);
 
-                    // Store detailed stats for analysis
-                    await this.pool.query(`
-                        UPDATE call_logs SET
-                            metadata = metadata || $1
-                        WHERE call_id = $2
-                    `, [JSON.stringify({
-                        [`${socket.userId}_stats`]: connectionStats
-                    }), callId]);
+                    // Store detailed stats for the quality reports
+                    await this.quality.recordSample(callId, socket.userId, quality, connectionStats);
 
                 } catch (error) {
                     console.error('Failed to report call quality:', error);
@@ -337,24 +359,32 @@ class WebRTCCallService extends EventEmitter {
 
             // Handle disconnect during call
             socket.on('disconnect', async () => {
-                if (socket.userId && this.userCalls.has(socket.userId)) {
-                    const callId = this.userCalls.get(socket.userId);
-                    const call = this.activeCalls.get(callId);
+                try {
+                    if (!socket.userId) return;
 
-                    if (call && call.participants.has(socket.userId)) {
-                        // Mark user as disconnected
-                        call.participants.get(socket.userId).status = 'disconnected';
+                    const callId = await this.store.getUserCall(socket.userId);
+                    if (!callId) return;
 
+                    // Mark user as disconnected, group calls handle this themselves
+                    const call = await this.store.updateCall(callId, (state) => {
+                        if (state.mode !== 'group' && state.participants[socket.userId]) {
+                            state.participants[socket.userId].status = 'disconnected';
+                        }
+                    });
+
+                    if (call && call.mode !== 'group' && call.participants[socket.userId]) {
                         // Notify other participants
                         socket.to(`call-${callId}`).emit('participant_disconnected', {
                             userId: socket.userId
                         });
 
                         // If it's a 1-on-1 call, end it
-                        if (call.participants.size === 2) {
+                        if (Object.keys(call.participants).length === 2) {
                             await this.endCall(callId, 'ended', socket.userId);
                         }
                     }
+                } catch (error) {
+                    console.error('Failed to handle call disconnect:', error);
                 }
             });
         });
@@ -388,11 +418,11 @@ class WebRTCCallService extends EventEmitter {
 
     async endCall(callId, reason = 'ended', endedBy = null) {
         try {
-            const call = this.activeCalls.get(callId);
-            if (!call) return;
+            const call = await this.store.getCall(callId);
+            if (!call || call.mode === 'group') return;
 
             const duration = call.answeredAt
-                ? Math.floor((new Date() - call.answeredAt) / 1000)
+                ? Math.floor((Date.now() - new Date(call.answeredAt).getTime()) / 1000)
                 : 0;
 
             // Update database
@@ -406,7 +436,7 @@ class WebRTCCallService extends EventEmitter {
             `, [reason, duration, reason, callId]);
 
             // Update participants
-            for (const [userId, participant] of call.participants) {
+            for (const userId of Object.keys(call.participants)) {
                 await this.pool.query(`
                     UPDATE call_participants SET
                         left_at = CURRENT_TIMESTAMP
@@ -414,7 +444,7 @@ class WebRTCCallService extends EventEmitter {
                     AND user_id = $2
                 `, [callId, userId]);
 
-                this.userCalls.delete(userId);
+                await this.store.clearUserCall(userId, callId);
             }
 
             // Notify all participants
@@ -425,19 +455,13 @@ class WebRTCCallService extends EventEmitter {
                 endedBy
             });
 
+            this.emit('call_ended', { callId, call, reason });
+
             // Clean up
-            this.activeCalls.delete(callId);
-
-            // Leave all sockets from call room
-            const room = this.io.sockets.adapter.rooms.get(`call-${callId}`);
-            if (room) {
-                for (const socketId of room) {
-                    const socket = this.io.sockets.sockets.get(socketId);
-                    if (socket) {
-                        socket.leave(`call-${callId}`);
-                    }
-                }
-            }
+            await this.store.deleteCall(callId);
+
+            // Leave all sockets from call room, on every node
+            this.io.in(`call-${callId}`).socketsLeave(`call-${callId}`);
 
         } catch (error) {
             console.error('Failed to end call:', error);
@@ -445,25 +469,26 @@ class WebRTCCallService extends EventEmitter {
     }
 
     async handleCallTimeout(callId) {
-        const call = this.activeCalls.get(callId);
+        const call = await this.store.getCall(callId);
         if (call && call.status === 'initiated') {
             await this.endCall(callId, 'missed');
         }
     }
 
-    findUserSocket(userId) {
-        for (const [socketId, socket] of this.io.sockets.sockets) {
-            if (socket.userId === userId) {
-                return socket;
-            }
-        }
-        return null;
+    emitToUser(userId, event, data) {
+        this.io.to(`user-${userId}`).emit(event, data);
+    }
+
+    // fetchSockets() goes through the adapter, so this also sees other nodes
+    async isUserOnline(userId) {
+        const sockets = await this.io.in(`user-${userId}`).fetchSockets();
+        return sockets.length > 0;
     }
 
     async getUserCallStatus(userId) {
-        const callId = this.userCalls.get(userId);
+        const callId = await this.store.getUserCall(userId);
         if (callId) {
-            const call = this.activeCalls.get(callId);
+            const call = await this.store.getCall(callId);
             return {
                 inCall: true,
                 callId,
@@ -516,17 +541,18 @@ class WebRTCCallService extends EventEmitter {
     }
 
     async getActiveCall(userId) {
-        const callId = this.userCalls.get(userId);
+        const callId = await this.store.getUserCall(userId);
         if (!callId) return null;
 
-        const call = this.activeCalls.get(callId);
+        const call = await this.store.getCall(callId);
         if (!call) return null;
 
         return {
             callId,
+            mode: call.mode || 'p2p',
             status: call.status,
             callType: call.callType,
-            participants: Array.from(call.participants.entries()).map(([userId, data]) => ({
+            participants: Object.entries(call.participants).map(([userId, data]) => ({
                 userId,
                 status: data.status
             })),
@@ -535,12 +561,25 @@ class WebRTCCallService extends EventEmitter {
         };
     }
 
-    async getCallStatistics(userId, timeframe = '30d') {
+    // Call counts plus connection quality percentiles. Scoped to the user's
+    // own calls, or with { workspaceId } to every call in the workspace for
+    // its admins.
+    async getCallStatistics(userId, timeframe = '30d', { workspaceId = null } = {}) {
         try {
-            const timeCondition = timeframe === '7d' ? "AND cl.started_at >= NOW() - INTERVAL '7 days'" :
+            const timeCondition = timeframe === '24h' ? "AND cl.started_at >= NOW() - INTERVAL '1 day'" :
+                                 timeframe === '7d' ? "AND cl.started_at >= NOW() - INTERVAL '7 days'" :
                                  timeframe === '30d' ? "AND cl.started_at >= NOW() - INTERVAL '30 days'" :
                                  timeframe === '90d' ? "AND cl.started_at >= NOW() - INTERVAL '90 days'" : '';
 
+            let scopeCondition = 'cl.id IN (SELECT call_id FROM call_participants WHERE user_id = $1)';
+            let scopeParam = userId;
+
+            if (workspaceId) {
+                await this.quality.assertWorkspaceAdmin(workspaceId, userId);
+                scopeCondition = 'cl.chat_id IN (SELECT id FROM chats WHERE workspace_id = $1)';
+                scopeParam = workspaceId;
+            }
+
             const result = await this.pool.query(`
                 SELECT
                     COUNT(*) as total_calls,
@@ -552,11 +591,17 @@ class WebRTCCallService extends EventEmitter {
                     COALESCE(AVG(cl.duration_seconds) FILTER (WHERE cl.status = 'answered'), 0) as avg_duration,
                     COALESCE(SUM(cl.duration_seconds) FILTER (WHERE cl.status = 'answered'), 0) as total_duration
                 FROM call_logs cl
-                JOIN call_participants cp ON cl.id = cp.call_id
-                WHERE cp.user_id = $1 ${timeCondition}
-            `, [userId]);
+                WHERE ${scopeCondition} ${timeCondition}
+            `, [scopeParam]);
 
-            return result.rows[0];
+            const quality = CallQualityService.TIMEFRAMES[timeframe]
+                ? await this.quality.getSummary(workspaceId ? { workspaceId } : { userId }, timeframe)
+                : null;
+
+            return {
+                ...result.rows[0],
+                quality
+            };
 
         } catch (error) {
             throw new Error(`Failed to get call statistics: ${error.message}`);
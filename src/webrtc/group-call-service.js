@@ -0,0 +1,842 @@
+const crypto = require('crypto');
+const SfuClient = require('./sfu-client');
+
+// Above this a full mesh costs every client too many uplinks
+const MESH_MAX_PARTICIPANTS = 4;
+// Minimum time an active speaker is kept before switching to someone else
+const ACTIVE_SPEAKER_HOLD_MS = 1500;
+const INVITE_TIMEOUT_MS = 60000;
+
+class GroupCallError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'GroupCallError';
+        this.code = code;
+    }
+}
+
+// Multi-party calls with a room model. The roster lives in the call-state
+// store (shared with WebRTCCallService, so busy checks cover both kinds of
+// call) and is persisted to call_participants.
+//
+// Media goes through an SFU when SFU_URL is set: clients exchange
+// group_call_signal with the SFU only. Without one, clients fall back to a
+// mesh and group_call_signal is relayed peer to peer, capped at
+// MESH_MAX_PARTICIPANTS.
+class GroupCallService {
+    constructor(io, callService, sfu = new SfuClient()) {
+        this.io = io;
+        this.callService = callService;
+        this.store = callService.store;
+        this.pool = callService.pool;
+        this.sfu = sfu;
+        this.maxParticipants = parseInt(process.env.GROUP_CALL_MAX_PARTICIPANTS) || 50;
+        this.activeSpeakers = new Map(); // callId -> { userId, since }, local cache
+        this.setupSocketHandlers();
+        this.setupSfuHandlers();
+    }
+
+    setupSocketHandlers() {
+        this.io.on('connection', (socket) => {
+            this.handle(socket, 'group_call_start', async (data) => {
+                const { chatId = null, callType = 'audio', userIds = [] } = data;
+                const call = await this.startCall(socket, { chatId, callType, userIds });
+                socket.emit('group_call_started', call);
+            });
+
+            this.handle(socket, 'group_call_invite', async (data) => {
+                const { callId, userIds = [] } = data;
+                const call = await this.getGroupCall(callId);
+                this.requireJoined(call, socket.userId);
+
+                const invited = await this.inviteUsers(callId, userIds, socket.userId);
+                socket.emit('group_call_invited', { callId, userIds: invited });
+            });
+
+            this.handle(socket, 'group_call_join', async (data) => {
+                const call = await this.joinCall(socket, data.callId);
+                socket.emit('group_call_joined', call);
+            });
+
+            this.handle(socket, 'group_call_decline', async (data) => {
+                const { callId } = data;
+                const call = await this.store.updateCall(callId, (state) => {
+                    const participant = state.participants[socket.userId];
+                    if (participant && participant.status === 'invited') {
+                        participant.status = 'declined';
+                    }
+                });
+                if (!call) return;
+
+                await this.updateRoster(callId, socket.userId, 'declined');
+                this.io.to(`call-${callId}`).emit('group_call_invite_declined', {
+                    callId,
+                    userId: socket.userId
+                });
+            });
+
+            this.handle(socket, 'group_call_leave', async (data) => {
+                await this.leaveCall(data.callId, socket.userId, 'left');
+            });
+
+            this.handle(socket, 'group_call_raise_hand', async (data) => {
+                const { callId, raised = true } = data;
+                const raisedAt = raised ? new Date().toISOString() : null;
+
+                const call = await this.store.updateCall(callId, (state) => {
+                    const participant = state.participants[socket.userId];
+                    if (participant && participant.status === 'joined') {
+                        participant.handRaisedAt = raisedAt;
+                    }
+                });
+                this.requireJoined(call, socket.userId);
+
+                this.io.to(`call-${callId}`).emit('group_call_hand', {
+                    callId,
+                    userId: socket.userId,
+                    raised: Boolean(raised),
+                    raisedAt
+                });
+            });
+
+            // Client-side voice activity, used when no SFU reports speakers
+            this.handle(socket, 'group_call_speaking', async (data) => {
+                const { callId, speaking } = data;
+                if (!speaking) return;
+                await this.setActiveSpeaker(callId, socket.userId);
+            });
+
+            this.handle(socket, 'group_call_media', async (data) => {
+                const { callId, muted, videoEnabled, screenSharing } = data;
+
+                const call = await this.store.updateCall(callId, (state) => {
+                    const participant = state.participants[socket.userId];
+                    if (!participant || participant.status !== 'joined') return;
+
+                    if (typeof muted === 'boolean') participant.muted = muted;
+                    if (typeof videoEnabled === 'boolean') participant.videoEnabled = videoEnabled;
+                    if (typeof screenSharing === 'boolean') participant.screenSharing = screenSharing;
+                });
+                this.requireJoined(call, socket.userId);
+
+                const participant = call.participants[socket.userId];
+                socket.to(`call-${callId}`).emit('group_call_media_state', {
+                    callId,
+                    userId: socket.userId,
+                    muted: participant.muted,
+                    videoEnabled: participant.videoEnabled,
+                    screenSharing: Boolean(participant.screenSharing)
+                });
+            });
+
+            // Host controls
+            this.handle(socket, 'group_call_mute_all', async (data) => {
+                const { callId } = data;
+                const current = await this.getGroupCall(callId);
+                this.requireHost(current, socket.userId);
+
+                const call = await this.store.updateCall(callId, (state) => {
+                    for (const [userId, participant] of Object.entries(state.participants)) {
+                        if (userId !== String(socket.userId) && participant.status === 'joined') {
+                            participant.muted = true;
+                        }
+                    }
+                });
+                if (!call) return;
+
+                if (call.media === 'sfu') {
+                    const others = this.getJoinedUserIds(call).filter(id => id !== String(socket.userId));
+                    await Promise.all(others.map(userId => this.sfu.mute(callId, userId).catch((error) => {
+                        console.error('Failed to mute SFU peer:', error.message);
+                    })));
+                }
+
+                this.io.to(`call-${callId}`).emit('group_call_muted_by_host', {
+                    callId,
+                    by: socket.userId
+                });
+            });
+
+            this.handle(socket, 'group_call_remove_participant', async (data) => {
+                const { callId, userId } = data;
+                const call = await this.getGroupCall(callId);
+                this.requireHost(call, socket.userId);
+
+                if (String(userId) === String(socket.userId)) {
+                    throw new GroupCallError('INVALID_TARGET', 'Use group_call_leave to leave the call');
+                }
+                if (!call.participants[userId]) {
+                    throw new GroupCallError('NOT_A_PARTICIPANT', 'User is not part of this call');
+                }
+
+                this.callService.emitToUser(userId, 'group_call_removed', {
+                    callId,
+                    by: socket.userId
+                });
+                await this.leaveCall(callId, userId, 'removed');
+            });
+
+            this.handle(socket, 'group_call_end', async (data) => {
+                const { callId } = data;
+                const call = await this.getGroupCall(callId);
+                this.requireHost(call, socket.userId);
+
+                await this.endCall(callId, 'ended', socket.userId);
+            });
+
+            // Offers, answers and ICE candidates, to the SFU or to one peer in mesh mode
+            this.handle(socket, 'group_call_signal', async (data) => {
+                const { callId, targetUserId, description, candidate } = data;
+                const call = await this.getGroupCall(callId);
+                this.requireJoined(call, socket.userId);
+
+                if (call.media === 'sfu') {
+                    const response = await this.sfu.signal(callId, socket.userId, { description, candidate });
+                    if (response.description) {
+                        socket.emit('group_call_signal', {
+                            callId,
+                            from: 'sfu',
+                            description: response.description
+                        });
+                    }
+                    return;
+                }
+
+                const target = call.participants[targetUserId];
+                if (!target || target.status !== 'joined') {
+                    throw new GroupCallError('INVALID_TARGET', 'Target user has not joined the call');
+                }
+
+                this.callService.emitToUser(targetUserId, 'group_call_signal', {
+                    callId,
+                    from: socket.userId,
+                    description,
+                    candidate
+                });
+            });
+
+            socket.on('disconnect', async () => {
+                try {
+                    if (!socket.userId) return;
+
+                    const callId = await this.store.getUserCall(socket.userId);
+                    if (!callId) return;
+
+                    const call = await this.store.getCall(callId);
+                    if (!call || call.mode !== 'group') return;
+
+                    // Still connected from another tab or device
+                    if (await this.callService.isUserOnline(socket.userId)) return;
+
+                    await this.leaveCall(callId, socket.userId, 'left');
+                } catch (error) {
+                    console.error('Failed to handle group call disconnect:', error);
+                }
+            });
+        });
+    }
+
+    setupSfuHandlers() {
+        // Renegotiation started by the SFU, e.g. when a new publisher joins
+        this.sfu.on('signal', ({ roomId, peerId, description, candidate }) => {
+            this.callService.emitToUser(peerId, 'group_call_signal', {
+                callId: roomId,
+                from: 'sfu',
+                description,
+                candidate
+            });
+        });
+
+        this.sfu.on('active_speaker', ({ roomId, peerId }) => {
+            this.setActiveSpeaker(roomId, peerId).catch((error) => {
+                console.error('Failed to update active speaker:', error.message);
+            });
+        });
+
+        this.sfu.on('peer_closed', async ({ roomId, peerId }) => {
+            try {
+                if (await this.callService.isUserOnline(peerId)) return;
+                await this.leaveCall(roomId, peerId, 'left');
+            } catch (error) {
+                console.error('Failed to handle SFU peer close:', error.message);
+            }
+        });
+    }
+
+    // Wraps a socket handler so failures reach the client as group_call_error
+    handle(socket, event, handler) {
+        socket.on(event, async (data = {}) => {
+            try {
+                if (!socket.userId) return;
+                await handler(data);
+            } catch (error) {
+                socket.emit('group_call_error', {
+                    event,
+                    callId: data.callId,
+                    error: error.code || 'GROUP_CALL_FAILED',
+                    message: error.message
+                });
+            }
+        });
+    }
+
+    async startCall(socket, { chatId, callType, userIds }) {
+        const userId = String(socket.userId);
+
+        const status = await this.callService.getUserCallStatus(userId);
+        if (status.inCall) {
+            throw new GroupCallError('USER_BUSY', 'You are already in a call');
+        }
+
+        if (chatId && !(await this.isChatMember(chatId, userId))) {
+            throw new GroupCallError('ACCESS_DENIED', 'You are not a member of this chat');
+        }
+
+        // Without an explicit list everyone in the chat is invited
+        let invitees = userIds.map(String);
+        if (invitees.length === 0 && chatId) {
+            const result = await this.pool.query(`
+                SELECT user_id FROM chat_participants
+                WHERE chat_id = $1 AND left_at IS NULL
+            `, [chatId]);
+            invitees = result.rows.map(row => String(row.user_id));
+        }
+        invitees = [...new Set(invitees)].filter(id => id !== userId);
+
+        if (invitees.length === 0) {
+            throw new GroupCallError('NO_PARTICIPANTS', 'A group call needs at least one other participant');
+        }
+
+        const media = this.sfu.isConfigured ? 'sfu' : 'mesh';
+        const callId = crypto.randomUUID();
+        const now = new Date().toISOString();
+
+        await this.pool.query(`
+            INSERT INTO call_logs (
+                call_id, chat_id, initiator_id, call_type, status, mode, metadata
+            ) VALUES ($1, $2, $3, $4, 'initiated', 'group', $5)
+        `, [callId, chatId, userId, callType, JSON.stringify({ media })]);
+
+        await this.store.saveCall(callId, {
+            mode: 'group',
+            media,
+            callType,
+            chatId,
+            hostId: userId,
+            status: 'initiated',
+            initiatedAt: now,
+            activeSpeakerId: null,
+            participants: {
+                [userId]: this.createParticipant('host', 'joined', callType, now)
+            },
+            metadata: {}
+        });
+        await this.store.setUserCall(userId, callId);
+
+        try {
+            if (media === 'sfu') {
+                await this.sfu.createRoom(callId, { callType, maxParticipants: this.maxParticipants });
+                await this.sfu.join(callId, userId, { role: 'host' });
+            }
+            await this.updateRoster(callId, userId, 'joined', 'host');
+        } catch (error) {
+            await this.endCall(callId, 'failed');
+            throw error;
+        }
+
+        socket.join(`call-${callId}`);
+
+        await this.inviteUsers(callId, invitees, userId);
+
+        return this.serializeCall(callId, await this.store.getCall(callId));
+    }
+
+    // A room nobody has joined yet, for scheduled meetings. The host and
+    // invitees are on the roster as invited (nobody is rung), and chat
+    // members can join as usual. Returns the new callId.
+    async openRoom({ chatId, callType = 'video', hostId, userIds = [], metadata = {} }) {
+        hostId = String(hostId);
+
+        const media = this.sfu.isConfigured ? 'sfu' : 'mesh';
+        const callId = crypto.randomUUID();
+        const now = new Date().toISOString();
+
+        const participants = {};
+        for (const userId of new Set(userIds.map(String))) {
+            participants[userId] = { ...this.createParticipant('participant', 'invited', callType), invitedAt: now };
+        }
+        participants[hostId] = { ...this.createParticipant('host', 'invited', callType), invitedAt: now };
+
+        await this.pool.query(`
+            INSERT INTO call_logs (
+                call_id, chat_id, initiator_id, call_type, status, mode, metadata
+            ) VALUES ($1, $2, $3, $4, 'initiated', 'group', $5)
+        `, [callId, chatId, hostId, callType, JSON.stringify({ media, ...metadata })]);
+
+        await this.store.saveCall(callId, {
+            mode: 'group',
+            media,
+            callType,
+            chatId,
+            hostId,
+            status: 'initiated',
+            initiatedAt: now,
+            activeSpeakerId: null,
+            participants,
+            metadata
+        });
+
+        try {
+            if (media === 'sfu') {
+                await this.sfu.createRoom(callId, { callType, maxParticipants: this.maxParticipants });
+            }
+            for (const [userId, participant] of Object.entries(participants)) {
+                await this.updateRoster(callId, userId, 'invited', participant.role);
+            }
+        } catch (error) {
+            await this.endCall(callId, 'failed');
+            throw error;
+        }
+
+        return callId;
+    }
+
+    // Rings users who are not busy and not already in the roster
+    async inviteUsers(callId, userIds, invitedBy) {
+        const inviter = await this.getUserInfo(invitedBy);
+        const invited = [];
+
+        for (const rawId of userIds) {
+            const userId = String(rawId);
+
+            const status = await this.callService.getUserCallStatus(userId);
+            if (status.inCall) continue;
+
+            let added = false;
+            const call = await this.store.updateCall(callId, (state) => {
+                const existing = state.participants[userId];
+                if (existing && !['left', 'declined', 'missed'].includes(existing.status)) return;
+                const pending = Object.values(state.participants)
+                    .filter(p => ['joined', 'invited'].includes(p.status)).length;
+                if (pending >= this.maxParticipants) return;
+
+                state.participants[userId] = {
+                    ...(existing || this.createParticipant('participant', 'invited', state.callType)),
+                    status: 'invited',
+                    invitedAt: new Date().toISOString()
+                };
+                added = true;
+            });
+            if (!call) break;
+            if (!added) continue;
+
+            await this.updateRoster(callId, userId, 'invited');
+
+            this.callService.emitToUser(userId, 'group_call_invitation', {
+                callId,
+                chatId: call.chatId,
+                callType: call.callType,
+                from: inviter,
+                participantCount: this.getJoinedUserIds(call).length
+            });
+
+            invited.push(userId);
+        }
+
+        if (invited.length > 0) {
+            setTimeout(() => {
+                this.handleInviteTimeout(callId, invited).catch((error) => {
+                    console.error('Failed to expire group call invitations:', error);
+                });
+            }, INVITE_TIMEOUT_MS);
+        }
+
+        return invited;
+    }
+
+    async joinCall(socket, callId) {
+        const userId = String(socket.userId);
+        const current = await this.getGroupCall(callId);
+
+        const existing = current.participants[userId];
+        if (existing && existing.status === 'removed') {
+            throw new GroupCallError('ACCESS_DENIED', 'You were removed from this call');
+        }
+        if (!existing && !(current.chatId && await this.isChatMember(current.chatId, userId))) {
+            throw new GroupCallError('ACCESS_DENIED', 'You are not invited to this call');
+        }
+
+        const activeCallId = await this.store.getUserCall(userId);
+        if (activeCallId && activeCallId !== callId) {
+            throw new GroupCallError('USER_BUSY', 'You are already in another call');
+        }
+
+        const capacity = current.media === 'sfu' ? this.maxParticipants : MESH_MAX_PARTICIPANTS;
+        const now = new Date().toISOString();
+        let full = false;
+
+        const call = await this.store.updateCall(callId, (state) => {
+            const participant = state.participants[userId];
+            if (participant && participant.status === 'joined') return;
+
+            if (this.getJoinedUserIds(state).length >= capacity) {
+                full = true;
+                return;
+            }
+
+            state.participants[userId] = {
+                ...this.createParticipant(participant ? participant.role : 'participant', 'joined', state.callType, now),
+                invitedAt: participant ? participant.invitedAt : undefined
+            };
+
+            if (state.status === 'initiated') {
+                state.status = 'active';
+                state.answeredAt = now;
+            }
+        });
+
+        if (!call) {
+            throw new GroupCallError('INVALID_CALL', 'Call not found');
+        }
+        if (full) {
+            throw new GroupCallError('CALL_FULL', `This call is limited to ${capacity} participants`);
+        }
+
+        await this.store.setUserCall(userId, callId);
+        socket.join(`call-${callId}`);
+
+        if (call.media === 'sfu') {
+            await this.sfu.join(callId, userId, { role: call.participants[userId].role });
+        }
+
+        await this.updateRoster(callId, userId, 'joined', call.participants[userId].role);
+        await this.pool.query(`
+            UPDATE call_logs SET
+                status = 'answered',
+                answered_at = COALESCE(answered_at, CURRENT_TIMESTAMP)
+            WHERE call_id = $1
+        `, [callId]);
+
+        this.callService.emit('participant_joined', { callId, call, userId });
+
+        // In mesh mode existing participants wait for the newcomer's offers
+        socket.to(`call-${callId}`).emit('group_call_participant_joined', {
+            callId,
+            participant: {
+                userId,
+                ...call.participants[userId],
+                ...(await this.getUserInfo(userId))
+            }
+        });
+
+        return this.serializeCall(callId, call);
+    }
+
+    // Covers leaving, being removed and dropping off. Hands the host role to
+    // the longest-present participant and ends the call once nobody is left.
+    async leaveCall(callId, userId, reason = 'left') {
+        userId = String(userId);
+        let previousHostId = null;
+        let wasInCall = false;
+
+        const call = await this.store.updateCall(callId, (state) => {
+            const participant = state.participants[userId];
+            if (!participant || ['left', 'removed', 'declined', 'missed'].includes(participant.status)) return;
+
+            wasInCall = participant.status === 'joined';
+            participant.status = reason;
+            participant.leftAt = new Date().toISOString();
+            participant.handRaisedAt = null;
+
+            if (state.activeSpeakerId === userId) {
+                state.activeSpeakerId = null;
+            }
+
+            if (state.hostId === userId) {
+                previousHostId = userId;
+                const nextHost = this.getJoinedUserIds(state)
+                    .sort((a, b) => state.participants[a].joinedAt.localeCompare(state.participants[b].joinedAt))[0];
+
+                state.hostId = nextHost || null;
+                if (nextHost) {
+                    state.participants[nextHost].role = 'host';
+                }
+                participant.role = 'participant';
+            }
+        });
+
+        if (!call) return;
+
+        await this.store.clearUserCall(userId, callId);
+        this.io.in(`user-${userId}`).socketsLeave(`call-${callId}`);
+        this.activeSpeakers.delete(callId);
+
+        if (wasInCall && call.media === 'sfu') {
+            await this.sfu.leave(callId, userId).catch((error) => {
+                console.error('Failed to leave SFU room:', error.message);
+            });
+        }
+
+        await this.updateRoster(callId, userId, reason);
+
+        this.io.to(`call-${callId}`).emit('group_call_participant_left', {
+            callId,
+            userId,
+            reason
+        });
+
+        if (previousHostId && call.hostId) {
+            await this.updateRoster(callId, call.hostId, 'joined', 'host');
+            this.io.to(`call-${callId}`).emit('group_call_host_changed', {
+                callId,
+                hostId: call.hostId,
+                previousHostId
+            });
+        }
+
+        if (this.getJoinedUserIds(call).length === 0) {
+            await this.endCall(callId, 'ended', userId);
+        }
+    }
+
+    async endCall(callId, reason = 'ended', endedBy = null) {
+        try {
+            const call = await this.store.getCall(callId);
+            if (!call || call.mode !== 'group') return;
+
+            const duration = call.answeredAt
+                ? Math.floor((Date.now() - new Date(call.answeredAt).getTime()) / 1000)
+                : 0;
+            const status = reason === 'failed' ? 'failed' : (call.answeredAt ? 'ended' : 'missed');
+
+            await this.pool.query(`
+                UPDATE call_logs SET
+                    status = $1,
+                    ended_at = CURRENT_TIMESTAMP,
+                    duration_seconds = $2,
+                    ended_reason = $3
+                WHERE call_id = $4
+            `, [status, duration, reason, callId]);
+
+            await this.pool.query(`
+                UPDATE call_participants SET
+                    left_at = COALESCE(left_at, CURRENT_TIMESTAMP),
+                    status = CASE
+                        WHEN status = 'joined' THEN 'left'
+                        WHEN status = 'invited' THEN 'missed'
+                        ELSE status
+                    END
+                WHERE call_id = (SELECT id FROM call_logs WHERE call_id = $1)
+            `, [callId]);
+
+            const payload = { callId, reason, duration, endedBy };
+
+            for (const [userId, participant] of Object.entries(call.participants)) {
+                await this.store.clearUserCall(userId, callId);
+
+                // Invited users are not in the call room yet
+                if (participant.status === 'invited') {
+                    this.callService.emitToUser(userId, 'group_call_ended', payload);
+                }
+            }
+
+            this.io.to(`call-${callId}`).emit('group_call_ended', payload);
+            this.callService.emit('call_ended', { callId, call, reason });
+
+            await this.store.deleteCall(callId);
+            this.io.in(`call-${callId}`).socketsLeave(`call-${callId}`);
+            this.activeSpeakers.delete(callId);
+
+            if (call.media === 'sfu') {
+                await this.sfu.closeRoom(callId).catch((error) => {
+                    console.error('Failed to close SFU room:', error.message);
+                });
+            }
+
+        } catch (error) {
+            console.error('Failed to end group call:', error);
+        }
+    }
+
+    async handleInviteTimeout(callId, userIds) {
+        const expired = [];
+
+        const call = await this.store.updateCall(callId, (state) => {
+            for (const userId of userIds) {
+                const participant = state.participants[userId];
+                if (participant && participant.status === 'invited') {
+                    participant.status = 'missed';
+                    expired.push(userId);
+                }
+            }
+        });
+        if (!call) return;
+
+        for (const userId of expired) {
+            await this.updateRoster(callId, userId, 'missed');
+            this.callService.emitToUser(userId, 'group_call_invitation_expired', { callId });
+        }
+
+        // Nobody picked up
+        if (call.status === 'initiated' && !Object.values(call.participants).some(p => p.status === 'invited')) {
+            await this.endCall(callId, 'missed');
+        }
+    }
+
+    async setActiveSpeaker(callId, userId) {
+        userId = String(userId);
+
+        // Cheap local check before touching the shared store
+        const cached = this.activeSpeakers.get(callId);
+        if (cached && (cached.userId === userId || Date.now() - cached.since < ACTIVE_SPEAKER_HOLD_MS)) {
+            return;
+        }
+
+        let changed = false;
+        const call = await this.store.updateCall(callId, (state) => {
+            const participant = state.participants[userId];
+            if (!participant || participant.status !== 'joined' || state.activeSpeakerId === userId) return;
+
+            const since = state.activeSpeakerSince ? new Date(state.activeSpeakerSince).getTime() : 0;
+            if (state.activeSpeakerId && Date.now() - since < ACTIVE_SPEAKER_HOLD_MS) return;
+
+            state.activeSpeakerId = userId;
+            state.activeSpeakerSince = new Date().toISOString();
+            changed = true;
+        });
+        if (!call) return;
+
+        this.activeSpeakers.set(callId, {
+            userId: call.activeSpeakerId,
+            since: call.activeSpeakerSince ? new Date(call.activeSpeakerSince).getTime() : Date.now()
+        });
+
+        if (changed) {
+            this.io.to(`call-${callId}`).emit('group_call_active_speaker', {
+                callId,
+                userId
+            });
+        }
+    }
+
+    // Keeps call_participants in step with the live roster
+    async updateRoster(callId, userId, status, role = null) {
+        await this.pool.query(`
+            INSERT INTO call_participants (call_id, user_id, role, status, joined_at, left_at)
+            SELECT id, $2, COALESCE($4, 'participant'), $3,
+                CASE WHEN $3 = 'joined' THEN CURRENT_TIMESTAMP END,
+                NULL
+            FROM call_logs WHERE call_id = $1
+            ON CONFLICT (call_id, user_id) DO UPDATE SET
+                status = EXCLUDED.status,
+                role = COALESCE($4, call_participants.role),
+                joined_at = CASE
+                    WHEN EXCLUDED.status = 'joined' AND call_participants.status <> 'joined' THEN CURRENT_TIMESTAMP
+                    ELSE call_participants.joined_at
+                END,
+                left_at = CASE
+                    WHEN EXCLUDED.status IN ('left', 'removed') THEN CURRENT_TIMESTAMP
+                    WHEN EXCLUDED.status = 'joined' THEN NULL
+                    ELSE call_participants.left_at
+                END
+        `, [callId, userId, status, role]);
+    }
+
+    async getGroupCall(callId) {
+        const call = callId ? await this.store.getCall(callId) : null;
+        if (!call || call.mode !== 'group') {
+            throw new GroupCallError('INVALID_CALL', 'Group call not found');
+        }
+        return call;
+    }
+
+    requireJoined(call, userId) {
+        const participant = call && call.participants[userId];
+        if (!participant || participant.status !== 'joined') {
+            throw new GroupCallError('ACCESS_DENIED', 'You have not joined this call');
+        }
+    }
+
+    requireHost(call, userId) {
+        if (call.hostId !== String(userId)) {
+            throw new GroupCallError('HOST_REQUIRED', 'Only the host can do this');
+        }
+    }
+
+    createParticipant(role, status, callType, joinedAt = null) {
+        return {
+            role,
+            status,
+            joinedAt,
+            muted: false,
+            videoEnabled: callType === 'video',
+            screenSharing: false,
+            handRaisedAt: null
+        };
+    }
+
+    getJoinedUserIds(call) {
+        return Object.entries(call.participants)
+            .filter(([, participant]) => participant.status === 'joined')
+            .map(([userId]) => userId);
+    }
+
+    async isChatMember(chatId, userId) {
+        const result = await this.pool.query(`
+            SELECT 1 FROM chat_participants
+            WHERE chat_id = $1 AND user_id = $2 AND left_at IS NULL
+        `, [chatId, userId]);
+        return result.rows.length > 0;
+    }
+
+    async getUserInfo(userId) {
+        const result = await this.pool.query(
+            'SELECT id, nickname, display_name, avatar FROM users WHERE id = $1',
+            [userId]
+        );
+        const user = result.rows[0];
+
+        return user ? {
+            id: user.id,
+            nickname: user.nickname,
+            displayName: user.display_name,
+            avatar: user.avatar
+        } : { id: userId };
+    }
+
+    serializeCall(callId, call) {
+        return {
+            callId,
+            mode: call.mode,
+            media: call.media,
+            callType: call.callType,
+            chatId: call.chatId,
+            hostId: call.hostId,
+            status: call.status,
+            activeSpeakerId: call.activeSpeakerId,
+            recording: call.recording && call.recording.status === 'recording' ? {
+                recordingId: call.recording.id,
+                startedAt: call.recording.startedAt
+            } : null,
+            startedAt: call.initiatedAt,
+            answeredAt: call.answeredAt,
+            maxParticipants: call.media === 'sfu' ? this.maxParticipants : MESH_MAX_PARTICIPANTS,
+            participants: Object.entries(call.participants).map(([userId, participant]) => ({
+                userId,
+                ...participant
+            }))
+        };
+    }
+
+    // API methods
+    async getActiveGroupCall(chatId) {
+        const calls = await this.store.listCalls();
+        const call = calls.find(c => c.mode === 'group' && c.chatId === chatId);
+        return call ? this.serializeCall(call.callId, call) : null;
+    }
+}
+
+GroupCallService.GroupCallError = GroupCallError;
+GroupCallService.MESH_MAX_PARTICIPANTS = MESH_MAX_PARTICIPANTS;
+
+module.exports = GroupCallService;
@@ -0,0 +1,70 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const authMiddleware = require('../middleware/auth');
+const { TurnCredentialIssuer } = require('../../webrtc-server/turn-credentials');
+
+// ICE configuration for the call clients, with TURN REST credentials issued
+// per user (and per call when a callId is given). Each server passes its own
+// call lookup since the two entry points track calls differently.
+class IceRoutes {
+    constructor({ issuer = new TurnCredentialIssuer(), isCallParticipant = null } = {}) {
+        this.router = express.Router();
+        this.issuer = issuer;
+        this.isCallParticipant = isCallParticipant;
+
+        // Keyed by user rather than IP, so users behind one NAT don't share a budget
+        this.limiter = rateLimit({
+            windowMs: 15 * 60 * 1000,
+            max: parseInt(process.env.TURN_CREDENTIAL_RATE_LIMIT, 10) || 30,
+            keyGenerator: (req) => String(req.user.id),
+            standardHeaders: true,
+            legacyHeaders: false,
+            message: { success: false, message: 'Too many ICE configuration requests, please try again later' }
+        });
+
+        if (!this.issuer.isConfigured) {
+            console.warn('⚠️ TURN_SECRET or TURN_URLS not set, ICE config will only include STUN servers');
+        }
+
+        this.initializeRoutes();
+    }
+
+    getRouter() {
+        return this.router;
+    }
+
+    initializeRoutes() {
+        this.router.get('/ice-config', authMiddleware, this.limiter, this.getIceConfig.bind(this));
+    }
+
+    async getIceConfig(req, res) {
+        try {
+            const userId = String(req.user.id);
+            const callId = req.query.callId ? String(req.query.callId) : null;
+
+            if (callId && this.isCallParticipant && !await this.isCallParticipant(callId, userId)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'You are not a participant in this call'
+                });
+            }
+
+            const config = this.issuer.getIceServers(userId, { callId });
+
+            res.set('Cache-Control', 'no-store');
+            res.json({
+                success: true,
+                ...config
+            });
+
+        } catch (error) {
+            console.error('Failed to issue ICE config:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to issue ICE configuration'
+            });
+        }
+    }
+}
+
+module.exports = IceRoutes;
@@ -0,0 +1,185 @@
+const express = require('express');
+const authMiddleware = require('../middleware/auth');
+
+const router = express.Router();
+
+// MediaRecorder chunks are posted as raw bytes
+const rawChunk = express.raw({ type: () => true, limit: '16mb' });
+
+// Initialize recording service (will be set by main server)
+let recordingService = null;
+let transcriptService = null;
+
+function setRecordingService(service) {
+    recordingService = service;
+}
+
+function setTranscriptService(service) {
+    transcriptService = service;
+}
+
+function sendError(res, error) {
+    res.status(error.status || 400).json({
+        success: false,
+        message: error.message,
+        error: error.code,
+        ...(error.offset !== undefined ? { offset: error.offset } : {})
+    });
+}
+
+function requireService(req, res, next) {
+    if (!recordingService) {
+        return res.status(500).json({
+            success: false,
+            message: 'Recording service not initialized'
+        });
+    }
+    next();
+}
+
+// Open (or resume) one of the current user's tracks for a recording, body
+// { mimeType, purpose: 'playback' | 'transcription' }
+router.post('/:recordingId/tracks', authMiddleware, requireService, async (req, res) => {
+    try {
+        const track = await recordingService.openTrack(
+            req.params.recordingId,
+            req.user.id,
+            req.body.mimeType,
+            req.body.purpose
+        );
+
+        res.json({
+            success: true,
+            track
+        });
+
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Upload progress, used to resume after a dropped connection
+router.get('/:recordingId/tracks/:trackId', authMiddleware, requireService, async (req, res) => {
+    try {
+        const track = await recordingService.getTrack(req.params.recordingId, req.params.trackId, req.user.id);
+
+        res.json({
+            success: true,
+            track: recordingService.formatTrack(track)
+        });
+
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Append a chunk: PUT /:recordingId/tracks/:trackId/chunks?offset=<bytes already uploaded>
+router.put('/:recordingId/tracks/:trackId/chunks', authMiddleware, requireService, rawChunk, async (req, res) => {
+    try {
+        const offset = parseInt(req.query.offset, 10);
+
+        if (!Number.isInteger(offset) || offset < 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'A valid offset is required'
+            });
+        }
+
+        if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Chunk is empty'
+            });
+        }
+
+        const track = await recordingService.appendChunk(
+            req.params.recordingId,
+            req.params.trackId,
+            req.user.id,
+            offset,
+            req.body
+        );
+
+        res.json({
+            success: true,
+            track
+        });
+
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+router.post('/:recordingId/tracks/:trackId/complete', authMiddleware, requireService, async (req, res) => {
+    try {
+        const track = await recordingService.completeTrack(req.params.recordingId, req.params.trackId, req.user.id);
+
+        res.json({
+            success: true,
+            track
+        });
+
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Recording details with short-lived playback URLs
+router.get('/:recordingId', authMiddleware, requireService, async (req, res) => {
+    try {
+        const recording = await recordingService.getRecording(req.params.recordingId, req.user.id);
+
+        res.json({
+            success: true,
+            recording
+        });
+
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Speaker-attributed transcript and meeting notes
+router.get('/:recordingId/transcript', authMiddleware, requireService, async (req, res) => {
+    try {
+        if (!transcriptService) {
+            return res.status(500).json({
+                success: false,
+                message: 'Transcript service not initialized'
+            });
+        }
+
+        const transcript = await transcriptService.getTranscript(req.params.recordingId, req.user.id);
+
+        res.json({
+            success: true,
+            transcript
+        });
+
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Streams a track. Authorized by the signed URL from the route above so it
+// works as a media element src, range requests are handled by sendFile.
+router.get('/:recordingId/tracks/:trackId/media', requireService, async (req, res) => {
+    try {
+        const track = await recordingService.getPlaybackTrack(
+            req.params.recordingId,
+            req.params.trackId,
+            req.query.expires,
+            req.query.signature
+        );
+
+        res.type(track.mime_type.split(';')[0]);
+        res.sendFile(track.file_path, {
+            headers: { 'Cache-Control': 'private, max-age=3600' }
+        });
+
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+module.exports = { router, setRecordingService, setTranscriptService };
@@ -0,0 +1,711 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+
+const CONSENT_TIMEOUT_MS = 30000;
+// Clients flush their last chunks after a stop, tracks still uploading after
+// this are finalized with whatever arrived
+const FINALIZE_GRACE_MS = 120000;
+const PLAYBACK_URL_TTL_SECONDS = 3600;
+const MAX_TRACK_BYTES = 2 * 1024 * 1024 * 1024;
+
+const TRACK_EXTENSIONS = {
+    'audio/webm': '.webm',
+    'video/webm': '.webm',
+    'audio/ogg': '.ogg',
+    'audio/mp4': '.m4a',
+    'video/mp4': '.mp4'
+};
+
+const TRACK_PURPOSES = ['playback', 'transcription'];
+
+class RecordingError extends Error {
+    constructor(message, status = 400, code = 'RECORDING_FAILED') {
+        super(message);
+        this.name = 'RecordingError';
+        this.status = status;
+        this.code = code;
+    }
+}
+
+// Consent-gated call recording. The host asks, every active participant has
+// to agree, then each client records its own outgoing stream with
+// MediaRecorder and uploads the chunks through the resumable track endpoints
+// (see recording-routes.js). Nobody uploads media of someone else, so a
+// participant who never consented is never recorded.
+//
+// Recording state for a live call is kept on the call in the call-state
+// store (call.recording), the durable record is call_recordings with a
+// playback track per participant in call_recording_tracks. Clients that can
+// also upload an audio-only 'transcription' track, which is what the
+// transcript service sends to speech-to-text instead of the full video.
+//
+// Emits 'recording_ready' { recording, tracks, transcriptionTracks } once a
+// recording has been finalized and posted, on the node that finalized it.
+class CallRecordingService extends EventEmitter {
+    constructor(io, callService, chatService, { storageDir = process.env.RECORDINGS_DIR } = {}) {
+        super();
+        this.io = io;
+        this.callService = callService;
+        this.chatService = chatService;
+        this.store = callService.store;
+        this.pool = callService.pool;
+        // Kept out of /uploads, which is served without authentication
+        this.storageDir = path.resolve(storageDir || path.join(__dirname, '../../storage/recordings'));
+        this.urlSecret = process.env.RECORDING_URL_SECRET || process.env.JWT_SECRET;
+        this.setupSocketHandlers();
+        this.setupCallHooks();
+    }
+
+    setupSocketHandlers() {
+        this.io.on('connection', (socket) => {
+            this.handle(socket, 'recording_start', async (data) => {
+                await this.startRecording(data.callId, String(socket.userId));
+            });
+
+            this.handle(socket, 'recording_consent', async (data) => {
+                const { callId, recordingId, granted } = data;
+                await this.recordConsent(callId, recordingId, String(socket.userId), Boolean(granted));
+            });
+
+            this.handle(socket, 'recording_stop', async (data) => {
+                const call = await this.getCall(data.callId);
+                const recording = call.recording;
+
+                if (!recording || !['pending_consent', 'recording'].includes(recording.status)) {
+                    throw new RecordingError('This call is not being recorded', 409, 'NOT_RECORDING');
+                }
+                if (this.getHostId(call) !== String(socket.userId) && recording.startedBy !== String(socket.userId)) {
+                    throw new RecordingError('Only the host can stop the recording', 403, 'HOST_REQUIRED');
+                }
+
+                await this.stopRecording(data.callId, socket.userId);
+            });
+        });
+    }
+
+    setupCallHooks() {
+        this.callService.on('call_ended', ({ callId, call }) => {
+            if (!call.recording || !['pending_consent', 'recording'].includes(call.recording.status)) return;
+
+            this.closeRecording(callId, call, null).catch((error) => {
+                console.error('Failed to stop recording at call end:', error);
+            });
+        });
+
+        // Late joiners are not recorded until they agree as well
+        this.callService.on('participant_joined', ({ callId, call, userId }) => {
+            if (!call.recording || call.recording.status !== 'recording') return;
+
+            this.callService.emitToUser(userId, 'recording_consent_request', {
+                callId,
+                recordingId: call.recording.id,
+                requestedBy: call.recording.startedBy,
+                inProgress: true
+            });
+        });
+    }
+
+    // Wraps a socket handler so failures reach the client as recording_error
+    handle(socket, event, handler) {
+        socket.on(event, async (data = {}) => {
+            try {
+                if (!socket.userId) return;
+                await handler(data);
+            } catch (error) {
+                socket.emit('recording_error', {
+                    event,
+                    callId: data.callId,
+                    error: error.code || 'RECORDING_FAILED',
+                    message: error.message
+                });
+            }
+        });
+    }
+
+    async startRecording(callId, userId) {
+        const call = await this.getCall(callId);
+
+        if (this.getHostId(call) !== userId) {
+            throw new RecordingError('Only the host can start a recording', 403, 'HOST_REQUIRED');
+        }
+        if (!call.answeredAt) {
+            throw new RecordingError('The call has not been answered yet', 409, 'CALL_NOT_ACTIVE');
+        }
+        if (call.recording && ['pending_consent', 'recording'].includes(call.recording.status)) {
+            throw new RecordingError('This call is already being recorded', 409, 'ALREADY_RECORDING');
+        }
+
+        const required = this.getActiveParticipantIds(call);
+        const recordingId = crypto.randomUUID();
+        const consents = { [userId]: true };
+
+        await this.pool.query(`
+            INSERT INTO call_recordings (id, call_log_id, chat_id, started_by, status, consents)
+            VALUES ($1, (SELECT id FROM call_logs WHERE call_id = $2), $3, $4, 'pending_consent', $5)
+        `, [recordingId, callId, call.chatId || null, userId, JSON.stringify(consents)]);
+
+        let conflict = false;
+        const updated = await this.store.updateCall(callId, (state) => {
+            if (state.recording && ['pending_consent', 'recording'].includes(state.recording.status)) {
+                conflict = true;
+                return;
+            }
+
+            state.recording = {
+                id: recordingId,
+                status: 'pending_consent',
+                startedBy: userId,
+                required,
+                consents,
+                requestedAt: new Date().toISOString()
+            };
+        });
+
+        if (!updated || conflict) {
+            await this.pool.query(`UPDATE call_recordings SET status = 'cancelled' WHERE id = $1`, [recordingId]);
+            throw new RecordingError('This call is already being recorded', 409, 'ALREADY_RECORDING');
+        }
+
+        // The host asked, so only the others are prompted
+        if (required.every(id => consents[id])) {
+            await this.activateRecording(callId, recordingId);
+            return;
+        }
+
+        for (const participantId of required) {
+            if (participantId === userId) continue;
+
+            this.callService.emitToUser(participantId, 'recording_consent_request', {
+                callId,
+                recordingId,
+                requestedBy: userId
+            });
+        }
+
+        this.broadcastState(updated, {
+            callId,
+            recordingId,
+            status: 'pending_consent',
+            requestedBy: userId
+        });
+
+        setTimeout(() => {
+            this.handleConsentTimeout(callId, recordingId).catch((error) => {
+                console.error('Failed to expire recording consent:', error);
+            });
+        }, CONSENT_TIMEOUT_MS);
+    }
+
+    async recordConsent(callId, recordingId, userId, granted) {
+        let previousStatus = null;
+
+        const call = await this.store.updateCall(callId, (state) => {
+            const recording = state.recording;
+            if (!recording || recording.id !== recordingId) return;
+            if (!['pending_consent', 'recording'].includes(recording.status)) return;
+
+            previousStatus = recording.status;
+            recording.consents[userId] = granted;
+
+            if (recording.status === 'pending_consent' && !granted) {
+                recording.status = 'cancelled';
+                recording.declinedBy = userId;
+            }
+        });
+
+        if (!call || !previousStatus) {
+            throw new RecordingError('Recording not found', 404, 'INVALID_RECORDING');
+        }
+
+        const recording = call.recording;
+
+        await this.pool.query(`
+            UPDATE call_recordings SET
+                consents = $2,
+                status = $3,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1
+        `, [recordingId, JSON.stringify(recording.consents), recording.status]);
+
+        if (recording.status === 'cancelled') {
+            this.broadcastState(call, {
+                callId,
+                recordingId,
+                status: 'cancelled',
+                reason: 'consent_declined',
+                declinedBy: userId
+            });
+            return;
+        }
+
+        if (previousStatus === 'recording') {
+            // Someone who joined mid-recording
+            if (granted) {
+                this.callService.emitToUser(userId, 'recording_state', this.getRecordingState(callId, recording));
+            }
+            return;
+        }
+
+        if (recording.required.every(id => recording.consents[id])) {
+            await this.activateRecording(callId, recordingId);
+        }
+    }
+
+    async activateRecording(callId, recordingId) {
+        const startedAt = new Date().toISOString();
+
+        const call = await this.store.updateCall(callId, (state) => {
+            if (state.recording && state.recording.id === recordingId && state.recording.status === 'pending_consent') {
+                state.recording.status = 'recording';
+                state.recording.startedAt = startedAt;
+            }
+        });
+        if (!call || call.recording.startedAt !== startedAt) return;
+
+        await this.pool.query(`
+            UPDATE call_recordings SET
+                status = 'recording',
+                started_at = CURRENT_TIMESTAMP,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1
+        `, [recordingId]);
+
+        this.broadcastState(call, this.getRecordingState(callId, call.recording));
+    }
+
+    async handleConsentTimeout(callId, recordingId) {
+        let expired = false;
+        const call = await this.store.updateCall(callId, (state) => {
+            if (state.recording && state.recording.id === recordingId && state.recording.status === 'pending_consent') {
+                state.recording.status = 'cancelled';
+                expired = true;
+            }
+        });
+        if (!call || !expired) return;
+
+        await this.pool.query(`
+            UPDATE call_recordings SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND status = 'pending_consent'
+        `, [recordingId]);
+
+        this.broadcastState(call, {
+            callId,
+            recordingId,
+            status: 'cancelled',
+            reason: 'consent_timeout'
+        });
+    }
+
+    async stopRecording(callId, stoppedBy) {
+        const call = await this.store.updateCall(callId, (state) => {
+            const recording = state.recording;
+            if (recording && ['pending_consent', 'recording'].includes(recording.status)) {
+                recording.status = recording.status === 'recording' ? 'stopped' : 'cancelled';
+                recording.stoppedAt = new Date().toISOString();
+            }
+        });
+        if (!call || !call.recording) return;
+
+        await this.closeRecording(callId, call, stoppedBy);
+    }
+
+    // Shared by an explicit stop and the call ending
+    async closeRecording(callId, call, stoppedBy) {
+        const recording = call.recording;
+        const wasRecording = recording.status === 'recording' || recording.status === 'stopped';
+
+        if (wasRecording) {
+            await this.pool.query(`
+                UPDATE call_recordings SET
+                    status = 'processing',
+                    stopped_at = CURRENT_TIMESTAMP,
+                    duration_seconds = GREATEST(0, EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - started_at))::INTEGER),
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1 AND status = 'recording'
+            `, [recording.id]);
+
+            setTimeout(() => {
+                this.finalizeRecording(recording.id, { force: true }).catch((error) => {
+                    console.error('Failed to finalize recording:', error);
+                });
+            }, FINALIZE_GRACE_MS);
+        } else {
+            await this.pool.query(`
+                UPDATE call_recordings SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1 AND status = 'pending_consent'
+            `, [recording.id]);
+        }
+
+        this.broadcastState(call, {
+            callId,
+            recordingId: recording.id,
+            status: wasRecording ? 'stopped' : 'cancelled',
+            stoppedBy
+        });
+    }
+
+    // Tracks
+
+    async openTrack(recordingId, userId, mimeType, purpose = 'playback') {
+        const recording = await this.getRecordingRow(recordingId);
+
+        if (!['recording', 'processing'].includes(recording.status)) {
+            throw new RecordingError('Recording is not accepting uploads', 409, 'NOT_RECORDING');
+        }
+        if (recording.consents[userId] !== true) {
+            throw new RecordingError('You have not consented to this recording', 403, 'CONSENT_REQUIRED');
+        }
+
+        const baseType = String(mimeType || '').split(';')[0].trim().toLowerCase();
+        const extension = TRACK_EXTENSIONS[baseType];
+        if (!extension) {
+            throw new RecordingError(`Unsupported recording format: ${mimeType}`, 415, 'UNSUPPORTED_FORMAT');
+        }
+        if (!TRACK_PURPOSES.includes(purpose)) {
+            throw new RecordingError(`Unknown track purpose: ${purpose}`, 400, 'INVALID_TRACK');
+        }
+        if (purpose === 'transcription' && !baseType.startsWith('audio/')) {
+            throw new RecordingError('Transcription tracks must be audio only', 415, 'UNSUPPORTED_FORMAT');
+        }
+
+        const trackId = crypto.randomUUID();
+        const filePath = path.join(this.storageDir, recordingId, `${trackId}${extension}`);
+
+        // Opening again returns the existing track and its offset, which is
+        // how a client resumes after a reload or a dropped connection
+        const result = await this.pool.query(`
+            INSERT INTO call_recording_tracks (id, recording_id, user_id, purpose, mime_type, file_path)
+            VALUES ($1, $2, $3, $4, $5, $6)
+            ON CONFLICT (recording_id, user_id, purpose) DO UPDATE SET
+                updated_at = CURRENT_TIMESTAMP
+            RETURNING *
+        `, [trackId, recordingId, userId, purpose, mimeType, filePath]);
+
+        const track = result.rows[0];
+        await fs.mkdir(path.dirname(track.file_path), { recursive: true });
+
+        return this.formatTrack(track);
+    }
+
+    async getTrack(recordingId, trackId, userId) {
+        const result = await this.pool.query(`
+            SELECT * FROM call_recording_tracks
+            WHERE id = $1 AND recording_id = $2 AND user_id = $3
+        `, [trackId, recordingId, userId]);
+
+        if (result.rows.length === 0) {
+            throw new RecordingError('Track not found', 404, 'INVALID_TRACK');
+        }
+
+        return result.rows[0];
+    }
+
+    // Appends a chunk at the given byte offset. A mismatch means the client
+    // and server disagree about what arrived, the 409 carries the server's
+    // offset so the client can continue from there.
+    async appendChunk(recordingId, trackId, userId, offset, chunk) {
+        const track = await this.getTrack(recordingId, trackId, userId);
+        const received = Number(track.bytes_received);
+
+        if (track.status !== 'uploading') {
+            throw new RecordingError('Track is already complete', 409, 'TRACK_COMPLETE');
+        }
+        if (offset !== received) {
+            const error = new RecordingError(`Expected offset ${received}`, 409, 'OFFSET_MISMATCH');
+            error.offset = received;
+            throw error;
+        }
+        if (received + chunk.length > MAX_TRACK_BYTES) {
+            throw new RecordingError('Recording track is too large', 413, 'TRACK_TOO_LARGE');
+        }
+
+        // Drop bytes written by a request that failed before it was counted
+        const size = await fs.stat(track.file_path).then(stat => stat.size).catch(() => 0);
+        if (size > received) {
+            await fs.truncate(track.file_path, received);
+        }
+
+        await fs.appendFile(track.file_path, chunk);
+
+        const result = await this.pool.query(`
+            UPDATE call_recording_tracks SET
+                bytes_received = bytes_received + $3,
+                chunk_count = chunk_count + 1,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND bytes_received = $2
+            RETURNING *
+        `, [trackId, received, chunk.length]);
+
+        if (result.rows.length === 0) {
+            throw new RecordingError('Concurrent upload to the same track', 409, 'OFFSET_MISMATCH');
+        }
+
+        return this.formatTrack(result.rows[0]);
+    }
+
+    async completeTrack(recordingId, trackId, userId) {
+        await this.getTrack(recordingId, trackId, userId);
+
+        const result = await this.pool.query(`
+            UPDATE call_recording_tracks SET
+                status = 'complete',
+                completed_at = CURRENT_TIMESTAMP,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND status = 'uploading'
+            RETURNING *
+        `, [trackId]);
+
+        const track = result.rows[0] || await this.getTrack(recordingId, trackId, userId);
+
+        await this.finalizeRecording(recordingId);
+
+        return this.formatTrack(track);
+    }
+
+    // Posts the recording into the call's chat once every consenting
+    // participant's track is in, or when the grace period runs out
+    async finalizeRecording(recordingId, { force = false } = {}) {
+        const recording = await this.getRecordingRow(recordingId);
+        if (recording.status !== 'processing') return null;
+
+        const tracksResult = await this.pool.query(
+            'SELECT * FROM call_recording_tracks WHERE recording_id = $1 ORDER BY created_at ASC',
+            [recordingId]
+        );
+        const tracks = tracksResult.rows;
+        const playbackTracks = tracks.filter(track => track.purpose === 'playback');
+
+        if (!force) {
+            const consented = Object.keys(recording.consents).filter(id => recording.consents[id] === true);
+            const done = tracks.filter(track => track.status === 'complete');
+            if (done.length < tracks.length || playbackTracks.length < consented.length) return null;
+        }
+
+        await this.pool.query(`
+            UPDATE call_recording_tracks SET status = 'incomplete', updated_at = CURRENT_TIMESTAMP
+            WHERE recording_id = $1 AND status = 'uploading'
+        `, [recordingId]);
+
+        const playable = playbackTracks.filter(track => Number(track.bytes_received) > 0);
+        const transcriptionTracks = tracks.filter(track =>
+            track.purpose === 'transcription' && Number(track.bytes_received) > 0
+        );
+
+        // Claim the recording so a single node posts the message
+        const claim = await this.pool.query(`
+            UPDATE call_recordings SET
+                status = $2,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND status = 'processing'
+            RETURNING *
+        `, [recordingId, playable.length > 0 ? 'ready' : 'failed']);
+
+        if (claim.rows.length === 0 || playable.length === 0) return null;
+
+        await this.pool.query(
+            'UPDATE call_logs SET recording_id = $1 WHERE id = $2',
+            [recordingId, recording.call_log_id]
+        );
+
+        if (recording.chat_id && this.chatService) {
+            try {
+                const message = await this.chatService.sendMessage({
+                    chatId: recording.chat_id,
+                    senderId: recording.started_by,
+                    content: 'Call recording',
+                    messageType: 'call',
+                    metadata: {
+                        callRecording: {
+                            recordingId,
+                            callId: recording.call_id,
+                            durationSeconds: recording.duration_seconds,
+                            tracks: playable.map(track => ({
+                                trackId: track.id,
+                                userId: track.user_id,
+                                mimeType: track.mime_type
+                            }))
+                        }
+                    }
+                });
+
+                this.chatService.broadcastMessage(message);
+
+                await this.pool.query(
+                    'UPDATE call_recordings SET message_id = $1 WHERE id = $2',
+                    [message.id, recordingId]
+                );
+            } catch (error) {
+                console.error('Failed to post call recording to chat:', error.message);
+            }
+        }
+
+        this.emit('recording_ready', {
+            recording: { ...claim.rows[0], call_id: recording.call_id },
+            tracks: playable,
+            transcriptionTracks
+        });
+
+        return claim.rows[0];
+    }
+
+    // Playback
+
+    async getRecording(recordingId, userId) {
+        const recording = await this.getRecordingRow(recordingId);
+
+        if (!(await this.canAccessRecording(recording, userId))) {
+            throw new RecordingError('Access denied', 403, 'ACCESS_DENIED');
+        }
+
+        const tracks = await this.pool.query(`
+            SELECT t.*, u.nickname, u.display_name
+            FROM call_recording_tracks t
+            LEFT JOIN users u ON u.id = t.user_id
+            WHERE t.recording_id = $1 AND t.purpose = 'playback' AND t.bytes_received > 0
+            ORDER BY t.created_at ASC
+        `, [recordingId]);
+
+        return {
+            id: recording.id,
+            callId: recording.call_id,
+            chatId: recording.chat_id,
+            status: recording.status,
+            startedBy: recording.started_by,
+            startedAt: recording.started_at,
+            stoppedAt: recording.stopped_at,
+            durationSeconds: recording.duration_seconds,
+            tracks: tracks.rows.map(track => ({
+                ...this.formatTrack(track),
+                userId: track.user_id,
+                nickname: track.nickname,
+                displayName: track.display_name,
+                url: this.getPlaybackUrl(recording.id, track.id)
+            }))
+        };
+    }
+
+    async canAccessRecording(recording, userId) {
+        const result = await this.pool.query(`
+            SELECT 1 FROM call_participants
+            WHERE call_id = $1 AND user_id = $2
+            UNION ALL
+            SELECT 1 FROM chat_participants
+            WHERE chat_id = $3 AND user_id = $2 AND left_at IS NULL
+            LIMIT 1
+        `, [recording.call_log_id, userId, recording.chat_id]);
+
+        return result.rows.length > 0;
+    }
+
+    // Signed so <audio>/<video> elements can stream without an auth header
+    getPlaybackUrl(recordingId, trackId) {
+        const expires = Math.floor(Date.now() / 1000) + PLAYBACK_URL_TTL_SECONDS;
+        const signature = this.sign(`${trackId}:${expires}`);
+        return `/api/recordings/${recordingId}/tracks/${trackId}/media?expires=${expires}&signature=${signature}`;
+    }
+
+    async getPlaybackTrack(recordingId, trackId, expires, signature) {
+        const expected = this.sign(`${trackId}:${expires}`);
+        const valid = typeof signature === 'string' &&
+            signature.length === expected.length &&
+            crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+
+        if (!valid || Number(expires) < Math.floor(Date.now() / 1000)) {
+            throw new RecordingError('Playback link has expired', 403, 'INVALID_SIGNATURE');
+        }
+
+        const result = await this.pool.query(
+            'SELECT * FROM call_recording_tracks WHERE id = $1 AND recording_id = $2',
+            [trackId, recordingId]
+        );
+        if (result.rows.length === 0) {
+            throw new RecordingError('Track not found', 404, 'INVALID_TRACK');
+        }
+
+        return result.rows[0];
+    }
+
+    sign(value) {
+        return crypto.createHmac('sha256', this.urlSecret).update(value).digest('hex');
+    }
+
+    // Helpers
+
+    async getCall(callId) {
+        const call = callId ? await this.store.getCall(callId) : null;
+        if (!call) {
+            throw new RecordingError('Call not found', 404, 'INVALID_CALL');
+        }
+        return call;
+    }
+
+    async getRecordingRow(recordingId) {
+        const result = await this.pool.query(`
+            SELECT r.*, cl.call_id
+            FROM call_recordings r
+            LEFT JOIN call_logs cl ON cl.id = r.call_log_id
+            WHERE r.id = $1
+        `, [recordingId]);
+
+        if (result.rows.length === 0) {
+            throw new RecordingError('Recording not found', 404, 'INVALID_RECORDING');
+        }
+
+        return result.rows[0];
+    }
+
+    // 1:1 calls have no host, the caller controls recording
+    getHostId(call) {
+        return String(call.hostId || call.initiatorId || '');
+    }
+
+    getActiveParticipantIds(call) {
+        return Object.entries(call.participants)
+            .filter(([, participant]) => call.mode === 'group'
+                ? participant.status === 'joined'
+                : participant.status !== 'disconnected')
+            .map(([userId]) => String(userId));
+    }
+
+    getRecordingState(callId, recording) {
+        return {
+            callId,
+            recordingId: recording.id,
+            status: recording.status,
+            startedBy: recording.startedBy,
+            startedAt: recording.startedAt,
+            consented: Object.keys(recording.consents).filter(id => recording.consents[id] === true)
+        };
+    }
+
+    // The `recording_state` event drives the recording indicator. Sent per
+    // user so it also arrives while the call room is being torn down.
+    broadcastState(call, payload) {
+        const userIds = new Set([
+            ...this.getActiveParticipantIds(call),
+            ...Object.keys(call.recording ? call.recording.consents : {})
+        ]);
+
+        for (const userId of userIds) {
+            this.callService.emitToUser(userId, 'recording_state', payload);
+        }
+    }
+
+    formatTrack(track) {
+        return {
+            trackId: track.id,
+            recordingId: track.recording_id,
+            purpose: track.purpose,
+            mimeType: track.mime_type,
+            offset: Number(track.bytes_received),
+            chunkCount: track.chunk_count,
+            status: track.status
+        };
+    }
+}
+
+CallRecordingService.RecordingError = RecordingError;
+
+module.exports = CallRecordingService;
@@ -0,0 +1,105 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+
+// Signaling contract between GroupCallService and a local SFU process.
+//
+// Requests (JSON over HTTP to SFU_URL, authenticated with X-SFU-Secret):
+//   POST   /rooms                              { roomId, callType, maxParticipants }
+//   POST   /rooms/:roomId/peers                { peerId, role }
+//   POST   /rooms/:roomId/peers/:peerId/signal { description?, candidate? } -> { description? }
+//   POST   /rooms/:roomId/peers/:peerId/mute   { kind }
+//   DELETE /rooms/:roomId/peers/:peerId
+//   DELETE /rooms/:roomId
+//
+// Events (the SFU POSTs to /api/webrtc/sfu/events with the same secret):
+//   { type: 'signal', roomId, peerId, description?, candidate? }  server-side renegotiation
+//   { type: 'active_speaker', roomId, peerId }
+//   { type: 'peer_closed', roomId, peerId }
+class SfuClient extends EventEmitter {
+    constructor({ url = process.env.SFU_URL, secret = process.env.SFU_SECRET, timeout = 5000 } = {}) {
+        super();
+        this.url = url ? url.replace(/\/+$/, '') : null;
+        this.secret = secret || '';
+        this.timeout = timeout;
+    }
+
+    get isConfigured() {
+        return Boolean(this.url);
+    }
+
+    async createRoom(roomId, { callType, maxParticipants } = {}) {
+        return this.request('post', '/rooms', { roomId, callType, maxParticipants });
+    }
+
+    async join(roomId, peerId, { role = 'participant' } = {}) {
+        return this.request('post', `/rooms/${encodeURIComponent(roomId)}/peers`, {
+            peerId: String(peerId),
+            role
+        });
+    }
+
+    // Forwards an offer/answer or ICE candidate, returns the SFU's answer if any
+    async signal(roomId, peerId, { description, candidate }) {
+        const response = await this.request(
+            'post',
+            `/rooms/${encodeURIComponent(roomId)}/peers/${encodeURIComponent(peerId)}/signal`,
+            { description, candidate }
+        );
+        return response || {};
+    }
+
+    async mute(roomId, peerId, kind = 'audio') {
+        return this.request(
+            'post',
+            `/rooms/${encodeURIComponent(roomId)}/peers/${encodeURIComponent(peerId)}/mute`,
+            { kind }
+        );
+    }
+
+    async leave(roomId, peerId) {
+        return this.request('delete', `/rooms/${encodeURIComponent(roomId)}/peers/${encodeURIComponent(peerId)}`);
+    }
+
+    async closeRoom(roomId) {
+        return this.request('delete', `/rooms/${encodeURIComponent(roomId)}`);
+    }
+
+    // Events pushed by the SFU, re-emitted for GroupCallService
+    handleEvent(event) {
+        if (!event || !event.type || !event.roomId) {
+            throw new Error('Invalid SFU event');
+        }
+        this.emit(event.type, event);
+    }
+
+    verifySecret(secret) {
+        if (!this.secret || typeof secret !== 'string') return false;
+
+        const expected = Buffer.from(this.secret);
+        const received = Buffer.from(secret);
+        return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+    }
+
+    async request(method, path, data) {
+        if (!this.isConfigured) {
+            throw new Error('SFU is not configured');
+        }
+
+        try {
+            const response = await axios({
+                method,
+                url: `${this.url}${path}`,
+                data,
+                timeout: this.timeout,
+                headers: { 'X-SFU-Secret': this.secret }
+            });
+            return response.data;
+        } catch (error) {
+            const message = error.response?.data?.error || error.message;
+            throw new Error(`SFU request failed: ${message}`);
+        }
+    }
+}
+
+module.exports = SfuClient;
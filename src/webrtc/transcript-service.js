@@ -0,0 +1,224 @@
+const { createTranscriptionBackend } = require('../ai/transcription');
+const { RecordingError } = require('./recording-service');
+
+// Segments closer than this from the same speaker are merged into one line
+const MERGE_GAP_SECONDS = 1.5;
+
+// Transcribes finished call recordings and posts meeting notes to the chat.
+//
+// Every recording track holds a single participant's own stream (see
+// recording-service.js), so speaker attribution comes from the track rather
+// than from diarization: each track is transcribed on its own and the
+// segments are merged on a shared timeline. A participant's audio-only
+// transcription track is used when their client uploaded one, the playback
+// track may be full video and too large for speech-to-text.
+class CallTranscriptService {
+    constructor(recordingService, chatService, { backend } = {}) {
+        this.recordingService = recordingService;
+        this.chatService = chatService;
+        this.pool = recordingService.pool;
+        this.backend = backend || createTranscriptionBackend();
+
+        this.recordingService.on('recording_ready', ({ recording, tracks, transcriptionTracks }) => {
+            this.transcribeRecording(recording, tracks, transcriptionTracks).catch((error) => {
+                console.error('Failed to transcribe call recording:', error);
+            });
+        });
+    }
+
+    async transcribeRecording(recording, tracks, transcriptionTracks = []) {
+        if (!this.backend.isAvailable) return null;
+
+        // One transcript per recording, a second finalize is a no-op
+        const created = await this.pool.query(`
+            INSERT INTO call_transcripts (recording_id, call_log_id, chat_id, backend)
+            VALUES ($1, $2, $3, $4)
+            ON CONFLICT (recording_id) DO NOTHING
+            RETURNING id
+        `, [recording.id, recording.call_log_id, recording.chat_id, this.backend.constructor.name]);
+
+        if (created.rows.length === 0) return null;
+        const transcriptId = created.rows[0].id;
+
+        try {
+            const sources = new Map(tracks.map(track => [track.user_id, track]));
+            for (const track of transcriptionTracks) {
+                sources.set(track.user_id, track);
+            }
+
+            const speakers = await this.getSpeakerNames([...sources.keys()]);
+            const segments = [];
+
+            for (const track of sources.values()) {
+                // Clients start recording when they receive the indicator, so
+                // each track is shifted by how late it was opened
+                const offset = recording.started_at
+                    ? Math.max(0, (new Date(track.created_at) - new Date(recording.started_at)) / 1000)
+                    : 0;
+
+                try {
+                    const result = await this.backend.transcribe(track.file_path, { mimeType: track.mime_type });
+
+                    for (const segment of result.segments) {
+                        if (!segment.text) continue;
+                        segments.push({
+                            speakerId: track.user_id,
+                            speaker: speakers[track.user_id] || 'Participant',
+                            start: Number((segment.start + offset).toFixed(2)),
+                            end: Number((segment.end + offset).toFixed(2)),
+                            text: segment.text
+                        });
+                    }
+                } catch (error) {
+                    console.error(`Failed to transcribe track ${track.id}:`, error.message);
+                }
+            }
+
+            if (segments.length === 0) {
+                throw new Error('No speech was transcribed');
+            }
+
+            const merged = this.mergeSegments(segments);
+            const transcript = merged.map(segment => `${segment.speaker}: ${segment.text}`).join('\n');
+            const notes = await this.backend.summarize(transcript);
+
+            const result = await this.pool.query(`
+                UPDATE call_transcripts SET
+                    status = 'ready',
+                    segments = $2,
+                    transcript = $3,
+                    summary = $4,
+                    decisions = $5,
+                    action_items = $6
+                WHERE id = $1
+                RETURNING *
+            `, [
+                transcriptId,
+                JSON.stringify(merged),
+                transcript,
+                notes.summary,
+                JSON.stringify(notes.decisions),
+                JSON.stringify(notes.actionItems)
+            ]);
+
+            await this.postMeetingNotes(result.rows[0], recording);
+
+            return result.rows[0];
+
+        } catch (error) {
+            await this.pool.query(
+                `UPDATE call_transcripts SET status = 'failed', error = $2 WHERE id = $1`,
+                [transcriptId, error.message]
+            );
+            throw error;
+        }
+    }
+
+    // Content is the plain-text notes so the message is found by message
+    // search too, the client renders the structured metadata
+    async postMeetingNotes(transcript, recording) {
+        if (!transcript.chat_id || !this.chatService) return;
+
+        const decisions = transcript.decisions || [];
+        const actionItems = transcript.action_items || [];
+
+        const lines = ['Meeting notes', '', transcript.summary];
+        if (decisions.length > 0) {
+            lines.push('', 'Decisions:', ...decisions.map(decision => `- ${decision}`));
+        }
+        if (actionItems.length > 0) {
+            lines.push('', 'Action items:', ...actionItems.map(item =>
+                `- ${item.owner ? `${item.owner}: ` : ''}${item.task}`
+            ));
+        }
+
+        try {
+            const message = await this.chatService.sendMessage({
+                chatId: transcript.chat_id,
+                senderId: recording.started_by,
+                content: lines.join('\n'),
+                messageType: 'call',
+                metadata: {
+                    callTranscript: {
+                        transcriptId: transcript.id,
+                        recordingId: recording.id,
+                        callId: recording.call_id,
+                        summary: transcript.summary,
+                        decisions,
+                        actionItems
+                    }
+                }
+            });
+
+            this.chatService.broadcastMessage(message);
+
+            await this.pool.query(
+                'UPDATE call_transcripts SET message_id = $1 WHERE id = $2',
+                [message.id, transcript.id]
+            );
+        } catch (error) {
+            console.error('Failed to post meeting notes to chat:', error.message);
+        }
+    }
+
+    // Full transcript for a recording, same access rules as playback
+    async getTranscript(recordingId, userId) {
+        const recording = await this.recordingService.getRecordingRow(recordingId);
+
+        if (!await this.recordingService.canAccessRecording(recording, userId)) {
+            throw new RecordingError('Access denied', 403, 'ACCESS_DENIED');
+        }
+
+        const result = await this.pool.query(
+            'SELECT * FROM call_transcripts WHERE recording_id = $1',
+            [recordingId]
+        );
+
+        if (result.rows.length === 0) {
+            throw new RecordingError('Transcript not found', 404, 'INVALID_TRANSCRIPT');
+        }
+
+        const transcript = result.rows[0];
+
+        return {
+            transcriptId: transcript.id,
+            recordingId,
+            status: transcript.status,
+            summary: transcript.summary,
+            decisions: transcript.decisions,
+            actionItems: transcript.action_items,
+            segments: transcript.segments,
+            createdAt: transcript.created_at
+        };
+    }
+
+    // Helpers
+
+    mergeSegments(segments) {
+        const sorted = segments.slice().sort((a, b) => a.start - b.start);
+        const merged = [];
+
+        for (const segment of sorted) {
+            const last = merged[merged.length - 1];
+            if (last && last.speakerId === segment.speakerId && segment.start - last.end <= MERGE_GAP_SECONDS) {
+                last.text = `${last.text} ${segment.text}`;
+                last.end = Math.max(last.end, segment.end);
+            } else {
+                merged.push({ ...segment });
+            }
+        }
+
+        return merged;
+    }
+
+    async getSpeakerNames(userIds) {
+        const result = await this.pool.query(
+            'SELECT id, display_name, nickname FROM users WHERE id = ANY($1)',
+            [userIds]
+        );
+
+        return Object.fromEntries(result.rows.map(user => [user.id, user.display_name || user.nickname]));
+    }
+}
+
+module.exports = CallTranscriptService;
@@ -0,0 +1,212 @@
+const { createTranscriptionBackend } = require('../ai/transcription');
+
+// How long after a missed call the caller can still leave a voicemail
+const VOICEMAIL_WINDOW_MINUTES = 10;
+const MAX_VOICEMAIL_SECONDS = 120;
+
+class VoicemailError extends Error {
+    constructor(message, status = 400, code = 'VOICEMAIL_FAILED') {
+        super(message);
+        this.name = 'VoicemailError';
+        this.status = status;
+        this.code = code;
+    }
+}
+
+// Missed 1:1 calls. When a call rings out (handleCallTimeout), a missed-call
+// message is posted to the 1:1 chat and the caller is offered to leave a
+// voicemail. The voicemail itself is uploaded through the regular
+// /api/chat/:chatId/audio path with a voicemailCallId and lands in the same
+// chat as a 'voicemail' message, transcribed in the background.
+//
+// The offer is not kept anywhere but call_logs: a voicemail is accepted
+// from the caller of a missed call within VOICEMAIL_WINDOW_MINUTES, once.
+class VoicemailService {
+    constructor(callService, chatService, { backend } = {}) {
+        this.callService = callService;
+        this.chatService = chatService;
+        this.pool = chatService.pool;
+        this.backend = backend || createTranscriptionBackend();
+
+        this.callService.on('call_ended', ({ callId, call, reason }) => {
+            if (reason !== 'missed' || call.mode === 'group') return;
+
+            this.handleMissedCall(callId, call).catch((error) => {
+                console.error('Failed to handle missed call:', error);
+            });
+        });
+    }
+
+    async handleMissedCall(callId, call) {
+        const callerId = String(call.initiatorId);
+        const calleeId = Object.keys(call.participants).find(userId => userId !== callerId);
+        if (!calleeId) return;
+
+        const chatId = call.chatId || await this.getDirectChatId(callerId, calleeId);
+
+        const message = await this.chatService.sendMessage({
+            chatId,
+            senderId: callerId,
+            content: `Missed ${call.callType === 'video' ? 'video' : 'voice'} call`,
+            messageType: 'call',
+            metadata: {
+                missedCall: {
+                    callId,
+                    callType: call.callType,
+                    callerId,
+                    calleeId,
+                    at: new Date().toISOString()
+                }
+            }
+        });
+        this.chatService.broadcastMessage(message);
+
+        await this.pool.query(`
+            UPDATE call_logs SET chat_id = COALESCE(chat_id, $2)
+            WHERE call_id = $1
+        `, [callId, chatId]);
+
+        this.callService.emitToUser(callerId, 'voicemail_offer', {
+            callId,
+            chatId,
+            calleeId,
+            callType: call.callType,
+            maxDurationSeconds: MAX_VOICEMAIL_SECONDS,
+            expiresAt: new Date(Date.now() + VOICEMAIL_WINDOW_MINUTES * 60000).toISOString()
+        });
+    }
+
+    // audioData comes from AudioService.saveAudioFile, fileId is its files row
+    async createVoicemail({ callId, chatId, userId, audioData, fileId, duration = null }) {
+        // Claims the call so a retried upload does not leave two voicemails
+        const claimed = await this.pool.query(`
+            UPDATE call_logs SET
+                metadata = metadata || jsonb_build_object('voicemailMessageId', 'pending')
+            WHERE call_id = $1
+            AND initiator_id = $2
+            AND chat_id = $3
+            AND mode = 'p2p'
+            AND status = 'missed'
+            AND ended_at > CURRENT_TIMESTAMP - ($4 * INTERVAL '1 minute')
+            AND NOT (metadata ? 'voicemailMessageId')
+            RETURNING id
+        `, [callId, userId, chatId, VOICEMAIL_WINDOW_MINUTES]);
+
+        if (claimed.rows.length === 0) {
+            throw new VoicemailError('No voicemail can be left for this call', 409, 'VOICEMAIL_UNAVAILABLE');
+        }
+
+        let message;
+        try {
+            message = await this.chatService.sendMessage({
+                chatId,
+                senderId: userId,
+                content: 'Voicemail',
+                messageType: 'voicemail',
+                metadata: {
+                    voicemail: {
+                        callId,
+                        fileId,
+                        audioUrl: audioData.fileUrl,
+                        mimeType: audioData.fileType,
+                        size: audioData.fileSize,
+                        duration: duration ? Math.min(duration, MAX_VOICEMAIL_SECONDS) : null,
+                        transcript: null,
+                        transcriptStatus: this.backend.isAvailable ? 'pending' : 'unavailable'
+                    }
+                }
+            });
+        } catch (error) {
+            await this.pool.query(`
+                UPDATE call_logs SET metadata = metadata - 'voicemailMessageId'
+                WHERE call_id = $1
+            `, [callId]);
+            throw error;
+        }
+
+        await this.chatService.attachFilesToMessage(message.id, [fileId]);
+        await this.pool.query(`
+            UPDATE call_logs SET
+                metadata = metadata || jsonb_build_object('voicemailMessageId', $2::text)
+            WHERE call_id = $1
+        `, [callId, message.id]);
+
+        this.chatService.broadcastMessage(message);
+
+        if (this.backend.isAvailable) {
+            this.transcribeVoicemail(message, audioData).catch((error) => {
+                console.error('Failed to transcribe voicemail:', error.message);
+            });
+        }
+
+        return message;
+    }
+
+    // The transcript goes into the message metadata, clients that already
+    // show the message get it through voicemail_transcribed
+    async transcribeVoicemail(message, audioData) {
+        let transcript = null;
+        let status = 'failed';
+
+        try {
+            const result = await this.backend.transcribe(audioData.filePath, { mimeType: audioData.fileType });
+            transcript = (result.text || (result.segments || []).map(segment => segment.text).join(' ')).trim() || null;
+            status = transcript ? 'ready' : 'empty';
+        } finally {
+            // jsonb_set is strict, a NULL transcript would null the whole
+            // metadata along with the voicemail's audio details
+            await this.pool.query(`
+                UPDATE messages SET metadata = jsonb_set(
+                    jsonb_set(metadata, '{voicemail,transcript}', COALESCE(to_jsonb($2::text), 'null'::jsonb)),
+                    '{voicemail,transcriptStatus}', to_jsonb($3::text)
+                )
+                WHERE id = $1
+            `, [message.id, transcript, status]);
+
+            this.chatService.io.to(message.chat_id).emit('voicemail_transcribed', {
+                chatId: message.chat_id,
+                messageId: message.id,
+                transcript,
+                status
+            });
+        }
+    }
+
+    // The caller's and callee's 1:1 chat, created when they never talked
+    async getDirectChatId(callerId, calleeId) {
+        const result = await this.pool.query(`
+            SELECT c.id FROM chats c
+            JOIN chat_participants a ON a.chat_id = c.id AND a.user_id = $1 AND a.left_at IS NULL
+            JOIN chat_participants b ON b.chat_id = c.id AND b.user_id = $2 AND b.left_at IS NULL
+            WHERE c.type = 'private'
+            AND c.is_active = TRUE
+            AND (SELECT COUNT(*) FROM chat_participants p WHERE p.chat_id = c.id AND p.left_at IS NULL) = 2
+            ORDER BY c.last_message_at DESC
+            LIMIT 1
+        `, [callerId, calleeId]);
+
+        if (result.rows.length > 0) {
+            return result.rows[0].id;
+        }
+
+        const users = await this.pool.query(
+            'SELECT id, nickname FROM users WHERE id = ANY($1)',
+            [[callerId, calleeId]]
+        );
+        const names = Object.fromEntries(users.rows.map(user => [String(user.id), user.nickname]));
+
+        const chat = await this.chatService.createChat({
+            name: `${names[callerId] || 'Caller'} & ${names[calleeId] || 'Callee'}`,
+            type: 'private',
+            createdBy: callerId,
+            participants: [calleeId]
+        });
+
+        return chat.id;
+    }
+}
+
+VoicemailService.VoicemailError = VoicemailError;
+VoicemailService.MAX_VOICEMAIL_SECONDS = MAX_VOICEMAIL_SECONDS;
+
+module.exports = VoicemailService;
@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const EnhancedRoutes = require('../../src/routes/enhanced-api');
+const EnhancedChatService = require('../../src/chat/enhanced-chat-service');
+const NotificationService = require('../../src/notifications/notification-service');
+
+const CHAT_ID = 'chat-1';
+const ROOT_ID = 'root-1';
+const AUTHOR_ID = 'author-1';
+const REPLIER_ID = 'replier-1';
+
+// Answers the queries a thread reply makes, anything else gets no rows
+function createPool() {
+    const reply = {
+        id: 'reply-1',
+        chat_id: CHAT_ID,
+        sender_id: REPLIER_ID,
+        content: 'Sounds good',
+        message_type: 'text',
+        reply_to_id: null,
+        thread_root_id: ROOT_ID,
+        also_sent_to_channel: false,
+        metadata: {}
+    };
+
+    return {
+        async query(sql) {
+            if (/SELECT (m\.)?chat_id\s+FROM messages/.test(sql)) {
+                return { rows: [{ chat_id: CHAT_ID }] };
+            }
+            if (/SELECT 1 FROM chat_participants/.test(sql)) {
+                return { rows: [{ '?column?': 1 }] };
+            }
+            if (/SELECT id, chat_id, sender_id, thread_root_id/.test(sql)) {
+                return { rows: [{ id: ROOT_ID, chat_id: CHAT_ID, sender_id: AUTHOR_ID, thread_root_id: null }] };
+            }
+            if (/INSERT INTO messages/.test(sql)) {
+                return { rows: [reply] };
+            }
+            if (/sender_nickname/.test(sql)) {
+                return { rows: [{ ...reply, sender_nickname: 'bob', sender_display_name: 'Bob' }] };
+            }
+            if (/thread_reply_count = thread_reply_count \+ 1/.test(sql)) {
+                return { rows: [{ id: ROOT_ID, sender_id: AUTHOR_ID, thread_reply_count: 1, thread_last_reply_at: new Date() }] };
+            }
+            if (/FROM chat_participants cp\s+JOIN users u/.test(sql)) {
+                return { rows: [{ user_id: AUTHOR_ID, nickname: 'alice' }] };
+            }
+            if (/SELECT name, type FROM chats/.test(sql)) {
+                return { rows: [{ name: 'general', type: 'group' }] };
+            }
+            if (/FROM thread_participants WHERE thread_root_id/.test(sql)) {
+                return { rows: [{ user_id: AUTHOR_ID }] };
+            }
+            return { rows: [] };
+        }
+    };
+}
+
+function createResponse() {
+    return {
+        statusCode: 200,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        }
+    };
+}
+
+test('a thread reply sent over REST notifies the thread root author', async () => {
+    const pool = createPool();
+    const chatService = new EnhancedChatService(null, { pool, socketHandlers: false });
+    const notificationService = new NotificationService(pool);
+    notificationService.bindChatService(chatService);
+
+    const notified = new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('No notification was created')), 1000);
+        notificationService.notify = async (notification) => {
+            clearTimeout(timer);
+            resolve(notification);
+            return notification;
+        };
+    });
+
+    const app = new Map([['chatService', chatService]]);
+    const routes = new EnhancedRoutes(pool, { info() {}, warn() {}, error() {} });
+    const res = createResponse();
+
+    await routes.replyInThread({
+        params: { messageId: ROOT_ID },
+        body: { content: 'Sounds good' },
+        user: { id: REPLIER_ID },
+        app
+    }, res);
+
+    assert.strictEqual(res.statusCode, 201);
+    assert.strictEqual(res.body.data.threadRootId, ROOT_ID);
+
+    const notification = await notified;
+    assert.strictEqual(notification.userId, AUTHOR_ID);
+    assert.strictEqual(notification.type, 'reply');
+    assert.strictEqual(notification.entityId, 'reply-1');
+    assert.deepStrictEqual(notification.metadata, { threadRootId: ROOT_ID });
+});
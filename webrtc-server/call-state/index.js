@@ -0,0 +1,37 @@
+const InMemoryCallStateStore = require('./memory-store');
+const PostgresCallStateStore = require('./postgres-store');
+const { CallStateAdapter, createCallStateAdapter } = require('./socket-adapter');
+
+// Pick the store from CALL_STATE_STORE ('memory' or 'postgres').
+// Shared by the main app (WebRTCCallService) and the standalone signaling server.
+function createCallStateStore(options = {}) {
+    const type = (options.type || process.env.CALL_STATE_STORE || 'memory').toLowerCase();
+
+    switch (type) {
+        case 'memory':
+            return new InMemoryCallStateStore();
+        case 'postgres':
+        case 'postgresql':
+            return new PostgresCallStateStore(options);
+        default:
+            throw new Error(`Unknown call state store: ${type}`);
+    }
+}
+
+// Only a distributed store needs the cluster adapter, the default Socket.IO
+// adapter is used otherwise
+function attachCallStateStore(io, store) {
+    if (store.isDistributed) {
+        io.adapter(createCallStateAdapter(store));
+    }
+    return store;
+}
+
+module.exports = {
+    createCallStateStore,
+    attachCallStateStore,
+    createCallStateAdapter,
+    CallStateAdapter,
+    InMemoryCallStateStore,
+    PostgresCallStateStore
+};
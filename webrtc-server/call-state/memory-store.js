@@ -0,0 +1,91 @@
+const EventEmitter = require('events');
+
+// Process-local call state. This is the default and is only correct while a
+// single instance serves all calls, use the PostgreSQL store to scale out.
+class InMemoryCallStateStore {
+    constructor() {
+        this.calls = new Map(); // callId -> call state
+        this.userCalls = new Map(); // userId -> callId
+        this.bus = new EventEmitter();
+        this.bus.setMaxListeners(0);
+        this.isDistributed = false;
+    }
+
+    async init() {}
+
+    async getCall(callId) {
+        const call = this.calls.get(callId);
+        return call ? clone(call) : null;
+    }
+
+    async saveCall(callId, call) {
+        this.calls.set(callId, clone(call));
+        return call;
+    }
+
+    // Read-modify-write, the updater mutates the call it is given
+    async updateCall(callId, updater) {
+        const call = this.calls.get(callId);
+        if (!call) return null;
+
+        const draft = clone(call);
+        await updater(draft);
+        this.calls.set(callId, draft);
+        return clone(draft);
+    }
+
+    async deleteCall(callId) {
+        this.calls.delete(callId);
+
+        for (const [userId, userCallId] of this.userCalls) {
+            if (userCallId === callId) {
+                this.userCalls.delete(userId);
+            }
+        }
+    }
+
+    async listCalls() {
+        return Array.from(this.calls.entries()).map(([callId, call]) => ({ callId, ...clone(call) }));
+    }
+
+    async countCalls() {
+        return this.calls.size;
+    }
+
+    async getUserCall(userId) {
+        return this.userCalls.get(userId) || null;
+    }
+
+    async setUserCall(userId, callId) {
+        this.userCalls.set(userId, callId);
+    }
+
+    // Only clears the mapping when it still points at callId (if given)
+    async clearUserCall(userId, callId = null) {
+        if (!callId || this.userCalls.get(userId) === callId) {
+            this.userCalls.delete(userId);
+        }
+    }
+
+    async publish(channel, message) {
+        this.bus.emit(channel, clone(message));
+    }
+
+    async subscribe(channel, handler) {
+        this.bus.on(channel, handler);
+    }
+
+    async unsubscribe(channel, handler) {
+        this.bus.off(channel, handler);
+    }
+
+    async close() {
+        this.bus.removeAllListeners();
+    }
+}
+
+function clone(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = InMemoryCallStateStore;
@@ -0,0 +1,306 @@
+const { Pool, Client } = require('pg');
+const crypto = require('crypto');
+
+// NOTIFY payloads are limited to 8000 bytes. Larger messages (SDP offers
+// easily exceed this) are written to call_state_events and only their id is
+// sent over NOTIFY.
+const MAX_NOTIFY_PAYLOAD = 7500;
+const CALL_TTL_HOURS = 12;
+const EVENT_TTL_SECONDS = 60;
+const RECONNECT_DELAY_MS = 2000;
+
+// Call state shared between instances through PostgreSQL. State lives in
+// call_states / user_call_states (see database/production-schema.sql) and
+// cross-node messages use LISTEN/NOTIFY on a dedicated connection.
+class PostgresCallStateStore {
+    constructor({ connectionString = process.env.DATABASE_URL, pool = null, channelPrefix = 'call_state' } = {}) {
+        this.connectionString = connectionString;
+        this.ownsPool = !pool;
+        this.pool = pool || new Pool({
+            connectionString,
+            ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
+            max: 10
+        });
+        this.channelPrefix = channelPrefix;
+        this.nodeId = crypto.randomUUID();
+        this.handlers = new Map(); // channel -> Set of handlers
+        this.listener = null;
+        this.listenerReady = null;
+        this.reconnecting = false;
+        this.closed = false;
+        this.isDistributed = true;
+    }
+
+    async init() {
+        await this.connectListener();
+    }
+
+    // Call state
+    async getCall(callId) {
+        const result = await this.pool.query(`
+            SELECT state FROM call_states
+            WHERE call_id = $1 AND expires_at > CURRENT_TIMESTAMP
+        `, [callId]);
+
+        return result.rows[0] ? result.rows[0].state : null;
+    }
+
+    async saveCall(callId, call) {
+        await this.pool.query(`
+            INSERT INTO call_states (call_id, state, node_id, expires_at)
+            VALUES ($1, $2, $3, CURRENT_TIMESTAMP + ($4 || ' hours')::INTERVAL)
+            ON CONFLICT (call_id) DO UPDATE SET
+                state = EXCLUDED.state,
+                node_id = EXCLUDED.node_id,
+                expires_at = EXCLUDED.expires_at,
+                updated_at = CURRENT_TIMESTAMP
+        `, [callId, JSON.stringify(call), this.nodeId, CALL_TTL_HOURS]);
+
+        return call;
+    }
+
+    // Row lock so concurrent updates from different nodes are serialized
+    async updateCall(callId, updater) {
+        const client = await this.pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            const result = await client.query(`
+                SELECT state FROM call_states
+                WHERE call_id = $1 AND expires_at > CURRENT_TIMESTAMP
+                FOR UPDATE
+            `, [callId]);
+
+            if (result.rows.length === 0) {
+                await client.query('ROLLBACK');
+                return null;
+            }
+
+            const call = result.rows[0].state;
+            await updater(call);
+
+            await client.query(`
+                UPDATE call_states SET
+                    state = $2,
+                    node_id = $3,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE call_id = $1
+            `, [callId, JSON.stringify(call), this.nodeId]);
+
+            await client.query('COMMIT');
+            return call;
+
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    async deleteCall(callId) {
+        await this.pool.query('DELETE FROM user_call_states WHERE call_id = $1', [callId]);
+        await this.pool.query('DELETE FROM call_states WHERE call_id = $1', [callId]);
+    }
+
+    async listCalls() {
+        const result = await this.pool.query(`
+            SELECT call_id, state FROM call_states
+            WHERE expires_at > CURRENT_TIMESTAMP
+            ORDER BY created_at ASC
+        `);
+
+        return result.rows.map(row => ({ callId: row.call_id, ...row.state }));
+    }
+
+    async countCalls() {
+        const result = await this.pool.query(
+            'SELECT COUNT(*) as count FROM call_states WHERE expires_at > CURRENT_TIMESTAMP'
+        );
+        return parseInt(result.rows[0].count);
+    }
+
+    // User -> call mapping
+    async getUserCall(userId) {
+        const result = await this.pool.query(`
+            SELECT uc.call_id
+            FROM user_call_states uc
+            INNER JOIN call_states cs ON cs.call_id = uc.call_id
+            WHERE uc.user_id = $1 AND cs.expires_at > CURRENT_TIMESTAMP
+        `, [String(userId)]);
+
+        return result.rows[0] ? result.rows[0].call_id : null;
+    }
+
+    async setUserCall(userId, callId) {
+        await this.pool.query(`
+            INSERT INTO user_call_states (user_id, call_id)
+            VALUES ($1, $2)
+            ON CONFLICT (user_id) DO UPDATE SET
+                call_id = EXCLUDED.call_id,
+                updated_at = CURRENT_TIMESTAMP
+        `, [String(userId), callId]);
+    }
+
+    async clearUserCall(userId, callId = null) {
+        await this.pool.query(`
+            DELETE FROM user_call_states
+            WHERE user_id = $1 AND ($2::VARCHAR IS NULL OR call_id = $2)
+        `, [String(userId), callId]);
+    }
+
+    // Pub/sub over LISTEN/NOTIFY
+    async publish(channel, message) {
+        let payload = JSON.stringify({ node: this.nodeId, message });
+
+        if (Buffer.byteLength(payload) > MAX_NOTIFY_PAYLOAD) {
+            const result = await this.pool.query(`
+                INSERT INTO call_state_events (channel, payload)
+                VALUES ($1, $2)
+                RETURNING id
+            `, [channel, payload]);
+
+            payload = JSON.stringify({ node: this.nodeId, ref: result.rows[0].id });
+
+            // Anyone listening has fetched older events by now
+            this.pool.query(`
+                DELETE FROM call_state_events
+                WHERE created_at < CURRENT_TIMESTAMP - ($1 || ' seconds')::INTERVAL
+            `, [EVENT_TTL_SECONDS]).catch(() => {});
+        }
+
+        await this.pool.query('SELECT pg_notify($1, $2)', [this.getChannelName(channel), payload]);
+    }
+
+    async subscribe(channel, handler) {
+        if (!this.handlers.has(channel)) {
+            this.handlers.set(channel, new Set());
+        }
+        this.handlers.get(channel).add(handler);
+
+        // A fresh listener connection LISTENs on every registered channel itself
+        if (this.listener) {
+            await this.listener.query(`LISTEN "${this.getChannelName(channel)}"`);
+        } else {
+            await this.connectListener();
+        }
+    }
+
+    async unsubscribe(channel, handler) {
+        const handlers = this.handlers.get(channel);
+        if (!handlers) return;
+
+        handlers.delete(handler);
+        if (handlers.size === 0) {
+            this.handlers.delete(channel);
+            if (this.listener) {
+                await this.listener.query(`UNLISTEN "${this.getChannelName(channel)}"`);
+            }
+        }
+    }
+
+    async connectListener() {
+        if (this.listenerReady) {
+            return this.listenerReady;
+        }
+
+        this.listenerReady = (async () => {
+            const client = new Client({
+                connectionString: this.connectionString,
+                ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+            });
+
+            client.on('notification', (notification) => {
+                this.handleNotification(notification).catch((error) => {
+                    console.error('Call state notification failed:', error);
+                });
+            });
+
+            client.on('error', (error) => {
+                console.error('Call state listener error:', error.message);
+                this.reconnectListener();
+            });
+
+            client.on('end', () => this.reconnectListener());
+
+            await client.connect();
+            this.listener = client;
+
+            for (const channel of this.handlers.keys()) {
+                await client.query(`LISTEN "${this.getChannelName(channel)}"`);
+            }
+        })();
+
+        try {
+            await this.listenerReady;
+        } catch (error) {
+            this.listenerReady = null;
+            throw error;
+        }
+    }
+
+    reconnectListener() {
+        if (this.closed || this.reconnecting) return;
+        this.reconnecting = true;
+
+        const client = this.listener;
+        this.listener = null;
+        this.listenerReady = null;
+
+        if (client) {
+            client.removeAllListeners();
+            client.end().catch(() => {});
+        }
+
+        setTimeout(() => {
+            this.reconnecting = false;
+            this.connectListener().catch((error) => {
+                console.error('Call state listener reconnect failed:', error.message);
+                this.reconnectListener();
+            });
+        }, RECONNECT_DELAY_MS);
+    }
+
+    async handleNotification(notification) {
+        const channel = Array.from(this.handlers.keys())
+            .find(name => this.getChannelName(name) === notification.channel);
+        const handlers = channel && this.handlers.get(channel);
+        if (!handlers || handlers.size === 0) return;
+
+        let payload = JSON.parse(notification.payload);
+
+        if (payload.ref) {
+            const result = await this.pool.query(
+                'SELECT payload FROM call_state_events WHERE id = $1',
+                [payload.ref]
+            );
+            if (result.rows.length === 0) return;
+            payload = JSON.parse(result.rows[0].payload);
+        }
+
+        for (const handler of handlers) {
+            handler(payload.message, payload.node);
+        }
+    }
+
+    getChannelName(channel) {
+        return `${this.channelPrefix}_${channel}`.replace(/[^a-zA-Z0-9_]/g, '_').substring(0, 63);
+    }
+
+    async close() {
+        this.closed = true;
+        this.handlers.clear();
+
+        if (this.listener) {
+            this.listener.removeAllListeners();
+            await this.listener.end().catch(() => {});
+        }
+
+        if (this.ownsPool) {
+            await this.pool.end();
+        }
+    }
+}
+
+module.exports = PostgresCallStateStore;
@@ -0,0 +1,55 @@
+const { ClusterAdapterWithHeartbeat } = require('socket.io-adapter');
+
+// Socket.IO adapter that relays broadcasts, room joins and fetchSockets()
+// between instances over the call-state store's pub/sub. With it,
+// io.to(`user-${id}`).emit('webrtc_offer', ...) reaches the peer even when
+// their socket is connected to another node.
+//
+// Packets are JSON encoded, so binary attachments are not supported.
+class CallStateAdapter extends ClusterAdapterWithHeartbeat {
+    constructor(nsp, store, options = {}) {
+        super(nsp, options);
+        this.store = store;
+        this.channel = `socketio_${nsp.name === '/' ? 'main' : nsp.name.replace(/^\//, '')}`;
+
+        this.onStoreMessage = (payload) => {
+            if (payload.requesterUid) {
+                // Responses are addressed to the node that asked
+                if (payload.requesterUid === this.uid) {
+                    this.onResponse(payload.response);
+                }
+            } else {
+                this.onMessage(payload.message);
+            }
+        };
+
+        this.ready = this.store.subscribe(this.channel, this.onStoreMessage)
+            .then(() => this.init())
+            .catch((error) => {
+                console.error('Call state adapter subscription failed:', error);
+            });
+    }
+
+    async doPublish(message) {
+        await this.store.publish(this.channel, { message });
+        return '';
+    }
+
+    async doPublishResponse(requesterUid, response) {
+        await this.store.publish(this.channel, { requesterUid, response });
+    }
+
+    close() {
+        super.close();
+        this.store.unsubscribe(this.channel, this.onStoreMessage).catch(() => {});
+    }
+}
+
+// io.adapter(createCallStateAdapter(store))
+function createCallStateAdapter(store, options = {}) {
+    return function (nsp) {
+        return new CallStateAdapter(nsp, store, options);
+    };
+}
+
+module.exports = { CallStateAdapter, createCallStateAdapter };
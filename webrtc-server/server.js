@@ -9,6 +9,8 @@ const socketIo = require('socket.io');
 const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
+const { createCallStateStore, attachCallStateStore } = require('./call-state');
+const { TurnCredentialIssuer } = require('./turn-credentials');
 
 const app = express();
 const server = http.createServer(app);
@@ -60,25 +62,17 @@ const io = socketIo(server, {
     pingInterval: 25000
 });
 
-// COTURN/TURN server configuration
-const TURN_SERVERS = [
-    {
-        urls: process.env.COTURN_URL || 'turn:localhost:3478',
-        username: process.env.COTURN_USERNAME || 'talkpai',
-        credential: process.env.COTURN_CREDENTIAL || 'talkpai123'
-    },
-    {
-        urls: 'stun:stun.l.google.com:19302' // Fallback STUN server
-    },
-    {
-        urls: 'stun:stun1.l.google.com:19302' // Additional STUN server
-    }
-];
+// STUN only here, TURN credentials are short-lived and issued per user by
+// the main app's authenticated GET /api/webrtc/ice-config
+const turnCredentials = new TurnCredentialIssuer();
 
-// In-memory storage for active calls and rooms
-const activeRooms = new Map();
-const activeCalls = new Map();
-const userSockets = new Map();
+// Call state lives in a pluggable store (CALL_STATE_STORE=memory|postgres) so
+// several signaling servers can run behind a load balancer. Users are reached
+// through their `user-<id>` room, which the store's adapter relays across nodes.
+const callStateStore = attachCallStateStore(io, createCallStateStore());
+callStateStore.init().catch((error) => {
+    console.error('❌ Call state store initialization failed:', error);
+});
 
 // Call states
 const CALL_STATES = {
@@ -92,7 +86,7 @@ const CALL_STATES = {
 
 // WebRTC configuration
 const RTC_CONFIGURATION = {
-    iceServers: TURN_SERVERS,
+    iceServers: turnCredentials.getStunServers(),
     iceCandidatePoolSize: 10,
     iceTransportPolicy: 'all',
     bundlePolicy: 'max-bundle',
@@ -108,7 +102,7 @@ io.on('connection', (socket) => {
         console.log(`👤 User registered: ${userData.userId} (${socket.id})`);
         socket.userId = userData.userId;
         socket.userName = userData.userName;
-        userSockets.set(userData.userId, socket);
+        socket.join(`user-${userData.userId}`);
 
         socket.emit('user:registered', {
             socketId: socket.id,
@@ -124,45 +118,31 @@ io.on('connection', (socket) => {
 
             console.log(`📞 Call initiated: ${callId} from ${socket.userId} to ${targetUserId}`);
 
-            // Create call record
-            const call = {
+            // Check if target user is online (on any node)
+            if (!(await isUserOnline(targetUserId))) {
+                socket.emit('call:failed', { callId, reason: 'User offline' });
+                return;
+            }
+
+            // Create call record, with the initiator as first participant
+            await callStateStore.saveCall(callId, {
                 id: callId,
                 initiatorId: socket.userId,
                 targetUserId,
                 callType, // 'voice' or 'video'
                 chatId,
-                state: CALL_STATES.INITIATING,
-                participants: new Map(),
-                startTime: Date.now(),
-                offers: new Map(),
-                answers: new Map(),
-                candidates: new Map()
-            };
-
-            activeCalls.set(callId, call);
-            socket.callId = callId;
-
-            // Add initiator as participant
-            call.participants.set(socket.userId, {
-                socketId: socket.id,
-                userId: socket.userId,
-                userName: socket.userName,
-                role: 'initiator',
-                joined: Date.now(),
-                muted: false,
-                videoEnabled: callType === 'video'
+                state: CALL_STATES.RINGING,
+                participants: {
+                    [socket.userId]: createParticipant(socket, 'initiator', callType)
+                },
+                startTime: Date.now()
             });
 
-            // Check if target user is online
-            const targetSocket = userSockets.get(targetUserId);
-            if (!targetSocket) {
-                socket.emit('call:failed', { callId, reason: 'User offline' });
-                activeCalls.delete(callId);
-                return;
-            }
+            await callStateStore.setUserCall(socket.userId, callId);
+            socket.callId = callId;
 
             // Send incoming call to target user
-            targetSocket.emit('call:incoming', {
+            emitToUser(targetUserId, 'call:incoming', {
                 callId,
                 from: {
                     userId: socket.userId,
@@ -172,11 +152,10 @@ io.on('connection', (socket) => {
                 chatId
             });
 
-            call.state = CALL_STATES.RINGING;
-
             // Set call timeout (30 seconds)
-            setTimeout(() => {
-                if (activeCalls.has(callId) && call.state === CALL_STATES.RINGING) {
+            setTimeout(async () => {
+                const call = await callStateStore.getCall(callId);
+                if (call && call.state === CALL_STATES.RINGING) {
                     endCall(callId, 'timeout');
                 }
             }, 30000);
@@ -188,131 +167,90 @@ io.on('connection', (socket) => {
     });
 
     // Handle call answer
-    socket.on('call:answer', (data) => {
+    socket.on('call:answer', async (data) => {
         const { callId, accept } = data;
-        const call = activeCalls.get(callId);
 
-        if (!call) {
-            socket.emit('call:failed', { reason: 'Call not found' });
+        console.log(`📞 Call ${accept ? 'accepted' : 'declined'}: ${callId}`);
+
+        if (!accept) {
+            // Call declined
+            endCall(callId, 'declined');
             return;
         }
 
-        console.log(`📞 Call ${accept ? 'accepted' : 'declined'}: ${callId}`);
+        // Add answerer as participant
+        const call = await callStateStore.updateCall(callId, (state) => {
+            state.participants[socket.userId] = createParticipant(socket, 'participant', state.callType);
+            state.state = CALL_STATES.CONNECTING;
+        });
 
-        if (accept) {
-            // Add answerer as participant
-            call.participants.set(socket.userId, {
-                socketId: socket.id,
-                userId: socket.userId,
-                userName: socket.userName,
-                role: 'participant',
-                joined: Date.now(),
-                muted: false,
-                videoEnabled: call.callType === 'video'
-            });
+        if (!call) {
+            socket.emit('call:failed', { reason: 'Call not found' });
+            return;
+        }
 
-            call.state = CALL_STATES.CONNECTING;
-            socket.callId = callId;
+        await callStateStore.setUserCall(socket.userId, callId);
+        socket.callId = callId;
 
-            // Notify all participants that call was accepted
-            broadcastToCall(callId, 'call:accepted', {
-                callId,
-                participants: Array.from(call.participants.values())
-            });
-        } else {
-            // Call declined
-            endCall(callId, 'declined');
-        }
+        // Notify all participants that call was accepted
+        broadcastToCall(call, 'call:accepted', {
+            callId,
+            participants: Object.values(call.participants)
+        });
     });
 
     // Handle WebRTC offer
     socket.on('webrtc:offer', (data) => {
         const { callId, offer, targetUserId } = data;
-        const call = activeCalls.get(callId);
-
-        if (!call) return;
 
         console.log(`🔄 WebRTC offer from ${socket.userId} to ${targetUserId}`);
 
-        call.offers.set(`${socket.userId}-${targetUserId}`, offer);
-
-        const targetSocket = userSockets.get(targetUserId);
-        if (targetSocket) {
-            targetSocket.emit('webrtc:offer', {
-                callId,
-                offer,
-                from: socket.userId
-            });
-        }
+        relaySignal(socket, callId, targetUserId, 'webrtc:offer', { offer });
     });
 
     // Handle WebRTC answer
     socket.on('webrtc:answer', (data) => {
         const { callId, answer, targetUserId } = data;
-        const call = activeCalls.get(callId);
-
-        if (!call) return;
 
         console.log(`🔄 WebRTC answer from ${socket.userId} to ${targetUserId}`);
 
-        call.answers.set(`${socket.userId}-${targetUserId}`, answer);
-
-        const targetSocket = userSockets.get(targetUserId);
-        if (targetSocket) {
-            targetSocket.emit('webrtc:answer', {
-                callId,
-                answer,
-                from: socket.userId
-            });
-        }
+        relaySignal(socket, callId, targetUserId, 'webrtc:answer', { answer });
     });
 
     // Handle ICE candidates
     socket.on('webrtc:ice-candidate', (data) => {
         const { callId, candidate, targetUserId } = data;
-        const call = activeCalls.get(callId);
-
-        if (!call) return;
 
-        // Store candidate
-        const key = `${socket.userId}-${targetUserId}`;
-        if (!call.candidates.has(key)) {
-            call.candidates.set(key, []);
-        }
-        call.candidates.get(key).push(candidate);
-
-        // Forward candidate to target user
-        const targetSocket = userSockets.get(targetUserId);
-        if (targetSocket) {
-            targetSocket.emit('webrtc:ice-candidate', {
-                callId,
-                candidate,
-                from: socket.userId
-            });
-        }
+        relaySignal(socket, callId, targetUserId, 'webrtc:ice-candidate', { candidate });
     });
 
     // Handle call control events
-    socket.on('call:mute', (data) => {
+    socket.on('call:mute', async (data) => {
         const { callId, muted } = data;
-        const call = activeCalls.get(callId);
+        const call = await callStateStore.updateCall(callId, (state) => {
+            if (state.participants[socket.userId]) {
+                state.participants[socket.userId].muted = muted;
+            }
+        });
 
-        if (call && call.participants.has(socket.userId)) {
-            call.participants.get(socket.userId).muted = muted;
-            broadcastToCall(callId, 'call:participant-muted', {
+        if (call && call.participants[socket.userId]) {
+            broadcastToCall(call, 'call:participant-muted', {
                 userId: socket.userId,
                 muted
             }, socket.userId);
         }
     });
 
-    socket.on('call:video-toggle', (data) => {
+    socket.on('call:video-toggle', async (data) => {
         const { callId, videoEnabled } = data;
-        const call = activeCalls.get(callId);
+        const call = await callStateStore.updateCall(callId, (state) => {
+            if (state.participants[socket.userId]) {
+                state.participants[socket.userId].videoEnabled = videoEnabled;
+            }
+        });
 
-        if (call && call.participants.has(socket.userId)) {
-            call.participants.get(socket.userId).videoEnabled = videoEnabled;
-            broadcastToCall(callId, 'call:participant-video', {
+        if (call && call.participants[socket.userId]) {
+            broadcastToCall(call, 'call:participant-video', {
                 userId: socket.userId,
                 videoEnabled
             }, socket.userId);
@@ -327,68 +265,63 @@ io.on('connection', (socket) => {
     });
 
     // Handle group call join
-    socket.on('call:join', (data) => {
+    socket.on('call:join', async (data) => {
         const { callId } = data;
-        const call = activeCalls.get(callId);
-
-        if (!call) {
-            socket.emit('call:failed', { reason: 'Call not found' });
-            return;
-        }
 
         console.log(`👥 User joining group call: ${socket.userId} -> ${callId}`);
 
         // Add participant to call
-        call.participants.set(socket.userId, {
-            socketId: socket.id,
-            userId: socket.userId,
-            userName: socket.userName,
-            role: 'participant',
-            joined: Date.now(),
-            muted: false,
-            videoEnabled: call.callType === 'video'
+        const call = await callStateStore.updateCall(callId, (state) => {
+            state.participants[socket.userId] = createParticipant(socket, 'participant', state.callType);
         });
 
+        if (!call) {
+            socket.emit('call:failed', { reason: 'Call not found' });
+            return;
+        }
+
+        await callStateStore.setUserCall(socket.userId, callId);
         socket.callId = callId;
 
         // Notify existing participants
-        broadcastToCall(callId, 'call:participant-joined', {
-            participant: call.participants.get(socket.userId),
-            participants: Array.from(call.participants.values())
+        broadcastToCall(call, 'call:participant-joined', {
+            participant: call.participants[socket.userId],
+            participants: Object.values(call.participants)
         }, socket.userId);
 
         // Send current participants to new joiner
         socket.emit('call:participants', {
             callId,
-            participants: Array.from(call.participants.values())
+            participants: Object.values(call.participants)
         });
     });
 
     // Handle disconnection
-    socket.on('disconnect', () => {
+    socket.on('disconnect', async () => {
         console.log(`🔗 Client disconnected: ${socket.id}`);
 
-        // Remove from user mapping
-        if (socket.userId) {
-            userSockets.delete(socket.userId);
-        }
-
         // Handle active call disconnection
-        if (socket.callId) {
-            const call = activeCalls.get(socket.callId);
-            if (call && call.participants.has(socket.userId)) {
-                call.participants.delete(socket.userId);
-
-                // Notify remaining participants
-                broadcastToCall(socket.callId, 'call:participant-left', {
-                    userId: socket.userId,
-                    participants: Array.from(call.participants.values())
+        if (socket.callId && socket.userId) {
+            try {
+                const call = await callStateStore.updateCall(socket.callId, (state) => {
+                    delete state.participants[socket.userId];
                 });
-
-                // End call if no participants left
-                if (call.participants.size === 0) {
-                    endCall(socket.callId, 'all-left');
+                await callStateStore.clearUserCall(socket.userId, socket.callId);
+
+                if (call) {
+                    // Notify remaining participants
+                    broadcastToCall(call, 'call:participant-left', {
+                        userId: socket.userId,
+                        participants: Object.values(call.participants)
+                    });
+
+                    // End call if no participants left
+                    if (Object.keys(call.participants).length === 0) {
+                        endCall(socket.callId, 'all-left');
+                    }
                 }
+            } catch (error) {
+                console.error('❌ Failed to handle call disconnect:', error);
             }
         }
     });
@@ -399,73 +332,95 @@ function generateCallId() {
     return 'call_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
 }
 
-function broadcastToCall(callId, event, data, excludeUserId = null) {
-    const call = activeCalls.get(callId);
-    if (!call) return;
+function createParticipant(socket, role, callType) {
+    return {
+        socketId: socket.id,
+        userId: socket.userId,
+        userName: socket.userName,
+        role,
+        joined: Date.now(),
+        muted: false,
+        videoEnabled: callType === 'video'
+    };
+}
 
-    call.participants.forEach((participant, userId) => {
+function emitToUser(userId, event, data) {
+    io.to(`user-${userId}`).emit(event, data);
+}
+
+async function isUserOnline(userId) {
+    const sockets = await io.in(`user-${userId}`).fetchSockets();
+    return sockets.length > 0;
+}
+
+async function relaySignal(socket, callId, targetUserId, event, payload) {
+    try {
+        const call = await callStateStore.getCall(callId);
+        if (!call) return;
+
+        emitToUser(targetUserId, event, {
+            callId,
+            ...payload,
+            from: socket.userId
+        });
+    } catch (error) {
+        console.error(`❌ Failed to relay ${event}:`, error);
+    }
+}
+
+function broadcastToCall(call, event, data, excludeUserId = null) {
+    Object.keys(call.participants).forEach((userId) => {
         if (userId !== excludeUserId) {
-            const socket = userSockets.get(userId);
-            if (socket) {
-                socket.emit(event, data);
-            }
+            emitToUser(userId, event, data);
         }
     });
 }
 
-function endCall(callId, reason) {
-    const call = activeCalls.get(callId);
-    if (!call) return;
+async function endCall(callId, reason) {
+    try {
+        const call = await callStateStore.getCall(callId);
+        if (!call) return;
 
-    console.log(`📞 Ending call: ${callId} (${reason})`);
+        console.log(`📞 Ending call: ${callId} (${reason})`);
 
-    call.state = CALL_STATES.ENDED;
-    call.endTime = Date.now();
-    call.duration = call.endTime - call.startTime;
+        const duration = Date.now() - call.startTime;
 
-    // Notify all participants
-    broadcastToCall(callId, 'call:ended', {
-        callId,
-        reason,
-        duration: call.duration
-    });
+        // Notify all participants (and the callee if they never answered)
+        const recipients = new Set([...Object.keys(call.participants), call.targetUserId]);
+        recipients.forEach((userId) => {
+            emitToUser(userId, 'call:ended', {
+                callId,
+                reason,
+                duration
+            });
+        });
 
-    // Clean up
-    activeCalls.delete(callId);
+        // Clean up
+        await callStateStore.deleteCall(callId);
+    } catch (error) {
+        console.error('❌ Failed to end call:', error);
+    }
 }
 
 // API endpoints
-app.get('/api/health', (req, res) => {
+app.get('/api/health', async (req, res) => {
     res.json({
         status: 'healthy',
         timestamp: new Date().toISOString(),
-        activeCalls: activeCalls.size,
-        connectedUsers: userSockets.size
+        activeCalls: await callStateStore.countCalls().catch(() => null),
+        connectedUsers: io.of('/').sockets.size
     });
 });
 
-app.get('/api/turn-credentials', (req, res) => {
-    // Generate temporary TURN credentials (for security)
-    const timestamp = Math.floor(Date.now() / 1000) + 86400; // 24 hours
-    const username = `${timestamp}:talkpai`;
 
-    res.json({
-        iceServers: [
-            ...TURN_SERVERS,
-            {
-                urls: process.env.COTURN_URL || 'turn:localhost:3478',
-                username,
-                credential: generateTurnCredential(username, process.env.TURN_SECRET || 'talkpai-secret')
-            }
-        ]
+// Credentials used to be issued here without authentication, clients now
+// get them from the main app
+app.get('/api/turn-credentials', (req, res) => {
+    res.status(410).json({
+        error: 'TURN credentials are issued by the main API at GET /api/webrtc/ice-config'
     });
 });
 
-function generateTurnCredential(username, secret) {
-    const crypto = require('crypto');
-    return crypto.createHmac('sha1', secret).update(username).digest('base64');
-}
-
 // Start server
 const PORT = process.env.PORT || 3001;
 server.listen(PORT, () => {
@@ -483,14 +438,19 @@ server.listen(PORT, () => {
 process.on('SIGINT', () => {
     console.log('🛑 Shutting down WebRTC server...');
 
-    // End all active calls
-    activeCalls.forEach((call, callId) => {
-        endCall(callId, 'server-shutdown');
-    });
-
-    server.close(() => {
-        console.log('✅ WebRTC server shut down gracefully');
-        process.exit(0);
+    // Calls stay in a shared store when other nodes can take them over
+    const endCalls = callStateStore.isDistributed
+        ? Promise.resolve()
+        : callStateStore.listCalls().then(calls => Promise.all(
+            calls.map(call => endCall(call.callId, 'server-shutdown'))
+        ));
+
+    endCalls.finally(() => {
+        server.close(async () => {
+            await callStateStore.close().catch(() => {});
+            console.log('✅ WebRTC server shut down gracefully');
+            process.exit(0);
+        });
     });
 });
 
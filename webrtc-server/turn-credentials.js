@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+
+const DEFAULT_TTL_SECONDS = 3600;
+const MAX_TTL_SECONDS = 86400;
+const DEFAULT_STUN_URLS = ['stun:stun.l.google.com:19302', 'stun:stun1.l.google.com:19302'];
+
+function parseList(value) {
+    return String(value || '')
+        .split(',')
+        .map(item => item.trim())
+        .filter(Boolean);
+}
+
+// Short-lived TURN credentials for coturn's `use-auth-secret` mode (the TURN
+// REST API): the username is "<expiry unix time>:<label>" and the password is
+// base64(HMAC-SHA1(secret, username)). coturn recomputes the HMAC with its
+// static-auth-secret and rejects expired usernames, so nothing is stored.
+//
+// Credentials are only ever checked by coturn, so rotating the secret
+// without dropping calls happens there (see coturn/turnserver.conf):
+//   1. Add the new secret to coturn next to the old one.
+//   2. Set TURN_SECRET to the new secret.
+//   3. After TURN_CREDENTIAL_TTL has passed, remove the old secret from coturn.
+class TurnCredentialIssuer {
+    constructor({
+        secret = process.env.TURN_SECRET,
+        urls = parseList(process.env.TURN_URLS || process.env.COTURN_URL),
+        stunUrls = parseList(process.env.STUN_URLS),
+        ttl = parseInt(process.env.TURN_CREDENTIAL_TTL, 10)
+    } = {}) {
+        this.secret = secret || null;
+        this.urls = urls;
+        this.stunUrls = stunUrls.length > 0 ? stunUrls : DEFAULT_STUN_URLS;
+        this.ttl = Math.min(Number.isInteger(ttl) && ttl > 0 ? ttl : DEFAULT_TTL_SECONDS, MAX_TTL_SECONDS);
+    }
+
+    get isConfigured() {
+        return Boolean(this.secret && this.urls.length > 0);
+    }
+
+    // The label ties a credential to a user and optionally a call, it shows
+    // up in coturn's session logs
+    issue(userId, { callId = null, ttl = this.ttl } = {}) {
+        if (!this.isConfigured) {
+            throw new Error('TURN is not configured');
+        }
+
+        const lifetime = Math.min(Math.max(parseInt(ttl, 10) || this.ttl, 60), this.ttl);
+        const expiresAt = Math.floor(Date.now() / 1000) + lifetime;
+        const label = callId ? `${userId}.${callId}` : String(userId);
+        const username = `${expiresAt}:${label.replace(/:/g, '_')}`;
+
+        return {
+            username,
+            credential: this.sign(username, this.secret),
+            ttl: lifetime,
+            expiresAt: new Date(expiresAt * 1000).toISOString()
+        };
+    }
+
+    sign(username, secret) {
+        return crypto.createHmac('sha1', secret).update(username).digest('base64');
+    }
+
+    getStunServers() {
+        return [{ urls: this.stunUrls }];
+    }
+
+    // RTCConfiguration.iceServers for a user, STUN only when TURN is not set up
+    getIceServers(userId, options = {}) {
+        if (!this.isConfigured) {
+            return { iceServers: this.getStunServers(), ttl: null, expiresAt: null };
+        }
+
+        const { username, credential, ttl, expiresAt } = this.issue(userId, options);
+
+        return {
+            iceServers: [
+                ...this.getStunServers(),
+                { urls: this.urls, username, credential }
+            ],
+            ttl,
+            expiresAt
+        };
+    }
+}
+
+module.exports = { TurnCredentialIssuer, parseList };